@@ -3,12 +3,24 @@ import { CoreEvents } from '../events/CoreEvents.js';
 import { StateManager } from '../state/StateManager.js';
 import { ProjectService } from '../services/ProjectService.js';
 import { ClientService } from '../services/ClientService.js';
+import { TagService } from '../services/TagService.js';
 import { TaskService } from '../services/TaskService.js';
 import { TaskInstanceService } from '../services/TaskInstanceService.js';
 import { TimeTrackingService } from '../services/TimeTrackingService.js';
 import { ReportService } from '../services/ReportService.js';
 import { StatsService } from '../services/StatsService.js';
 import { CacheService } from '../services/CacheService.js';
+import { PersistenceService } from '../services/PersistenceService.js';
+import { IdleMonitorService } from '../services/IdleMonitorService.js';
+import { BudgetService } from '../services/BudgetService.js';
+import { PomodoroService } from '../services/PomodoroService.js';
+import { TargetService } from '../services/TargetService.js';
+import { OvertimeService } from '../services/OvertimeService.js';
+import { InvoiceService } from '../services/InvoiceService.js';
+import { ExchangeRateService } from '../services/ExchangeRateService.js';
+import { ExpenseService } from '../services/ExpenseService.js';
+import { UndoService } from '../services/UndoService.js';
+import { HistoryService } from '../services/HistoryService.js';
 /**
  * Core API
  * Main interface for interacting with the application core
@@ -43,14 +55,31 @@ export class CoreAPI {
         // Initialize cache (loads all data from DB)
         await this.services.cache.initialize();
         
+        // Undo history first: data services record their changes in it
+        this.services.undo = new UndoService(this);
+        this.services.history = new HistoryService(this);
+
         // Initialize other services (they will use cache)
         this.services.projects = new ProjectService(this);
         this.services.clients = new ClientService(this);
+        this.services.tags = new TagService(this);
         this.services.tasks = new TaskService(this);
         this.services.taskInstances = new TaskInstanceService(this);
         this.services.tracking = new TimeTrackingService(this);
         this.services.reports = new ReportService(this);
         this.services.stats = new StatsService(this);
+        this.services.idle = new IdleMonitorService(this);
+        this.services.budgets = new BudgetService(this);
+        this.services.pomodoro = new PomodoroService(this);
+        this.services.targets = new TargetService(this);
+        this.services.overtime = new OvertimeService(this);
+        this.services.invoices = new InvoiceService(this);
+        this.services.exchangeRates = new ExchangeRateService(this);
+        this.services.expenses = new ExpenseService(this);
+        
+        // Load tracking session left over from a crash (UI offers resume/close)
+        this.services.persistence = new PersistenceService(this);
+        await this.services.persistence.initialize();
         
         this.events.emit(CoreEvents.DATABASE_CONNECTED);
         this.events.emit(CoreEvents.CORE_INITIALIZED);
@@ -66,6 +95,24 @@ export class CoreAPI {
      * Shutdown core
      */
     async shutdown() {
+        if (this.services?.idle) {
+            this.services.idle.destroy();
+        }
+        if (this.services?.budgets) {
+            this.services.budgets.destroy();
+        }
+        if (this.services?.pomodoro) {
+            this.services.pomodoro.destroy();
+        }
+        if (this.services?.targets) {
+            this.services.targets.destroy();
+        }
+        
+        // Save running session before shutdown
+        if (this.services?.persistence) {
+            this.services.persistence.destroy();
+        }
+        
         // Final cache sync and cleanup
         if (this.services?.cache) {
             this.services.cache.destroy();
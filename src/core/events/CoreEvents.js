@@ -8,6 +8,7 @@ export const CoreEvents = {
     TRACKING_PAUSED: 'tracking:paused',
     TRACKING_RESUMED: 'tracking:resumed',
     TRACKING_UPDATED: 'tracking:updated',
+    TRACKING_IDLE_DETECTED: 'tracking:idle-detected',
     // Global Timer events
     GLOBAL_TIMER_TICK: 'global-timer:tick',
     // Project events
@@ -15,11 +16,46 @@ export const CoreEvents = {
     PROJECT_UPDATED: 'project:updated',
     PROJECT_DELETED: 'project:deleted',
     PROJECTS_DELETED: 'projects:deleted',
+    // Pomodoro events
+    POMODORO_PHASE_CHANGED: 'pomodoro:phase-changed',
+    POMODORO_UPDATED: 'pomodoro:updated',
+    POMODORO_COMPLETED: 'pomodoro:completed',
+    // Budget events
+    BUDGET_THRESHOLD_REACHED: 'budget:threshold-reached',
+    // Hour target events
+    TARGET_PROGRESS_UPDATED: 'target:progress-updated',
+    TARGET_REACHED: 'target:reached',
+    // Work schedule and absence events
+    WORK_SCHEDULE_UPDATED: 'work-schedule:updated',
+    ABSENCE_CREATED: 'absence:created',
+    ABSENCE_DELETED: 'absence:deleted',
+    // Invoice events
+    INVOICE_CREATED: 'invoice:created',
+    INVOICE_DELETED: 'invoice:deleted',
+    // Exchange rate events
+    EXCHANGE_RATE_CREATED: 'exchange-rate:created',
+    EXCHANGE_RATE_UPDATED: 'exchange-rate:updated',
+    EXCHANGE_RATE_DELETED: 'exchange-rate:deleted',
+    BASE_CURRENCY_CHANGED: 'exchange-rate:base-changed',
+    // Expense events
+    EXPENSE_CREATED: 'expense:created',
+    EXPENSE_UPDATED: 'expense:updated',
+    EXPENSE_DELETED: 'expense:deleted',
+    // Undo/redo events
+    UNDO_HISTORY_CHANGED: 'undo:history-changed',
+    UNDO_APPLIED: 'undo:applied',
+    // Change history events
+    HISTORY_REVERTED: 'history:reverted',
     // Client events
     CLIENT_CREATED: 'client:created',
     CLIENT_UPDATED: 'client:updated',
     CLIENT_DELETED: 'client:deleted',
     CLIENTS_DELETED: 'clients:deleted',
+    // Tag events
+    TAG_CREATED: 'tag:created',
+    TAG_UPDATED: 'tag:updated',
+    TAG_DELETED: 'tag:deleted',
+    TAGS_ASSIGNED: 'tags:assigned',
     // Task events
     TASK_CREATED: 'task:created',
     TASK_UPDATED: 'task:updated',
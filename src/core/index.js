@@ -10,10 +10,22 @@ export { CoreAPI } from './api/CoreAPI.js';
 export { BaseService } from './services/BaseService.js';
 export { ProjectService } from './services/ProjectService.js';
 export { ClientService } from './services/ClientService.js';
+export { TagService } from './services/TagService.js';
 export { TaskService } from './services/TaskService.js';
 export { TaskInstanceService } from './services/TaskInstanceService.js';
 export { TimeTrackingService } from './services/TimeTrackingService.js';
 export { ReportService } from './services/ReportService.js';
+export { PersistenceService } from './services/PersistenceService.js';
+export { IdleMonitorService, MutterIdleSource } from './services/IdleMonitorService.js';
+export { BudgetService } from './services/BudgetService.js';
+export { PomodoroService } from './services/PomodoroService.js';
+export { TargetService } from './services/TargetService.js';
+export { OvertimeService } from './services/OvertimeService.js';
+export { InvoiceService } from './services/InvoiceService.js';
+export { ExchangeRateService } from './services/ExchangeRateService.js';
+export { ExpenseService } from './services/ExpenseService.js';
+export { UndoService } from './services/UndoService.js';
+export { HistoryService } from './services/HistoryService.js';
 // State
 export { StateManager } from './state/StateManager.js';
 // Events
@@ -22,5 +34,9 @@ export { CoreEvents } from './events/CoreEvents.js';
 // Utils
 export { TimeUtils } from './utils/TimeUtils.js';
 export { ColorUtils } from './utils/ColorUtils.js';
+export { BillingUtils } from './utils/BillingUtils.js';
+export { ExchangeRateUtils } from './utils/ExchangeRateUtils.js';
+export { CsvUtils } from './utils/CsvUtils.js';
+export { RoundingUtils } from './utils/RoundingUtils.js';
 export { DateFilters } from './utils/DateFilters.js';
 export { ValidationUtils } from './utils/ValidationUtils.js';
\ No newline at end of file
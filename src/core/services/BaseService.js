@@ -28,4 +28,18 @@ export class BaseService {
     async execute(sql, params) {
         return await this.database.execute(sql, params);
     }
+    /**
+     * Run a change as undo step (see UndoService.record)
+     */
+    async recordChange(label, scope, change, scopeAfter = null) {
+        const undo = this.core.services?.undo;
+        return undo ? await undo.record(label, scope, change, scopeAfter) : await change();
+    }
+    /**
+     * Run a write outside of undo steps and log it in the change history (see HistoryService.capture)
+     */
+    async recordHistory(info, scope, write, scopeAfter = null) {
+        const history = this.core.services?.history;
+        return history ? await history.capture(info, scope, write, scopeAfter) : await write();
+    }
 }
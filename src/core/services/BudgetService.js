@@ -0,0 +1,247 @@
+/**
+ * Budget Service
+ * Project budgets in hours and/or money, for the whole project or per calendar month
+ *
+ * Money budgets count billable time at the effective rate (task -> project -> client)
+ * in the project currency (project rate currency, else the project client's currency).
+ * While tracking, BUDGET_THRESHOLD_REACHED is emitted once per project, period and threshold.
+ */
+import { BaseService } from './BaseService.js';
+import { CoreEvents } from '../events/CoreEvents.js';
+import { BillingUtils } from '../utils/BillingUtils.js';
+import { TimeUtils } from '../utils/TimeUtils.js';
+
+export class BudgetService extends BaseService {
+    constructor(core) {
+        super(core);
+
+        this.thresholds = [80, 100]; // percent of budget
+        this.checkInterval = 30; // seconds between checks while tracking
+
+        this._lastCheck = 0;
+        this._checking = false;
+        this._notified = new Set(); // "projectId:periodKey:threshold"
+
+        this._subscribeToEvents();
+    }
+
+    /**
+     * Set warning thresholds in percent (e.g. [80, 100])
+     */
+    setThresholds(percents) {
+        this.thresholds = [...new Set((percents || [])
+            .map(value => Math.round(Number(value)))
+            .filter(value => value > 0))]
+            .sort((a, b) => a - b);
+    }
+
+    getThresholds() {
+        return [...this.thresholds];
+    }
+
+    /**
+     * Get budget usage of a project (null if project has no budget)
+     */
+    async getUsage(projectId) {
+        const usage = await this._queryUsage(projectId);
+        return usage.get(projectId) || null;
+    }
+
+    /**
+     * Get budget usage of all projects with a budget
+     * @returns {Promise<Map<number, Object>>} project ID -> usage
+     */
+    async getAllUsage() {
+        return await this._queryUsage();
+    }
+
+    _subscribeToEvents() {
+        this._handlers = {
+            [CoreEvents.GLOBAL_TIMER_TICK]: () => {
+                const now = Date.now();
+                if (now - this._lastCheck < this.checkInterval * 1000) return;
+                this._lastCheck = now;
+                this.check().catch(error => {
+                    console.error('[BudgetService] Check failed:', error);
+                });
+            },
+            // Check right away when tracking starts on a project
+            [CoreEvents.TRACKING_STARTED]: () => {
+                this._lastCheck = 0;
+            },
+            // Budget changed - allow warnings again
+            [CoreEvents.PROJECT_UPDATED]: (data) => {
+                if (data?.id && (data.budget_hours !== undefined || data.budget_amount !== undefined ||
+                                 data.budget_period !== undefined)) {
+                    this._forgetProject(data.id);
+                }
+            },
+        };
+        Object.keys(this._handlers).forEach(event => {
+            this.events.on(event, this._handlers[event]);
+        });
+    }
+
+    /**
+     * Check budget of the tracked project, including the running entry
+     * Called on timer ticks, can be called directly
+     */
+    async check() {
+        const tracking = this.state.getTrackingState();
+        if (this._checking || this.thresholds.length === 0) return;
+        if (!tracking.isTracking || !tracking.currentProjectId) return;
+
+        this._checking = true;
+        try {
+            const projectId = tracking.currentProjectId;
+            const usage = await this.getUsage(projectId);
+            if (!usage) return;
+
+            // Add running entry (not yet in TimeEntry.duration)
+            const elapsed = tracking.elapsedSeconds || 0;
+            usage.usedSeconds += elapsed;
+            if (usage.budgetAmount && elapsed > 0 && tracking.currentTimeEntryId &&
+                await this.core.services.tracking.isTimeEntryBillable(tracking.currentTimeEntryId)) {
+                const { rate, currency } = await this.core.services.taskInstances
+                    .getEffectiveRate(tracking.currentTaskInstanceId);
+                if (currency === usage.currency) {
+                    usage.usedAmount += (elapsed / 3600) * rate;
+                }
+            }
+            this._calculatePercent(usage);
+
+            // Highest crossed threshold only, lower ones are implied
+            const reached = this.thresholds.filter(threshold => usage.percent >= threshold);
+            if (reached.length === 0) return;
+
+            const threshold = reached[reached.length - 1];
+            const key = `${projectId}:${usage.periodKey}:${threshold}`;
+            if (this._notified.has(key)) return;
+            reached.forEach(value => this._notified.add(`${projectId}:${usage.periodKey}:${value}`));
+
+            this.events.emit(CoreEvents.BUDGET_THRESHOLD_REACHED, { ...usage, threshold });
+        } finally {
+            this._checking = false;
+        }
+    }
+
+    /**
+     * Query usage of projects with a budget (direct SQL aggregation)
+     */
+    async _queryUsage(projectId = null) {
+        const result = new Map();
+        const monthStart = this._getMonthStart();
+
+        let projectFilter = '';
+        const projectParams = [];
+        if (projectId) {
+            projectFilter = 'AND p.id = ?';
+            projectParams.push(projectId);
+        }
+
+        const projects = await this.query(`
+            SELECT p.id, p.name, p.budget_hours, p.budget_amount, p.budget_period,
+                   COALESCE(p.currency, bc.currency, 'EUR') as budget_currency
+            FROM Project p
+            LEFT JOIN Client bc ON bc.id = p.client_id
+            WHERE (p.budget_hours > 0 OR p.budget_amount > 0) ${projectFilter}
+        `, projectParams);
+        if (projects.length === 0) return result;
+
+        projects.forEach(project => {
+            const monthly = project.budget_period === 'monthly';
+            result.set(project.id, {
+                projectId: project.id,
+                projectName: project.name,
+                period: monthly ? 'monthly' : 'total',
+                periodKey: monthly ? monthStart.substring(0, 7) : 'total',
+                budgetHours: project.budget_hours > 0 ? project.budget_hours : null,
+                budgetAmount: project.budget_amount > 0 ? project.budget_amount : null,
+                currency: project.budget_currency,
+                usedSeconds: 0,
+                usedAmount: 0,
+                hoursPercent: null,
+                amountPercent: null,
+                percent: 0,
+            });
+        });
+
+        // Monthly budgets only count entries of the current month
+        const entryFilter = `te.end_time IS NOT NULL
+              AND (p.budget_hours > 0 OR p.budget_amount > 0)
+              AND (p.budget_period != 'monthly' OR te.start_time >= ?)
+              ${projectFilter}`;
+        const params = [monthStart, ...projectParams];
+
+        const timeRows = await this.query(`
+            SELECT p.id as project_id, COALESCE(SUM(te.duration), 0) as used_time
+            FROM TimeEntry te
+            INNER JOIN TaskInstance ti ON te.task_instance_id = ti.id
+            INNER JOIN Project p ON ti.project_id = p.id
+            WHERE ${entryFilter}
+            GROUP BY p.id
+        `, params);
+        timeRows.forEach(row => {
+            const usage = result.get(row.project_id);
+            if (usage) usage.usedSeconds = row.used_time || 0;
+        });
+
+        const currencySql = BillingUtils.currencySql('ti', 'p', 'c');
+        const earningsRows = await this.query(`
+            SELECT p.id as project_id,
+                   ${currencySql} as currency,
+                   SUM(te.duration * ${BillingUtils.rateSql('ti', 'p', 'c')} / 3600.0) as earnings
+            FROM TimeEntry te
+            INNER JOIN TaskInstance ti ON te.task_instance_id = ti.id
+            INNER JOIN Project p ON ti.project_id = p.id
+            LEFT JOIN Client c ON ti.client_id = c.id
+            WHERE ${entryFilter}
+              AND p.budget_amount > 0
+              AND ${BillingUtils.billableSql('te', 'ti')} = 1
+            GROUP BY p.id, ${currencySql}
+        `, params);
+        earningsRows.forEach(row => {
+            const usage = result.get(row.project_id);
+            // Earnings in other currencies can't be compared to the budget
+            if (usage && row.currency === usage.currency) {
+                usage.usedAmount = row.earnings || 0;
+            }
+        });
+
+        result.forEach(usage => this._calculatePercent(usage));
+        return result;
+    }
+
+    _calculatePercent(usage) {
+        usage.hoursPercent = usage.budgetHours
+            ? (usage.usedSeconds / 3600) / usage.budgetHours * 100
+            : null;
+        usage.amountPercent = usage.budgetAmount
+            ? usage.usedAmount / usage.budgetAmount * 100
+            : null;
+        usage.percent = Math.max(usage.hoursPercent || 0, usage.amountPercent || 0);
+        return usage;
+    }
+
+    /**
+     * Start of current calendar month (local time, DB format)
+     */
+    _getMonthStart() {
+        const now = new Date();
+        return TimeUtils.formatTimestampForDB(new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0));
+    }
+
+    _forgetProject(projectId) {
+        const prefix = `${projectId}:`;
+        [...this._notified].forEach(key => {
+            if (key.startsWith(prefix)) this._notified.delete(key);
+        });
+    }
+
+    destroy() {
+        Object.keys(this._handlers).forEach(event => {
+            this.events.off(event, this._handlers[event]);
+        });
+        this._notified.clear();
+    }
+}
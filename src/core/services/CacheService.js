@@ -22,10 +22,13 @@ export class CacheService {
         this.clients = new Map();         // id -> Client
         this.taskInstances = new Map();   // id -> TaskInstance
         this.timeEntries = new Map();     // id -> TimeEntry (only completed ones)
+        this.tags = new Map();            // id -> Tag
         
         // Cache indices for faster lookups
         this.taskByName = new Map();      // name -> Task
         this.instanceByCombo = new Map(); // "taskId:projectId:clientId" -> TaskInstance
+        this.tagByName = new Map();       // lowercase name -> Tag
+        this.tagIdsByInstance = new Map(); // taskInstanceId -> Set of tag IDs
         
         // Dirty flags - track what needs syncing to DB
         this.dirtyTasks = new Set();
@@ -69,6 +72,7 @@ export class CacheService {
                 this._loadProjects(),
                 this._loadClients(),
                 this._loadTaskInstances(),
+                this._loadTags(),
                 // TimeEntries are loaded on-demand (only completed ones)
             ]);
             
@@ -153,6 +157,31 @@ export class CacheService {
         this.stats.dbReads++;
     }
     
+    /**
+     * Load all tags and task instance tag links from DB
+     */
+    async _loadTags() {
+        const tags = await this.core.database.query(`SELECT * FROM Tag ORDER BY name ASC`);
+        const links = await this.core.database.query(`SELECT task_instance_id, tag_id FROM TaskInstanceTag`);
+
+        this.tags.clear();
+        this.tagByName.clear();
+        this.tagIdsByInstance.clear();
+
+        tags.forEach(row => {
+            this.tags.set(row.id, row);
+            this.tagByName.set(row.name.toLowerCase(), row);
+        });
+        links.forEach(row => {
+            if (!this.tagIdsByInstance.has(row.task_instance_id)) {
+                this.tagIdsByInstance.set(row.task_instance_id, new Set());
+            }
+            this.tagIdsByInstance.get(row.task_instance_id).add(row.tag_id);
+        });
+
+        this.stats.dbReads++;
+    }
+    
     /**
      * Get combo key for indexing
      */
@@ -285,6 +314,76 @@ export class CacheService {
         return Array.from(this.taskInstances.values()); // Direct references - no map/spread
     }
     
+    /**
+     * Get tag by ID (from cache)
+     */
+    getTag(id) {
+        const tag = this.tags.get(id);
+        if (tag) {
+            this.stats.cacheHits++;
+            return tag;
+        }
+        this.stats.cacheMisses++;
+        return null;
+    }
+    
+    /**
+     * Get tag by name, case-insensitive (from cache)
+     */
+    getTagByName(name) {
+        const tag = this.tagByName.get(name.toLowerCase());
+        if (tag) {
+            this.stats.cacheHits++;
+            return tag;
+        }
+        this.stats.cacheMisses++;
+        return null;
+    }
+    
+    /**
+     * Get all tags sorted by name (from cache)
+     */
+    getAllTags() {
+        return Array.from(this.tags.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    /**
+     * Reload tags from DB (database may have been imported/reset meanwhile)
+     */
+    async reloadTags() {
+        await this._loadTags();
+        return this.getAllTags();
+    }
+    
+    /**
+     * Reload all entities from DB (rows were written directly, e.g. by undo/redo)
+     * Unsynced changes are dropped - flush() before writing
+     */
+    async reload() {
+        this.timeEntries.clear();
+        this.dirtyTasks.clear();
+        this.dirtyProjects.clear();
+        this.dirtyClients.clear();
+        this.dirtyTaskInstances.clear();
+        this.dirtyTimeEntries.clear();
+
+        await Promise.all([
+            this._loadTasks(),
+            this._loadProjects(),
+            this._loadClients(),
+            this._loadTaskInstances(),
+            this._loadTags(),
+        ]);
+    }
+
+    /**
+     * Get tag IDs linked to task instance (from cache)
+     */
+    getTagIdsForTaskInstance(taskInstanceId) {
+        const tagIds = this.tagIdsByInstance.get(taskInstanceId);
+        return tagIds ? Array.from(tagIds) : [];
+    }
+    
     // ==================== Cache Write Methods ====================
     
     /**
@@ -425,6 +524,44 @@ export class CacheService {
         }
     }
     
+    /**
+     * Add/update tag in cache
+     * Tags are written to DB by TagService directly - no dirty tracking
+     */
+    setTag(tag) {
+        const oldTag = this.tags.get(tag.id);
+        if (oldTag) {
+            this.tagByName.delete(oldTag.name.toLowerCase());
+        }
+        this.tags.set(tag.id, tag);
+        this.tagByName.set(tag.name.toLowerCase(), tag);
+    }
+    
+    /**
+     * Delete tag and its links from cache
+     */
+    deleteTag(id) {
+        const tag = this.tags.get(id);
+        if (tag) {
+            this.tags.delete(id);
+            this.tagByName.delete(tag.name.toLowerCase());
+        }
+        for (const tagIds of this.tagIdsByInstance.values()) {
+            tagIds.delete(id);
+        }
+    }
+    
+    /**
+     * Replace tag links of task instance in cache
+     */
+    setTaskInstanceTags(taskInstanceId, tagIds) {
+        if (tagIds.length === 0) {
+            this.tagIdsByInstance.delete(taskInstanceId);
+        } else {
+            this.tagIdsByInstance.set(taskInstanceId, new Set(tagIds));
+        }
+    }
+    
     // ==================== Sync Methods ====================
     
     /**
@@ -519,9 +656,12 @@ export class CacheService {
         if (this.deletedTimeEntries.size > 0) {
             const ids = Array.from(this.deletedTimeEntries);
             const placeholders = ids.map(() => '?').join(',');
-            await this.core.database.execute(
-                `DELETE FROM TimeEntry WHERE id IN (${placeholders})`,
-                ids
+            await this._captureHistory(
+                [{ table: 'TimeEntry', where: `id IN (${placeholders})`, params: ids }],
+                () => this.core.database.execute(
+                    `DELETE FROM TimeEntry WHERE id IN (${placeholders})`,
+                    ids
+                )
             );
             this.deletedTimeEntries.clear();
         }
@@ -529,9 +669,12 @@ export class CacheService {
         if (this.deletedTaskInstances.size > 0) {
             const ids = Array.from(this.deletedTaskInstances);
             const placeholders = ids.map(() => '?').join(',');
-            await this.core.database.execute(
-                `DELETE FROM TaskInstance WHERE id IN (${placeholders})`,
-                ids
+            await this._captureHistory(
+                [{ table: 'TaskInstance', where: `id IN (${placeholders})`, params: ids }],
+                () => this.core.database.execute(
+                    `DELETE FROM TaskInstance WHERE id IN (${placeholders})`,
+                    ids
+                )
             );
             this.deletedTaskInstances.clear();
         }
@@ -661,17 +804,19 @@ export class CacheService {
                     [id]
                 );
                 
-                if (existing.length > 0) {
-                    await this.core.database.execute(
-                        `UPDATE TaskInstance SET task_id = ?, project_id = ?, client_id = ?, total_time = ?, is_favorite = ?, last_used_at = ?, updated_at = datetime('now') WHERE id = ?`,
-                        [instance.task_id, instance.project_id, instance.client_id, instance.total_time || 0, instance.is_favorite || 0, instance.last_used_at, id]
-                    );
-                } else {
-                    await this.core.database.execute(
-                        `INSERT INTO TaskInstance (id, task_id, project_id, client_id, total_time, is_favorite, last_used_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
-                        [id, instance.task_id, instance.project_id, instance.client_id, instance.total_time || 0, instance.is_favorite || 0, instance.last_used_at]
-                    );
-                }
+                await this._captureHistory([{ table: 'TaskInstance', where: 'id = ?', params: [id] }], async () => {
+                    if (existing.length > 0) {
+                        await this.core.database.execute(
+                            `UPDATE TaskInstance SET task_id = ?, project_id = ?, client_id = ?, total_time = ?, is_favorite = ?, last_used_at = ?, updated_at = datetime('now') WHERE id = ?`,
+                            [instance.task_id, instance.project_id, instance.client_id, instance.total_time || 0, instance.is_favorite || 0, instance.last_used_at, id]
+                        );
+                    } else {
+                        await this.core.database.execute(
+                            `INSERT INTO TaskInstance (id, task_id, project_id, client_id, total_time, is_favorite, last_used_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
+                            [id, instance.task_id, instance.project_id, instance.client_id, instance.total_time || 0, instance.is_favorite || 0, instance.last_used_at]
+                        );
+                    }
+                });
                 
                 this.dirtyTaskInstances.delete(id);
                 this.stats.dbWrites++;
@@ -681,6 +826,14 @@ export class CacheService {
         }
     }
     
+    /**
+     * Run a sync write and log it in the change history
+     */
+    async _captureHistory(scope, write) {
+        const history = this.core.services?.history;
+        return history ? await history.capture({ source: 'sync' }, scope, write) : await write();
+    }
+    
     /**
      * Sync time entries to DB (placeholder - TimeEntries are written immediately currently)
      */
@@ -704,6 +857,9 @@ export class CacheService {
         this.timeEntries.clear();
         this.taskByName.clear();
         this.instanceByCombo.clear();
+        this.tags.clear();
+        this.tagByName.clear();
+        this.tagIdsByInstance.clear();
         
         this.dirtyTasks.clear();
         this.dirtyProjects.clear();
@@ -4,10 +4,36 @@
  */
 import { BaseService } from './BaseService.js';
 import { CoreEvents } from '../events/CoreEvents.js';
+import { RoundingUtils } from '../utils/RoundingUtils.js';
+import { ValidationUtils } from '../utils/ValidationUtils.js';
+import { BillingUtils } from '../utils/BillingUtils.js';
+
+// Contact and billing details, all optional
+const CONTACT_FIELDS = ['contact_person', 'email', 'phone', 'billing_address', 'tax_id'];
 
 export class ClientService extends BaseService {
     constructor(core) {
         super(core);
+        this.defaultTaxRate = 0; // percent, for clients without own rate
+    }
+
+    /**
+     * Set default tax rate in percent (clients without own rate)
+     */
+    setDefaultTaxRate(rate) {
+        const value = Number(rate);
+        this.defaultTaxRate = value >= 0 && value <= 100 ? value : 0;
+    }
+
+    getDefaultTaxRate() {
+        return this.defaultTaxRate;
+    }
+
+    /**
+     * Effective tax rate (percent) and mode of a client row (see BillingUtils.resolveTax)
+     */
+    getTax(client) {
+        return BillingUtils.resolveTax(client, this.defaultTaxRate);
     }
 
     /**
@@ -37,6 +63,10 @@ export class ClientService extends BaseService {
      * Create client (direct SQL)
      */
     async create(input) {
+        RoundingUtils.validate(input.rounding_increment, input.rounding_mode, input.rounding_scope);
+        this._validateContactDetails(input);
+        this._validateTax(input);
+
         // Ensure unique name
         let finalName = input.name;
         let suffix = 2;
@@ -48,10 +78,15 @@ export class ClientService extends BaseService {
             suffix++;
         }
 
-        const clientId = await this.execute(
-            `INSERT INTO Client (name, rate, currency) VALUES (?, ?, ?)`,
-            [finalName, input.rate || 0, input.currency || 'USD']
-        );
+        const clientId = await this.recordChange('Create client', [], () => this.execute(
+            `INSERT INTO Client (name, rate, currency, rounding_increment, rounding_mode, rounding_scope,
+                                 contact_person, email, phone, billing_address, tax_id, payment_terms, tax_rate, tax_mode)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [finalName, input.rate || 0, input.currency || 'USD',
+             input.rounding_increment ?? null, input.rounding_mode || null, input.rounding_scope || null,
+             ...CONTACT_FIELDS.map(field => input[field]?.trim() || null), input.payment_terms ?? null,
+             input.tax_rate ?? null, input.tax_mode || null]
+        ), id => [{ table: 'Client', where: 'id = ?', params: [id] }]);
 
         this.events.emit(CoreEvents.CLIENT_CREATED, { id: clientId, name: finalName, ...input });
         return clientId;
@@ -88,11 +123,48 @@ export class ClientService extends BaseService {
             updates.push('currency = ?');
             params.push(input.currency);
         }
+        // NULL or 0 rounding increment = no rounding
+        RoundingUtils.validate(input.rounding_increment, input.rounding_mode, input.rounding_scope);
+        if (input.rounding_increment !== undefined) {
+            updates.push('rounding_increment = ?');
+            params.push(input.rounding_increment);
+        }
+        if (input.rounding_mode !== undefined) {
+            updates.push('rounding_mode = ?');
+            params.push(input.rounding_mode || null);
+        }
+        if (input.rounding_scope !== undefined) {
+            updates.push('rounding_scope = ?');
+            params.push(input.rounding_scope || null);
+        }
+        this._validateContactDetails(input);
+        CONTACT_FIELDS.forEach(field => {
+            if (input[field] !== undefined) {
+                updates.push(`${field} = ?`);
+                params.push(input[field]?.trim() || null);
+            }
+        });
+        // NULL payment terms = not set, otherwise days until an invoice is due
+        if (input.payment_terms !== undefined) {
+            updates.push('payment_terms = ?');
+            params.push(input.payment_terms);
+        }
+        // NULL tax rate = default rate, NULL tax mode = standard
+        this._validateTax(input);
+        if (input.tax_rate !== undefined) {
+            updates.push('tax_rate = ?');
+            params.push(input.tax_rate);
+        }
+        if (input.tax_mode !== undefined) {
+            updates.push('tax_mode = ?');
+            params.push(input.tax_mode || null);
+        }
 
         if (updates.length === 0) return;
 
         params.push(id);
-        await this.execute(`UPDATE Client SET ${updates.join(', ')} WHERE id = ?`, params);
+        await this.recordChange('Edit client', [{ table: 'Client', where: 'id = ?', params: [id] }],
+            () => this.execute(`UPDATE Client SET ${updates.join(', ')} WHERE id = ?`, params));
 
         this.events.emit(CoreEvents.CLIENT_UPDATED, { id, ...input });
     }
@@ -105,8 +177,15 @@ export class ClientService extends BaseService {
             throw new Error('Cannot delete default client');
         }
 
-        await this.execute(`UPDATE TaskInstance SET client_id = 1 WHERE client_id = ?`, [id]);
-        await this.execute(`DELETE FROM Client WHERE id = ?`, [id]);
+        await this.recordChange('Delete client', [
+            { table: 'Client', where: 'id = ?', params: [id] },
+            { table: 'TaskInstance', where: 'client_id = ?', params: [id] },
+            { table: 'Expense', where: 'client_id = ?', params: [id] },
+        ], async () => {
+            await this.execute(`UPDATE TaskInstance SET client_id = 1 WHERE client_id = ?`, [id]);
+            await this.execute(`UPDATE Expense SET client_id = 1 WHERE client_id = ?`, [id]);
+            await this.execute(`DELETE FROM Client WHERE id = ?`, [id]);
+        });
 
         this.events.emit(CoreEvents.CLIENT_DELETED, { id });
     }
@@ -121,16 +200,67 @@ export class ClientService extends BaseService {
         if (idsToDelete.length === 0) return;
 
         const placeholders = idsToDelete.map(() => '?').join(', ');
-        await this.execute(`UPDATE TaskInstance SET client_id = 1 WHERE client_id IN (${placeholders})`, idsToDelete);
-        await this.execute(`DELETE FROM Client WHERE id IN (${placeholders})`, idsToDelete);
+        await this.recordChange('Delete clients', [
+            { table: 'Client', where: `id IN (${placeholders})`, params: idsToDelete },
+            { table: 'TaskInstance', where: `client_id IN (${placeholders})`, params: idsToDelete },
+            { table: 'Expense', where: `client_id IN (${placeholders})`, params: idsToDelete },
+        ], async () => {
+            await this.execute(`UPDATE TaskInstance SET client_id = 1 WHERE client_id IN (${placeholders})`, idsToDelete);
+            await this.execute(`UPDATE Expense SET client_id = 1 WHERE client_id IN (${placeholders})`, idsToDelete);
+            await this.execute(`DELETE FROM Client WHERE id IN (${placeholders})`, idsToDelete);
+        });
 
         this.events.emit(CoreEvents.CLIENTS_DELETED, { ids: idsToDelete });
     }
 
+    /**
+     * Archive or restore clients (direct SQL)
+     * Archived clients keep their time entries, only selectors hide them
+     */
+    async setArchived(ids, archived) {
+        if (!ids || ids.length === 0) return;
+
+        const idsToChange = ids.filter(id => id !== 1);
+        if (idsToChange.length === 0) return;
+
+        const placeholders = idsToChange.map(() => '?').join(', ');
+        await this.recordChange(archived ? 'Archive clients' : 'Restore clients', [
+            { table: 'Client', where: `id IN (${placeholders})`, params: idsToChange },
+        ], () => this.execute(`UPDATE Client SET archived = ? WHERE id IN (${placeholders})`, [archived ? 1 : 0, ...idsToChange]));
+
+        this.events.emit(CoreEvents.CLIENT_UPDATED, { ids: idsToChange, archived: Boolean(archived) });
+    }
+
     /**
      * Search clients (direct SQL)
      */
     async search(query) {
         return await this.query(`SELECT * FROM Client WHERE name LIKE ? ORDER BY name ASC`, [`%${query}%`]);
     }
+
+    _validateContactDetails(input) {
+        const checks = [
+            ValidationUtils.validateEmail(input.email?.trim()),
+            ValidationUtils.validatePhone(input.phone?.trim()),
+        ];
+        const failed = checks.find(result => !result.valid);
+        if (failed) {
+            throw new Error(failed.error);
+        }
+
+        const terms = input.payment_terms;
+        if (terms !== undefined && terms !== null && (!Number.isInteger(terms) || terms < 0)) {
+            throw new Error(`Invalid payment terms: ${terms}`);
+        }
+    }
+
+    _validateTax(input) {
+        const rate = input.tax_rate;
+        if (rate !== undefined && rate !== null && !(typeof rate === 'number' && rate >= 0 && rate <= 100)) {
+            throw new Error(`Invalid tax rate: ${rate}`);
+        }
+        if (input.tax_mode && !BillingUtils.TAX_MODES.includes(input.tax_mode)) {
+            throw new Error(`Invalid tax mode: ${input.tax_mode}`);
+        }
+    }
 }
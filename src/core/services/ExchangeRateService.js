@@ -0,0 +1,130 @@
+/**
+ * Exchange Rate Service
+ * Direct SQL, user-maintained exchange rates to total earnings in the base currency
+ *
+ * Rates are kept per pair with an effective date (see ExchangeRateUtils),
+ * so past periods convert with the rate that was valid then.
+ */
+import { BaseService } from './BaseService.js';
+import { CoreEvents } from '../events/CoreEvents.js';
+import { ExchangeRateUtils } from '../utils/ExchangeRateUtils.js';
+import { TimeUtils } from '../utils/TimeUtils.js';
+
+export class ExchangeRateService extends BaseService {
+    static DEFAULT_BASE_CURRENCY = 'USD';
+
+    constructor(core) {
+        super(core);
+        this.baseCurrency = ExchangeRateService.DEFAULT_BASE_CURRENCY;
+    }
+
+    /**
+     * Set the currency that totals are converted into
+     */
+    setBaseCurrency(currency) {
+        const baseCurrency = String(currency || '').trim() || ExchangeRateService.DEFAULT_BASE_CURRENCY;
+        if (baseCurrency === this.baseCurrency) return;
+        this.baseCurrency = baseCurrency;
+        this.events.emit(CoreEvents.BASE_CURRENCY_CHANGED, { currency: baseCurrency });
+    }
+
+    getBaseCurrency() {
+        return this.baseCurrency;
+    }
+
+    /**
+     * Get all rates, newest first per pair
+     */
+    async getAll() {
+        return await this.query(
+            `SELECT * FROM ExchangeRate ORDER BY currency ASC, base_currency ASC, effective_date DESC`
+        );
+    }
+
+    /**
+     * Add rate
+     * @param {Object} input - {currency, base_currency (default: base currency), rate, effective_date: 'YYYY-MM-DD'}
+     */
+    async create(input) {
+        const rate = this._validate(input);
+        const existing = await this.query(
+            `SELECT id FROM ExchangeRate WHERE currency = ? AND base_currency = ? AND effective_date = ?`,
+            [rate.currency, rate.base_currency, rate.effective_date]
+        );
+        if (existing.length > 0) {
+            throw new Error('A rate for this currency and date already exists');
+        }
+
+        const id = await this.execute(
+            `INSERT INTO ExchangeRate (currency, base_currency, rate, effective_date, created_at)
+             VALUES (?, ?, ?, ?, ?)`,
+            [rate.currency, rate.base_currency, rate.rate, rate.effective_date, TimeUtils.getCurrentTimestamp()]
+        );
+
+        this.events.emit(CoreEvents.EXCHANGE_RATE_CREATED, { id, ...rate });
+        return id;
+    }
+
+    /**
+     * Update rate value and/or effective date
+     */
+    async update(id, input) {
+        const rows = await this.query(`SELECT * FROM ExchangeRate WHERE id = ?`, [id]);
+        if (rows.length === 0) {
+            throw new Error('Exchange rate not found');
+        }
+
+        const rate = this._validate({ ...rows[0], ...input });
+        const existing = await this.query(
+            `SELECT id FROM ExchangeRate WHERE currency = ? AND base_currency = ? AND effective_date = ? AND id != ?`,
+            [rate.currency, rate.base_currency, rate.effective_date, id]
+        );
+        if (existing.length > 0) {
+            throw new Error('A rate for this currency and date already exists');
+        }
+
+        await this.execute(
+            `UPDATE ExchangeRate SET currency = ?, base_currency = ?, rate = ?, effective_date = ? WHERE id = ?`,
+            [rate.currency, rate.base_currency, rate.rate, rate.effective_date, id]
+        );
+        this.events.emit(CoreEvents.EXCHANGE_RATE_UPDATED, { id, ...rate });
+    }
+
+    /**
+     * Delete rate
+     */
+    async delete(id) {
+        await this.execute(`DELETE FROM ExchangeRate WHERE id = ?`, [id]);
+        this.events.emit(CoreEvents.EXCHANGE_RATE_DELETED, { id });
+    }
+
+    /**
+     * Rate to convert a currency into the base currency on a date (null = no rate)
+     */
+    async getRate(currency, dateKey) {
+        return ExchangeRateUtils.findRate(await this.getAll(), currency, this.baseCurrency, dateKey);
+    }
+
+    _validate(input) {
+        const currency = String(input?.currency || '').trim();
+        const baseCurrency = String(input?.base_currency || this.baseCurrency).trim();
+        if (!currency) {
+            throw new Error('Currency is required');
+        }
+        if (currency === baseCurrency) {
+            throw new Error('Currency and base currency must differ');
+        }
+
+        const rate = Number(input.rate);
+        if (!(rate > 0) || !isFinite(rate)) {
+            throw new Error('Exchange rate must be greater than 0');
+        }
+
+        const effectiveDate = String(input.effective_date || '');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveDate)) {
+            throw new Error('Invalid effective date');
+        }
+
+        return { currency, base_currency: baseCurrency, rate, effective_date: effectiveDate };
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * Expense Service
+ * Direct SQL, costs of a project (licenses, travel) passed through to its client
+ *
+ * An expense belongs to a project and a client; the client defaults to the
+ * client of the project's tasks. Amounts are not converted, totals are per currency.
+ * receipt_path only points to a file, the file itself is not copied.
+ */
+import { BaseService } from './BaseService.js';
+import { CoreEvents } from '../events/CoreEvents.js';
+import { BillingUtils } from '../utils/BillingUtils.js';
+import { TimeUtils } from '../utils/TimeUtils.js';
+
+const FIELDS = ['project_id', 'client_id', 'date', 'amount', 'currency', 'category', 'description', 'billable', 'receipt_path'];
+
+export class ExpenseService extends BaseService {
+    constructor(core) {
+        super(core);
+    }
+
+    /**
+     * Get expenses with project and client names, newest first
+     * @param {Object} [filters] - {projectId, clientId, dateRange: {start, end} (Date or 'YYYY-MM-DD')}
+     */
+    async getAll(filters = {}) {
+        const { where, params } = this._buildFilter(filters);
+        return await this.query(
+            `SELECT e.*, p.name AS project_name, c.name AS client_name
+             FROM Expense e
+             LEFT JOIN Project p ON p.id = e.project_id
+             LEFT JOIN Client c ON c.id = e.client_id
+             ${where}
+             ORDER BY e.date DESC, e.id DESC`,
+            params
+        );
+    }
+
+    /**
+     * Get expense by ID, null if not found
+     */
+    async getById(id) {
+        const rows = await this.query(`SELECT * FROM Expense WHERE id = ?`, [id]);
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    /**
+     * Totals per currency
+     * @param {Object} [filters] - see getAll()
+     * @returns {Promise<Map<string, {total: number, billable: number, count: number}>>}
+     */
+    async getTotals(filters = {}) {
+        const { where, params } = this._buildFilter(filters);
+        const rows = await this.query(
+            `SELECT e.currency, SUM(e.amount) AS total,
+                    SUM(CASE WHEN e.billable = 1 THEN e.amount ELSE 0 END) AS billable,
+                    COUNT(*) AS count
+             FROM Expense e
+             ${where}
+             GROUP BY e.currency
+             ORDER BY e.currency ASC`,
+            params
+        );
+        return new Map(rows.map(row => [row.currency, {
+            total: row.total || 0,
+            billable: row.billable || 0,
+            count: row.count || 0,
+        }]));
+    }
+
+    /**
+     * Create expense
+     * @param {Object} input - {project_id, client_id (default: client of the project), date: 'YYYY-MM-DD' or Date,
+     *                          amount, currency, category, description, billable (default true), receipt_path}
+     */
+    async create(input) {
+        const expense = await this._normalize(input);
+
+        const id = await this.recordChange('Add expense', [], () => this.execute(
+            `INSERT INTO Expense (${FIELDS.join(', ')}, created_at)
+             VALUES (${FIELDS.map(() => '?').join(', ')}, ?)`,
+            [...FIELDS.map(field => expense[field]), TimeUtils.getCurrentTimestamp()]
+        ), expenseId => [{ table: 'Expense', where: 'id = ?', params: [expenseId] }]);
+
+        this.events.emit(CoreEvents.EXPENSE_CREATED, { id, ...expense });
+        return id;
+    }
+
+    /**
+     * Update expense, omitted fields stay unchanged
+     */
+    async update(id, input) {
+        const current = await this.getById(id);
+        if (!current) {
+            throw new Error('Expense not found');
+        }
+        const expense = await this._normalize({ ...current, ...input });
+
+        await this.recordChange('Edit expense', [{ table: 'Expense', where: 'id = ?', params: [id] }],
+            () => this.execute(
+                `UPDATE Expense SET ${FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+                [...FIELDS.map(field => expense[field]), id]
+            ));
+
+        this.events.emit(CoreEvents.EXPENSE_UPDATED, { id, ...expense });
+    }
+
+    /**
+     * Delete expense
+     */
+    async delete(id) {
+        await this.recordChange('Delete expense', [{ table: 'Expense', where: 'id = ?', params: [id] }],
+            () => this.execute(`DELETE FROM Expense WHERE id = ?`, [id]));
+
+        this.events.emit(CoreEvents.EXPENSE_DELETED, { id });
+    }
+
+    /**
+     * Validate input and fill defaults
+     */
+    async _normalize(input) {
+        const date = TimeUtils.toDateKey(input.date);
+        if (!date) {
+            throw new Error('Invalid expense date');
+        }
+
+        const amount = Number(input.amount);
+        if (!(amount > 0) || !isFinite(amount)) {
+            throw new Error('Expense amount must be greater than 0');
+        }
+
+        const currency = String(input.currency || '').trim();
+        if (!currency) {
+            throw new Error('Expense currency is required');
+        }
+
+        const projectId = input.project_id || 1;
+        let clientId = input.client_id;
+        if (!clientId) {
+            // Client of the project's most recent task
+            const rows = await this.query(
+                `SELECT client_id FROM TaskInstance WHERE project_id = ? AND client_id IS NOT NULL
+                 ORDER BY last_used_at DESC LIMIT 1`,
+                [projectId]
+            );
+            clientId = rows[0]?.client_id || 1;
+        }
+
+        return {
+            project_id: projectId,
+            client_id: clientId,
+            date,
+            amount,
+            currency,
+            category: input.category?.trim() || null,
+            description: input.description?.trim() || null,
+            billable: input.billable === undefined || input.billable === null ? 1 : BillingUtils.toDbFlag(input.billable),
+            receipt_path: input.receipt_path?.trim() || null,
+        };
+    }
+
+    _buildFilter(filters) {
+        const conditions = [];
+        const params = [];
+        if (filters.projectId) {
+            conditions.push('e.project_id = ?');
+            params.push(filters.projectId);
+        }
+        if (filters.clientId) {
+            conditions.push('e.client_id = ?');
+            params.push(filters.clientId);
+        }
+        if (filters.dateRange) {
+            conditions.push('e.date >= ? AND e.date <= ?');
+            params.push(TimeUtils.toDateKey(filters.dateRange.start), TimeUtils.toDateKey(filters.dateRange.end));
+        }
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params,
+        };
+    }
+}
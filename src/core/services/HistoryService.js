@@ -0,0 +1,273 @@
+/**
+ * History Service
+ * Append-only change history of time entries and task instances
+ *
+ * Every writer logs the old and new row as JSON in ChangeHistory, together with its
+ * source: 'edit' (undo steps), 'undo', 'redo', 'revert', 'tracking', 'sync' and
+ * 'import' (written by DatabaseImport itself). History rows are never changed.
+ */
+import { BaseService } from './BaseService.js';
+import { CoreEvents } from '../events/CoreEvents.js';
+import { TimeUtils } from '../utils/TimeUtils.js';
+
+const TRACKED_TABLES = ['TimeEntry', 'TaskInstance'];
+
+// Derived columns - a change of only these is not logged
+const IGNORED_COLUMNS = ['total_time', 'updated_at', 'last_used_at'];
+
+const MAX_PARAMS = 500;
+const HISTORY_LIMIT = 200;
+
+export class HistoryService extends BaseService {
+    constructor(core) {
+        super(core);
+    }
+
+    /**
+     * Run a write and log the rows it changed
+     * @param {{source: string, label?: string}} info
+     * @param {Array<{table: string, where: string, params: Array}>} scope - Rows the write can touch
+     * @param {Function} write - async () => result
+     * @param {Function} [scopeAfter] - (result) => scope of rows the write created
+     */
+    async capture(info, scope, write, scopeAfter = null) {
+        const tracked = scope.filter(({ table }) => TRACKED_TABLES.includes(table));
+        const before = await this._snapshot(tracked);
+        const result = await write();
+
+        const afterScope = [...tracked, ...this._idScope(before || new Map())];
+        if (scopeAfter) {
+            afterScope.push(...scopeAfter(result).filter(({ table }) => TRACKED_TABLES.includes(table)));
+        }
+        const after = await this._snapshot(afterScope);
+
+        if (before && after) {
+            const keys = new Set([...before.keys(), ...after.keys()]);
+            await this.logChanges([...keys].map(key => ({
+                table: (before.get(key) || after.get(key)).table,
+                before: before.get(key)?.row || null,
+                after: after.get(key)?.row || null,
+            })), info);
+        }
+        return result;
+    }
+
+    /**
+     * Log row changes, rows of other tables and unchanged rows are skipped
+     * @param {Iterable<{table: string, before: Object|null, after: Object|null}>} changes
+     * @param {{source: string, label?: string}} info
+     */
+    async logChanges(changes, info) {
+        for (const change of changes) {
+            if (!TRACKED_TABLES.includes(change.table)) continue;
+            if (!this._isRelevant(change.before, change.after)) continue;
+
+            const row = change.after || change.before;
+            const action = !change.before ? 'create' : !change.after ? 'delete' : 'update';
+            try {
+                await this.execute(
+                    `INSERT INTO ChangeHistory (table_name, row_id, task_instance_id, action, source, label, before_data, after_data, changed_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        change.table,
+                        row.id,
+                        change.table === 'TaskInstance' ? row.id : row.task_instance_id,
+                        action,
+                        info.source,
+                        info.label || null,
+                        change.before ? JSON.stringify(change.before) : null,
+                        change.after ? JSON.stringify(change.after) : null,
+                        TimeUtils.getCurrentTimestamp(),
+                    ]
+                );
+            } catch (error) {
+                console.error('[History] Failed to log change:', error);
+            }
+        }
+    }
+
+    /**
+     * Get changes of a task instance and its time entries, newest first
+     * @returns {Promise<Array<Object>>} rows with parsed before/after
+     */
+    async getTaskInstanceHistory(instanceId) {
+        const rows = await this.query(
+            `SELECT * FROM ChangeHistory WHERE task_instance_id = ? ORDER BY id DESC LIMIT ${HISTORY_LIMIT}`,
+            [instanceId]
+        );
+        return rows.map(row => this._parse(row));
+    }
+
+    /**
+     * Restore a row to its state before a change
+     * Runs as undo step, so the revert itself can be undone.
+     * @param {number} historyId
+     */
+    async revert(historyId) {
+        const rows = await this.query(`SELECT * FROM ChangeHistory WHERE id = ?`, [historyId]);
+        if (rows.length === 0) {
+            throw new Error('History entry not found');
+        }
+        const entry = this._parse(rows[0]);
+        const table = entry.table_name;
+        const target = entry.before;
+
+        if (table === 'TaskInstance' && !target) {
+            throw new Error('Creating a task cannot be reverted, delete it instead');
+        }
+        this._checkRunningSession(table, entry.row_id);
+
+        if (table === 'TimeEntry' && target) {
+            const instances = await this.query(`SELECT id FROM TaskInstance WHERE id = ?`, [target.task_instance_id]);
+            if (instances.length === 0) {
+                throw new Error('The task of this time entry no longer exists');
+            }
+        }
+
+        const cache = this.core.services.cache;
+        // Pending cache writes would overwrite the restored row later
+        await cache?.flush();
+
+        const [current] = await this.query(`SELECT * FROM ${table} WHERE id = ?`, [entry.row_id]);
+        if (table === 'TimeEntry' && (current?.invoice_id || target?.invoice_id)) {
+            throw new Error('Time entry is on an invoice, delete the invoice to change it');
+        }
+        const scope = [{ table, where: 'id = ?', params: [entry.row_id] }];
+        if (table === 'TimeEntry') {
+            scope.push({ table: 'TimeEntryTag', where: 'time_entry_id = ?', params: [entry.row_id] });
+        }
+
+        const undo = this.core.services.undo;
+        const restore = () => this.recordChange('Revert change', scope, () => this._restoreRow(table, entry.row_id, current, target));
+        if (undo) {
+            await undo.group('Revert change', restore, 'revert');
+        } else {
+            await restore();
+        }
+
+        // Totals are derived, recount them instead of restoring old values
+        const instanceIds = table === 'TimeEntry'
+            ? new Set([current?.task_instance_id, target?.task_instance_id].filter(Boolean))
+            : new Set([entry.row_id]);
+        for (const id of instanceIds) {
+            await this.core.services.taskInstances.updateTotalTime(id);
+        }
+        await cache?.reload();
+
+        this.events.emit(CoreEvents.HISTORY_REVERTED, {
+            id: historyId,
+            table,
+            rowId: entry.row_id,
+            taskInstanceId: entry.task_instance_id,
+        });
+    }
+
+    /**
+     * Write the old row back, no old row = the change created it
+     */
+    async _restoreRow(table, rowId, current, target) {
+        if (!target) {
+            await this.execute(`DELETE FROM TimeEntryTag WHERE time_entry_id = ?`, [rowId]);
+            await this.execute(`DELETE FROM ${table} WHERE id = ?`, [rowId]);
+            return;
+        }
+
+        // Columns added after the change was logged keep their current value
+        const columns = Object.keys(target).filter(column => column !== 'id' && (!current || column in current));
+        if (current) {
+            // Derived columns of an existing row stay current
+            const restored = columns.filter(column => !IGNORED_COLUMNS.includes(column));
+            if (restored.length === 0) return;
+            await this.execute(
+                `UPDATE ${table} SET ${restored.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...restored.map(column => target[column]), rowId]
+            );
+        } else {
+            await this.execute(
+                `INSERT INTO ${table} (id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+                [rowId, ...columns.map(column => target[column])]
+            );
+        }
+    }
+
+    /**
+     * Rows of the running or paused session live in tracking state too
+     */
+    _checkRunningSession(table, rowId) {
+        const tracking = this.state.state.tracking;
+        if (!tracking.isTracking && !tracking.isPaused) return;
+
+        const touchesSession = table === 'TimeEntry'
+            ? rowId === tracking.currentTimeEntryId
+            : rowId === tracking.currentTaskInstanceId || rowId === tracking.pausedTaskInstanceId;
+        if (touchesSession) {
+            throw new Error('Stop tracking to revert changes of the tracked task');
+        }
+    }
+
+    _isRelevant(before, after) {
+        if (!before || !after) return Boolean(before || after);
+        return Object.keys({ ...before, ...after }).some(column =>
+            !IGNORED_COLUMNS.includes(column) && before[column] !== after[column]);
+    }
+
+    /**
+     * Read rows of a scope
+     * @returns {Promise<Map<string, {table: string, row: Object}>|null>} by table and ID, null on error
+     */
+    async _snapshot(scope) {
+        const rows = new Map();
+        try {
+            for (const { table, where, params } of scope) {
+                const results = await this.query(`SELECT * FROM ${table} WHERE ${where}`, params || []);
+                results.forEach(row => rows.set(`${table}:${row.id}`, { table, row }));
+            }
+        } catch (error) {
+            console.error('[History] Failed to read rows:', error);
+            return null;
+        }
+        return rows;
+    }
+
+    /**
+     * Scope finding the rows of a snapshot again by ID
+     */
+    _idScope(snapshot) {
+        const idsByTable = new Map();
+        snapshot.forEach(({ table, row }) => {
+            if (!idsByTable.has(table)) idsByTable.set(table, []);
+            idsByTable.get(table).push(row.id);
+        });
+
+        const scope = [];
+        idsByTable.forEach((ids, table) => {
+            for (let i = 0; i < ids.length; i += MAX_PARAMS) {
+                const chunk = ids.slice(i, i + MAX_PARAMS);
+                scope.push({ table, where: `id IN (${chunk.map(() => '?').join(', ')})`, params: chunk });
+            }
+        });
+        return scope;
+    }
+
+    _parse(row) {
+        const parseData = (data) => {
+            try {
+                return data ? JSON.parse(data) : null;
+            } catch {
+                return null;
+            }
+        };
+        return {
+            id: row.id,
+            table_name: row.table_name,
+            row_id: row.row_id,
+            task_instance_id: row.task_instance_id,
+            action: row.action,
+            source: row.source,
+            label: row.label,
+            before: parseData(row.before_data),
+            after: parseData(row.after_data),
+            changed_at: row.changed_at,
+        };
+    }
+}
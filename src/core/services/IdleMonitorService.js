@@ -0,0 +1,269 @@
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import { BaseService } from './BaseService.js';
+import { CoreEvents } from '../events/CoreEvents.js';
+import { TimeUtils } from '../utils/TimeUtils.js';
+
+/**
+ * Idle source backed by GNOME Mutter IdleMonitor (D-Bus)
+ *
+ * Any object with async getIdleTime() (milliseconds since last user input)
+ * can be passed to IdleMonitorService instead.
+ */
+export class MutterIdleSource {
+    getIdleTime() {
+        return new Promise((resolve, reject) => {
+            Gio.DBus.session.call(
+                'org.gnome.Mutter.IdleMonitor',
+                '/org/gnome/Mutter/IdleMonitor/Core',
+                'org.gnome.Mutter.IdleMonitor',
+                'GetIdletime',
+                null,
+                new GLib.VariantType('(t)'),
+                Gio.DBusCallFlags.NONE,
+                -1,
+                null,
+                (connection, result) => {
+                    try {
+                        const reply = connection.call_finish(result);
+                        resolve(Number(reply.deepUnpack()[0]));
+                    } catch (error) {
+                        reject(error);
+                    }
+                }
+            );
+        });
+    }
+}
+
+/**
+ * Idle Monitor Service
+ *
+ * Polls the idle source on GlobalTimer ticks while tracking.
+ * When the user comes back after `threshold` seconds of inactivity,
+ * emits TRACKING_IDLE_DETECTED and waits for keep/discard/split.
+ */
+export class IdleMonitorService extends BaseService {
+    /**
+     * @param {Object} core - CoreAPI
+     * @param {Object|null} idleSource - { getIdleTime(): Promise<number> } (ms), defaults to MutterIdleSource
+     * @param {Object|null} clock - { now(): number } (ms), defaults to Date.now
+     */
+    constructor(core, idleSource = null, clock = null) {
+        super(core);
+
+        this.idleSource = idleSource || new MutterIdleSource();
+        this.clock = clock || { now: () => Date.now() };
+
+        this.threshold = 300; // seconds, 0 = disabled
+        this.checkInterval = 10; // seconds between idle source polls
+
+        this._lastCheck = 0;
+        this._checking = false;
+        this._sourceAvailable = true;
+        this._idleSince = null; // Timestamp (ms) inactivity began, while user is away
+
+        // Idle period waiting for keep/discard/split decision
+        this.pendingIdle = null;
+
+        this._subscribeToTracking();
+    }
+
+    /**
+     * Set idle threshold in seconds (0 disables idle detection)
+     */
+    setThreshold(seconds) {
+        this.threshold = Math.max(0, seconds || 0);
+        if (!this.threshold) {
+            this._idleSince = null;
+        }
+    }
+
+    /**
+     * Get idle period waiting for a decision (null if none)
+     */
+    getPendingIdle() {
+        return this.pendingIdle;
+    }
+
+    _subscribeToTracking() {
+        this._handlers = {
+            [CoreEvents.GLOBAL_TIMER_TICK]: () => {
+                const now = this.clock.now();
+                if (now - this._lastCheck < this.checkInterval * 1000) return;
+                this._lastCheck = now;
+                this.check().catch(error => {
+                    console.error('[IdleMonitor] Check failed:', error);
+                });
+            },
+            // Session ended - idle period (if any) no longer applies
+            [CoreEvents.TRACKING_STOPPED]: () => this._reset(),
+            [CoreEvents.TRACKING_PAUSED]: () => this._reset(),
+            [CoreEvents.TRACKING_STARTED]: () => this._reset(),
+        };
+        Object.keys(this._handlers).forEach(event => {
+            this.events.on(event, this._handlers[event]);
+        });
+    }
+
+    _reset() {
+        this._idleSince = null;
+        this.pendingIdle = null;
+    }
+
+    /**
+     * Poll idle source once
+     * Called on timer ticks, can be called directly (e.g. with a fake clock)
+     */
+    async check() {
+        const tracking = this.state.state.tracking;
+        if (!this.threshold || !this._sourceAvailable || this._checking) return;
+        if (!tracking.isTracking || this.pendingIdle) return;
+
+        this._checking = true;
+        let idleMs;
+        try {
+            idleMs = await this.idleSource.getIdleTime();
+        } catch (error) {
+            // No idle backend on this desktop - stop polling
+            console.warn('[IdleMonitor] Idle source unavailable, idle detection disabled:', error.message);
+            this._sourceAvailable = false;
+            return;
+        } finally {
+            this._checking = false;
+        }
+
+        const now = this.clock.now();
+        const lastActivity = now - idleMs;
+
+        if (idleMs >= this.threshold * 1000) {
+            // Still away - remember when inactivity started
+            if (!this._idleSince) {
+                this._idleSince = lastActivity;
+            }
+            return;
+        }
+
+        if (!this._idleSince) return;
+
+        // User is back: idle period is [idleSince, lastActivity]
+        // Can't be earlier than the running TimeEntry
+        const entryStart = typeof tracking.startTime === 'string'
+            ? new Date(tracking.startTime.replace(' ', 'T')).getTime()
+            : tracking.startTime;
+        const idleStart = Math.max(this._idleSince, entryStart || this._idleSince);
+        const idleEnd = lastActivity;
+        this._idleSince = null;
+
+        const idleSeconds = Math.floor((idleEnd - idleStart) / 1000);
+        if (idleSeconds < this.threshold) return;
+
+        this.pendingIdle = {
+            idleStart,
+            idleEnd,
+            idleSeconds,
+            taskId: tracking.currentTaskId,
+            taskName: tracking.currentTaskName,
+            taskInstanceId: tracking.currentTaskInstanceId,
+            timeEntryId: tracking.currentTimeEntryId,
+        };
+
+        this.events.emit(CoreEvents.TRACKING_IDLE_DETECTED, { ...this.pendingIdle });
+    }
+
+    /**
+     * Keep idle time in the running entry
+     */
+    keepIdleTime() {
+        this.pendingIdle = null;
+    }
+
+    /**
+     * Remove idle time from the running session
+     * Running entry is closed at idle start, a new one starts at idle end
+     */
+    async discardIdleTime() {
+        const idle = this._takePendingIdle();
+        const tracking = this.core.services.tracking;
+
+        await tracking.pause(idle.idleStart);
+        await tracking.resume(idle.idleEnd);
+
+        return idle;
+    }
+
+    /**
+     * Move idle time to a separate TimeEntry on another task
+     */
+    async splitIdleTime(taskId, projectId = null, clientId = null) {
+        if (!taskId) {
+            throw new Error('Task is required to split idle time');
+        }
+
+        const idle = await this.discardIdleTime();
+
+        const startTime = TimeUtils.formatTimestampForDB(new Date(idle.idleStart));
+        const endTime = TimeUtils.formatTimestampForDB(new Date(idle.idleEnd));
+
+        // Task instance lookup/creation and the new entry undo as one step (see addPastEntry)
+        const { instanceId, entryId } = await this.recordChange('Split idle time', [], async () => {
+            const instanceId = await this.core.services.tracking._resolveTaskInstance({
+                task_id: taskId,
+                project_id: projectId,
+                client_id: clientId,
+            });
+            const entryId = await this.recordChange('Split idle time',
+                [{ table: 'TaskInstance', where: 'id = ?', params: [instanceId] }],
+                async () => {
+                    const id = await this.execute(
+                        `INSERT INTO TimeEntry (task_instance_id, start_time, end_time, duration, created_at)
+                         VALUES (?, ?, ?, ?, ?)`,
+                        [instanceId, startTime, endTime, idle.idleSeconds, TimeUtils.getCurrentTimestamp()]
+                    );
+                    await this.execute(
+                        `UPDATE TaskInstance SET last_used_at = MAX(COALESCE(last_used_at, ''), ?) WHERE id = ?`,
+                        [endTime, instanceId]
+                    );
+                    await this.core.services.taskInstances.updateTotalTime(instanceId);
+                    return id;
+                },
+                id => [{ table: 'TimeEntry', where: 'id = ?', params: [id] }]);
+            return { instanceId, entryId };
+        });
+
+        this.events.emit(CoreEvents.TIME_ENTRY_CREATED, {
+            id: entryId,
+            task_instance_id: instanceId,
+            start_time: startTime,
+            end_time: endTime,
+            duration: idle.idleSeconds,
+        });
+        this.events.emit(CoreEvents.TASK_UPDATED, { id: taskId });
+
+        return entryId;
+    }
+
+    /**
+     * Get pending idle period if it still belongs to the running entry
+     */
+    _takePendingIdle() {
+        const idle = this.pendingIdle;
+        this.pendingIdle = null;
+        if (!idle) {
+            throw new Error('No idle time to resolve');
+        }
+
+        const tracking = this.state.state.tracking;
+        if (!tracking.isTracking || tracking.currentTimeEntryId !== idle.timeEntryId) {
+            throw new Error('Tracking session changed since idle time was detected');
+        }
+        return idle;
+    }
+
+    destroy() {
+        Object.keys(this._handlers).forEach(event => {
+            this.events.off(event, this._handlers[event]);
+        });
+        this._reset();
+    }
+}
@@ -0,0 +1,315 @@
+/**
+ * Invoice Service
+ * Numbered invoices of uninvoiced billable time of a client
+ *
+ * An invoice takes the billable, finished entries of one client in a period that are
+ * not invoiced yet, groups them into line items by project or task (one line per
+ * rate) and marks them with its ID, so they are not billed twice. Deleting an invoice
+ * releases its entries again. Tax follows the client tax regime at creation time,
+ * total_amount is the gross amount.
+ * Numbers come from a format with placeholders ({YYYY}, {YY}, {MM}, {DD}, {SEQ}, {SEQ:4}
+ * for a zero-padded sequence); the sequence continues from the highest one used.
+ */
+import { BaseService } from './BaseService.js';
+import { CoreEvents } from '../events/CoreEvents.js';
+import { BillingUtils } from '../utils/BillingUtils.js';
+import { TimeUtils } from '../utils/TimeUtils.js';
+
+const MAX_PARAMS = 500;
+
+export class InvoiceService extends BaseService {
+    static GROUP_BY = ['project', 'task'];
+    static DEFAULT_NUMBER_FORMAT = 'INV-{YYYY}-{SEQ:4}';
+
+    constructor(core) {
+        super(core);
+
+        this.numbering = {
+            format: InvoiceService.DEFAULT_NUMBER_FORMAT,
+            startNumber: 1,
+        };
+    }
+
+    /**
+     * Set invoice number format and the lowest sequence number to use
+     * @param {Object} numbering - {format, startNumber}
+     */
+    setNumbering(numbering = {}) {
+        const format = String(numbering.format || '').trim();
+        const startNumber = parseInt(numbering.startNumber, 10);
+        this.numbering = {
+            format: format || InvoiceService.DEFAULT_NUMBER_FORMAT,
+            startNumber: startNumber > 0 ? startNumber : 1,
+        };
+    }
+
+    getNumbering() {
+        return { ...this.numbering };
+    }
+
+    /**
+     * Line items and total an invoice would get, nothing is written
+     * @param {Object} options - see create()
+     * @returns {Promise<Object>} {entryIds, items, net, taxRate, taxMode, tax, total (gross), currency, currencies}
+     */
+    async preview(options) {
+        this._validateOptions(options);
+        const { entries, instances, projects, clients, tasks, billed } = await this._getUninvoicedEntries(options);
+
+        const rated = entries.map(entry => {
+            const instance = instances.get(String(entry.task_instance_id));
+            const project = instance?.project_id ? projects.get(String(instance.project_id)) : null;
+            const client = clients.get(String(instance?.client_id)) || clients.get(String(project?.client_id)) || null;
+            const { rate, currency } = BillingUtils.resolveRate(instance, project, client);
+            return { entry, instance, project, rate, currency, seconds: billed.get(entry.id) || 0 };
+        });
+
+        // Entries without rate have no currency of their own and go with any invoice
+        const currencies = [...new Set(rated.map(item => item.currency).filter(Boolean))].sort();
+        const currency = options.currency || (currencies.length === 1 ? currencies[0] : null);
+        const included = currencies.length > 1 && !options.currency
+            ? rated
+            : rated.filter(item => !item.currency || item.currency === currency);
+
+        const groupBy = options.groupBy || 'project';
+        const itemsByKey = new Map();
+        included.forEach(item => {
+            const key = groupBy === 'task'
+                ? `${item.instance?.task_id}:${item.instance?.project_id}:${item.rate}`
+                : `${item.instance?.project_id}:${item.rate}`;
+            if (!itemsByKey.has(key)) {
+                itemsByKey.set(key, {
+                    description: this._describeItem(groupBy, item.instance, item.project, tasks),
+                    seconds: 0,
+                    rate: item.rate,
+                });
+            }
+            itemsByKey.get(key).seconds += item.seconds;
+        });
+
+        const items = [...itemsByKey.values()]
+            .sort((a, b) => a.description.localeCompare(b.description) || b.rate - a.rate)
+            .map((item, index) => {
+                const hours = item.seconds / 3600;
+                return {
+                    position: index + 1,
+                    description: item.description,
+                    hours,
+                    rate: item.rate,
+                    amount: Math.round(hours * item.rate * 100) / 100,
+                };
+            });
+
+        const client = await this.core.services.clients.getById(options.clientId);
+        const { rate: taxRate, mode: taxMode } = this.core.services.clients.getTax(client);
+        const { net, tax, gross } = BillingUtils.calculateTax(items.reduce((sum, item) => sum + item.amount, 0), taxRate);
+
+        return {
+            entryIds: included.map(item => item.entry.id),
+            items,
+            net,
+            taxRate,
+            taxMode,
+            tax,
+            total: gross,
+            currency,
+            currencies,
+        };
+    }
+
+    /**
+     * Create invoice of the uninvoiced billable entries of a client in a period
+     * @param {Object} options
+     * @param {number} options.clientId
+     * @param {{start: Date, end: Date}} options.dateRange - Entries starting in this range
+     * @param {string} [options.groupBy] - project (default) or task
+     * @param {string} [options.currency] - Only entries in this currency (needed when there are several)
+     * @returns {Promise<Object>} Invoice with items
+     */
+    async create(options) {
+        const preview = await this.preview(options);
+        if (preview.currencies.length > 1 && !options.currency) {
+            throw new Error('Entries use several currencies, choose one for the invoice');
+        }
+        if (preview.entryIds.length === 0) {
+            throw new Error('No uninvoiced billable time for this client and period');
+        }
+
+        const client = await this.core.services.clients.getById(options.clientId);
+        const issueDate = new Date();
+        const dueDate = client?.payment_terms
+            ? new Date(issueDate.getFullYear(), issueDate.getMonth(), issueDate.getDate() + client.payment_terms)
+            : null;
+        const { number, sequence } = await this._nextNumber(issueDate);
+        const entryIds = preview.entryIds;
+        const chunks = [];
+        for (let i = 0; i < entryIds.length; i += MAX_PARAMS) {
+            chunks.push(entryIds.slice(i, i + MAX_PARAMS));
+        }
+        const inList = chunk => `id IN (${chunk.map(() => '?').join(', ')})`;
+
+        const id = await this.recordChange('Create invoice',
+            chunks.map(chunk => ({ table: 'TimeEntry', where: inList(chunk), params: chunk })),
+            async () => {
+                const invoiceId = await this.execute(
+                    `INSERT INTO Invoice (number, sequence, client_id, period_start, period_end, issue_date, due_date,
+                                          currency, group_by, net_amount, tax_rate, tax_mode, tax_amount,
+                                          total_amount, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        number,
+                        sequence,
+                        options.clientId,
+                        TimeUtils.toDateKey(options.dateRange.start),
+                        TimeUtils.toDateKey(options.dateRange.end),
+                        TimeUtils.toDateKey(issueDate),
+                        dueDate ? TimeUtils.toDateKey(dueDate) : null,
+                        preview.currency,
+                        options.groupBy || 'project',
+                        preview.net,
+                        preview.taxRate,
+                        preview.taxMode,
+                        preview.tax,
+                        preview.total,
+                        TimeUtils.getCurrentTimestamp(),
+                    ]
+                );
+                for (const item of preview.items) {
+                    await this.execute(
+                        `INSERT INTO InvoiceItem (invoice_id, position, description, hours, rate, amount)
+                         VALUES (?, ?, ?, ?, ?, ?)`,
+                        [invoiceId, item.position, item.description, item.hours, item.rate, item.amount]
+                    );
+                }
+                for (const chunk of chunks) {
+                    await this.execute(`UPDATE TimeEntry SET invoice_id = ? WHERE ${inList(chunk)}`, [invoiceId, ...chunk]);
+                }
+                return invoiceId;
+            },
+            (invoiceId) => [
+                { table: 'Invoice', where: 'id = ?', params: [invoiceId] },
+                { table: 'InvoiceItem', where: 'invoice_id = ?', params: [invoiceId] },
+            ]
+        );
+
+        this.events.emit(CoreEvents.INVOICE_CREATED, { id, number, clientId: options.clientId, entryIds });
+        return await this.getById(id);
+    }
+
+    /**
+     * Get invoices, newest first
+     * @param {number|null} clientId - Only invoices of this client, null = all
+     */
+    async getAll(clientId = null) {
+        const sql = `
+            SELECT i.*, c.name AS client_name,
+                   (SELECT COUNT(*) FROM TimeEntry te WHERE te.invoice_id = i.id) AS entry_count
+            FROM Invoice i
+            LEFT JOIN Client c ON c.id = i.client_id
+            ${clientId ? 'WHERE i.client_id = ?' : ''}
+            ORDER BY i.issue_date DESC, i.sequence DESC`;
+        return await this.query(sql, clientId ? [clientId] : []);
+    }
+
+    /**
+     * Get invoice with its client and line items, null if not found
+     */
+    async getById(id) {
+        const invoices = await this.query(`SELECT * FROM Invoice WHERE id = ?`, [id]);
+        if (invoices.length === 0) return null;
+
+        const invoice = invoices[0];
+        const clients = await this.query(`SELECT * FROM Client WHERE id = ?`, [invoice.client_id]);
+        invoice.client = clients[0] || null;
+        invoice.items = await this.query(`SELECT * FROM InvoiceItem WHERE invoice_id = ? ORDER BY position ASC`, [id]);
+        return invoice;
+    }
+
+    /**
+     * Delete invoice, its entries can be invoiced again
+     */
+    async delete(id) {
+        await this.recordChange('Delete invoice', [
+            { table: 'Invoice', where: 'id = ?', params: [id] },
+            { table: 'InvoiceItem', where: 'invoice_id = ?', params: [id] },
+            { table: 'TimeEntry', where: 'invoice_id = ?', params: [id] },
+        ], async () => {
+            await this.execute(`UPDATE TimeEntry SET invoice_id = NULL WHERE invoice_id = ?`, [id]);
+            await this.execute(`DELETE FROM InvoiceItem WHERE invoice_id = ?`, [id]);
+            await this.execute(`DELETE FROM Invoice WHERE id = ?`, [id]);
+        });
+
+        this.events.emit(CoreEvents.INVOICE_DELETED, { id });
+    }
+
+    /**
+     * Format invoice number (see class comment for placeholders)
+     */
+    formatNumber(format, sequence, date = new Date()) {
+        const pad = value => String(value).padStart(2, '0');
+        return String(format)
+            .replace(/\{YYYY\}/g, String(date.getFullYear()))
+            .replace(/\{YY\}/g, String(date.getFullYear()).slice(-2))
+            .replace(/\{MM\}/g, pad(date.getMonth() + 1))
+            .replace(/\{DD\}/g, pad(date.getDate()))
+            .replace(/\{SEQ(?::(\d+))?\}/g, (match, width) => String(sequence).padStart(Number(width) || 0, '0'));
+    }
+
+    /**
+     * Next free number: sequence after the highest used, at least the start number
+     */
+    async _nextNumber(date) {
+        const rows = await this.query(`SELECT MAX(sequence) AS last FROM Invoice`);
+        let sequence = Math.max(this.numbering.startNumber, (rows[0]?.last || 0) + 1);
+        const format = this.numbering.format.includes('{SEQ')
+            ? this.numbering.format
+            : `${this.numbering.format}{SEQ}`;
+
+        // Numbers of an older format may be taken already
+        for (;;) {
+            const number = this.formatNumber(format, sequence, date);
+            const existing = await this.query(`SELECT id FROM Invoice WHERE number = ?`, [number]);
+            if (existing.length === 0) return { number, sequence };
+            sequence++;
+        }
+    }
+
+    async _getUninvoicedEntries(options) {
+        const reports = this.core.services.reports;
+        const found = await reports.getEntriesInRange({
+            dateRange: options.dateRange,
+            clientIds: [options.clientId],
+        });
+        const uninvoiced = found.filter(entry => entry.invoice_id === null || entry.invoice_id === undefined);
+
+        const { projects, clients, tasks, instances } = await reports.fetchRelatedData(uninvoiced);
+        const billed = reports.calculateBilledDurations(uninvoiced, instances, projects, clients);
+        const entries = uninvoiced.filter(entry => billed.has(entry.id));
+        return { entries, instances, projects, clients, tasks, billed };
+    }
+
+    _describeItem(groupBy, instance, project, tasks) {
+        const projectName = project && project.id !== 1 ? project.name : null;
+        if (groupBy !== 'task') {
+            return projectName || 'General';
+        }
+
+        const task = tasks.get(String(instance?.task_id));
+        const parent = task?.parent_id ? tasks.get(String(task.parent_id)) : null;
+        const taskName = parent ? `${parent.name} › ${task.name}` : (task?.name || 'Untitled task');
+        return projectName ? `${taskName} (${projectName})` : taskName;
+    }
+
+    _validateOptions(options) {
+        if (!options?.clientId || options.clientId === 1) {
+            throw new Error('Choose a client for the invoice');
+        }
+        if (!(options.dateRange?.start instanceof Date) || !(options.dateRange?.end instanceof Date) ||
+            options.dateRange.start > options.dateRange.end) {
+            throw new Error('Invalid invoice period');
+        }
+        if (options.groupBy && !InvoiceService.GROUP_BY.includes(options.groupBy)) {
+            throw new Error(`Invalid invoice grouping: ${options.groupBy}`);
+        }
+    }
+}
@@ -0,0 +1,282 @@
+/**
+ * Overtime Service
+ * Overtime / undertime balance against a work schedule
+ *
+ * A work schedule sets expected hours per weekday from its effective date on,
+ * until the next schedule takes over. Days before the first schedule are not counted.
+ * Absences (vacation, sick, public holiday) count as worked time, up to the
+ * expected hours of their day (no hours = the whole day).
+ */
+import { BaseService } from './BaseService.js';
+import { CoreEvents } from '../events/CoreEvents.js';
+import { CsvUtils } from '../utils/CsvUtils.js';
+import { TimeUtils } from '../utils/TimeUtils.js';
+
+const WEEKDAY_COLUMNS = [
+    'monday_hours', 'tuesday_hours', 'wednesday_hours', 'thursday_hours',
+    'friday_hours', 'saturday_hours', 'sunday_hours',
+];
+
+export class OvertimeService extends BaseService {
+    static ABSENCE_TYPES = ['vacation', 'sick', 'holiday'];
+
+    /**
+     * CSV columns: key -> header
+     */
+    static CSV_COLUMNS = {
+        date: 'Date',
+        expected: 'Expected',
+        tracked: 'Tracked',
+        absence: 'Absence',
+        credited: 'Absence Credit',
+        balance: 'Balance',
+        cumulative: 'Cumulative Balance',
+    };
+
+    constructor(core) {
+        super(core);
+    }
+
+    /**
+     * Get all work schedules, oldest first
+     * @returns {Promise<Array>} rows with {id, effective_from, hours: [Monday..Sunday]}
+     */
+    async getSchedules() {
+        const rows = await this.query(`SELECT * FROM WorkSchedule ORDER BY effective_from ASC`);
+        return rows.map(row => ({
+            id: row.id,
+            effective_from: row.effective_from,
+            hours: WEEKDAY_COLUMNS.map(column => row[column] || 0),
+        }));
+    }
+
+    /**
+     * Set expected hours per weekday from a date on (replaces a schedule of the same date)
+     * @param {string|Date} effectiveFrom - 'YYYY-MM-DD' or Date
+     * @param {number[]} hours - Monday..Sunday
+     */
+    async setSchedule(effectiveFrom, hours) {
+        const date = TimeUtils.toDateKey(effectiveFrom);
+        if (!date) {
+            throw new Error('Invalid effective date');
+        }
+        if (!Array.isArray(hours) || hours.length !== 7 ||
+            hours.some(value => !(Number(value) >= 0 && Number(value) <= 24))) {
+            throw new Error('Schedule needs 7 weekday hours between 0 and 24');
+        }
+        const values = hours.map(value => Number(value));
+
+        const existing = await this.query(`SELECT id FROM WorkSchedule WHERE effective_from = ?`, [date]);
+        let id;
+        if (existing.length > 0) {
+            id = existing[0].id;
+            await this.execute(
+                `UPDATE WorkSchedule SET ${WEEKDAY_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...values, id]
+            );
+        } else {
+            id = await this.execute(
+                `INSERT INTO WorkSchedule (effective_from, ${WEEKDAY_COLUMNS.join(', ')})
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [date, ...values]
+            );
+        }
+
+        this.events.emit(CoreEvents.WORK_SCHEDULE_UPDATED, { id, effective_from: date, hours: values });
+        return id;
+    }
+
+    /**
+     * Delete work schedule
+     */
+    async deleteSchedule(id) {
+        await this.execute(`DELETE FROM WorkSchedule WHERE id = ?`, [id]);
+        this.events.emit(CoreEvents.WORK_SCHEDULE_UPDATED, { id, deleted: true });
+    }
+
+    /**
+     * Get absences, newest first
+     * @param {Object|null} dateRange - {startDate, endDate} (GLib.DateTime), null = all
+     */
+    async getAbsences(dateRange = null) {
+        if (!dateRange) {
+            return await this.query(`SELECT * FROM Absence ORDER BY date DESC, id DESC`);
+        }
+        return await this.query(
+            `SELECT * FROM Absence WHERE date >= ? AND date <= ? ORDER BY date DESC, id DESC`,
+            [dateRange.startDate.format('%Y-%m-%d'), dateRange.endDate.format('%Y-%m-%d')]
+        );
+    }
+
+    /**
+     * Add absence
+     * @param {Object} input - {date: 'YYYY-MM-DD' or Date, type, hours (null = whole day), description}
+     */
+    async addAbsence(input) {
+        const date = TimeUtils.toDateKey(input.date);
+        if (!date) {
+            throw new Error('Invalid absence date');
+        }
+        if (!OvertimeService.ABSENCE_TYPES.includes(input.type)) {
+            throw new Error(`Invalid absence type: ${input.type}`);
+        }
+        const hours = input.hours === null || input.hours === undefined ? null : Number(input.hours);
+        if (hours !== null && !(hours > 0 && hours <= 24)) {
+            throw new Error('Absence hours must be between 0 and 24');
+        }
+
+        const id = await this.execute(
+            `INSERT INTO Absence (date, type, hours, description) VALUES (?, ?, ?, ?)`,
+            [date, input.type, hours, input.description || null]
+        );
+
+        this.events.emit(CoreEvents.ABSENCE_CREATED, { id, date, type: input.type, hours });
+        return id;
+    }
+
+    /**
+     * Delete absence
+     */
+    async deleteAbsence(id) {
+        await this.execute(`DELETE FROM Absence WHERE id = ?`, [id]);
+        this.events.emit(CoreEvents.ABSENCE_DELETED, { id });
+    }
+
+    /**
+     * Calculate overtime balance for a period, per day and cumulative
+     * Days after today are not counted. Tracked time includes the running entry.
+     * @param {Object} dateRange - {startDate, endDate} (GLib.DateTime)
+     * @returns {Promise<Object>} {hasSchedule, expected, tracked, credited, balance, days} in seconds,
+     *          days = [{date, expected, tracked, credited, absences, balance, cumulative}]
+     */
+    async getBalance(dateRange) {
+        const result = { hasSchedule: false, expected: 0, tracked: 0, credited: 0, balance: 0, days: [] };
+
+        const schedules = await this.getSchedules();
+        if (schedules.length === 0) return result;
+        result.hasSchedule = true;
+
+        const today = TimeUtils.toDateKey(new Date());
+        let startKey = dateRange.startDate.format('%Y-%m-%d');
+        let endKey = dateRange.endDate.format('%Y-%m-%d');
+        if (startKey < schedules[0].effective_from) startKey = schedules[0].effective_from;
+        if (endKey > today) endKey = today;
+        if (startKey > endKey) return result;
+
+        const tracked = await this.core.services.stats.getDailyTotals(dateRange);
+
+        // Running entry is not in TimeEntry.duration yet
+        const tracking = this.state.getTrackingState();
+        if (tracking.isTracking && tracking.elapsedSeconds > 0) {
+            tracked.set(today, (tracked.get(today) || 0) + tracking.elapsedSeconds);
+        }
+
+        const absencesByDate = new Map();
+        const absences = await this.query(
+            `SELECT * FROM Absence WHERE date >= ? AND date <= ? ORDER BY date ASC, id ASC`,
+            [startKey, endKey]
+        );
+        absences.forEach(absence => {
+            if (!absencesByDate.has(absence.date)) absencesByDate.set(absence.date, []);
+            absencesByDate.get(absence.date).push(absence);
+        });
+
+        const day = this._parseDateKey(startKey);
+        const end = this._parseDateKey(endKey);
+        let scheduleIndex = 0;
+        let cumulative = 0;
+
+        while (day <= end) {
+            const dateKey = TimeUtils.toDateKey(day);
+            while (scheduleIndex + 1 < schedules.length && schedules[scheduleIndex + 1].effective_from <= dateKey) {
+                scheduleIndex++;
+            }
+
+            const weekday = (day.getDay() + 6) % 7; // Monday = 0
+            const expected = Math.round(schedules[scheduleIndex].hours[weekday] * 3600);
+            const dayAbsences = absencesByDate.get(dateKey) || [];
+            const absent = dayAbsences.reduce((sum, absence) =>
+                sum + (absence.hours === null ? expected : Math.round(absence.hours * 3600)), 0);
+            const credited = Math.min(expected, absent);
+            const dayTracked = tracked.get(dateKey) || 0;
+            const balance = dayTracked + credited - expected;
+            cumulative += balance;
+
+            result.days.push({
+                date: dateKey,
+                expected,
+                tracked: dayTracked,
+                credited,
+                absences: dayAbsences.map(absence => absence.type),
+                balance,
+                cumulative,
+            });
+            result.expected += expected;
+            result.tracked += dayTracked;
+            result.credited += credited;
+
+            day.setDate(day.getDate() + 1);
+        }
+
+        result.balance = cumulative;
+        return result;
+    }
+
+    /**
+     * Export balance to CSV, one row per day and a total row (RFC 4180)
+     * Balances are signed, negative = undertime.
+     * @param {Object} balance - Result of getBalance()
+     * @param {Object} [options] - {durationFormat: 'hmm'|'decimal', delimiter, decimalSeparator, includeHeader}
+     */
+    exportToCSV(balance, options = {}) {
+        const {
+            durationFormat = 'hmm',
+            delimiter = ',',
+            decimalSeparator = '.',
+            includeHeader = true,
+        } = options;
+
+        if (!delimiter || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+            throw new Error('Invalid CSV delimiter');
+        }
+        if (decimalSeparator === delimiter) {
+            throw new Error('CSV delimiter and decimal separator must differ');
+        }
+
+        const duration = seconds => (seconds < 0 ? '-' : '') +
+            CsvUtils.formatDuration(Math.abs(seconds), durationFormat, decimalSeparator);
+        const columns = Object.keys(OvertimeService.CSV_COLUMNS);
+
+        const rows = [];
+        if (includeHeader) {
+            rows.push(columns.map(key => OvertimeService.CSV_COLUMNS[key]));
+        }
+        balance.days.forEach(day => {
+            rows.push([
+                day.date,
+                duration(day.expected),
+                duration(day.tracked),
+                day.absences.join(' '),
+                duration(day.credited),
+                duration(day.balance),
+                duration(day.cumulative),
+            ]);
+        });
+        rows.push([
+            'Total',
+            duration(balance.expected),
+            duration(balance.tracked),
+            '',
+            duration(balance.credited),
+            duration(balance.balance),
+            duration(balance.balance),
+        ]);
+
+        return CsvUtils.formatRows(rows, delimiter);
+    }
+
+    _parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day, 0, 0, 0);
+    }
+}
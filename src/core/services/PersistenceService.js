@@ -0,0 +1,251 @@
+/**
+ * Persistence Service - Crash Recovery
+ *
+ * Keeps the running tracking session in a small JSON file next to the database:
+ * 1. Written on start/resume and refreshed every saveInterval seconds
+ * 2. Removed on stop/pause (no open TimeEntry left)
+ * 3. On next startup a leftover file means the app did not stop tracking -
+ *    the session is offered for resume or closed at the last saved time
+ */
+import GLib from 'gi://GLib';
+import { BaseService } from './BaseService.js';
+import { CoreEvents } from '../events/CoreEvents.js';
+
+export class PersistenceService extends BaseService {
+    constructor(core) {
+        super(core);
+
+        this.sessionPath = GLib.build_filenamev([GLib.get_user_data_dir(), 'valot', 'tracking-session.json']);
+        this.saveInterval = 30; // seconds
+        this.saveTimerId = null;
+
+        // Session left over from previous run (open TimeEntry in DB)
+        this.pendingSession = null;
+
+        this._subscribeToTracking();
+    }
+
+    /**
+     * Load session left over from previous run
+     * Only sessions whose TimeEntry is still open are kept
+     */
+    async initialize() {
+        const session = this._readSession();
+        if (!session) return;
+
+        try {
+            const rows = await this.query(
+                `SELECT id FROM TimeEntry WHERE id = ? AND task_instance_id = ? AND end_time IS NULL`,
+                [session.timeEntryId, session.taskInstanceId]
+            );
+            if (rows && rows.length > 0) {
+                this.pendingSession = session;
+            } else {
+                this._removeSessionFile();
+            }
+        } catch (error) {
+            console.error('[Persistence] Failed to check saved session:', error);
+        }
+    }
+
+    /**
+     * Get session left over from previous run (null if none)
+     */
+    getPendingSession() {
+        return this.pendingSession;
+    }
+
+    /**
+     * Seconds recorded by the pending session (start to last save)
+     */
+    _getRecordedSeconds(session) {
+        return Math.max(0, Math.floor((session.savedAt - session.startTime) / 1000));
+    }
+
+    /**
+     * Close pending session at the last saved time
+     */
+    async closeSession() {
+        const session = this.pendingSession;
+        if (!session) return;
+        this.pendingSession = null;
+        this._removeSessionFile();
+
+        const duration = this._getRecordedSeconds(session);
+        const historyInfo = { source: 'tracking', label: 'Close crashed session' };
+        const entryScope = [{ table: 'TimeEntry', where: 'id = ?', params: [session.timeEntryId] }];
+        if (duration > 0) {
+            await this.recordHistory(historyInfo, entryScope, () => this.execute(
+                `UPDATE TimeEntry
+                 SET end_time = datetime(start_time, '+' || CAST(? AS TEXT) || ' seconds'),
+                     duration = ?
+                 WHERE id = ? AND end_time IS NULL`,
+                [duration, duration, session.timeEntryId]
+            ));
+            await this.execute(
+                `UPDATE TaskInstance
+                 SET total_time = COALESCE(total_time, 0) + ?,
+                     updated_at = datetime('now')
+                 WHERE id = ?`,
+                [duration, session.taskInstanceId]
+            );
+
+            this.events.emit(CoreEvents.TIME_ENTRY_UPDATED, {
+                id: session.timeEntryId,
+                task_instance_id: session.taskInstanceId,
+                duration: duration,
+            });
+        } else {
+            // Nothing recorded - drop the entry together with its tag links
+            const tagScope = { table: 'TimeEntryTag', where: 'time_entry_id = ?', params: [session.timeEntryId] };
+            await this.recordHistory(historyInfo, [...entryScope, tagScope], async () => {
+                await this.execute(
+                    `DELETE FROM TimeEntryTag WHERE time_entry_id IN
+                        (SELECT id FROM TimeEntry WHERE id = ? AND end_time IS NULL)`,
+                    [session.timeEntryId]
+                );
+                await this.execute(
+                    `DELETE FROM TimeEntry WHERE id = ? AND end_time IS NULL`,
+                    [session.timeEntryId]
+                );
+            });
+
+            this.events.emit(CoreEvents.TIME_ENTRY_DELETED, { id: session.timeEntryId });
+        }
+    }
+
+    /**
+     * Continue pending session - its open TimeEntry keeps running
+     */
+    async resumeSession() {
+        const session = this.pendingSession;
+        if (!session) {
+            throw new Error('No saved session');
+        }
+        this.pendingSession = null;
+
+        try {
+            await this.core.services.tracking.restoreSession(session);
+        } catch (error) {
+            // Instance/task gone - don't leave the entry open
+            this.pendingSession = session;
+            await this.closeSession();
+            throw error;
+        }
+    }
+
+    /**
+     * Write/remove session file on tracking changes
+     */
+    _subscribeToTracking() {
+        const save = () => {
+            this._saveSession();
+            this._startSaveTimer();
+        };
+        const clear = () => {
+            this._stopSaveTimer();
+            this._removeSessionFile();
+        };
+
+        this._handlers = {
+            [CoreEvents.TRACKING_STARTED]: save,
+            [CoreEvents.TRACKING_RESUMED]: save,
+            [CoreEvents.TRACKING_STOPPED]: clear,
+            [CoreEvents.TRACKING_PAUSED]: clear,
+        };
+        Object.keys(this._handlers).forEach(event => {
+            this.events.on(event, this._handlers[event]);
+        });
+    }
+
+    _startSaveTimer() {
+        if (this.saveTimerId) return;
+
+        this.saveTimerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, this.saveInterval, () => {
+            if (!this.state.state.tracking.isTracking) {
+                this.saveTimerId = null;
+                return GLib.SOURCE_REMOVE;
+            }
+            this._saveSession();
+            return GLib.SOURCE_CONTINUE;
+        });
+    }
+
+    _stopSaveTimer() {
+        if (this.saveTimerId) {
+            GLib.Source.remove(this.saveTimerId);
+            this.saveTimerId = null;
+        }
+    }
+
+    /**
+     * Write current tracking session to disk
+     */
+    _saveSession() {
+        const tracking = this.state.state.tracking;
+        if (!tracking.isTracking || !tracking.currentTimeEntryId) return;
+
+        const startTime = typeof tracking.startTime === 'string'
+            ? new Date(tracking.startTime.replace(' ', 'T')).getTime()
+            : tracking.startTime;
+
+        const session = {
+            taskId: tracking.currentTaskId,
+            taskName: tracking.currentTaskName,
+            projectId: tracking.currentProjectId,
+            clientId: tracking.currentClientId,
+            taskInstanceId: tracking.currentTaskInstanceId,
+            timeEntryId: tracking.currentTimeEntryId,
+            startTime: startTime,
+            // Segments already saved by pause() - display only, not part of this entry
+            sessionSeconds: tracking.sessionSeconds || 0,
+            savedAt: Date.now(),
+        };
+
+        try {
+            GLib.mkdir_with_parents(GLib.path_get_dirname(this.sessionPath), 0o755);
+            GLib.file_set_contents(this.sessionPath, JSON.stringify(session));
+        } catch (error) {
+            console.error('[Persistence] Failed to save session:', error);
+        }
+    }
+
+    _readSession() {
+        try {
+            if (!GLib.file_test(this.sessionPath, GLib.FileTest.EXISTS)) return null;
+
+            const [success, contents] = GLib.file_get_contents(this.sessionPath);
+            if (!success) return null;
+
+            const session = JSON.parse(new TextDecoder().decode(contents));
+            if (!session.timeEntryId || !session.taskInstanceId || !session.startTime || !session.savedAt) {
+                this._removeSessionFile();
+                return null;
+            }
+            return session;
+        } catch (error) {
+            console.error('[Persistence] Failed to read saved session:', error);
+            this._removeSessionFile();
+            return null;
+        }
+    }
+
+    _removeSessionFile() {
+        if (GLib.file_test(this.sessionPath, GLib.FileTest.EXISTS)) {
+            GLib.unlink(this.sessionPath);
+        }
+    }
+
+    /**
+     * Save last state and stop timer (app shutdown)
+     * Session file is kept on purpose - tracking was not stopped
+     */
+    destroy() {
+        this._stopSaveTimer();
+        this._saveSession();
+
+        Object.keys(this._handlers).forEach(event => {
+            this.events.off(event, this._handlers[event]);
+        });
+    }
+}
@@ -0,0 +1,275 @@
+/**
+ * Pomodoro Service
+ * Work / short break / long break cycles on top of time tracking
+ *
+ * Work phases are tracked sessions in Pomodoro mode, TimeTrackingService stops them
+ * when the time is up. Breaks are not tracked and run on their own 1 second timer.
+ * Work phases that run to the end are recorded in the Pomodoro table per task instance.
+ * Stopping a work phase or starting regular tracking ends the cycle.
+ */
+import { BaseService } from './BaseService.js';
+import { CoreEvents } from '../events/CoreEvents.js';
+import { TimeUtils } from '../utils/TimeUtils.js';
+
+export class PomodoroService extends BaseService {
+    static PHASES = ['idle', 'work', 'short-break', 'long-break'];
+
+    constructor(core) {
+        super(core);
+
+        this.config = {
+            workMinutes: 20,
+            shortBreakMinutes: 5,
+            longBreakMinutes: 15,
+            cycleLength: 4, // work phases before a long break
+            autoStartBreaks: true,
+            autoStartWork: false,
+        };
+
+        this._breakTimerId = null;
+        this._reset();
+        this._subscribeToEvents();
+    }
+
+    /**
+     * Set cycle configuration (missing or invalid values keep the current ones)
+     * @param {Object} config - {workMinutes, shortBreakMinutes, longBreakMinutes, cycleLength, autoStartBreaks, autoStartWork}
+     */
+    setConfig(config = {}) {
+        const positive = (value, current) => Number(value) > 0 ? Math.round(Number(value)) : current;
+        const flag = (value, current) => value === undefined || value === null ? current : Boolean(value);
+
+        this.config = {
+            workMinutes: positive(config.workMinutes, this.config.workMinutes),
+            shortBreakMinutes: positive(config.shortBreakMinutes, this.config.shortBreakMinutes),
+            longBreakMinutes: positive(config.longBreakMinutes, this.config.longBreakMinutes),
+            cycleLength: positive(config.cycleLength, this.config.cycleLength),
+            autoStartBreaks: flag(config.autoStartBreaks, this.config.autoStartBreaks),
+            autoStartWork: flag(config.autoStartWork, this.config.autoStartWork),
+        };
+    }
+
+    getConfig() {
+        return { ...this.config };
+    }
+
+    /**
+     * Current cycle state
+     * waiting = phase is due but not started (auto-start off)
+     */
+    getState() {
+        return {
+            phase: this.phase,
+            waiting: this.waiting,
+            remaining: this._getRemaining(),
+            completedInCycle: this.completedInCycle,
+            cycleLength: this.config.cycleLength,
+            taskId: this.task?.taskId || null,
+            taskName: this.task?.taskName || null,
+        };
+    }
+
+    /**
+     * Start a cycle with a work phase on the given task
+     */
+    async start(taskId, projectId = null, clientId = null) {
+        // End previous cycle first - stopping its session must not end the new one
+        this._clearBreakTimer();
+        this._reset();
+
+        this.task = { taskId, projectId, clientId, taskName: null };
+        await this._startWork();
+    }
+
+    /**
+     * End the cycle (stops a running work phase without recording it)
+     */
+    async stop() {
+        const wasWorking = this.phase === 'work' && !this.waiting;
+        this._end();
+
+        const tracking = this.state.state.tracking;
+        if (wasWorking && tracking.pomodoroMode && (tracking.isTracking || tracking.isPaused)) {
+            await this.core.services.tracking.stop();
+        }
+    }
+
+    /**
+     * Start the phase that is waiting for the user
+     */
+    async startNextPhase() {
+        if (this.phase === 'idle' || !this.waiting) return;
+
+        if (this.phase === 'work') {
+            await this._startWork();
+        } else {
+            this._startBreak();
+        }
+    }
+
+    /**
+     * Skip the current break and go back to work
+     */
+    async skipBreak() {
+        if (this.phase !== 'short-break' && this.phase !== 'long-break') return;
+
+        this._clearBreakTimer();
+        await this._startWork();
+    }
+
+    _subscribeToEvents() {
+        this._handlers = {
+            [CoreEvents.TRACKING_STOPPED]: (data) => {
+                if (this.phase !== 'work' || this.waiting) return;
+                if (data?.pomodoroCompleted) {
+                    this._completeWork(data).catch(error => {
+                        console.error('[PomodoroService] Failed to complete pomodoro:', error);
+                    });
+                } else {
+                    // Stopped by the user
+                    this._end();
+                }
+            },
+            // Regular tracking started - the cycle is over
+            [CoreEvents.TRACKING_STARTED]: () => {
+                if (this.phase !== 'idle' && !this.state.state.tracking.pomodoroMode) {
+                    this._end();
+                }
+            },
+        };
+        Object.keys(this._handlers).forEach(event => {
+            this.events.on(event, this._handlers[event]);
+        });
+    }
+
+    async _startWork() {
+        const { taskId, projectId, clientId } = this.task;
+        const duration = this.config.workMinutes * 60;
+
+        await this.core.services.tracking.start(taskId, projectId, clientId, true, duration);
+
+        const tracking = this.state.state.tracking;
+        this.task.taskName = tracking.currentTaskName;
+        this.task.projectId = tracking.currentProjectId;
+        this.task.clientId = tracking.currentClientId;
+
+        this.phase = 'work';
+        this.waiting = false;
+        this.phaseDuration = duration;
+        this.phaseStart = Date.now();
+        this._emitPhaseChanged();
+    }
+
+    /**
+     * Work phase ran to the end: record it, then go to a break
+     */
+    async _completeWork(data) {
+        const completedAt = TimeUtils.getCurrentTimestamp();
+        if (data.taskInstanceId) {
+            await this.execute(
+                `INSERT INTO Pomodoro (task_instance_id, duration, started_at, completed_at)
+                 VALUES (?, ?, ?, ?)`,
+                [data.taskInstanceId, this.phaseDuration,
+                 TimeUtils.formatTimestampForDB(new Date(this.phaseStart)), completedAt]
+            );
+        }
+
+        this.completedInCycle++;
+        this.events.emit(CoreEvents.POMODORO_COMPLETED, {
+            taskId: this.task.taskId,
+            taskName: this.task.taskName,
+            taskInstanceId: data.taskInstanceId,
+            duration: this.phaseDuration,
+            completedInCycle: this.completedInCycle,
+            cycleLength: this.config.cycleLength,
+        });
+
+        // Cycle may have been ended by a listener
+        if (this.phase !== 'work') return;
+
+        const longBreak = this.completedInCycle >= this.config.cycleLength;
+        if (longBreak) {
+            this.completedInCycle = 0;
+        }
+        this.phase = longBreak ? 'long-break' : 'short-break';
+        this.phaseDuration = (longBreak ? this.config.longBreakMinutes : this.config.shortBreakMinutes) * 60;
+
+        if (this.config.autoStartBreaks) {
+            this._startBreak();
+        } else {
+            this.waiting = true;
+            this._emitPhaseChanged();
+        }
+    }
+
+    _startBreak() {
+        this._clearBreakTimer();
+        this.waiting = false;
+        this.phaseStart = Date.now();
+        this._emitPhaseChanged();
+
+        this._breakTimerId = setInterval(() => this._onBreakTick(), 1000);
+    }
+
+    _onBreakTick() {
+        const remaining = this._getRemaining();
+        this.events.emit(CoreEvents.POMODORO_UPDATED, { phase: this.phase, remaining });
+        if (remaining > 0) return;
+
+        this._clearBreakTimer();
+        if (this.config.autoStartWork) {
+            this._startWork().catch(error => {
+                console.error('[PomodoroService] Failed to start work phase:', error);
+                this._end();
+            });
+        } else {
+            this.phase = 'work';
+            this.waiting = true;
+            this.phaseDuration = this.config.workMinutes * 60;
+            this._emitPhaseChanged();
+        }
+    }
+
+    _getRemaining() {
+        if (this.phase === 'idle') return 0;
+        if (this.waiting) return this.phaseDuration;
+        if (this.phase === 'work') {
+            return this.state.getTrackingState().pomodoroRemaining || 0;
+        }
+        return Math.max(0, this.phaseDuration - Math.floor((Date.now() - this.phaseStart) / 1000));
+    }
+
+    _emitPhaseChanged() {
+        this.events.emit(CoreEvents.POMODORO_PHASE_CHANGED, this.getState());
+    }
+
+    _end() {
+        if (this.phase === 'idle') return;
+        this._clearBreakTimer();
+        this._reset();
+        this._emitPhaseChanged();
+    }
+
+    _reset() {
+        this.phase = 'idle';
+        this.waiting = false;
+        this.phaseStart = null;
+        this.phaseDuration = 0;
+        this.completedInCycle = 0;
+        this.task = null;
+    }
+
+    _clearBreakTimer() {
+        if (this._breakTimerId) {
+            clearInterval(this._breakTimerId);
+            this._breakTimerId = null;
+        }
+    }
+
+    destroy() {
+        this._clearBreakTimer();
+        Object.keys(this._handlers).forEach(event => {
+            this.events.off(event, this._handlers[event]);
+        });
+    }
+}
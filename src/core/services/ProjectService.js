@@ -4,6 +4,7 @@
  */
 import { BaseService } from './BaseService.js';
 import { CoreEvents } from '../events/CoreEvents.js';
+import { RoundingUtils } from '../utils/RoundingUtils.js';
 
 export class ProjectService extends BaseService {
     constructor(core) {
@@ -37,6 +38,8 @@ export class ProjectService extends BaseService {
      * Create project (direct SQL)
      */
     async create(input) {
+        RoundingUtils.validate(input.rounding_increment, input.rounding_mode, input.rounding_scope);
+
         // Ensure unique name
         let finalName = input.name;
         let suffix = 2;
@@ -48,9 +51,10 @@ export class ProjectService extends BaseService {
             suffix++;
         }
 
-        const projectId = await this.execute(
-            `INSERT INTO Project (name, color, icon, client_id, total_time, dark_icons, icon_color, icon_color_mode)
-             VALUES (?, ?, ?, ?, 0, ?, ?, ?)`,
+        const projectId = await this.recordChange('Create project', [], () => this.execute(
+            `INSERT INTO Project (name, color, icon, client_id, total_time, dark_icons, icon_color, icon_color_mode, billable, rate, currency,
+                                  budget_hours, budget_amount, budget_period, rounding_increment, rounding_mode, rounding_scope, target_hours)
+             VALUES (?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 finalName,
                 input.color || '#cccccc',
@@ -59,8 +63,18 @@ export class ProjectService extends BaseService {
                 input.dark_icons !== undefined ? (input.dark_icons ? 1 : 0) : 0,
                 input.icon_color || '#cccccc',
                 input.icon_color_mode || 'auto',
+                input.billable !== undefined ? (input.billable ? 1 : 0) : 1,
+                input.rate ?? null,
+                input.currency || null,
+                input.budget_hours ?? null,
+                input.budget_amount ?? null,
+                this._validateBudgetPeriod(input.budget_period),
+                input.rounding_increment ?? null,
+                input.rounding_mode || null,
+                input.rounding_scope || null,
+                input.target_hours ?? null,
             ]
-        );
+        ), id => [{ table: 'Project', where: 'id = ?', params: [id] }]);
 
         this.events.emit(CoreEvents.PROJECT_CREATED, { id: projectId, name: finalName, ...input });
         return projectId;
@@ -113,11 +127,57 @@ export class ProjectService extends BaseService {
             updates.push('icon_color_mode = ?');
             params.push(input.icon_color_mode);
         }
+        if (input.billable !== undefined) {
+            updates.push('billable = ?');
+            params.push(input.billable ? 1 : 0);
+        }
+        // NULL rate = use client rate
+        if (input.rate !== undefined) {
+            updates.push('rate = ?');
+            params.push(input.rate);
+        }
+        if (input.currency !== undefined) {
+            updates.push('currency = ?');
+            params.push(input.currency || null);
+        }
+        // NULL budget = no budget
+        if (input.budget_hours !== undefined) {
+            updates.push('budget_hours = ?');
+            params.push(input.budget_hours);
+        }
+        if (input.budget_amount !== undefined) {
+            updates.push('budget_amount = ?');
+            params.push(input.budget_amount);
+        }
+        if (input.budget_period !== undefined) {
+            updates.push('budget_period = ?');
+            params.push(this._validateBudgetPeriod(input.budget_period));
+        }
+        // NULL rounding increment = use client rule, 0 = no rounding
+        RoundingUtils.validate(input.rounding_increment, input.rounding_mode, input.rounding_scope);
+        if (input.rounding_increment !== undefined) {
+            updates.push('rounding_increment = ?');
+            params.push(input.rounding_increment);
+        }
+        if (input.rounding_mode !== undefined) {
+            updates.push('rounding_mode = ?');
+            params.push(input.rounding_mode || null);
+        }
+        if (input.rounding_scope !== undefined) {
+            updates.push('rounding_scope = ?');
+            params.push(input.rounding_scope || null);
+        }
+        // NULL target = no weekly hour target
+        if (input.target_hours !== undefined) {
+            updates.push('target_hours = ?');
+            params.push(input.target_hours);
+        }
 
         if (updates.length === 0) return;
 
         params.push(id);
-        await this.execute(`UPDATE Project SET ${updates.join(', ')} WHERE id = ?`, params);
+        await this.recordChange('Edit project', [{ table: 'Project', where: 'id = ?', params: [id] }],
+            () => this.execute(`UPDATE Project SET ${updates.join(', ')} WHERE id = ?`, params));
 
         this.events.emit(CoreEvents.PROJECT_UPDATED, { id, ...input });
     }
@@ -130,8 +190,15 @@ export class ProjectService extends BaseService {
             throw new Error('Cannot delete default project');
         }
 
-        await this.execute(`UPDATE TaskInstance SET project_id = 1 WHERE project_id = ?`, [id]);
-        await this.execute(`DELETE FROM Project WHERE id = ?`, [id]);
+        await this.recordChange('Delete project', [
+            { table: 'Project', where: 'id = ?', params: [id] },
+            { table: 'TaskInstance', where: 'project_id = ?', params: [id] },
+            { table: 'Expense', where: 'project_id = ?', params: [id] },
+        ], async () => {
+            await this.execute(`UPDATE TaskInstance SET project_id = 1 WHERE project_id = ?`, [id]);
+            await this.execute(`UPDATE Expense SET project_id = 1 WHERE project_id = ?`, [id]);
+            await this.execute(`DELETE FROM Project WHERE id = ?`, [id]);
+        });
 
         this.events.emit(CoreEvents.PROJECT_DELETED, { id });
     }
@@ -146,12 +213,37 @@ export class ProjectService extends BaseService {
         if (idsToDelete.length === 0) return;
 
         const placeholders = idsToDelete.map(() => '?').join(', ');
-        await this.execute(`UPDATE TaskInstance SET project_id = 1 WHERE project_id IN (${placeholders})`, idsToDelete);
-        await this.execute(`DELETE FROM Project WHERE id IN (${placeholders})`, idsToDelete);
+        await this.recordChange('Delete projects', [
+            { table: 'Project', where: `id IN (${placeholders})`, params: idsToDelete },
+            { table: 'TaskInstance', where: `project_id IN (${placeholders})`, params: idsToDelete },
+            { table: 'Expense', where: `project_id IN (${placeholders})`, params: idsToDelete },
+        ], async () => {
+            await this.execute(`UPDATE TaskInstance SET project_id = 1 WHERE project_id IN (${placeholders})`, idsToDelete);
+            await this.execute(`UPDATE Expense SET project_id = 1 WHERE project_id IN (${placeholders})`, idsToDelete);
+            await this.execute(`DELETE FROM Project WHERE id IN (${placeholders})`, idsToDelete);
+        });
 
         this.events.emit(CoreEvents.PROJECTS_DELETED, { ids: idsToDelete });
     }
 
+    /**
+     * Archive or restore projects (direct SQL)
+     * Archived projects keep their time entries, only selectors hide them
+     */
+    async setArchived(ids, archived) {
+        if (!ids || ids.length === 0) return;
+
+        const idsToChange = ids.filter(id => id !== 1);
+        if (idsToChange.length === 0) return;
+
+        const placeholders = idsToChange.map(() => '?').join(', ');
+        await this.recordChange(archived ? 'Archive projects' : 'Restore projects', [
+            { table: 'Project', where: `id IN (${placeholders})`, params: idsToChange },
+        ], () => this.execute(`UPDATE Project SET archived = ? WHERE id IN (${placeholders})`, [archived ? 1 : 0, ...idsToChange]));
+
+        this.events.emit(CoreEvents.PROJECT_UPDATED, { ids: idsToChange, archived: Boolean(archived) });
+    }
+
     /**
      * Update total time (direct SQL)
      */
@@ -172,4 +264,15 @@ export class ProjectService extends BaseService {
     async search(query) {
         return await this.query(`SELECT * FROM Project WHERE name LIKE ? ORDER BY name ASC`, [`%${query}%`]);
     }
+
+    /**
+     * Budget period: 'total' (whole project) or 'monthly' (calendar month)
+     */
+    _validateBudgetPeriod(period) {
+        if (period === undefined || period === null) return 'total';
+        if (period !== 'total' && period !== 'monthly') {
+            throw new Error(`Invalid budget period: ${period}`);
+        }
+        return period;
+    }
 }
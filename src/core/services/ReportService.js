@@ -3,27 +3,61 @@
  * Generates reports from time tracking data
  */
 import { BaseService } from './BaseService.js';
-import { DateFilters } from '../utils/DateFilters.js';
+import { BillingUtils } from '../utils/BillingUtils.js';
+import { ExchangeRateUtils } from '../utils/ExchangeRateUtils.js';
+import { TimeUtils } from '../utils/TimeUtils.js';
+import { CsvUtils } from '../utils/CsvUtils.js';
+import { RoundingUtils } from '../utils/RoundingUtils.js';
 /**
  * Report Service
  * Handles report generation and data aggregation
  */
 export class ReportService extends BaseService {
+    /**
+     * CSV columns: key -> header
+     */
+    static CSV_COLUMNS = {
+        date: 'Date',
+        start: 'Start',
+        end: 'End',
+        duration: 'Duration',
+        billed: 'Billed Duration',
+        task: 'Task',
+        project: 'Project',
+        client: 'Client',
+        billable: 'Billable',
+        rate: 'Rate',
+        currency: 'Currency',
+        amount: 'Amount',
+        base_amount: 'Amount (Base Currency)',
+        notes: 'Notes',
+    };
+    static CSV_DEFAULT_COLUMNS = ['date', 'start', 'end', 'duration', 'task', 'project', 'client', 'billable', 'notes'];
     constructor(coreAPI) {
         super(coreAPI);
     }
     /**
      * Generate report data
+     * @param {Object} options
+     * @param {{start: Date, end: Date}} options.dateRange - Entries starting in this range
+     * @param {number[]} [options.projectIds] - Only these projects
+     * @param {number[]} [options.clientIds] - Only these clients
+     * @param {number[]} [options.taskIds] - Only these tasks
+     * @param {number[]} [options.tagIds] - Entries with any of these tags (own or of their task instance)
+     * @param {string} [options.searchText] - Text in task name or entry description
+     * @param {string} [options.groupBy] - project, client, task, date or tag
      */
     async generateReport(options) {
         // Fetch time entries in date range
         const entries = await this.getEntriesInRange(options);
         // Fetch related data
-        const { projects, clients, tasks, instances } = await this.fetchRelatedData(entries);
+        const { projects, clients, tasks, instances, tags, entryTags } = await this.fetchRelatedData(entries);
+        // Billed time of billable entries (rounding rules applied, entries stay raw)
+        const billed = this.calculateBilledDurations(entries, instances, projects, clients);
         // Calculate summary
-        const summary = this.calculateSummary(entries, options.dateRange);
+        const summary = this.calculateSummary(entries, options.dateRange, instances, projects, billed);
         // Group entries
-        const groups = this.groupEntries(entries, options, projects, clients, tasks, instances);
+        const groups = this.groupEntries(entries, options, projects, clients, tasks, instances, tags, entryTags, billed);
         return {
             summary,
             groups,
@@ -32,38 +66,103 @@ export class ReportService extends BaseService {
             clients,
             tasks,
             instances,
+            tags,
+            entryTags,
+            billed,
             options,
             generatedAt: new Date(),
         };
     }
     /**
-     * Get time entries in date range
+     * Get time entries matching report filters (direct SQL with JOINs)
      */
     async getEntriesInRange(options) {
-        // Get all time entries
-        const allEntries = await this.core.services.tracking.getAllTimeEntries();
-        // Filter by date range
-        let filtered = allEntries.filter((entry) => {
-            const entryDate = new Date(entry.start_time);
-            return DateFilters.isInRange(entryDate, options.dateRange);
-        });
-        // TODO: Add project/client/task filtering when we have proper JOIN queries
-        // For now, we'll need to fetch tasks and filter through them
-        return filtered;
+        const where = [];
+        const params = [];
+
+        // Dates are stored as local time strings, compared lexicographically
+        if (options.dateRange?.start) {
+            where.push('te.start_time >= ?');
+            params.push(TimeUtils.formatTimestampForDB(options.dateRange.start));
+        }
+        if (options.dateRange?.end) {
+            where.push('te.start_time <= ?');
+            params.push(TimeUtils.formatTimestampForDB(options.dateRange.end));
+        }
+
+        this._addIdFilter(where, params, 'ti.project_id', options.projectIds);
+        this._addIdFilter(where, params, 'ti.client_id', options.clientIds);
+        // A task includes its subtasks
+        const taskIds = this._toIdList(options.taskIds);
+        if (taskIds.length > 0) {
+            where.push(`ti.task_id IN (
+                WITH RECURSIVE subtask(id) AS (
+                    SELECT id FROM Task WHERE id IN (${taskIds.map(() => '?').join(',')})
+                    UNION
+                    SELECT t.id FROM Task t JOIN subtask s ON t.parent_id = s.id
+                )
+                SELECT id FROM subtask
+            )`);
+            params.push(...taskIds);
+        }
+
+        // Entry matches if it has any of the tags, own or of its task instance
+        const tagIds = this._toIdList(options.tagIds);
+        if (tagIds.length > 0) {
+            const placeholders = tagIds.map(() => '?').join(',');
+            where.push(`(EXISTS (SELECT 1 FROM TimeEntryTag tet
+                                 WHERE tet.time_entry_id = te.id AND tet.tag_id IN (${placeholders}))
+                      OR EXISTS (SELECT 1 FROM TaskInstanceTag tit
+                                 WHERE tit.task_instance_id = ti.id AND tit.tag_id IN (${placeholders})))`);
+            params.push(...tagIds, ...tagIds);
+        }
+
+        const searchText = options.searchText?.trim();
+        if (searchText) {
+            const pattern = `%${searchText.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+            where.push(`(t.name LIKE ? ESCAPE '\\' OR te.description LIKE ? ESCAPE '\\')`);
+            params.push(pattern, pattern);
+        }
+
+        const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+        return await this.query(`
+            SELECT te.*
+            FROM TimeEntry te
+            INNER JOIN TaskInstance ti ON ti.id = te.task_instance_id
+            INNER JOIN Task t ON t.id = ti.task_id
+            ${whereClause}
+            ORDER BY te.start_time DESC
+        `, params);
+    }
+    /**
+     * Add "column IN (...)" condition for a non-empty ID list
+     */
+    _addIdFilter(where, params, column, ids) {
+        const list = this._toIdList(ids);
+        if (list.length === 0) return;
+        where.push(`${column} IN (${list.map(() => '?').join(',')})`);
+        params.push(...list);
+    }
+    _toIdList(ids) {
+        return [...new Set((ids || []).map(id => Number(id)).filter(id => id > 0))];
     }
     /**
      * Fetch related projects, clients, tasks, and instances
      * Optimized to use batch queries instead of N+1 queries
      */
     async fetchRelatedData(entries) {
+        const empty = () => ({
+            projects: new Map(), clients: new Map(), tasks: new Map(), instances: new Map(),
+            tags: new Map(), entryTags: new Map(),
+        });
         if (!entries || entries.length === 0) {
-            return { projects: new Map(), clients: new Map(), tasks: new Map(), instances: new Map() };
+            return empty();
         }
 
         // Get unique IDs from entries
         const instanceIds = [...new Set(entries.map(e => e.task_instance_id).filter(id => id))];
         if (instanceIds.length === 0) {
-            return { projects: new Map(), clients: new Map(), tasks: new Map(), instances: new Map() };
+            return empty();
         }
 
         const projects = new Map();
@@ -90,10 +189,16 @@ export class ReportService extends BaseService {
             if (instance.client_id) clientIds.add(instance.client_id);
         });
 
-        // Batch fetch all tasks
+        // Batch fetch all tasks, with their parent tasks (time rolls up to them)
         if (taskIds.size > 0) {
             const taskIdsStr = [...taskIds].join(',');
-            const tasksSql = `SELECT * FROM Task WHERE id IN (${taskIdsStr})`;
+            const tasksSql = `
+                WITH RECURSIVE ancestor(id) AS (
+                    SELECT id FROM Task WHERE id IN (${taskIdsStr})
+                    UNION
+                    SELECT t.parent_id FROM Task t JOIN ancestor a ON t.id = a.id WHERE t.parent_id IS NOT NULL
+                )
+                SELECT * FROM Task WHERE id IN (SELECT id FROM ancestor)`;
             const tasksResults = await this.query(tasksSql);
             tasksResults.forEach(row => {
                 tasks.set(String(row.id), row);
@@ -122,13 +227,68 @@ export class ReportService extends BaseService {
             });
         }
 
-        return { projects, clients, tasks, instances };
+        // Tags per entry (own + task instance tags) and the tags themselves
+        const entryTags = await this.core.services.tags.getTagIdsByTimeEntry(entries.map(e => e.id));
+        const tags = new Map();
+        const tagIds = new Set([...entryTags.values()].flat());
+        if (tagIds.size > 0) {
+            const tagIdsStr = [...tagIds].join(',');
+            const tagsResults = await this.query(`SELECT * FROM Tag WHERE id IN (${tagIdsStr})`);
+            tagsResults.forEach(row => {
+                tags.set(String(row.id), row);
+            });
+        }
+
+        return { projects, clients, tasks, instances, tags, entryTags };
+    }
+    /**
+     * Check if entry is billable (entry flag, else task instance, else project)
+     */
+    isEntryBillable(entry, instances = new Map(), projects = new Map()) {
+        const instance = instances.get(String(entry.task_instance_id));
+        const project = instance?.project_id ? projects.get(String(instance.project_id)) : null;
+        return BillingUtils.isBillable(entry, instance, project);
+    }
+    /**
+     * Client of a task instance, else of its project
+     */
+    _getEntryClient(instance, project, clients) {
+        let client = instance?.client_id ? clients.get(String(instance.client_id)) : null;
+        if (!client && project?.client_id) {
+            client = clients.get(String(project.client_id));
+        }
+        return client || null;
+    }
+    /**
+     * Billed seconds of billable entries, rounded by the project/client rounding rule
+     * @returns {Map<number, number>} entry ID -> billed seconds
+     */
+    calculateBilledDurations(entries, instances = new Map(), projects = new Map(), clients = new Map()) {
+        const items = [];
+        [...entries]
+            .filter(entry => entry.end_time && this.isEntryBillable(entry, instances, projects))
+            .sort((a, b) => String(a.start_time).localeCompare(String(b.start_time)))
+            .forEach(entry => {
+                const instance = instances.get(String(entry.task_instance_id));
+                const project = instance?.project_id ? projects.get(String(instance.project_id)) : null;
+                items.push({
+                    id: entry.id,
+                    date: String(entry.start_time || '').substring(0, 10),
+                    seconds: entry.duration,
+                    rule: RoundingUtils.resolveRule(project, this._getEntryClient(instance, project, clients)),
+                });
+            });
+        return RoundingUtils.roundEntries(items);
     }
     /**
      * Calculate report summary
      */
-    calculateSummary(entries, dateRange) {
+    calculateSummary(entries, dateRange, instances = new Map(), projects = new Map(), billed = new Map()) {
         const totalDuration = entries.reduce((sum, entry) => sum + entry.duration, 0);
+        const billableDuration = entries
+            .filter(entry => this.isEntryBillable(entry, instances, projects))
+            .reduce((sum, entry) => sum + entry.duration, 0);
+        const billedDuration = [...billed.values()].reduce((sum, seconds) => sum + seconds, 0);
         // TODO: Calculate earnings from tasks with hourly rates
         const totalEarnings = 0;
         const instanceIds = new Set(entries.map(e => e.task_instance_id));
@@ -137,24 +297,31 @@ export class ReportService extends BaseService {
         const clientCount = 0;
         return {
             totalDuration,
+            billableDuration,
+            nonBillableDuration: totalDuration - billableDuration,
+            billedDuration,
             totalEntries: entries.length,
             totalEarnings,
             projectCount,
             clientCount,
             taskCount: instanceIds.size,
             averageSessionDuration: entries.length > 0 ? totalDuration / entries.length : 0,
-            periodStart: dateRange.start,
-            periodEnd: dateRange.end,
+            periodStart: dateRange?.start,
+            periodEnd: dateRange?.end,
         };
     }
     /**
      * Group entries by specified criteria
      */
-    groupEntries(entries, options, projects, clients, tasks, instances) {
+    groupEntries(entries, options, projects, clients, tasks, instances, tags = new Map(), entryTags = new Map(), billed = new Map()) {
         const groupBy = options.groupBy || 'project';
         const groups = new Map();
         // Calculate total duration for percentage
         const totalDuration = entries.reduce((sum, entry) => sum + entry.duration, 0);
+        // Group by tag separately - entry with several tags belongs to several groups
+        if (groupBy === 'tag') {
+            return this._groupEntriesByTag(entries, options, tags, entryTags, totalDuration, instances, projects, billed);
+        }
         // Group entries
         for (const entry of entries) {
             let groupId;
@@ -183,8 +350,10 @@ export class ReportService extends BaseService {
                         : 'No Client';
                     break;
                 case 'task':
-                    groupId = instance ? String(instance.task_id) : 'unknown';
-                    groupName = task?.name || 'Unknown Task';
+                    // Subtasks roll up to their top-level task
+                    const rootTask = this._getRootTask(task, tasks);
+                    groupId = rootTask ? String(rootTask.id) : 'unknown';
+                    groupName = rootTask?.name || 'Unknown Task';
                     break;
                 case 'date':
                     const date = new Date(entry.start_time);
@@ -202,6 +371,8 @@ export class ReportService extends BaseService {
                     id: groupId,
                     name: groupName,
                     duration: 0,
+                    billableDuration: 0,
+                    billedDuration: 0,
                     entries: [],
                     earnings: 0,
                     percentage: 0,
@@ -209,18 +380,94 @@ export class ReportService extends BaseService {
             }
             const group = groups.get(groupId);
             group.duration += entry.duration;
+            if (this.isEntryBillable(entry, instances, projects)) {
+                group.billableDuration += entry.duration;
+            }
+            group.billedDuration += billed.get(entry.id) || 0;
             // TODO: Calculate earnings from task hourly rate
             group.entries.push(entry);
+            if (groupBy === 'task' && task && String(task.id) !== groupId) {
+                this._addSubtaskDuration(group, task, entry.duration);
+            }
         }
         // Calculate percentages
         for (const group of groups.values()) {
             group.percentage = totalDuration > 0 ? (group.duration / totalDuration) * 100 : 0;
+            group.subtasks?.sort((a, b) => b.duration - a.duration);
         }
         // Convert to array and sort
         let result = Array.from(groups.values());
         result = this.sortGroups(result, options.sortBy || 'duration', options.sortDescending);
         return result;
     }
+    /**
+     * Top-level task of a task (the task itself if it has no parent)
+     */
+    _getRootTask(task, tasks) {
+        let root = task;
+        const seen = new Set();
+        while (root?.parent_id && !seen.has(root.id)) {
+            seen.add(root.id);
+            const parent = tasks.get(String(root.parent_id));
+            if (!parent) break;
+            root = parent;
+        }
+        return root;
+    }
+    /**
+     * Per-subtask breakdown of a task group
+     */
+    _addSubtaskDuration(group, task, duration) {
+        if (!group.subtasks) group.subtasks = [];
+        let subtask = group.subtasks.find(item => item.id === task.id);
+        if (!subtask) {
+            subtask = { id: task.id, name: task.name, duration: 0 };
+            group.subtasks.push(subtask);
+        }
+        subtask.duration += duration;
+    }
+    /**
+     * Group entries by tag (per-tag breakdown)
+     * Percentages are relative to total duration, so they can sum up to more than 100%
+     */
+    _groupEntriesByTag(entries, options, tags, entryTags, totalDuration, instances = new Map(), projects = new Map(), billed = new Map()) {
+        const groups = new Map();
+        const addToGroup = (groupId, groupName, entry) => {
+            if (!groups.has(groupId)) {
+                groups.set(groupId, {
+                    id: groupId,
+                    name: groupName,
+                    duration: 0,
+                    billableDuration: 0,
+                    billedDuration: 0,
+                    entries: [],
+                    earnings: 0,
+                    percentage: 0,
+                });
+            }
+            const group = groups.get(groupId);
+            group.duration += entry.duration;
+            if (this.isEntryBillable(entry, instances, projects)) {
+                group.billableDuration += entry.duration;
+            }
+            group.billedDuration += billed.get(entry.id) || 0;
+            group.entries.push(entry);
+        };
+        for (const entry of entries) {
+            const tagIds = entryTags.get(String(entry.id)) || [];
+            if (tagIds.length === 0) {
+                addToGroup('no-tag', 'No Tag', entry);
+                continue;
+            }
+            for (const tagId of tagIds) {
+                addToGroup(String(tagId), tags.get(String(tagId))?.name || 'Unknown Tag', entry);
+            }
+        }
+        for (const group of groups.values()) {
+            group.percentage = totalDuration > 0 ? (group.duration / totalDuration) * 100 : 0;
+        }
+        return this.sortGroups(Array.from(groups.values()), options.sortBy || 'duration', options.sortDescending);
+    }
     /**
      * Sort report groups
      */
@@ -256,32 +503,90 @@ export class ReportService extends BaseService {
         }));
     }
     /**
-     * Export report to CSV
+     * Export report entries to CSV (RFC 4180: quoted fields, CRLF line ends)
+     * @param {Object} reportData - Result of generateReport()
+     * @param {Object} [options]
+     * @param {string[]} [options.columns] - Keys of ReportService.CSV_COLUMNS, in output order
+     * @param {string} [options.durationFormat] - 'hmm' (h:mm) or 'decimal' (hours)
+     * @param {string} [options.delimiter] - Field delimiter, e.g. ',' ';' or '\t'
+     * @param {string} [options.decimalSeparator] - '.' or ','
+     * @param {boolean} [options.includeHeader] - Write header row (default true)
+     * @param {string} [options.baseCurrency] - Currency of the base_amount column
+     * @param {Object[]} [options.exchangeRates] - ExchangeRate rows for base_amount (empty when no rate)
      */
-    exportToCSV(reportData) {
-        const lines = [];
-        // Header
-        lines.push('Date,Task,Project,Client,Duration (min)');
-        // Data rows
-        for (const entry of reportData.entries) {
+    exportToCSV(reportData, options = {}) {
+        const {
+            columns = ReportService.CSV_DEFAULT_COLUMNS,
+            durationFormat = 'hmm',
+            delimiter = ',',
+            decimalSeparator = '.',
+            includeHeader = true,
+            baseCurrency = null,
+            exchangeRates = [],
+        } = options;
+
+        if (!delimiter || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+            throw new Error('Invalid CSV delimiter');
+        }
+        if (decimalSeparator === delimiter) {
+            throw new Error('CSV delimiter and decimal separator must differ');
+        }
+        const unknown = columns.find(key => !ReportService.CSV_COLUMNS[key]);
+        if (unknown) {
+            throw new Error(`Unknown CSV column: ${unknown}`);
+        }
+
+        const billed = reportData.billed || new Map();
+        const rows = [];
+        if (includeHeader) {
+            rows.push(columns.map(key => ReportService.CSV_COLUMNS[key]));
+        }
+        // Oldest first, as in a timesheet
+        const entries = [...reportData.entries].sort((a, b) => String(a.start_time).localeCompare(String(b.start_time)));
+        for (const entry of entries) {
             const instance = reportData.instances.get(String(entry.task_instance_id));
             const task = instance ? reportData.tasks.get(String(instance.task_id)) : null;
             const project = instance?.project_id ? reportData.projects.get(String(instance.project_id)) : null;
             // Get client - first from instance, then from project
-            let client = instance?.client_id ? reportData.clients.get(String(instance.client_id)) : null;
-            if (!client && project?.client_id) {
-                client = reportData.clients.get(String(project.client_id));
-            }
-            const row = [
-                new Date(entry.start_time).toLocaleDateString(),
-                task?.name || '',
-                project?.name || '',
-                client?.name || '',
-                entry.duration.toString(),
-            ];
-            lines.push(row.join(','));
+            const client = this._getEntryClient(instance, project, reportData.clients);
+            const start = this._splitDateTime(entry.start_time);
+            const end = this._splitDateTime(entry.end_time);
+            const billable = BillingUtils.isBillable(entry, instance, project);
+            const { rate, currency } = BillingUtils.resolveRate(instance, project, client);
+            // Amount from billed (rounded) time
+            const billedSeconds = billable ? (billed.get(entry.id) ?? entry.duration ?? 0) : 0;
+            const amount = (billedSeconds / 3600) * rate;
+            // Converted with the rate of the entry day
+            const baseAmount = amount > 0
+                ? ExchangeRateUtils.convert(amount, currency, baseCurrency, exchangeRates, start.date)
+                : 0;
+
+            const values = {
+                date: start.date,
+                start: start.time,
+                end: end.time,
+                duration: CsvUtils.formatDuration(entry.duration, durationFormat, decimalSeparator),
+                billed: CsvUtils.formatDuration(billedSeconds, durationFormat, decimalSeparator),
+                task: task?.name || '',
+                project: project?.name || '',
+                client: client?.name || '',
+                billable: billable ? 'Yes' : 'No',
+                rate: CsvUtils.formatNumber(rate, 2, decimalSeparator),
+                currency: currency || '',
+                amount: CsvUtils.formatNumber(amount, 2, decimalSeparator),
+                base_amount: baseAmount === null ? '' : CsvUtils.formatNumber(baseAmount, 2, decimalSeparator),
+                notes: entry.description || '',
+            };
+            rows.push(columns.map(key => values[key]));
         }
-        return lines.join('\n');
+        return CsvUtils.formatRows(rows, delimiter);
+    }
+    /**
+     * Split DB timestamp ("YYYY-MM-DD HH:MM:SS", local time) into date and "HH:MM"
+     */
+    _splitDateTime(value) {
+        const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})/.exec(value || '');
+        return match ? { date: match[1], time: match[2] } : { date: '', time: '' };
     }
     /**
      * Export report to JSON
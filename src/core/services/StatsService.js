@@ -3,6 +3,10 @@
  * Direct SQL aggregation, minimal object creation
  */
 import { BaseService } from './BaseService.js';
+import { BillingUtils } from '../utils/BillingUtils.js';
+import { ExchangeRateUtils } from '../utils/ExchangeRateUtils.js';
+import { RoundingUtils } from '../utils/RoundingUtils.js';
+import { TimeUtils } from '../utils/TimeUtils.js';
 
 export class StatsService extends BaseService {
     constructor(coreAPI) {
@@ -198,8 +202,11 @@ export class StatsService extends BaseService {
 
     /**
      * Get statistics for period (direct SQL aggregation)
+     * Earnings count billable time only, at the effective task/project/client rate,
+     * rounded by the client/project rounding rules. Earnings are net, tax follows the client tax regime.
+     * @param {number|null} tagId - Only entries with this tag (own or of their task instance)
      */
-    async getStatsForPeriod(dateRange, taskInstanceIds = null) {
+    async getStatsForPeriod(dateRange, taskInstanceIds = null, tagId = null) {
         const GLib = imports.gi.GLib;
 
         const startDateStr = dateRange.startDate.format('%Y-%m-%d %H:%M:%S');
@@ -216,10 +223,16 @@ export class StatsService extends BaseService {
             params.push(...taskInstanceIds);
         }
 
+        if (tagId) {
+            whereClause += ` AND ${this._tagCondition('te')}`;
+            params.push(tagId, tagId);
+        }
+
         // Main stats query
         const statsSql = `
             SELECT 
                 COALESCE(SUM(te.duration), 0) as total_time,
+                COALESCE(SUM(CASE WHEN ${BillingUtils.billableSql('te', 'ti')} = 1 THEN te.duration ELSE 0 END), 0) as billable_time,
                 COUNT(DISTINCT ti.id) as tracked_tasks,
                 COUNT(DISTINCT ti.project_id) as active_projects
             FROM TimeEntry te
@@ -230,54 +243,312 @@ export class StatsService extends BaseService {
         const statsRows = await this.query(statsSql, params);
         const row = statsRows[0] || {};
         const totalTime = row.total_time || 0;
+        const billableTime = row.billable_time || 0;
 
-        // Earnings query
+        // Billed entries (rate chain: task -> project -> client), rounded by client/project rules
         const earningsSql = `
-            SELECT 
-                c.currency as currency,
-                SUM(te.duration * c.rate / 3600.0) as earnings
+            SELECT te.id, te.start_time, te.duration, ti.project_id, ti.client_id,
+                   ${BillingUtils.rateSql('ti', 'p', 'c')} as rate,
+                   ${BillingUtils.currencySql('ti', 'p', 'c')} as currency,
+                   c.tax_rate as tax_rate, c.tax_mode as tax_mode,
+                   ${RoundingUtils.columnsSql('p', 'c')}
             FROM TimeEntry te
             INNER JOIN TaskInstance ti ON te.task_instance_id = ti.id
-            INNER JOIN Client c ON ti.client_id = c.id
+            LEFT JOIN Project p ON ti.project_id = p.id
+            LEFT JOIN Client c ON ti.client_id = c.id
             ${whereClause}
-              AND c.rate > 0
-            GROUP BY c.currency
+              AND ${BillingUtils.billableSql('te', 'ti')} = 1
+            ORDER BY te.start_time ASC
         `;
 
-        const earningsRows = await this.query(earningsSql, params);
+        const billedRows = await this.query(earningsSql, params);
+        const billed = RoundingUtils.roundRows(billedRows);
+        const baseCurrency = this.core.services.exchangeRates.getBaseCurrency();
+        const exchangeRates = await this.core.services.exchangeRates.getAll();
+        let billedTime = 0;
         const earningsByCurrency = new Map();
-        earningsRows.forEach(row => {
-            if (row.currency && row.earnings) {
-                earningsByCurrency.set(row.currency, row.earnings);
+        const convertedByCurrency = new Map(); // currency -> net earnings in base currency
+        const unconvertedCurrencies = new Set();
+        const rawEarningsByCurrency = new Map();
+        const netByTaxRate = new Map(); // "currency:rate" -> net earnings
+        billedRows.forEach(row => {
+            const billedSeconds = billed.get(row.id) || 0;
+            billedTime += billedSeconds;
+            if (!row.currency || !(row.rate > 0)) return;
+            const earnings = billedSeconds * row.rate / 3600;
+            earningsByCurrency.set(row.currency,
+                (earningsByCurrency.get(row.currency) || 0) + earnings);
+            rawEarningsByCurrency.set(row.currency,
+                (rawEarningsByCurrency.get(row.currency) || 0) + (row.duration || 0) * row.rate / 3600);
+
+            const tax = this.core.services.clients.getTax(row);
+            const taxKey = `${row.currency}:${tax.rate}`;
+            netByTaxRate.set(taxKey, (netByTaxRate.get(taxKey) || 0) + earnings);
+
+            // Converted with the rate effective on the day of the entry
+            const converted = ExchangeRateUtils.convert(earnings, row.currency, baseCurrency,
+                exchangeRates, String(row.start_time).slice(0, 10));
+            if (converted === null) {
+                unconvertedCurrencies.add(row.currency);
+            } else {
+                convertedByCurrency.set(row.currency, (convertedByCurrency.get(row.currency) || 0) + converted);
             }
         });
 
+        // Tax per client regime, summed per currency
+        const taxByCurrency = new Map();
+        netByTaxRate.forEach((net, taxKey) => {
+            const separator = taxKey.lastIndexOf(':');
+            const currency = taxKey.slice(0, separator);
+            const { tax } = BillingUtils.calculateTax(net, Number(taxKey.slice(separator + 1)));
+            taxByCurrency.set(currency, (taxByCurrency.get(currency) || 0) + tax);
+        });
+
+        // Base currency totals, tax converted at the same average rate as the earnings
+        let baseEarnings = 0;
+        let baseTax = 0;
+        convertedByCurrency.forEach((converted, currency) => {
+            if (unconvertedCurrencies.has(currency)) return;
+            const net = earningsByCurrency.get(currency);
+            baseEarnings += converted;
+            baseTax += net > 0 ? (taxByCurrency.get(currency) || 0) * converted / net : 0;
+        });
+
         return {
             totalTime,
+            billableTime,
+            nonBillableTime: totalTime - billableTime,
             activeProjects: row.active_projects || 0,
             trackedTasks: row.tracked_tasks || 0,
-            earningsByCurrency
+            billedTime,             // Billable time after rounding
+            earningsByCurrency,     // From billed time (net)
+            rawEarningsByCurrency,  // From raw billable time
+            taxByCurrency,          // Tax on the billed earnings
+            baseCurrency,
+            baseEarnings,           // Net earnings converted into the base currency
+            baseTax,
+            unconvertedCurrencies: [...unconvertedCurrencies]  // No exchange rate, not in the base totals
         };
     }
 
     /**
      * Get task instance IDs for period (direct SQL)
      */
-    async getTaskInstanceIdsForPeriod(dateRange) {
+    async getTaskInstanceIdsForPeriod(dateRange, tagId = null) {
         const GLib = imports.gi.GLib;
 
+        const startStr = dateRange.startDate.format('%Y-%m-%d %H:%M:%S');
+        const endStr = dateRange.endDate.format('%Y-%m-%d %H:%M:%S');
+        const params = [startStr, endStr];
+
+        let tagClause = '';
+        if (tagId) {
+            tagClause = `AND ${this._tagCondition('te')}`;
+            params.push(tagId, tagId);
+        }
+
+        const rows = await this.query(`
+            SELECT DISTINCT te.task_instance_id
+            FROM TimeEntry te
+            WHERE te.end_time IS NOT NULL
+              AND te.duration > 0
+              AND te.end_time >= ?
+              AND te.end_time <= ?
+              ${tagClause}
+        `, params);
+
+        return rows.map(row => row.task_instance_id);
+    }
+
+    /**
+     * Get tracked time per tag for period (direct SQL aggregation)
+     * An entry counts once per tag, whether the tag is on the entry or its task instance
+     * Entries with several tags count for each of them
+     * @param {number|null} tagId - Only entries that also have this tag
+     */
+    async getTagBreakdownForPeriod(dateRange, taskInstanceIds = null, tagId = null) {
+        const startStr = dateRange.startDate.format('%Y-%m-%d %H:%M:%S');
+        const endStr = dateRange.endDate.format('%Y-%m-%d %H:%M:%S');
+        const params = [startStr, endStr];
+
+        let filterClause = '';
+        if (taskInstanceIds && taskInstanceIds.length > 0) {
+            const placeholders = taskInstanceIds.map(() => '?').join(',');
+            filterClause = `AND te.task_instance_id IN (${placeholders})`;
+            params.push(...taskInstanceIds);
+        }
+        if (tagId) {
+            filterClause += ` AND ${this._tagCondition('te')}`;
+            params.push(tagId, tagId);
+        }
+
+        return await this.query(`
+            SELECT t.id, t.name, t.color,
+                   SUM(te.duration) as total_time,
+                   COUNT(te.id) as entry_count
+            FROM (
+                SELECT time_entry_id, tag_id FROM TimeEntryTag
+                UNION
+                SELECT e.id as time_entry_id, tit.tag_id
+                FROM TaskInstanceTag tit
+                JOIN TimeEntry e ON e.task_instance_id = tit.task_instance_id
+            ) link
+            JOIN Tag t ON t.id = link.tag_id
+            JOIN TimeEntry te ON te.id = link.time_entry_id
+            WHERE te.end_time IS NOT NULL AND te.duration > 0
+              AND te.end_time >= ? AND te.end_time <= ?
+              ${filterClause}
+            GROUP BY t.id
+            ORDER BY total_time DESC
+        `, params);
+    }
+
+    /**
+     * Get completed pomodoros per task for period (direct SQL aggregation)
+     * @param {number|null} tagId - Only pomodoros of task instances with this tag
+     * @returns {Promise<{total: number, byTask: Array<{task_id, task_name, count, focus_time}>}>}
+     */
+    async getPomodoroStatsForPeriod(dateRange, taskInstanceIds = null, tagId = null) {
+        const startStr = dateRange.startDate.format('%Y-%m-%d %H:%M:%S');
+        const endStr = dateRange.endDate.format('%Y-%m-%d %H:%M:%S');
+        const params = [startStr, endStr];
+
+        let filterClause = '';
+        if (taskInstanceIds && taskInstanceIds.length > 0) {
+            const placeholders = taskInstanceIds.map(() => '?').join(',');
+            filterClause = `AND po.task_instance_id IN (${placeholders})`;
+            params.push(...taskInstanceIds);
+        }
+        if (tagId) {
+            filterClause += ` AND EXISTS (SELECT 1 FROM TaskInstanceTag tit
+                                          WHERE tit.task_instance_id = po.task_instance_id AND tit.tag_id = ?)`;
+            params.push(tagId);
+        }
+
+        const byTask = await this.query(`
+            SELECT t.id as task_id, t.name as task_name,
+                   COUNT(po.id) as count,
+                   COALESCE(SUM(po.duration), 0) as focus_time
+            FROM Pomodoro po
+            INNER JOIN TaskInstance ti ON ti.id = po.task_instance_id
+            INNER JOIN Task t ON t.id = ti.task_id
+            WHERE po.completed_at >= ? AND po.completed_at <= ?
+              ${filterClause}
+            GROUP BY t.id
+            ORDER BY count DESC, t.name ASC
+        `, params);
+
+        return {
+            total: byTask.reduce((sum, row) => sum + (row.count || 0), 0),
+            byTask,
+        };
+    }
+
+    /**
+     * Get tracked time per day for period (direct SQL aggregation)
+     * @returns {Promise<Map<string, number>>} 'YYYY-MM-DD' -> seconds
+     */
+    async getDailyTotals(dateRange) {
         const startStr = dateRange.startDate.format('%Y-%m-%d %H:%M:%S');
         const endStr = dateRange.endDate.format('%Y-%m-%d %H:%M:%S');
 
         const rows = await this.query(`
-            SELECT DISTINCT task_instance_id
+            SELECT substr(end_time, 1, 10) as day,
+                   COALESCE(SUM(duration), 0) as total_time
             FROM TimeEntry
             WHERE end_time IS NOT NULL
               AND duration > 0
               AND end_time >= ?
               AND end_time <= ?
+            GROUP BY day
         `, [startStr, endStr]);
 
-        return rows.map(row => row.task_instance_id);
+        return new Map(rows.map(row => [row.day, row.total_time || 0]));
+    }
+
+    /**
+     * Get progress towards hour targets for today, this week (Monday to Sunday)
+     * and projects with a weekly target, including the running entry
+     * @param {Object} targets - {daily: hours per weekday Monday..Sunday, weekly: hours}, 0 = no target
+     * @returns {Promise<{dayKey, weekKey, day, week, projects}>} day/week null without target,
+     *          progress = {target, tracked, remaining, percent, reached} in seconds
+     */
+    async getTargetProgress(targets = {}) {
+        const now = new Date();
+        const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0);
+        const weekday = (now.getDay() + 6) % 7; // Monday = 0
+        const weekStart = new Date(dayStart);
+        weekStart.setDate(dayStart.getDate() - weekday);
+
+        const dayStartStr = TimeUtils.formatTimestampForDB(dayStart);
+        const weekStartStr = TimeUtils.formatTimestampForDB(weekStart);
+
+        const totals = await this.query(`
+            SELECT
+                COALESCE(SUM(CASE WHEN end_time >= ? THEN duration ELSE 0 END), 0) as day_time,
+                COALESCE(SUM(duration), 0) as week_time
+            FROM TimeEntry
+            WHERE end_time IS NOT NULL
+              AND duration > 0
+              AND end_time >= ?
+        `, [dayStartStr, weekStartStr]);
+
+        const projectRows = await this.query(`
+            SELECT p.id, p.name, p.target_hours,
+                   COALESCE(SUM(te.duration), 0) as week_time
+            FROM Project p
+            LEFT JOIN TaskInstance ti ON ti.project_id = p.id
+            LEFT JOIN TimeEntry te ON te.task_instance_id = ti.id
+                AND te.end_time IS NOT NULL
+                AND te.duration > 0
+                AND te.end_time >= ?
+            WHERE p.target_hours > 0
+            GROUP BY p.id
+            ORDER BY p.name
+        `, [weekStartStr]);
+
+        // Running entry is not in TimeEntry.duration yet
+        const tracking = this.state.getTrackingState();
+        const running = tracking.isTracking ? (tracking.elapsedSeconds || 0) : 0;
+
+        const dailyHours = Number((targets.daily || [])[weekday]) || 0;
+        const weeklyHours = Number(targets.weekly) || 0;
+
+        return {
+            dayKey: dayStartStr.substring(0, 10),
+            weekKey: weekStartStr.substring(0, 10),
+            day: dailyHours > 0
+                ? this._targetProgress(dailyHours, (totals[0]?.day_time || 0) + running)
+                : null,
+            week: weeklyHours > 0
+                ? this._targetProgress(weeklyHours, (totals[0]?.week_time || 0) + running)
+                : null,
+            projects: projectRows.map(row => ({
+                projectId: row.id,
+                projectName: row.name,
+                ...this._targetProgress(row.target_hours,
+                    row.week_time + (row.id === tracking.currentProjectId ? running : 0)),
+            })),
+        };
+    }
+
+    _targetProgress(targetHours, tracked) {
+        const target = Math.round(targetHours * 3600);
+        return {
+            target,
+            tracked,
+            remaining: Math.max(0, target - tracked),
+            percent: TimeUtils.calculateTimePercentage(tracked, target),
+            reached: tracked >= target,
+        };
+    }
+
+    /**
+     * SQL condition: time entry (alias) has tag, own or of its task instance
+     * Takes the tag ID twice as parameters
+     */
+    _tagCondition(alias) {
+        return `(EXISTS (SELECT 1 FROM TimeEntryTag tet WHERE tet.time_entry_id = ${alias}.id AND tet.tag_id = ?)
+              OR EXISTS (SELECT 1 FROM TaskInstanceTag tit WHERE tit.task_instance_id = ${alias}.task_instance_id AND tit.tag_id = ?))`;
     }
 }
@@ -0,0 +1,234 @@
+/**
+ * Tag Service
+ * Direct SQL, CacheService keeps an index of tags and task instance links
+ *
+ * Tags link many-to-many to TaskInstance (TaskInstanceTag)
+ * and TimeEntry (TimeEntryTag). Tags of an entry = its own tags + tags of its instance.
+ */
+import { BaseService } from './BaseService.js';
+import { CoreEvents } from '../events/CoreEvents.js';
+
+export class TagService extends BaseService {
+    constructor(core) {
+        super(core);
+    }
+
+    get cache() {
+        return this.core.services.cache;
+    }
+
+    /**
+     * Get all tags (reloads cache index from DB)
+     */
+    async getAll() {
+        return await this.cache.reloadTags();
+    }
+
+    /**
+     * Get tag by ID (direct SQL)
+     */
+    async getById(id) {
+        const rows = await this.query(`SELECT * FROM Tag WHERE id = ?`, [id]);
+        if (rows.length === 0) return null;
+        this.cache.setTag(rows[0]);
+        return rows[0];
+    }
+
+    /**
+     * Get tag by name (case-insensitive)
+     */
+    async getByName(name) {
+        const rows = await this.query(`SELECT * FROM Tag WHERE name = ? COLLATE NOCASE LIMIT 1`, [name]);
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    /**
+     * Create tag (returns existing tag ID if name is taken)
+     */
+    async create(input) {
+        const name = input?.name?.trim();
+        if (!name) {
+            throw new Error('Tag name is required');
+        }
+
+        const existing = await this.getByName(name);
+        if (existing) {
+            return existing.id;
+        }
+
+        const color = input.color || '#cccccc';
+        const tagId = await this.execute(
+            `INSERT INTO Tag (name, color, created_at) VALUES (?, ?, datetime('now'))`,
+            [name, color]
+        );
+
+        this.cache.setTag({ id: tagId, name, color });
+        this.events.emit(CoreEvents.TAG_CREATED, { id: tagId, name, color });
+        return tagId;
+    }
+
+    /**
+     * Find or create tag by name
+     */
+    async findOrCreate(name) {
+        const tagId = await this.create({ name });
+        return await this.getById(tagId);
+    }
+
+    /**
+     * Update tag (direct SQL)
+     */
+    async update(id, input) {
+        const tag = await this.getById(id);
+        if (!tag) {
+            throw new Error('Tag not found');
+        }
+
+        const updates = [];
+        const params = [];
+
+        if (input.name !== undefined) {
+            const name = input.name.trim();
+            if (!name) {
+                throw new Error('Tag name is required');
+            }
+            const existing = await this.getByName(name);
+            if (existing && existing.id !== id) {
+                throw new Error('Tag with this name already exists');
+            }
+            updates.push('name = ?');
+            params.push(name);
+        }
+        if (input.color !== undefined) {
+            updates.push('color = ?');
+            params.push(input.color);
+        }
+
+        if (updates.length === 0) return;
+
+        params.push(id);
+        await this.execute(`UPDATE Tag SET ${updates.join(', ')} WHERE id = ?`, params);
+
+        const rows = await this.query(`SELECT * FROM Tag WHERE id = ?`, [id]);
+        if (rows.length > 0) {
+            this.cache.setTag(rows[0]);
+        }
+        this.events.emit(CoreEvents.TAG_UPDATED, { id, ...input });
+    }
+
+    /**
+     * Delete tag and all its links (direct SQL)
+     */
+    async delete(id) {
+        await this.execute(`DELETE FROM TaskInstanceTag WHERE tag_id = ?`, [id]);
+        await this.execute(`DELETE FROM TimeEntryTag WHERE tag_id = ?`, [id]);
+        await this.execute(`DELETE FROM Tag WHERE id = ?`, [id]);
+
+        this.cache.deleteTag(id);
+        this.events.emit(CoreEvents.TAG_DELETED, { id });
+    }
+
+    /**
+     * Get tags of a task instance
+     */
+    async getTagsForTaskInstance(taskInstanceId) {
+        return await this.query(
+            `SELECT t.* FROM Tag t
+             JOIN TaskInstanceTag tit ON tit.tag_id = t.id
+             WHERE tit.task_instance_id = ?
+             ORDER BY t.name ASC`,
+            [taskInstanceId]
+        );
+    }
+
+    /**
+     * Replace tags of a task instance
+     */
+    async setTaskInstanceTags(taskInstanceId, tagIds) {
+        const ids = this._uniqueIds(tagIds);
+
+        await this.execute(`DELETE FROM TaskInstanceTag WHERE task_instance_id = ?`, [taskInstanceId]);
+        for (const tagId of ids) {
+            await this.execute(
+                `INSERT OR IGNORE INTO TaskInstanceTag (task_instance_id, tag_id) VALUES (?, ?)`,
+                [taskInstanceId, tagId]
+            );
+        }
+
+        this.cache.setTaskInstanceTags(taskInstanceId, ids);
+        this.events.emit(CoreEvents.TAGS_ASSIGNED, { taskInstanceId, tagIds: ids });
+    }
+
+    /**
+     * Get tags of a time entry (own tags only, without instance tags)
+     */
+    async getTagsForTimeEntry(timeEntryId) {
+        return await this.query(
+            `SELECT t.* FROM Tag t
+             JOIN TimeEntryTag tet ON tet.tag_id = t.id
+             WHERE tet.time_entry_id = ?
+             ORDER BY t.name ASC`,
+            [timeEntryId]
+        );
+    }
+
+    /**
+     * Replace tags of a time entry
+     */
+    async setTimeEntryTags(timeEntryId, tagIds) {
+        const ids = this._uniqueIds(tagIds);
+
+        await this.execute(`DELETE FROM TimeEntryTag WHERE time_entry_id = ?`, [timeEntryId]);
+        for (const tagId of ids) {
+            await this.execute(
+                `INSERT OR IGNORE INTO TimeEntryTag (time_entry_id, tag_id) VALUES (?, ?)`,
+                [timeEntryId, tagId]
+            );
+        }
+
+        this.events.emit(CoreEvents.TAGS_ASSIGNED, { timeEntryId, tagIds: ids });
+    }
+
+    /**
+     * Get tag IDs per time entry, including tags of the entry's task instance
+     * @param {number[]|null} timeEntryIds - Limit to these entries (null = all)
+     * @returns {Map<string, number[]>} entry ID -> tag IDs
+     */
+    async getTagIdsByTimeEntry(timeEntryIds = null) {
+        const result = new Map();
+        if (timeEntryIds && timeEntryIds.length === 0) return result;
+
+        let entryFilter = '';
+        const params = [];
+        if (timeEntryIds) {
+            const placeholders = timeEntryIds.map(() => '?').join(',');
+            entryFilter = `WHERE link.time_entry_id IN (${placeholders})`;
+            params.push(...timeEntryIds);
+        }
+
+        // UNION removes duplicates when the same tag is on entry and instance
+        const rows = await this.query(`
+            SELECT link.time_entry_id, link.tag_id FROM (
+                SELECT time_entry_id, tag_id FROM TimeEntryTag
+                UNION
+                SELECT te.id as time_entry_id, tit.tag_id
+                FROM TaskInstanceTag tit
+                JOIN TimeEntry te ON te.task_instance_id = tit.task_instance_id
+            ) link
+            ${entryFilter}
+        `, params);
+
+        rows.forEach(row => {
+            const key = String(row.time_entry_id);
+            if (!result.has(key)) {
+                result.set(key, []);
+            }
+            result.get(key).push(row.tag_id);
+        });
+        return result;
+    }
+
+    _uniqueIds(ids) {
+        return [...new Set((ids || []).map(id => Number(id)).filter(id => id > 0))];
+    }
+}
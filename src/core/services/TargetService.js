@@ -0,0 +1,158 @@
+/**
+ * Target Service
+ * Hour targets per weekday, per week and per project (weekly)
+ *
+ * Progress is recalculated while tracking and whenever tracked time changes.
+ * TARGET_REACHED is emitted once per target and period, targets that were already
+ * reached when the targets were set (e.g. on startup) are not reported again.
+ */
+import { BaseService } from './BaseService.js';
+import { CoreEvents } from '../events/CoreEvents.js';
+
+export class TargetService extends BaseService {
+    constructor(core) {
+        super(core);
+
+        this.targets = {
+            daily: [0, 0, 0, 0, 0, 0, 0], // hours, Monday..Sunday
+            weekly: 0,
+        };
+        this.checkInterval = 30; // seconds between checks while tracking
+
+        this._progress = null;
+        this._lastCheck = 0;
+        this._checking = false;
+        this._recheck = false;
+        this._baseline = true; // next check only records reached targets
+        this._notified = new Set(); // "kind:periodKey[:projectId]"
+
+        this._subscribeToEvents();
+    }
+
+    /**
+     * Set daily and weekly targets in hours (0 = no target)
+     * @param {Object} targets - {daily: [7 values, Monday..Sunday], weekly}
+     */
+    setTargets(targets = {}) {
+        const hours = value => Number(value) > 0 ? Number(value) : 0;
+        const daily = Array.isArray(targets.daily) ? targets.daily : [];
+
+        this.targets = {
+            daily: Array.from({ length: 7 }, (_, index) => hours(daily[index])),
+            weekly: hours(targets.weekly),
+        };
+        this._baseline = true;
+        this.check().catch(error => {
+            console.error('[TargetService] Check failed:', error);
+        });
+    }
+
+    getTargets() {
+        return {
+            daily: [...this.targets.daily],
+            weekly: this.targets.weekly,
+        };
+    }
+
+    /**
+     * Get current progress (see StatsService.getTargetProgress)
+     */
+    async getProgress() {
+        return await this.core.services.stats.getTargetProgress(this.targets);
+    }
+
+    /**
+     * Last calculated progress, null before the first check
+     */
+    getLastProgress() {
+        return this._progress;
+    }
+
+    _subscribeToEvents() {
+        const checkNow = () => {
+            this.check().catch(error => {
+                console.error('[TargetService] Check failed:', error);
+            });
+        };
+
+        this._handlers = {
+            [CoreEvents.GLOBAL_TIMER_TICK]: () => {
+                const now = Date.now();
+                if (now - this._lastCheck < this.checkInterval * 1000) return;
+                checkNow();
+            },
+            [CoreEvents.TRACKING_STARTED]: checkNow,
+            [CoreEvents.TRACKING_STOPPED]: checkNow,
+            [CoreEvents.TIME_ENTRY_CREATED]: checkNow,
+            [CoreEvents.TIME_ENTRY_UPDATED]: checkNow,
+            [CoreEvents.TIME_ENTRY_DELETED]: checkNow,
+            // Project target changed - report it again when reached
+            [CoreEvents.PROJECT_UPDATED]: (data) => {
+                if (!data?.id || data.target_hours === undefined) return;
+                const suffix = `:${data.id}`;
+                [...this._notified].forEach(key => {
+                    if (key.startsWith('project:') && key.endsWith(suffix)) this._notified.delete(key);
+                });
+                checkNow();
+            },
+            [CoreEvents.PROJECT_DELETED]: checkNow,
+        };
+        Object.keys(this._handlers).forEach(event => {
+            this.events.on(event, this._handlers[event]);
+        });
+    }
+
+    /**
+     * Recalculate progress, emit TARGET_PROGRESS_UPDATED and TARGET_REACHED
+     * Called on timer ticks and data changes, can be called directly
+     */
+    async check() {
+        if (this._checking) {
+            this._recheck = true;
+            return;
+        }
+
+        this._checking = true;
+        this._lastCheck = Date.now();
+        try {
+            const progress = await this.getProgress();
+            this._progress = progress;
+            this.events.emit(CoreEvents.TARGET_PROGRESS_UPDATED, progress);
+
+            const reached = [];
+            if (progress.day?.reached) {
+                reached.push({ kind: 'day', key: `day:${progress.dayKey}`, ...progress.day });
+            }
+            if (progress.week?.reached) {
+                reached.push({ kind: 'week', key: `week:${progress.weekKey}`, ...progress.week });
+            }
+            progress.projects.filter(project => project.reached).forEach(project => {
+                reached.push({ kind: 'project', key: `project:${progress.weekKey}:${project.projectId}`, ...project });
+            });
+
+            const baseline = this._baseline;
+            this._baseline = false;
+            reached.forEach(({ key, ...target }) => {
+                if (this._notified.has(key)) return;
+                this._notified.add(key);
+                if (!baseline) {
+                    this.events.emit(CoreEvents.TARGET_REACHED, target);
+                }
+            });
+        } finally {
+            this._checking = false;
+        }
+
+        if (this._recheck) {
+            this._recheck = false;
+            await this.check();
+        }
+    }
+
+    destroy() {
+        Object.keys(this._handlers).forEach(event => {
+            this.events.off(event, this._handlers[event]);
+        });
+        this._notified.clear();
+    }
+}
@@ -4,6 +4,8 @@
  */
 import { BaseService } from './BaseService.js';
 import { TimeUtils } from '../utils/TimeUtils.js';
+import { BillingUtils } from '../utils/BillingUtils.js';
+import { RoundingUtils } from '../utils/RoundingUtils.js';
 
 export class TaskInstanceService extends BaseService {
     constructor(coreAPI) {
@@ -52,9 +54,19 @@ export class TaskInstanceService extends BaseService {
      */
     async getView(id) {
         const sql = `
-            SELECT ti.*, t.name as task_name, p.name as project_name, p.color as project_color,
+            SELECT ti.*, t.name as task_name, t.parent_id as task_parent_id, p.name as project_name, p.color as project_color,
                    c.name as client_name, c.rate as client_rate, c.currency as client_currency,
-                   COUNT(te.id) as entry_count
+                   ${BillingUtils.rateSql('ti', 'p', 'c')} as effective_rate,
+                   ${BillingUtils.currencySql('ti', 'p', 'c')} as effective_currency,
+                   COUNT(te.id) as entry_count,
+                   GROUP_CONCAT(NULLIF(te.description, ''), char(10)) as entry_descriptions,
+                   COALESCE(SUM(CASE WHEN te.end_time IS NOT NULL AND ${BillingUtils.billableSql('te', 'ti')} = 1
+                                     THEN te.duration ELSE 0 END), 0) as billable_time,
+                   (SELECT GROUP_CONCAT(tit.tag_id) FROM TaskInstanceTag tit
+                    WHERE tit.task_instance_id = ti.id) as tag_ids,
+                   (SELECT GROUP_CONCAT(DISTINCT tet.tag_id) FROM TimeEntryTag tet
+                    JOIN TimeEntry e ON e.id = tet.time_entry_id
+                    WHERE e.task_instance_id = ti.id) as entry_tag_ids
             FROM TaskInstance ti
             JOIN Task t ON t.id = ti.task_id
             LEFT JOIN Project p ON p.id = ti.project_id
@@ -96,9 +108,19 @@ export class TaskInstanceService extends BaseService {
         if (options?.sortBy === 'name') orderBy = 't.name ASC';
 
         const sql = `
-            SELECT ti.*, t.name as task_name, p.name as project_name, p.color as project_color,
+            SELECT ti.*, t.name as task_name, t.parent_id as task_parent_id, p.name as project_name, p.color as project_color,
                    c.name as client_name, c.rate as client_rate, c.currency as client_currency,
-                   COUNT(te.id) as entry_count
+                   ${BillingUtils.rateSql('ti', 'p', 'c')} as effective_rate,
+                   ${BillingUtils.currencySql('ti', 'p', 'c')} as effective_currency,
+                   COUNT(te.id) as entry_count,
+                   GROUP_CONCAT(NULLIF(te.description, ''), char(10)) as entry_descriptions,
+                   COALESCE(SUM(CASE WHEN te.end_time IS NOT NULL AND ${BillingUtils.billableSql('te', 'ti')} = 1
+                                     THEN te.duration ELSE 0 END), 0) as billable_time,
+                   (SELECT GROUP_CONCAT(tit.tag_id) FROM TaskInstanceTag tit
+                    WHERE tit.task_instance_id = ti.id) as tag_ids,
+                   (SELECT GROUP_CONCAT(DISTINCT tet.tag_id) FROM TimeEntryTag tet
+                    JOIN TimeEntry e ON e.id = tet.time_entry_id
+                    WHERE e.task_instance_id = ti.id) as entry_tag_ids
             FROM TaskInstance ti
             JOIN Task t ON t.id = ti.task_id
             LEFT JOIN Project p ON p.id = ti.project_id
@@ -117,11 +139,11 @@ export class TaskInstanceService extends BaseService {
      */
     async create(data) {
         const now = TimeUtils.getCurrentTimestamp();
-        const instanceId = await this.execute(
+        const instanceId = await this.recordChange('Create task', [], () => this.execute(
             `INSERT INTO TaskInstance (task_id, project_id, client_id, last_used_at, created_at)
              VALUES (?, ?, ?, ?, ?)`,
             [data.task_id, data.project_id || null, data.client_id || null, now, now]
-        );
+        ), id => [{ table: 'TaskInstance', where: 'id = ?', params: [id] }]);
         return await this.getById(instanceId);
     }
 
@@ -158,14 +180,55 @@ export class TaskInstanceService extends BaseService {
             }
         }
 
-        const instanceId = await this.execute(
+        const instanceId = await this.recordChange('Restore task', [], () => this.execute(
             `INSERT INTO TaskInstance (task_id, project_id, client_id, total_time, last_used_at, created_at, updated_at)
              VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
             [data.task_id, validProjectId, validClientId, data.total_time || 0, data.last_used_at]
-        );
+        ), id => [{ table: 'TaskInstance', where: 'id = ?', params: [id] }]);
         return await this.getById(instanceId);
     }
 
+    /**
+     * Get effective hourly rate of an instance (task -> project -> client)
+     * @returns {Promise<{rate: number, currency: string}>}
+     */
+    async getEffectiveRate(id) {
+        const rows = await this.query(`
+            SELECT ${BillingUtils.rateSql('ti', 'p', 'c')} as rate,
+                   ${BillingUtils.currencySql('ti', 'p', 'c')} as currency
+            FROM TaskInstance ti
+            LEFT JOIN Project p ON p.id = ti.project_id
+            LEFT JOIN Client c ON c.id = ti.client_id
+            WHERE ti.id = ?
+        `, [id]);
+        if (rows.length === 0) return { rate: 0, currency: 'EUR' };
+        return { rate: rows[0].rate || 0, currency: rows[0].currency || 'EUR' };
+    }
+
+    /**
+     * Get billed time per instance: billable time with client/project rounding rules applied
+     * @returns {Promise<Map<number, number>>} instance ID -> billed seconds
+     */
+    async getBilledTimes() {
+        const rows = await this.query(`
+            SELECT te.id, te.task_instance_id, te.start_time, te.duration, ti.project_id, ti.client_id,
+                   ${RoundingUtils.columnsSql('p', 'c')}
+            FROM TimeEntry te
+            INNER JOIN TaskInstance ti ON ti.id = te.task_instance_id
+            LEFT JOIN Project p ON p.id = ti.project_id
+            LEFT JOIN Client c ON c.id = ti.client_id
+            WHERE te.end_time IS NOT NULL
+              AND ${BillingUtils.billableSql('te', 'ti')} = 1
+            ORDER BY te.start_time ASC
+        `);
+        const billed = RoundingUtils.roundRows(rows);
+        const result = new Map();
+        rows.forEach(row => {
+            result.set(row.task_instance_id, (result.get(row.task_instance_id) || 0) + (billed.get(row.id) || 0));
+        });
+        return result;
+    }
+
     /**
      * Update instance (direct SQL)
      */
@@ -197,20 +260,40 @@ export class TaskInstanceService extends BaseService {
             updates.push('is_favorite = ?');
             params.push(data.is_favorite ? 1 : 0);
         }
+        if (data.billable !== undefined) {
+            // null = inherit from project
+            updates.push('billable = ?');
+            params.push(BillingUtils.toDbFlag(data.billable));
+        }
+        if (data.rate !== undefined) {
+            // null = inherit from project/client
+            updates.push('rate = ?');
+            params.push(data.rate);
+        }
+        if (data.currency !== undefined) {
+            updates.push('currency = ?');
+            params.push(data.currency || null);
+        }
 
         if (updates.length === 0) return await this.getById(id);
 
         updates.push("updated_at = datetime('now')");
         params.push(id);
 
-        await this.execute(`UPDATE TaskInstance SET ${updates.join(', ')} WHERE id = ?`, params);
+        await this.recordChange('Edit task', [{ table: 'TaskInstance', where: 'id = ?', params: [id] }],
+            () => this.execute(`UPDATE TaskInstance SET ${updates.join(', ')} WHERE id = ?`, params));
         return await this.getById(id);
     }
 
     /**
      * Update with tracking sync (direct SQL)
+     * Task lookup/creation and instance update undo as one step
      */
     async updateWithTrackingSync(id, data, newTaskName = null) {
+        return await this.recordChange('Edit task', [], () => this._updateWithTrackingSync(id, data, newTaskName));
+    }
+
+    async _updateWithTrackingSync(id, data, newTaskName) {
         const currentInstance = await this.getById(id);
         if (!currentInstance) {
             throw new Error(`TaskInstance ${id} not found`);
@@ -241,6 +324,9 @@ export class TaskInstanceService extends BaseService {
             const nonTrackingFields = {};
             if (data.last_used_at !== undefined) nonTrackingFields.last_used_at = data.last_used_at;
             if (data.is_favorite !== undefined) nonTrackingFields.is_favorite = data.is_favorite;
+            if (data.billable !== undefined) nonTrackingFields.billable = data.billable;
+            if (data.rate !== undefined) nonTrackingFields.rate = data.rate;
+            if (data.currency !== undefined) nonTrackingFields.currency = data.currency;
             if (data.total_time !== undefined) nonTrackingFields.total_time = data.total_time;
 
             if (Object.keys(nonTrackingFields).length > 0) {
@@ -279,6 +365,13 @@ export class TaskInstanceService extends BaseService {
             `UPDATE TaskInstance SET total_time = ?, updated_at = datetime('now') WHERE id = ?`,
             [totalTime, id]
         );
+
+        // Keep cached instance in sync (already written, not dirty)
+        const cached = this.core.services?.cache?.getTaskInstance(id);
+        if (cached) {
+            cached.total_time = totalTime;
+        }
+        return totalTime;
     }
 
     /**
@@ -293,7 +386,16 @@ export class TaskInstanceService extends BaseService {
      * Delete instance (direct SQL)
      */
     async delete(id) {
-        await this.execute(`DELETE FROM TaskInstance WHERE id = ?`, [id]);
+        await this.recordChange('Delete task', [
+            { table: 'TaskInstance', where: 'id = ?', params: [id] },
+            { table: 'TaskInstanceTag', where: 'task_instance_id = ?', params: [id] },
+            { table: 'Pomodoro', where: 'task_instance_id = ?', params: [id] },
+        ], async () => {
+            await this.execute(`DELETE FROM TaskInstanceTag WHERE task_instance_id = ?`, [id]);
+            await this.execute(`DELETE FROM Pomodoro WHERE task_instance_id = ?`, [id]);
+            await this.execute(`DELETE FROM TaskInstance WHERE id = ?`, [id]);
+        });
+        this.core.services.cache.setTaskInstanceTags(id, []);
     }
 
     /**
@@ -327,6 +429,9 @@ export class TaskInstanceService extends BaseService {
             total_time: row.total_time || 0,
             last_used_at: row.last_used_at,
             is_favorite: Boolean(row.is_favorite),
+            billable: BillingUtils.fromDbFlag(row.billable), // null = project default
+            rate: row.rate ?? null,                           // null = project/client rate
+            currency: row.currency || null,
             created_at: row.created_at,
             updated_at: row.updated_at,
         };
@@ -341,12 +446,28 @@ export class TaskInstanceService extends BaseService {
         const model = this.mapToModel(row);
         // Add view properties directly to same object (no spread, no new object)
         model.task_name = row.task_name;
+        model.task_parent_id = row.task_parent_id || null; // Parent task, null = top-level
         model.project_name = row.project_name || null;
         model.project_color = row.project_color || null;
         model.client_name = row.client_name || null;
         model.client_rate = row.client_rate || 0;
         model.client_currency = row.client_currency || 'EUR';
+        model.effective_rate = row.effective_rate || 0;         // task -> project -> client
+        model.effective_currency = row.effective_currency || 'EUR';
         model.entry_count = row.entry_count || 0;
+        model.entry_descriptions = row.entry_descriptions || ''; // Newline separated
+        model.billable_time = row.billable_time || 0;
+        model.non_billable_time = Math.max(0, model.total_time - model.billable_time);
+        model.tag_ids = this._parseIdList(row.tag_ids);             // Tags of this instance
+        model.entry_tag_ids = this._parseIdList(row.entry_tag_ids); // Tags of its time entries
         return model; // Return same object, not a copy
     }
+
+    /**
+     * Parse GROUP_CONCAT id list ("1,4,7") to numbers
+     */
+    _parseIdList(value) {
+        if (!value) return [];
+        return String(value).split(',').map(id => Number(id)).filter(id => id > 0);
+    }
 }
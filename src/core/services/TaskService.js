@@ -38,6 +38,7 @@ export class TaskService extends BaseService {
 
     /**
      * Create task (direct SQL)
+     * @param {{name: string, parent_id?: number}} input - parent_id only applies to new tasks
      */
     async create(input) {
         if (!input || !input.name || typeof input.name !== 'string' || input.name.trim() === '') {
@@ -51,10 +52,10 @@ export class TaskService extends BaseService {
         }
 
         // Create (direct SQL)
-        const taskId = await this.execute(
-            `INSERT INTO Task (name, created_at, updated_at) VALUES (?, datetime('now'), datetime('now'))`,
-            [input.name]
-        );
+        const taskId = await this.recordChange('Create task', [], () => this.execute(
+            `INSERT INTO Task (name, parent_id, created_at, updated_at) VALUES (?, ?, datetime('now'), datetime('now'))`,
+            [input.name, input.parent_id || null]
+        ), id => [{ table: 'Task', where: 'id = ?', params: [id] }]);
 
         this.events.emit(CoreEvents.TASK_CREATED, { id: taskId, ...input });
         return taskId;
@@ -66,22 +67,89 @@ export class TaskService extends BaseService {
     async update(id, input) {
         if (input.name === undefined) return;
 
-        await this.execute(
+        await this.recordChange('Rename task', [{ table: 'Task', where: 'id = ?', params: [id] }], () => this.execute(
             `UPDATE Task SET name = ?, updated_at = datetime('now') WHERE id = ?`,
             [input.name, id]
-        );
+        ));
 
         this.events.emit(CoreEvents.TASK_UPDATED, { id, ...input });
     }
 
     /**
      * Delete task (direct SQL)
+     * Its subtasks become top-level tasks
      */
     async delete(id) {
-        await this.execute(`DELETE FROM Task WHERE id = ?`, [id]);
+        await this.recordChange('Delete task', [
+            { table: 'Task', where: 'id = ? OR parent_id = ?', params: [id, id] },
+        ], async () => {
+            await this.execute(`UPDATE Task SET parent_id = NULL WHERE parent_id = ?`, [id]);
+            await this.execute(`DELETE FROM Task WHERE id = ?`, [id]);
+        });
         this.events.emit(CoreEvents.TASK_DELETED, { id });
     }
 
+    /**
+     * Move task under a parent task (direct SQL)
+     * @param {number} id
+     * @param {number|null} parentId - null = top-level task
+     */
+    async setParent(id, parentId = null) {
+        if (parentId !== null) {
+            if (parentId === id) {
+                throw new Error('A task cannot be its own subtask');
+            }
+            // Parent must not be the task itself or one of its subtasks
+            const ancestors = await this.query(`
+                WITH RECURSIVE ancestor(id) AS (
+                    SELECT ?
+                    UNION
+                    SELECT t.parent_id FROM Task t JOIN ancestor a ON t.id = a.id WHERE t.parent_id IS NOT NULL
+                )
+                SELECT id FROM ancestor
+            `, [parentId]);
+            if (ancestors.some(row => row.id === id)) {
+                throw new Error('A task cannot be moved under its own subtask');
+            }
+        }
+
+        await this.recordChange('Move task', [{ table: 'Task', where: 'id = ?', params: [id] }], () => this.execute(
+            `UPDATE Task SET parent_id = ?, updated_at = datetime('now') WHERE id = ?`,
+            [parentId, id]
+        ));
+
+        this.events.emit(CoreEvents.TASK_UPDATED, { id, parent_id: parentId });
+    }
+
+    /**
+     * Get subtasks with the name of their parent (direct SQL)
+     * @param {number|null} parentId - null = subtasks of all tasks
+     */
+    async getSubtasks(parentId = null) {
+        return await this.query(`
+            SELECT t.*, p.name as parent_name
+            FROM Task t
+            JOIN Task p ON p.id = t.parent_id
+            ${parentId === null ? '' : 'WHERE t.parent_id = ?'}
+            ORDER BY p.name ASC, t.name ASC
+        `, parentId === null ? [] : [parentId]);
+    }
+
+    /**
+     * Find or create task and move it under a parent task
+     */
+    async findOrCreateSubtask(name, parentId) {
+        const existing = await this.getByName(name);
+        if (!existing) {
+            const id = await this.create({ name, parent_id: parentId });
+            return await this.getById(id);
+        }
+        if (existing.parent_id !== parentId) {
+            await this.setParent(existing.id, parentId);
+        }
+        return await this.getById(existing.id);
+    }
+
     /**
      * Search tasks (direct SQL)
      */
@@ -153,11 +221,12 @@ export class TaskService extends BaseService {
 
     /**
      * Cleanup orphaned tasks (direct SQL)
+     * Parent tasks stay while they have subtasks
      */
     async cleanupOrphanedTasks() {
-        await this.execute(`
-            DELETE FROM Task
-            WHERE id NOT IN (SELECT DISTINCT task_id FROM TaskInstance)
-        `);
+        const orphaned = `id NOT IN (SELECT DISTINCT task_id FROM TaskInstance)
+            AND id NOT IN (SELECT parent_id FROM Task WHERE parent_id IS NOT NULL)`;
+        await this.recordChange('Delete unused tasks', [{ table: 'Task', where: orphaned }],
+            () => this.execute(`DELETE FROM Task WHERE ${orphaned}`));
     }
 }
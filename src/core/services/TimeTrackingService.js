@@ -5,6 +5,7 @@
 import { BaseService } from './BaseService.js';
 import { CoreEvents } from '../events/CoreEvents.js';
 import { TimeUtils } from '../utils/TimeUtils.js';
+import { BillingUtils } from '../utils/BillingUtils.js';
 import { GlobalTimer } from './GlobalTimer.js';
 
 export class TimeTrackingService extends BaseService {
@@ -26,9 +27,9 @@ export class TimeTrackingService extends BaseService {
      * Simple: stop current if tracking, create instance and entry, update state
      */
     async start(taskId, projectId = null, clientId = null, pomodoroMode = false, pomodoroDuration = 0) {
-        // Stop if already tracking
+        // Stop if already tracking (a paused session is ended too)
         const tracking = this.state.state.tracking;
-        if (tracking.isTracking) {
+        if (tracking.isTracking || tracking.isPaused) {
             await this.stop();
         }
 
@@ -70,50 +71,55 @@ export class TimeTrackingService extends BaseService {
             taskRows.length = 0;
         }
 
-        // Check saved time from crash
+        // Close session left over from crash at its last save before closing abandoned entries,
+        // its time stays in its own entry instead of being carried into the new one
         const persistence = this.core.services.persistence;
-        const savedTime = persistence ? persistence.getSavedTimeForTask(taskId, validProjectId, validClientId) : 0;
+        if (persistence && persistence.getPendingSession()) {
+            await persistence.closeSession();
+        }
 
         // Close abandoned entries (simple SQL)
         try {
-            await this.execute(
-                `UPDATE TimeEntry SET duration = MAX(1, CAST((julianday('now') - julianday(start_time)) * 86400 AS INTEGER))
-                 WHERE task_instance_id IN (SELECT id FROM TaskInstance WHERE task_id = ? AND project_id = ? AND client_id = ?)
-                 AND end_time IS NULL`,
-                [taskId, validProjectId, validClientId]
-            );
-            await this.execute(
-                `UPDATE TimeEntry SET end_time = datetime(start_time, '+' || CAST(duration AS TEXT) || ' seconds')
-                 WHERE task_instance_id IN (SELECT id FROM TaskInstance WHERE task_id = ? AND project_id = ? AND client_id = ?)
-                 AND end_time IS NULL`,
-                [taskId, validProjectId, validClientId]
-            );
+            const abandoned = `task_instance_id IN (SELECT id FROM TaskInstance WHERE task_id = ? AND project_id = ? AND client_id = ?)
+                 AND end_time IS NULL`;
+            const abandonedScope = [{ table: 'TimeEntry', where: abandoned, params: [taskId, validProjectId, validClientId] }];
+            await this.recordHistory({ source: 'tracking', label: 'Close abandoned entry' }, abandonedScope, async () => {
+                await this.execute(
+                    `UPDATE TimeEntry SET duration = MAX(1, CAST((julianday('now') - julianday(start_time)) * 86400 AS INTEGER))
+                     WHERE ${abandoned}`,
+                    [taskId, validProjectId, validClientId]
+                );
+                await this.execute(
+                    `UPDATE TimeEntry SET end_time = datetime(start_time, '+' || CAST(duration AS TEXT) || ' seconds')
+                     WHERE ${abandoned}`,
+                    [taskId, validProjectId, validClientId]
+                );
+            });
         } catch (error) {
         }
 
-        // Create TaskInstance (direct SQL)
-        const now = TimeUtils.getCurrentTimestamp();
-        const instanceId = await this.execute(
-            `INSERT INTO TaskInstance (task_id, project_id, client_id, last_used_at, created_at)
-             VALUES (?, ?, ?, ?, ?)`,
-            [taskId, validProjectId, validClientId, now, now]
-        );
-
-        // Create TimeEntry (direct SQL)
+        // Create TaskInstance and TimeEntry (direct SQL)
         // CRITICAL: Save startTime as timestamp (milliseconds) for precise calculation
         // Store both string (for DB) and timestamp (for state) to avoid precision loss
+        const now = TimeUtils.getCurrentTimestamp();
         const startTimeString = TimeUtils.getCurrentTimestamp();
         const startTimeTimestamp = Date.now(); // Precise timestamp with milliseconds
-        const entryId = await this.execute(
-            `INSERT INTO TimeEntry (task_instance_id, start_time, end_time, duration, created_at)
-             VALUES (?, ?, NULL, 0, ?)`,
-            [instanceId, startTimeString, now]
-        );
-
-        // Clear saved time if exists
-        if (savedTime > 0 && persistence) {
-            persistence.clearSavedTime();
-        }
+        const { instanceId, entryId } = await this.recordHistory({ source: 'tracking', label: 'Start tracking' }, [], async () => {
+            const instanceId = await this.execute(
+                `INSERT INTO TaskInstance (task_id, project_id, client_id, last_used_at, created_at)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [taskId, validProjectId, validClientId, now, now]
+            );
+            const entryId = await this.execute(
+                `INSERT INTO TimeEntry (task_instance_id, start_time, end_time, duration, created_at)
+                 VALUES (?, ?, NULL, 0, ?)`,
+                [instanceId, startTimeString, now]
+            );
+            return { instanceId, entryId };
+        }, ({ instanceId, entryId }) => [
+            { table: 'TaskInstance', where: 'id = ?', params: [instanceId] },
+            { table: 'TimeEntry', where: 'id = ?', params: [entryId] },
+        ]);
 
         // Update state (single object)
         // CRITICAL: Store timestamp (milliseconds) in state for precise elapsed calculation
@@ -125,7 +131,10 @@ export class TimeTrackingService extends BaseService {
             currentProjectId: validProjectId,
             currentClientId: validClientId,
             startTime: startTimeTimestamp, // Store as timestamp, not string
-            savedTimeFromCrash: savedTime,
+            savedTimeFromCrash: 0,
+            isPaused: false,
+            pausedTaskInstanceId: null,
+            sessionSeconds: 0,
             pomodoroMode: pomodoroMode,
             pomodoroDuration: pomodoroDuration,
             pomodoroRemaining: pomodoroDuration,
@@ -155,6 +164,10 @@ export class TimeTrackingService extends BaseService {
      */
     async stop() {
         const tracking = this.state.state.tracking;
+        if (tracking.isPaused) {
+            // Paused session has no open TimeEntry - just end it
+            return await this._endPausedSession();
+        }
         if (!tracking.isTracking || !tracking.currentTaskId) {
             throw new Error('Not tracking');
         }
@@ -230,12 +243,16 @@ export class TimeTrackingService extends BaseService {
                     updated = true; // Mark as handled to skip fallback
                 } else {
                     // Update TimeEntry (no verify - trust SQL)
-                    await this.execute(
-                        `UPDATE TimeEntry 
-                         SET end_time = datetime(start_time, '+' || CAST(? AS TEXT) || ' seconds'),
-                             duration = ?
-                         WHERE id = ?`,
-                        [duration, duration, tracking.currentTimeEntryId]
+                    await this.recordHistory(
+                        { source: 'tracking', label: 'Stop tracking' },
+                        [{ table: 'TimeEntry', where: 'id = ?', params: [tracking.currentTimeEntryId] }],
+                        () => this.execute(
+                            `UPDATE TimeEntry 
+                             SET end_time = datetime(start_time, '+' || CAST(? AS TEXT) || ' seconds'),
+                                 duration = ?
+                             WHERE id = ?`,
+                            [duration, duration, tracking.currentTimeEntryId]
+                        )
                     );
 
                     // Get instance ID (single query, no verify)
@@ -293,12 +310,16 @@ export class TimeTrackingService extends BaseService {
                         const lastEntryId = lastEntryRow[0].id;
                         
                         // Now update using the specific ID
-                        await this.execute(
-                            `UPDATE TimeEntry 
-                             SET end_time = datetime(start_time, '+' || CAST(? AS TEXT) || ' seconds'),
-                                 duration = ?
-                             WHERE id = ?`,
-                            [duration, duration, lastEntryId]
+                        await this.recordHistory(
+                            { source: 'tracking', label: 'Stop tracking' },
+                            [{ table: 'TimeEntry', where: 'id = ?', params: [lastEntryId] }],
+                            () => this.execute(
+                                `UPDATE TimeEntry 
+                                 SET end_time = datetime(start_time, '+' || CAST(? AS TEXT) || ' seconds'),
+                                     duration = ?
+                                 WHERE id = ?`,
+                                [duration, duration, lastEntryId]
+                            )
                         );
                         
                         // OPTIMIZED: Update total_time in single query (no separate SELECT)
@@ -342,6 +363,9 @@ export class TimeTrackingService extends BaseService {
             currentClientId: null,
             startTime: null,
             savedTimeFromCrash: 0,
+            isPaused: false,
+            pausedTaskInstanceId: null,
+            sessionSeconds: 0,
             pomodoroMode: false,
             pomodoroDuration: 0,
             pomodoroRemaining: 0,
@@ -365,7 +389,9 @@ export class TimeTrackingService extends BaseService {
             clientId: savedTrackingData.clientId,
             startTime: savedTrackingData.startTime,
             duration: duration, // CRITICAL: This is the saved duration, guaranteed >= 1
+            pomodoroCompleted: this._pomodoroFinished === true, // Pomodoro ran to the end (not stopped by user)
         };
+        this._pomodoroFinished = false;
         
         this.events.emit(CoreEvents.TRACKING_STOPPED, eventData);
         
@@ -401,8 +427,19 @@ export class TimeTrackingService extends BaseService {
     /**
      * Update time entry
      * Simple: ensure end_time > start_time via SQL
+     * @param {string} overlapMode - New start/end of a completed entry: 'keep' (save as is),
+     *   'trim' (longest part free of other sessions), 'split' (every free part, see addPastEntry)
      */
-    async updateTimeEntry(id, input) {
+    async updateTimeEntry(id, input, overlapMode = 'keep') {
+        if (overlapMode !== 'keep') {
+            return await this._updateTimeEntryFreeTime(id, input, overlapMode);
+        }
+
+        // Description stays editable on invoiced entries, billed time and rate do not
+        if (['start_time', 'end_time', 'duration', 'billable'].some(field => input[field] !== undefined)) {
+            this._checkNotInvoiced(await this.query(`SELECT invoice_id FROM TimeEntry WHERE id = ?`, [id]));
+        }
+
         const updates = [];
         const params = [];
 
@@ -434,10 +471,22 @@ export class TimeTrackingService extends BaseService {
             params.push(duration);
         }
 
+        if (input.description !== undefined) {
+            updates.push('description = ?');
+            params.push((input.description || '').trim());
+        }
+
+        if (input.billable !== undefined) {
+            // null = inherit from task instance / project
+            updates.push('billable = ?');
+            params.push(BillingUtils.toDbFlag(input.billable));
+        }
+
         if (updates.length === 0) return;
 
         params.push(id);
-        await this.execute(`UPDATE TimeEntry SET ${updates.join(', ')} WHERE id = ?`, params);
+        await this.recordChange('Edit time entry', [{ table: 'TimeEntry', where: 'id = ?', params: [id] }],
+            () => this.execute(`UPDATE TimeEntry SET ${updates.join(', ')} WHERE id = ?`, params));
 
         // Remove from cache if completed
         if (input.end_time !== undefined && this.core.services?.cache) {
@@ -471,16 +520,438 @@ export class TimeTrackingService extends BaseService {
     }
 
     /**
-     * Create time entry
+     * Find time entries overlapping a time range
+     * Completed entries and the running session (up to now) are checked
+     * @param {Date|string} startTime - Range start (Date or DB timestamp)
+     * @param {Date|string} endTime - Range end (Date or DB timestamp)
+     * @param {number|null} excludeEntryId - Entry being edited
+     * @returns {Promise<Array>} Overlapping entries with task_name and is_running, oldest first
      */
-    async createTimeEntry(input) {
-        const entryId = await this.execute(
-            `INSERT INTO TimeEntry (task_instance_id, start_time, end_time, duration, created_at)
-             VALUES (?, ?, NULL, 0, datetime('now'))`,
-            [input.task_instance_id, input.start_time]
+    async findOverlaps(startTime, endTime, excludeEntryId = null) {
+        const start = this._toDbTimestamp(startTime);
+        const end = this._toDbTimestamp(endTime);
+        const now = TimeUtils.getCurrentTimestamp();
+        const runningEntryId = this.state.state.tracking.isTracking
+            ? this.state.state.tracking.currentTimeEntryId || 0
+            : 0;
+
+        return await this.query(`
+            SELECT te.id, te.task_instance_id, te.start_time,
+                   COALESCE(te.end_time, ?) as end_time,
+                   CASE WHEN te.end_time IS NULL THEN 1 ELSE 0 END as is_running,
+                   t.name as task_name
+            FROM TimeEntry te
+            INNER JOIN TaskInstance ti ON ti.id = te.task_instance_id
+            INNER JOIN Task t ON t.id = ti.task_id
+            WHERE (te.end_time IS NOT NULL OR te.id = ?)
+              AND te.start_time < ?
+              AND COALESCE(te.end_time, ?) > ?
+              AND te.id != ?
+            ORDER BY te.start_time ASC
+        `, [now, runningEntryId, end, now, start, excludeEntryId || 0]);
+    }
+
+    /**
+     * Add a completed time entry in the past ("add past time")
+     * @param {Object} input
+     * @param {number} [input.task_id] - Task ID, or
+     * @param {string} [input.task_name] - Task name (created if missing)
+     * @param {number|null} [input.project_id]
+     * @param {number|null} [input.client_id]
+     * @param {Date|string} input.start_time
+     * @param {Date|string} [input.end_time] - End, or
+     * @param {number} [input.duration] - Duration in seconds
+     * @param {string} [input.description]
+     * @param {boolean|null} [input.billable] - null = inherit
+     * @param {string} overlapMode - What to do with time already tracked by other entries:
+     *   'keep' (save as is), 'trim' (keep the longest free part), 'split' (save every free part)
+     * @returns {Promise<{taskInstanceId: number, entryIds: number[], overlaps: Array}>}
+     */
+    async addPastEntry(input, overlapMode = 'keep') {
+        if (!['keep', 'trim', 'split'].includes(overlapMode)) {
+            throw new Error(`Invalid overlap mode: ${overlapMode}`);
+        }
+
+        const start = TimeUtils.parseTimestampFromDB(this._toDbTimestamp(input.start_time));
+        const end = input.end_time
+            ? TimeUtils.parseTimestampFromDB(this._toDbTimestamp(input.end_time))
+            : new Date(start.getTime() + Math.round(Number(input.duration) || 0) * 1000);
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            throw new Error('Invalid start or end time');
+        }
+        if (end <= start) {
+            throw new Error('End time must be after start time');
+        }
+        if (end.getTime() > Date.now()) {
+            throw new Error('Past time cannot end in the future');
+        }
+
+        const overlaps = await this.findOverlaps(start, end);
+        const segments = this._getFreeSegments(start, end, overlaps, overlapMode);
+
+        // Task/instance creation and the new entries undo as one step
+        return await this.recordChange('Add time entry', [], async () => {
+            const instanceId = await this._resolveTaskInstance(input);
+            const entryIds = await this.recordChange('Add time entry',
+                [{ table: 'TaskInstance', where: 'id = ?', params: [instanceId] }],
+                () => this._insertPastEntries(input, instanceId, segments),
+                ids => [{ table: 'TimeEntry', where: `id IN (${ids.map(() => '?').join(',')})`, params: ids }]);
+            return { taskInstanceId: instanceId, entryIds, overlaps };
+        });
+    }
+
+    /**
+     * Free parts of a range: the range minus overlapping entries
+     * @param {Date} start
+     * @param {Date} end
+     * @param {Array} overlaps - See findOverlaps()
+     * @param {string} overlapMode - 'keep', 'trim' or 'split', see addPastEntry()
+     * @returns {Array<number[]>} [from, to] in ms, oldest first
+     */
+    _getFreeSegments(start, end, overlaps, overlapMode) {
+        let segments = [[start.getTime(), end.getTime()]];
+        if (overlapMode !== 'keep') {
+            overlaps.forEach(entry => {
+                const busyStart = TimeUtils.parseTimestampFromDB(entry.start_time).getTime();
+                const busyEnd = TimeUtils.parseTimestampFromDB(entry.end_time).getTime();
+                segments = segments.flatMap(([from, to]) => {
+                    if (busyEnd <= from || busyStart >= to) return [[from, to]];
+                    return [[from, busyStart], [busyEnd, to]].filter(([a, b]) => b - a >= 1000);
+                });
+            });
+            if (overlapMode === 'trim' && segments.length > 1) {
+                segments = [segments.reduce((longest, segment) =>
+                    segment[1] - segment[0] > longest[1] - longest[0] ? segment : longest)];
+            }
+        }
+        if (segments.length === 0) {
+            throw new Error('Selected time is already tracked');
+        }
+        return segments;
+    }
+
+    /**
+     * updateTimeEntry() with new times limited to free time
+     * The entry takes the first free part, with 'split' every further part becomes
+     * a copy of the entry (description, billable flag, tags)
+     */
+    async _updateTimeEntryFreeTime(id, input, overlapMode) {
+        if (!['trim', 'split'].includes(overlapMode)) {
+            throw new Error(`Invalid overlap mode: ${overlapMode}`);
+        }
+        const start = TimeUtils.parseTimestampFromDB(this._toDbTimestamp(input.start_time));
+        const end = TimeUtils.parseTimestampFromDB(this._toDbTimestamp(input.end_time));
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+            throw new Error('Invalid start or end time');
+        }
+
+        const overlaps = await this.findOverlaps(start, end, id);
+        const [[from, to], ...rest] = this._getFreeSegments(start, end, overlaps, overlapMode);
+
+        // Edit and copies undo as one step
+        await this.recordChange('Edit time entry', [], async () => {
+            await this.updateTimeEntry(id, {
+                ...input,
+                start_time: TimeUtils.formatTimestampForDB(new Date(from)),
+                end_time: TimeUtils.formatTimestampForDB(new Date(to)),
+                duration: Math.round((to - from) / 1000),
+            });
+            if (rest.length === 0) return;
+
+            const [entry] = await this.query(`SELECT * FROM TimeEntry WHERE id = ?`, [id]);
+            await this.recordChange('Edit time entry',
+                [{ table: 'TaskInstance', where: 'id = ?', params: [entry.task_instance_id] }],
+                () => this._insertEntryCopies(entry, rest),
+                ids => [
+                    { table: 'TimeEntry', where: `id IN (${ids.map(() => '?').join(',')})`, params: ids },
+                    { table: 'TimeEntryTag', where: `time_entry_id IN (${ids.map(() => '?').join(',')})`, params: ids },
+                ]);
+        });
+    }
+
+    /**
+     * Copies of a completed entry for further time segments
+     * @returns {Promise<number[]>} IDs of the copies
+     */
+    async _insertEntryCopies(entry, segments) {
+        const now = TimeUtils.getCurrentTimestamp();
+        const entryIds = [];
+        for (const [from, to] of segments) {
+            const copy = {
+                task_instance_id: entry.task_instance_id,
+                start_time: TimeUtils.formatTimestampForDB(new Date(from)),
+                end_time: TimeUtils.formatTimestampForDB(new Date(to)),
+                duration: Math.round((to - from) / 1000),
+                description: entry.description || '',
+                billable: entry.billable,
+            };
+            const copyId = await this.execute(
+                `INSERT INTO TimeEntry (task_instance_id, start_time, end_time, duration, description, billable, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [copy.task_instance_id, copy.start_time, copy.end_time, copy.duration,
+                 copy.description, copy.billable, now]
+            );
+            await this.execute(
+                `INSERT OR IGNORE INTO TimeEntryTag (time_entry_id, tag_id)
+                 SELECT ?, tag_id FROM TimeEntryTag WHERE time_entry_id = ?`,
+                [copyId, entry.id]
+            );
+            entryIds.push(copyId);
+            this.events.emit(CoreEvents.TIME_ENTRY_CREATED, { id: copyId, ...copy });
+        }
+        await this.core.services.taskInstances.updateTotalTime(entry.task_instance_id);
+        return entryIds;
+    }
+
+    /**
+     * Insert entries of addPastEntry() for the free time segments
+     * @returns {Promise<number[]>} entry IDs
+     */
+    async _insertPastEntries(input, instanceId, segments) {
+        const now = TimeUtils.getCurrentTimestamp();
+        const entryIds = [];
+        for (const [from, to] of segments) {
+            const entry = {
+                task_instance_id: instanceId,
+                start_time: TimeUtils.formatTimestampForDB(new Date(from)),
+                end_time: TimeUtils.formatTimestampForDB(new Date(to)),
+                duration: Math.round((to - from) / 1000),
+                description: (input.description || '').trim(),
+                billable: BillingUtils.toDbFlag(input.billable),
+            };
+            const entryId = await this.execute(
+                `INSERT INTO TimeEntry (task_instance_id, start_time, end_time, duration, description, billable, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [entry.task_instance_id, entry.start_time, entry.end_time, entry.duration,
+                 entry.description, entry.billable, now]
+            );
+            entryIds.push(entryId);
+            this.events.emit(CoreEvents.TIME_ENTRY_CREATED, { id: entryId, ...entry });
+        }
+
+        // Keep last_used_at of the instance at its latest entry
+        await this.execute(
+            `UPDATE TaskInstance SET last_used_at = MAX(COALESCE(last_used_at, ''), ?) WHERE id = ?`,
+            [TimeUtils.formatTimestampForDB(new Date(segments[segments.length - 1][1])), instanceId]
         );
-        this.events.emit(CoreEvents.TIME_ENTRY_CREATED, { id: entryId, ...input });
-        return entryId;
+        await this.core.services.taskInstances.updateTotalTime(instanceId);
+
+        return entryIds;
+    }
+
+    /**
+     * Split a completed time entry in two at the given time
+     * The second part keeps description, billable flag and tags, and can go to another task
+     * @param {number} entryId
+     * @param {Date|string} splitTime - Inside the entry (Date or DB timestamp)
+     * @param {Object|null} target - Task of the second part: {task_id or task_name, project_id, client_id},
+     *   null = same task instance
+     * @returns {Promise<{entryId: number, newEntryId: number, taskInstanceId: number}>}
+     */
+    async splitTimeEntry(entryId, splitTime, target = null) {
+        const rows = await this.query(`SELECT * FROM TimeEntry WHERE id = ?`, [entryId]);
+        const entry = rows[0];
+        if (!entry) {
+            throw new Error('Time entry not found');
+        }
+        if (!entry.end_time) {
+            throw new Error('Cannot split a running time entry');
+        }
+        this._checkNotInvoiced([entry]);
+
+        const start = TimeUtils.parseTimestampFromDB(entry.start_time).getTime();
+        const end = TimeUtils.parseTimestampFromDB(entry.end_time).getTime();
+        const split = TimeUtils.parseTimestampFromDB(this._toDbTimestamp(splitTime)).getTime();
+        if (isNaN(split) || split - start < 1000 || end - split < 1000) {
+            throw new Error('Split time must be inside the time entry');
+        }
+
+        // Task/instance creation and the split undo as one step
+        return await this.recordChange('Split time entry', [], async () => {
+            const instanceId = target ? await this._resolveTaskInstance(target) : entry.task_instance_id;
+            const newEntryId = await this.recordChange('Split time entry', [
+                { table: 'TimeEntry', where: 'id = ?', params: [entryId] },
+                { table: 'TaskInstance', where: 'id IN (?, ?)', params: [entry.task_instance_id, instanceId] },
+            ], () => this._splitEntry(entry, split, instanceId), id => [
+                { table: 'TimeEntry', where: 'id = ?', params: [id] },
+                { table: 'TimeEntryTag', where: 'time_entry_id = ?', params: [id] },
+            ]);
+            return { entryId, newEntryId, taskInstanceId: instanceId };
+        });
+    }
+
+    /**
+     * Split entry at a time (ms), second part on the given instance
+     * @returns {Promise<number>} ID of the second part
+     */
+    async _splitEntry(entry, split, instanceId) {
+        const entryId = entry.id;
+        const start = TimeUtils.parseTimestampFromDB(entry.start_time).getTime();
+        const end = TimeUtils.parseTimestampFromDB(entry.end_time).getTime();
+        const splitStr = TimeUtils.formatTimestampForDB(new Date(split));
+        const firstDuration = Math.round((split - start) / 1000);
+
+        await this.execute(
+            `UPDATE TimeEntry SET end_time = ?, duration = ? WHERE id = ?`,
+            [splitStr, firstDuration, entryId]
+        );
+
+        const newEntry = {
+            task_instance_id: instanceId,
+            start_time: splitStr,
+            end_time: entry.end_time,
+            duration: Math.round((end - split) / 1000),
+            description: entry.description || '',
+            billable: entry.billable,
+        };
+        const newEntryId = await this.execute(
+            `INSERT INTO TimeEntry (task_instance_id, start_time, end_time, duration, description, billable, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [newEntry.task_instance_id, newEntry.start_time, newEntry.end_time, newEntry.duration,
+             newEntry.description, newEntry.billable, TimeUtils.getCurrentTimestamp()]
+        );
+        await this.execute(
+            `INSERT OR IGNORE INTO TimeEntryTag (time_entry_id, tag_id)
+             SELECT ?, tag_id FROM TimeEntryTag WHERE time_entry_id = ?`,
+            [newEntryId, entryId]
+        );
+
+        if (instanceId !== entry.task_instance_id) {
+            await this.execute(
+                `UPDATE TaskInstance SET last_used_at = MAX(COALESCE(last_used_at, ''), ?) WHERE id = ?`,
+                [entry.end_time, instanceId]
+            );
+            await this.core.services.taskInstances.updateTotalTime(instanceId);
+        }
+        await this.core.services.taskInstances.updateTotalTime(entry.task_instance_id);
+        this._forgetCachedEntries([entryId]);
+
+        this.events.emit(CoreEvents.TIME_ENTRY_UPDATED, { id: entryId, end_time: splitStr, duration: firstDuration });
+        this.events.emit(CoreEvents.TIME_ENTRY_CREATED, { id: newEntryId, ...newEntry });
+
+        return newEntryId;
+    }
+
+    /**
+     * Merge adjacent completed time entries of one task instance into the earliest one
+     * The merged entry spans from the first start to the last end, no other entry may lie in between.
+     * Its duration is the sum of the merged entries, untracked time in between is not counted.
+     * Descriptions are joined, tags combined, the other entries are deleted.
+     * @param {number[]} entryIds - At least two entries
+     * @returns {Promise<number>} ID of the merged entry
+     */
+    async mergeTimeEntries(entryIds) {
+        const ids = [...new Set(entryIds || [])];
+        if (ids.length < 2) {
+            throw new Error('At least two time entries are needed to merge');
+        }
+
+        const placeholders = ids.map(() => '?').join(',');
+        const entries = await this.query(
+            `SELECT * FROM TimeEntry WHERE id IN (${placeholders}) ORDER BY start_time ASC, id ASC`,
+            ids
+        );
+        if (entries.length !== ids.length) {
+            throw new Error('Time entry not found');
+        }
+        if (entries.some(entry => !entry.end_time)) {
+            throw new Error('Cannot merge a running time entry');
+        }
+        this._checkNotInvoiced(entries);
+        const instanceId = entries[0].task_instance_id;
+        if (entries.some(entry => entry.task_instance_id !== instanceId)) {
+            throw new Error('Only time entries of the same task can be merged');
+        }
+
+        const first = entries[0];
+        const end = entries.reduce((latest, entry) => entry.end_time > latest ? entry.end_time : latest, first.end_time);
+        const between = await this.findOverlaps(first.start_time, end);
+        if (between.some(entry => !ids.includes(entry.id))) {
+            throw new Error('Time entries are not adjacent');
+        }
+
+        const descriptions = [...new Set(entries
+            .map(entry => (entry.description || '').trim())
+            .filter(text => text.length > 0))];
+        const description = descriptions.join('; ');
+        const duration = entries.reduce((sum, entry) => sum + (entry.duration || 0), 0);
+        const otherIds = entries.slice(1).map(entry => entry.id);
+        const otherPlaceholders = otherIds.map(() => '?').join(',');
+
+        await this.recordChange('Merge time entries', [
+            { table: 'TimeEntry', where: `id IN (${placeholders})`, params: ids },
+            { table: 'TimeEntryTag', where: `time_entry_id IN (${placeholders})`, params: ids },
+            { table: 'TaskInstance', where: 'id = ?', params: [instanceId] },
+        ], async () => {
+            await this.execute(
+                `INSERT OR IGNORE INTO TimeEntryTag (time_entry_id, tag_id)
+                 SELECT ?, tag_id FROM TimeEntryTag WHERE time_entry_id IN (${otherPlaceholders})`,
+                [first.id, ...otherIds]
+            );
+            await this.execute(
+                `UPDATE TimeEntry SET end_time = ?, duration = ?, description = ? WHERE id = ?`,
+                [end, duration, description, first.id]
+            );
+            await this.execute(`DELETE FROM TimeEntryTag WHERE time_entry_id IN (${otherPlaceholders})`, otherIds);
+            await this.execute(`DELETE FROM TimeEntry WHERE id IN (${otherPlaceholders})`, otherIds);
+
+            await this.core.services.taskInstances.updateTotalTime(instanceId);
+        });
+        this._forgetCachedEntries(ids);
+
+        this.events.emit(CoreEvents.TIME_ENTRY_UPDATED, { id: first.id, end_time: end, duration, description });
+        otherIds.forEach(id => this.events.emit(CoreEvents.TIME_ENTRY_DELETED, { id }));
+
+        return first.id;
+    }
+
+    /**
+     * Task instance for a task/project/client combination (same combination is reused)
+     * @param {Object} input - {task_id or task_name, project_id, client_id}
+     */
+    async _resolveTaskInstance(input) {
+        let taskId = input.task_id || null;
+        if (!taskId) {
+            const name = (input.task_name || '').trim();
+            if (!name) {
+                throw new Error('Task name is required');
+            }
+            taskId = (await this.core.services.tasks.findOrCreate(name)).id;
+        }
+        const projectId = input.project_id || null;
+        const clientId = input.client_id || null;
+        const instances = await this.query(
+            `SELECT id FROM TaskInstance WHERE task_id = ? AND project_id IS ? AND client_id IS ? ORDER BY id DESC LIMIT 1`,
+            [taskId, projectId, clientId]
+        );
+        return instances.length > 0
+            ? instances[0].id
+            : (await this.core.services.taskInstances.create({ task_id: taskId, project_id: projectId, client_id: clientId })).id;
+    }
+
+    /**
+     * Time of entries on an invoice is billed already and must not change
+     */
+    _checkNotInvoiced(entries) {
+        if (entries.some(entry => entry.invoice_id)) {
+            throw new Error('Time entry is on an invoice, delete the invoice to change it');
+        }
+    }
+
+    /**
+     * Drop changed entries from the completed entries cache
+     */
+    _forgetCachedEntries(entryIds) {
+        const cache = this.core.services?.cache;
+        if (!cache) return;
+        entryIds.forEach(id => cache.timeEntries.delete(id));
+    }
+
+    /**
+     * Date or DB timestamp string -> DB timestamp string
+     */
+    _toDbTimestamp(value) {
+        return value instanceof Date ? TimeUtils.formatTimestampForDB(value) : String(value);
     }
 
     /**
@@ -489,7 +960,7 @@ export class TimeTrackingService extends BaseService {
     async getCurrentTimeEntry() {
         const tracking = this.state.state.tracking;
         const rows = await this.query(
-            `SELECT id, task_instance_id, start_time, end_time, created_at
+            `SELECT id, task_instance_id, start_time, end_time, description, created_at
              FROM TimeEntry
              WHERE end_time IS NULL AND task_instance_id = ?
              ORDER BY id DESC LIMIT 1`,
@@ -588,9 +1059,12 @@ export class TimeTrackingService extends BaseService {
             throw new Error('Not tracking');
         }
 
-        const newTask = await this.core.services.tasks.findOrCreate(newName);
-        await this.core.services.taskInstances.update(tracking.currentTaskInstanceId, {
-            task_id: newTask.id
+        const newTask = await this.recordChange('Rename task', [], async () => {
+            const task = await this.core.services.tasks.findOrCreate(newName);
+            await this.core.services.taskInstances.update(tracking.currentTaskInstanceId, {
+                task_id: task.id
+            });
+            return task;
         });
 
         this.state.updateTrackingState({
@@ -646,17 +1120,252 @@ export class TimeTrackingService extends BaseService {
     }
 
     /**
-     * Pause tracking (same as stop)
+     * Pause tracking
+     * Closes the running TimeEntry but keeps the session context,
+     * so resume() continues on the same TaskInstance
+     * @param {number|null} pausedAt - Timestamp (ms) to close the entry at, defaults to now
      */
-    async pause() {
-        return await this.stop();
+    async pause(pausedAt = null) {
+        const tracking = this.state.state.tracking;
+        if (!tracking.isTracking || !tracking.currentTaskInstanceId) {
+            throw new Error('Not tracking');
+        }
+
+        // Same calculation as stop(): real elapsed time + time saved from crash
+        const startTimestamp = typeof tracking.startTime === 'string'
+            ? new Date(tracking.startTime.replace(' ', 'T')).getTime()
+            : tracking.startTime;
+        let duration = startTimestamp ? Math.floor(((pausedAt || Date.now()) - startTimestamp) / 1000) : 0;
+        if (isNaN(duration) || duration < 0) {
+            console.warn(`[Tracking] Pause: elapsed=${duration}s is invalid, setting to 0 (startTime=${tracking.startTime})`);
+            duration = 0;
+        }
+        duration += tracking.savedTimeFromCrash || 0;
+
+        this.stopTimer();
+
+        const instanceId = tracking.currentTaskInstanceId;
+        if (tracking.currentTimeEntryId) {
+            const entryScope = [{ table: 'TimeEntry', where: 'id = ?', params: [tracking.currentTimeEntryId] }];
+            if (duration > 0) {
+                await this.recordHistory({ source: 'tracking', label: 'Pause tracking' }, entryScope, () => this.execute(
+                    `UPDATE TimeEntry 
+                     SET end_time = datetime(start_time, '+' || CAST(? AS TEXT) || ' seconds'),
+                         duration = ?
+                     WHERE id = ?`,
+                    [duration, duration, tracking.currentTimeEntryId]
+                ));
+                await this.execute(
+                    `UPDATE TaskInstance 
+                     SET total_time = COALESCE(total_time, 0) + ?,
+                         updated_at = datetime('now')
+                     WHERE id = ?`,
+                    [duration, instanceId]
+                );
+            } else {
+                // Zero-length segment (very fast start/pause) - don't leave an open entry behind
+                await this.recordHistory({ source: 'tracking', label: 'Pause tracking' }, entryScope, async () => {
+                    await this.execute(`DELETE FROM TimeEntryTag WHERE time_entry_id = ?`, [tracking.currentTimeEntryId]);
+                    await this.execute(`DELETE FROM TimeEntry WHERE id = ?`, [tracking.currentTimeEntryId]);
+                });
+            }
+        }
+
+        const sessionSeconds = (tracking.sessionSeconds || 0) + duration;
+
+        // Keep task/project/client for display and resume, drop the running entry
+        this.state.updateTrackingState({
+            isTracking: false,
+            isPaused: true,
+            pausedTaskInstanceId: instanceId,
+            currentTaskInstanceId: null,
+            currentTimeEntryId: null,
+            startTime: null,
+            savedTimeFromCrash: 0,
+            sessionSeconds: sessionSeconds,
+        });
+
+        this.events.emit(CoreEvents.TRACKING_PAUSED, {
+            taskId: tracking.currentTaskId,
+            taskName: tracking.currentTaskName,
+            taskInstanceId: instanceId,
+            projectId: tracking.currentProjectId,
+            clientId: tracking.currentClientId,
+            duration: duration,
+            sessionSeconds: sessionSeconds,
+        });
     }
 
     /**
-     * Resume tracking (not implemented)
+     * Resume paused tracking
+     * Adds a new TimeEntry to the paused TaskInstance
+     * @param {number|null} resumedAt - Timestamp (ms) the new entry starts at, defaults to now
      */
-    async resume() {
-        throw new Error('Resume not implemented');
+    async resume(resumedAt = null) {
+        const tracking = this.state.state.tracking;
+        if (!tracking.isPaused || !tracking.pausedTaskInstanceId) {
+            throw new Error('Not paused');
+        }
+
+        const instanceId = tracking.pausedTaskInstanceId;
+        const instanceRows = await this.query(`SELECT id FROM TaskInstance WHERE id = ?`, [instanceId]);
+        if (!instanceRows || instanceRows.length === 0) {
+            // Instance was deleted while paused - nothing to resume
+            await this._endPausedSession();
+            throw new Error(`TaskInstance ${instanceId} not found`);
+        }
+
+        const startTimeTimestamp = resumedAt || Date.now();
+        const startTimeString = TimeUtils.formatTimestampForDB(new Date(startTimeTimestamp));
+        const entryId = await this.recordHistory({ source: 'tracking', label: 'Resume tracking' }, [], async () => {
+            const entryId = await this.execute(
+                `INSERT INTO TimeEntry (task_instance_id, start_time, end_time, duration, created_at)
+                 VALUES (?, ?, NULL, 0, ?)`,
+                [instanceId, startTimeString, TimeUtils.getCurrentTimestamp()]
+            );
+            // Resumed entry continues the session - keep tags of the previous segment
+            await this.execute(
+                `INSERT OR IGNORE INTO TimeEntryTag (time_entry_id, tag_id)
+                 SELECT ?, tag_id FROM TimeEntryTag
+                 WHERE time_entry_id = (
+                     SELECT id FROM TimeEntry WHERE task_instance_id = ? AND id < ? ORDER BY id DESC LIMIT 1
+                 )`,
+                [entryId, instanceId, entryId]
+            );
+            await this.execute(
+                `UPDATE TimeEntry SET billable = (
+                     SELECT billable FROM TimeEntry WHERE task_instance_id = ? AND id < ? ORDER BY id DESC LIMIT 1
+                 ) WHERE id = ?`,
+                [instanceId, entryId, entryId]
+            );
+            return entryId;
+        }, entryId => [{ table: 'TimeEntry', where: 'id = ?', params: [entryId] }]);
+        await this.core.services.taskInstances.updateLastUsed(instanceId);
+
+        this.state.updateTrackingState({
+            isTracking: true,
+            isPaused: false,
+            pausedTaskInstanceId: null,
+            currentTaskInstanceId: instanceId,
+            currentTimeEntryId: entryId,
+            startTime: startTimeTimestamp,
+        });
+
+        this.stopTimer();
+        this.startTimer();
+
+        this.events.emit(CoreEvents.TRACKING_RESUMED, {
+            taskId: tracking.currentTaskId,
+            taskName: tracking.currentTaskName,
+            taskInstanceId: instanceId,
+            projectId: tracking.currentProjectId,
+            clientId: tracking.currentClientId,
+            startTime: startTimeString,
+            timeEntryId: entryId,
+            sessionSeconds: tracking.sessionSeconds,
+        });
+    }
+
+    /**
+     * End a paused session (no open TimeEntry to close)
+     */
+    async _endPausedSession() {
+        const tracking = this.state.state.tracking;
+        const eventData = {
+            taskId: tracking.currentTaskId,
+            taskName: tracking.currentTaskName,
+            taskInstanceId: tracking.pausedTaskInstanceId,
+            projectId: tracking.currentProjectId,
+            clientId: tracking.currentClientId,
+            startTime: null,
+            duration: 0, // Paused segments were already saved on pause()
+        };
+
+        this.state.updateTrackingState({
+            isTracking: false,
+            isPaused: false,
+            pausedTaskInstanceId: null,
+            currentTaskId: null,
+            currentTaskName: null,
+            currentTaskInstanceId: null,
+            currentProjectId: null,
+            currentClientId: null,
+            currentTimeEntryId: null,
+            startTime: null,
+            savedTimeFromCrash: 0,
+            sessionSeconds: 0,
+            pomodoroMode: false,
+            pomodoroDuration: 0,
+            pomodoroRemaining: 0,
+        });
+
+        this.events.emit(CoreEvents.TRACKING_STOPPED, eventData);
+    }
+
+    /**
+     * Restore session saved by PersistenceService before a crash
+     * The open TimeEntry keeps running from its original start time
+     */
+    async restoreSession(session) {
+        const rows = await this.query(
+            `SELECT ti.task_id, ti.project_id, ti.client_id, t.name, te.start_time
+             FROM TimeEntry te
+             JOIN TaskInstance ti ON ti.id = te.task_instance_id
+             JOIN Task t ON t.id = ti.task_id
+             WHERE te.id = ? AND te.task_instance_id = ? AND te.end_time IS NULL`,
+            [session.timeEntryId, session.taskInstanceId]
+        );
+        if (!rows || rows.length === 0) {
+            throw new Error(`TimeEntry ${session.timeEntryId} not found`);
+        }
+        const row = rows[0];
+
+        // Stop anything started in the meantime
+        const tracking = this.state.state.tracking;
+        if (tracking.isTracking || tracking.isPaused) {
+            await this.stop();
+        }
+
+        this.lastUsedProjectId = row.project_id;
+        this.lastUsedClientId = row.client_id;
+
+        this.state.updateTrackingState({
+            isTracking: true,
+            currentTaskId: row.task_id,
+            currentTaskName: row.name,
+            currentTaskInstanceId: session.taskInstanceId,
+            currentProjectId: row.project_id,
+            currentClientId: row.client_id,
+            startTime: session.startTime,
+            savedTimeFromCrash: 0,
+            isPaused: false,
+            pausedTaskInstanceId: null,
+            sessionSeconds: session.sessionSeconds || 0,
+            pomodoroMode: false,
+            pomodoroDuration: 0,
+            pomodoroRemaining: 0,
+            currentTimeEntryId: session.timeEntryId,
+        });
+
+        this.stopTimer();
+        this.startTimer();
+
+        this.events.emit(CoreEvents.TRACKING_STARTED, {
+            taskId: row.task_id,
+            taskName: row.name,
+            taskInstanceId: session.taskInstanceId,
+            projectId: row.project_id,
+            clientId: row.client_id,
+            startTime: row.start_time,
+            timeEntryId: session.timeEntryId,
+        });
+    }
+
+    /**
+     * Check if current session is paused
+     */
+    isPaused() {
+        return this.state.state.tracking.isPaused;
     }
 
     /**
@@ -690,10 +1399,12 @@ export class TimeTrackingService extends BaseService {
      */
     async createTimeEntry(input) {
         const sql = `
-            INSERT INTO TimeEntry (task_instance_id, start_time, end_time, duration, created_at)
-            VALUES (?, ?, NULL, 0, datetime('now'))
+            INSERT INTO TimeEntry (task_instance_id, start_time, end_time, duration, description, created_at)
+            VALUES (?, ?, NULL, 0, ?, datetime('now'))
         `;
-        const entryId = await this.execute(sql, [input.task_instance_id, input.start_time]);
+        const entryId = await this.recordChange('Add time entry', [],
+            () => this.execute(sql, [input.task_instance_id, input.start_time, input.description || '']),
+            id => [{ table: 'TimeEntry', where: 'id = ?', params: [id] }]);
         this.events.emit(CoreEvents.TIME_ENTRY_CREATED, { id: entryId, ...input });
         return entryId;
     }
@@ -703,7 +1414,7 @@ export class TimeTrackingService extends BaseService {
     async getCurrentTimeEntry() {
         const currentState = this.state.getTrackingState();
         // Scope to the current task instance to avoid unrelated NULL rows causing issues
-        const sql = `SELECT id, task_instance_id, start_time, end_time, duration, created_at
+        const sql = `SELECT id, task_instance_id, start_time, end_time, duration, description, created_at
                      FROM TimeEntry
                      WHERE end_time IS NULL AND task_instance_id = ?
                      ORDER BY id DESC LIMIT 1`;
@@ -718,6 +1429,7 @@ export class TimeTrackingService extends BaseService {
         const updateEvent = {
             taskId: null,
             elapsedSeconds: 0,
+            sessionSeconds: 0,
             pomodoroRemaining: 0
         };
 
@@ -730,9 +1442,12 @@ export class TimeTrackingService extends BaseService {
             const elapsedSeconds = t.elapsedSeconds;
             const pomodoroRemaining = t.pomodoroRemaining;
 
-            // Pomodoro auto-stop check
-            if (t.pomodoroMode && t.pomodoroDuration > 0 && elapsedSeconds >= t.pomodoroDuration) {
+            // Pomodoro auto-stop check (whole session, including segments before a pause)
+            if (t.pomodoroMode && t.pomodoroDuration > 0 && t.sessionSeconds + elapsedSeconds >= t.pomodoroDuration) {
+                if (this._pomodoroFinished) return; // Stop already in progress
+                this._pomodoroFinished = true;
                 this.stop().catch(error => {
+                    this._pomodoroFinished = false;
                     console.error('Error auto-stopping Pomodoro:', error);
                 });
                 return;
@@ -742,6 +1457,7 @@ export class TimeTrackingService extends BaseService {
             // Reuse SAME object, just update properties
             updateEvent.taskId = t.currentTaskId;
             updateEvent.elapsedSeconds = elapsedSeconds;
+            updateEvent.sessionSeconds = t.sessionSeconds || 0;
             updateEvent.pomodoroRemaining = pomodoroRemaining;
 
             this.events.emit(CoreEvents.TRACKING_UPDATED, updateEvent);
@@ -769,6 +1485,20 @@ export class TimeTrackingService extends BaseService {
         return await this.query(`SELECT * FROM TimeEntry ORDER BY start_time DESC`);
     }
 
+    /**
+     * Check if time entry counts as billable (own flag, else task instance, else project)
+     */
+    async isTimeEntryBillable(entryId) {
+        const rows = await this.query(
+            `SELECT ${BillingUtils.billableSql('te', 'ti')} as billable
+             FROM TimeEntry te
+             JOIN TaskInstance ti ON ti.id = te.task_instance_id
+             WHERE te.id = ?`,
+            [entryId]
+        );
+        return rows.length > 0 ? Boolean(rows[0].billable) : true;
+    }
+
     /**
      * Get time entries by instance
      */
@@ -792,11 +1522,19 @@ export class TimeTrackingService extends BaseService {
             return;
         }
         
-        const rows = await this.query(`SELECT task_instance_id FROM TimeEntry WHERE id = ?`, [entryId]);
+        const rows = await this.query(`SELECT task_instance_id, invoice_id FROM TimeEntry WHERE id = ?`, [entryId]);
+        this._checkNotInvoiced(rows);
         if (rows.length > 0) {
             const instanceId = rows[0].task_instance_id;
-            await this.execute(`DELETE FROM TimeEntry WHERE id = ?`, [entryId]);
-            await this.core.services.taskInstances.updateTotalTime(instanceId);
+            await this.recordChange('Delete time entry', [
+                { table: 'TimeEntry', where: 'id = ?', params: [entryId] },
+                { table: 'TimeEntryTag', where: 'time_entry_id = ?', params: [entryId] },
+                { table: 'TaskInstance', where: 'id = ?', params: [instanceId] },
+            ], async () => {
+                await this.execute(`DELETE FROM TimeEntryTag WHERE time_entry_id = ?`, [entryId]);
+                await this.execute(`DELETE FROM TimeEntry WHERE id = ?`, [entryId]);
+                await this.core.services.taskInstances.updateTotalTime(instanceId);
+            });
             this.events.emit(CoreEvents.TIME_ENTRY_DELETED, { id: entryId });
         }
     }
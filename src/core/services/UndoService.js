@@ -0,0 +1,376 @@
+/**
+ * Undo Service
+ * Multi-step undo/redo for data changes
+ *
+ * Services run their changes through record(): the rows a change can touch are read
+ * before and after, the difference is kept as one undo step. Undo writes the old rows
+ * back, redo the new ones. record() calls inside another record() or group() join
+ * the outer step, so bulk edits undo at once.
+ * Tracking itself (start/stop/pause) is not recorded, and steps touching the running
+ * task instance or time entry are refused until tracking stops.
+ */
+import { BaseService } from './BaseService.js';
+import { CoreEvents } from '../events/CoreEvents.js';
+
+const MAX_STEPS = 50;
+const MAX_PARAMS = 500;
+
+// Link tables without ID column
+const KEY_COLUMNS = {
+    TaskInstanceTag: ['task_instance_id', 'tag_id'],
+    TimeEntryTag: ['time_entry_id', 'tag_id'],
+};
+
+// Columns kept up to date by the services, existing rows keep their current value
+const DERIVED_COLUMNS = {
+    TaskInstance: ['total_time', 'updated_at', 'last_used_at'],
+};
+
+// Parents first: rows are written back in this order and removed in reverse
+const TABLE_ORDER = ['Client', 'Project', 'Task', 'TaskInstance', 'Invoice', 'InvoiceItem', 'Expense', 'TimeEntry', 'TaskInstanceTag', 'TimeEntryTag', 'Pomodoro'];
+
+export class UndoService extends BaseService {
+    constructor(core) {
+        super(core);
+        this._undoStack = [];
+        this._redoStack = [];
+        this._step = null;   // Step being recorded
+        this._depth = 0;
+        this._sequence = 0;  // Orders snapshots of nested records
+        this._busy = false;  // Undo/redo in progress
+    }
+
+    /**
+     * Run a change and record it as an undo step
+     * @param {string} label - Short description, e.g. 'Delete project'
+     * @param {Array<{table: string, where: string, params: Array}>} scope - Rows the change can touch
+     * @param {Function} change - async () => result
+     * @param {Function} [scopeAfter] - (result) => scope of rows the change created
+     */
+    async record(label, scope, change, scopeAfter = null) {
+        if (this._busy) return await change();
+
+        this._begin(label);
+        try {
+            const before = await this._snapshot(scope);
+            const beforeSequence = ++this._sequence;
+            let result;
+            let done = false;
+            try {
+                result = await change();
+                done = true;
+                return result;
+            } finally {
+                // Rows that left the scope (e.g. moved to another project) are found by key
+                const afterScope = [...scope, ...this._keyScope(before)];
+                if (done && scopeAfter) {
+                    afterScope.push(...scopeAfter(result));
+                }
+                const after = await this._snapshot(afterScope);
+                this._merge(before, beforeSequence, after, ++this._sequence);
+            }
+        } finally {
+            await this._end();
+        }
+    }
+
+    /**
+     * Run several changes as one undo step
+     * @param {string} label
+     * @param {Function} fn - async () => result
+     * @param {string} [source] - Source of the step in the change history
+     */
+    async group(label, fn, source = 'edit') {
+        if (this._busy) return await fn();
+
+        this._begin(label, source);
+        try {
+            return await fn();
+        } finally {
+            await this._end();
+        }
+    }
+
+    /**
+     * Undo the last step
+     * @returns {Promise<string|null>} Label of the undone step, null = nothing to undo
+     */
+    async undo() {
+        const step = this._undoStack[this._undoStack.length - 1];
+        if (!step) return null;
+
+        await this._applyStep(step, 'before');
+        this._undoStack.pop();
+        this._redoStack.push(step);
+
+        this.events.emit(CoreEvents.UNDO_APPLIED, { action: 'undo', label: step.label });
+        this._emitChanged();
+        return step.label;
+    }
+
+    /**
+     * Redo the last undone step
+     * @returns {Promise<string|null>} Label of the redone step, null = nothing to redo
+     */
+    async redo() {
+        const step = this._redoStack[this._redoStack.length - 1];
+        if (!step) return null;
+
+        await this._applyStep(step, 'after');
+        this._redoStack.pop();
+        this._undoStack.push(step);
+
+        this.events.emit(CoreEvents.UNDO_APPLIED, { action: 'redo', label: step.label });
+        this._emitChanged();
+        return step.label;
+    }
+
+    /**
+     * Get undo/redo availability
+     * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null}}
+     */
+    getState() {
+        const undoStep = this._undoStack[this._undoStack.length - 1];
+        const redoStep = this._redoStack[this._redoStack.length - 1];
+        return {
+            canUndo: Boolean(undoStep),
+            canRedo: Boolean(redoStep),
+            undoLabel: undoStep?.label || null,
+            redoLabel: redoStep?.label || null,
+        };
+    }
+
+    /**
+     * Forget all steps (database was replaced or reset)
+     */
+    clear() {
+        this._undoStack = [];
+        this._redoStack = [];
+        this._emitChanged();
+    }
+
+    _begin(label, source = 'edit') {
+        if (this._depth === 0) {
+            this._step = { label, source, changes: new Map() };
+        }
+        this._depth++;
+    }
+
+    async _end() {
+        this._depth--;
+        if (this._depth > 0) return;
+
+        const step = this._step;
+        this._step = null;
+        step.changes.forEach((change, key) => {
+            if (JSON.stringify(change.before) === JSON.stringify(change.after)) {
+                step.changes.delete(key);
+            }
+        });
+        if (step.changes.size === 0) return;
+
+        this._undoStack.push(step);
+        if (this._undoStack.length > MAX_STEPS) {
+            this._undoStack.shift();
+        }
+        this._redoStack = [];
+        this._emitChanged();
+
+        await this.core.services.history?.logChanges(step.changes.values(), {
+            source: step.source,
+            label: step.label,
+        });
+    }
+
+    /**
+     * Read rows of a scope
+     * @returns {Promise<Map<string, {table: string, row: Object}>>} by row key
+     */
+    async _snapshot(scope) {
+        const rows = new Map();
+        for (const { table, where, params } of scope) {
+            const results = await this.query(`SELECT * FROM ${table} WHERE ${where}`, params || []);
+            results.forEach(row => rows.set(this._rowKey(table, row), { table, row }));
+        }
+        return rows;
+    }
+
+    /**
+     * Scope finding rows with ID by key
+     */
+    _keyScope(snapshot) {
+        const idsByTable = new Map();
+        snapshot.forEach(({ table, row }) => {
+            if (KEY_COLUMNS[table]) return;
+            if (!idsByTable.has(table)) idsByTable.set(table, []);
+            idsByTable.get(table).push(row.id);
+        });
+
+        const scope = [];
+        idsByTable.forEach((ids, table) => {
+            for (let i = 0; i < ids.length; i += MAX_PARAMS) {
+                const chunk = ids.slice(i, i + MAX_PARAMS);
+                scope.push({ table, where: `id IN (${chunk.map(() => '?').join(', ')})`, params: chunk });
+            }
+        });
+        return scope;
+    }
+
+    /**
+     * Add differences to the step being recorded
+     * Of nested records the earliest "before" and the latest "after" row is kept.
+     */
+    _merge(before, beforeSequence, after, afterSequence) {
+        const changes = this._step.changes;
+        new Set([...before.keys(), ...after.keys()]).forEach(key => {
+            const table = (before.get(key) || after.get(key)).table;
+            const oldRow = before.get(key)?.row || null;
+            const newRow = after.get(key)?.row || null;
+            const existing = changes.get(key);
+
+            if (!existing) {
+                changes.set(key, { table, before: oldRow, beforeSequence, after: newRow, afterSequence });
+                return;
+            }
+            if (beforeSequence < existing.beforeSequence) {
+                existing.before = oldRow;
+                existing.beforeSequence = beforeSequence;
+            }
+            if (afterSequence > existing.afterSequence) {
+                existing.after = newRow;
+                existing.afterSequence = afterSequence;
+            }
+        });
+    }
+
+    /**
+     * Write the "before" or "after" rows of a step
+     */
+    async _applyStep(step, side) {
+        if (this._busy) {
+            throw new Error('Undo already in progress');
+        }
+        if (this._depth > 0) {
+            throw new Error('A change is still being saved');
+        }
+
+        const changes = [...step.changes.values()];
+        this._checkRunningSession(changes);
+
+        const order = change => TABLE_ORDER.indexOf(change.table);
+        const removals = changes.filter(change => !change[side]).sort((a, b) => order(b) - order(a));
+        const writes = changes.filter(change => change[side]).sort((a, b) => order(a) - order(b));
+
+        this._busy = true;
+        try {
+            // Pending cache writes would overwrite the restored rows later
+            await this.core.services.cache?.flush();
+
+            await this.execute('BEGIN IMMEDIATE');
+            try {
+                for (const change of removals) {
+                    await this._deleteRow(change.table, change.before || change.after);
+                }
+                for (const change of writes) {
+                    await this._writeRow(change.table, change[side]);
+                }
+                await this.execute('COMMIT');
+            } catch (error) {
+                try { await this.execute('ROLLBACK'); } catch {}
+                throw error;
+            }
+
+            const undone = side === 'before';
+            await this.core.services.history?.logChanges(changes.map(change => ({
+                table: change.table,
+                before: undone ? change.after : change.before,
+                after: change[side],
+            })), { source: undone ? 'undo' : 'redo', label: step.label });
+
+            // Totals follow the time entries, restored instances are recounted too
+            const instanceIds = new Set();
+            changes.forEach(change => {
+                if (change.table === 'TimeEntry') {
+                    if (change.before) instanceIds.add(change.before.task_instance_id);
+                    if (change.after) instanceIds.add(change.after.task_instance_id);
+                } else if (change.table === 'TaskInstance' && change[side]) {
+                    instanceIds.add(change[side].id);
+                }
+            });
+            for (const id of instanceIds) {
+                await this.core.services.taskInstances.updateTotalTime(id);
+            }
+
+            await this.core.services.cache?.reload();
+        } finally {
+            this._busy = false;
+        }
+    }
+
+    /**
+     * Running session lives in tracking state too, its rows are not rewritten
+     */
+    _checkRunningSession(changes) {
+        const tracking = this.state.state.tracking;
+        if (!tracking.isTracking && !tracking.isPaused) return;
+
+        // Totals and last use of the tracked instance may change, its task/project/client not
+        const touchesSession = changes.some(change => {
+            const row = change.before || change.after;
+            if (change.table === 'TimeEntry') {
+                return row.id === tracking.currentTimeEntryId;
+            }
+            return change.table === 'TaskInstance' && row.id === tracking.currentTaskInstanceId &&
+                ['task_id', 'project_id', 'client_id'].some(column => change.before?.[column] !== change.after?.[column]);
+        });
+        if (touchesSession) {
+            throw new Error('Stop tracking to undo or redo changes of the tracked task');
+        }
+    }
+
+    async _writeRow(table, row) {
+        const keys = KEY_COLUMNS[table] || ['id'];
+        const columns = Object.keys(row);
+
+        if (KEY_COLUMNS[table]) {
+            await this.execute(
+                `INSERT OR IGNORE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(column => row[column])
+            );
+            return;
+        }
+
+        const existing = await this.query(`SELECT id FROM ${table} WHERE id = ?`, [row.id]);
+        if (existing.length > 0) {
+            const derived = DERIVED_COLUMNS[table] || [];
+            const values = columns.filter(column => !keys.includes(column) && !derived.includes(column));
+            if (values.length === 0) return;
+            await this.execute(
+                `UPDATE ${table} SET ${values.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...values.map(column => row[column]), row.id]
+            );
+        } else {
+            await this.execute(
+                `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(column => row[column])
+            );
+        }
+    }
+
+    async _deleteRow(table, row) {
+        const keys = KEY_COLUMNS[table] || ['id'];
+        await this.execute(
+            `DELETE FROM ${table} WHERE ${keys.map(column => `${column} = ?`).join(' AND ')}`,
+            keys.map(column => row[column])
+        );
+    }
+
+    _rowKey(table, row) {
+        const keys = KEY_COLUMNS[table] || ['id'];
+        return `${table}:${keys.map(column => row[column]).join(':')}`;
+    }
+
+    _emitChanged() {
+        this.events.emit(CoreEvents.UNDO_HISTORY_CHANGED, this.getState());
+    }
+}
@@ -27,6 +27,9 @@ export class StateManager {
                 // elapsedSeconds removed - calculated dynamically from startTime to prevent RAM growth
                 // oldTime removed - calculated on demand when needed, not stored in RAM
                 savedTimeFromCrash: 0, // Time saved in JSON from previous crash - added to duration on stop (small number)
+                isPaused: false, // Session paused: no open TimeEntry, task context kept for resume
+                pausedTaskInstanceId: null, // TaskInstance that receives a new TimeEntry on resume
+                sessionSeconds: 0, // Seconds tracked by earlier segments of a paused/resumed session
                 pomodoroMode: false,
                 pomodoroDuration: 0,
                 pomodoroRemaining: 0, // Calculated dynamically from elapsedSeconds and pomodoroDuration
@@ -67,6 +70,9 @@ export class StateManager {
             this._cachedTrackingState.currentTimeEntryId !== currentState.currentTimeEntryId ||
             this._cachedTrackingState.startTime !== currentState.startTime ||
             this._cachedTrackingState.savedTimeFromCrash !== currentState.savedTimeFromCrash ||
+            this._cachedTrackingState.isPaused !== currentState.isPaused ||
+            this._cachedTrackingState.pausedTaskInstanceId !== currentState.pausedTaskInstanceId ||
+            this._cachedTrackingState.sessionSeconds !== currentState.sessionSeconds ||
             this._cachedTrackingState.pomodoroMode !== currentState.pomodoroMode ||
             this._cachedTrackingState.pomodoroDuration !== currentState.pomodoroDuration;
         
@@ -83,6 +89,9 @@ export class StateManager {
                 currentTimeEntryId: currentState.currentTimeEntryId,
                 startTime: currentState.startTime,
                 savedTimeFromCrash: currentState.savedTimeFromCrash,
+                isPaused: currentState.isPaused,
+                pausedTaskInstanceId: currentState.pausedTaskInstanceId,
+                sessionSeconds: currentState.sessionSeconds,
                 pomodoroMode: currentState.pomodoroMode,
                 pomodoroDuration: currentState.pomodoroDuration,
                 elapsedSeconds: 0,
@@ -99,12 +108,18 @@ export class StateManager {
                 this._cachedTrackingState.elapsedSeconds = Math.floor((now - this._cachedStartTimestamp) / 1000);
                 
                 // Calculate pomodoroRemaining if in pomodoro mode
+                // Pomodoro counts the whole session, including segments before a pause
                 if (this._cachedTrackingState.pomodoroMode && this._cachedTrackingState.pomodoroDuration > 0) {
                     this._cachedTrackingState.pomodoroRemaining = Math.max(0, 
-                        this._cachedTrackingState.pomodoroDuration - this._cachedTrackingState.elapsedSeconds);
+                        this._cachedTrackingState.pomodoroDuration - this._cachedTrackingState.sessionSeconds - this._cachedTrackingState.elapsedSeconds);
                 } else {
                     this._cachedTrackingState.pomodoroRemaining = 0;
                 }
+            } else if (this._cachedTrackingState.isPaused && this._cachedTrackingState.pomodoroMode) {
+                // Paused: countdown is frozen at the remaining session time
+                this._cachedTrackingState.elapsedSeconds = 0;
+                this._cachedTrackingState.pomodoroRemaining = Math.max(0,
+                    this._cachedTrackingState.pomodoroDuration - this._cachedTrackingState.sessionSeconds);
             } else {
                 this._cachedTrackingState.elapsedSeconds = 0;
                 this._cachedTrackingState.pomodoroRemaining = 0;
@@ -122,10 +137,13 @@ export class StateManager {
                 // Update pomodoroRemaining if in pomodoro mode
                 if (this._cachedTrackingState.pomodoroMode && this._cachedTrackingState.pomodoroDuration > 0) {
                     this._cachedTrackingState.pomodoroRemaining = Math.max(0, 
-                        this._cachedTrackingState.pomodoroDuration - this._cachedTrackingState.elapsedSeconds);
+                        this._cachedTrackingState.pomodoroDuration - this._cachedTrackingState.sessionSeconds - this._cachedTrackingState.elapsedSeconds);
                 } else {
                     this._cachedTrackingState.pomodoroRemaining = 0;
                 }
+            } else if (this._cachedTrackingState.isPaused) {
+                // Paused: nothing is running, pomodoroRemaining was frozen when the object was built
+                this._cachedTrackingState.elapsedSeconds = 0;
             } else {
                 this._cachedTrackingState.elapsedSeconds = 0;
                 this._cachedTrackingState.pomodoroRemaining = 0;
@@ -150,6 +168,9 @@ export class StateManager {
         if (update.currentTimeEntryId !== undefined) tracking.currentTimeEntryId = update.currentTimeEntryId;
         if (update.startTime !== undefined) tracking.startTime = update.startTime;
         if (update.savedTimeFromCrash !== undefined) tracking.savedTimeFromCrash = update.savedTimeFromCrash;
+        if (update.isPaused !== undefined) tracking.isPaused = update.isPaused;
+        if (update.pausedTaskInstanceId !== undefined) tracking.pausedTaskInstanceId = update.pausedTaskInstanceId;
+        if (update.sessionSeconds !== undefined) tracking.sessionSeconds = update.sessionSeconds;
         if (update.pomodoroMode !== undefined) tracking.pomodoroMode = update.pomodoroMode;
         if (update.pomodoroDuration !== undefined) tracking.pomodoroDuration = update.pomodoroDuration;
         if (update.pomodoroRemaining !== undefined) tracking.pomodoroRemaining = update.pomodoroRemaining;
@@ -168,6 +189,9 @@ export class StateManager {
             cached.currentTimeEntryId = null;
             cached.startTime = null;
             cached.savedTimeFromCrash = null;
+            cached.isPaused = null;
+            cached.pausedTaskInstanceId = null;
+            cached.sessionSeconds = null;
             cached.pomodoroMode = null;
             cached.pomodoroDuration = null;
             cached.pomodoroRemaining = null;
@@ -218,6 +242,12 @@ export class StateManager {
     isTracking() {
         return this.state.tracking.isTracking;
     }
+    /**
+     * Check if current session is paused
+     */
+    isPaused() {
+        return this.state.tracking.isPaused;
+    }
     /**
      * Get current task ID
      */
@@ -0,0 +1,101 @@
+/**
+ * Billable time utility functions
+ * Pure business logic - NO UI dependencies
+ */
+/**
+ * Billable flag and hourly rate resolution
+ *
+ * Project.billable is the default (1 = billable).
+ * TaskInstance.billable and TimeEntry.billable override it, NULL = inherit.
+ *
+ * Hourly rate chain: TaskInstance.rate -> Project.rate -> Client.rate, NULL = inherit.
+ * The currency comes from the level that provides the rate.
+ *
+ * Tax: Client.tax_rate overrides the default rate (percent, NULL = default).
+ * Client.tax_mode 'reverse-charge' and 'exempt' charge no tax, NULL = standard.
+ */
+export class BillingUtils {
+    static TAX_MODES = ['standard', 'reverse-charge', 'exempt'];
+    /**
+     * SQL expression: effective billable flag (1/0) of a time entry
+     * Needs TimeEntry and TaskInstance aliases in the query, Project is looked up by subquery
+     */
+    static billableSql(entryAlias = 'te', instanceAlias = 'ti') {
+        return `COALESCE(${entryAlias}.billable, ${instanceAlias}.billable,
+            (SELECT bp.billable FROM Project bp WHERE bp.id = ${instanceAlias}.project_id), 1)`;
+    }
+    /**
+     * Resolve effective billable flag from entry, instance and project rows
+     */
+    static isBillable(entry = null, instance = null, project = null) {
+        const flag = [entry?.billable, instance?.billable, project?.billable]
+            .find(value => value !== null && value !== undefined);
+        return flag === undefined ? true : Boolean(flag);
+    }
+    /**
+     * Convert override value (true/false/null) to DB value (1/0/NULL)
+     */
+    static toDbFlag(value) {
+        if (value === null || value === undefined) return null;
+        return value ? 1 : 0;
+    }
+    /**
+     * Convert DB value (1/0/NULL) to override value (true/false/null)
+     */
+    static fromDbFlag(value) {
+        if (value === null || value === undefined) return null;
+        return Boolean(value);
+    }
+    /**
+     * SQL expression: effective hourly rate of a task instance
+     * Needs TaskInstance, Project and Client aliases (LEFT JOINed) in the query
+     */
+    static rateSql(instanceAlias = 'ti', projectAlias = 'p', clientAlias = 'c') {
+        return `COALESCE(${instanceAlias}.rate, ${projectAlias}.rate, ${clientAlias}.rate, 0)`;
+    }
+    /**
+     * SQL expression: currency of the effective hourly rate
+     */
+    static currencySql(instanceAlias = 'ti', projectAlias = 'p', clientAlias = 'c') {
+        return `CASE
+            WHEN ${instanceAlias}.rate IS NOT NULL THEN COALESCE(${instanceAlias}.currency, ${projectAlias}.currency, ${clientAlias}.currency)
+            WHEN ${projectAlias}.rate IS NOT NULL THEN COALESCE(${projectAlias}.currency, ${clientAlias}.currency)
+            ELSE ${clientAlias}.currency
+        END`;
+    }
+    /**
+     * Resolve effective hourly rate and currency from instance, project and client rows
+     * @returns {{rate: number, currency: string|null}}
+     */
+    static resolveRate(instance = null, project = null, client = null) {
+        const levels = [instance, project, client];
+        const index = levels.findIndex(level => level?.rate !== null && level?.rate !== undefined);
+        if (index === -1) {
+            return { rate: 0, currency: client?.currency || null };
+        }
+
+        const currency = levels.slice(index).map(level => level?.currency).find(value => value) || null;
+        return { rate: Number(levels[index].rate) || 0, currency };
+    }
+    /**
+     * Resolve tax rate (percent) and mode of a client
+     * @returns {{rate: number, mode: string}}
+     */
+    static resolveTax(client = null, defaultRate = 0) {
+        const mode = client?.tax_mode || 'standard';
+        if (mode !== 'standard') {
+            return { rate: 0, mode };
+        }
+        const rate = client?.tax_rate !== null && client?.tax_rate !== undefined ? client.tax_rate : defaultRate;
+        return { rate: Number(rate) || 0, mode };
+    }
+    /**
+     * Tax and gross of a net amount, rounded to cents
+     * @returns {{net: number, tax: number, gross: number}}
+     */
+    static calculateTax(net, rate = 0) {
+        const roundCents = value => Math.round(value * 100) / 100;
+        const tax = roundCents(net * (Number(rate) || 0) / 100);
+        return { net: roundCents(net), tax, gross: roundCents(net + tax) };
+    }
+}
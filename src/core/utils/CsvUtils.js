@@ -0,0 +1,54 @@
+/**
+ * CSV utility functions (RFC 4180)
+ * Pure business logic - NO UI dependencies
+ */
+export class CsvUtils {
+    /**
+     * Line separator required by RFC 4180
+     */
+    static LINE_END = '\r\n';
+    /**
+     * Escape one field: quote it if it contains the delimiter, a quote or a line break
+     * Quotes inside the field are doubled
+     */
+    static escapeField(value, delimiter = ',') {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+    /**
+     * Build one CSV record (without line separator)
+     */
+    static formatRow(fields, delimiter = ',') {
+        return fields.map(field => CsvUtils.escapeField(field, delimiter)).join(delimiter);
+    }
+    /**
+     * Build CSV document from records, every record ends with CRLF
+     */
+    static formatRows(rows, delimiter = ',') {
+        return rows.map(row => CsvUtils.formatRow(row, delimiter) + CsvUtils.LINE_END).join('');
+    }
+    /**
+     * Format number with fixed decimals and given decimal separator (no grouping)
+     */
+    static formatNumber(value, decimals = 2, decimalSeparator = '.') {
+        const text = (Number(value) || 0).toFixed(decimals);
+        return decimalSeparator === '.' ? text : text.replace('.', decimalSeparator);
+    }
+    /**
+     * Format seconds as "h:mm" or decimal hours
+     * @param {number} seconds
+     * @param {string} format - 'hmm' or 'decimal'
+     */
+    static formatDuration(seconds, format = 'hmm', decimalSeparator = '.') {
+        const total = Math.max(0, Math.round(Number(seconds) || 0));
+        if (format === 'decimal') {
+            return CsvUtils.formatNumber(total / 3600, 2, decimalSeparator);
+        }
+        const minutes = Math.round(total / 60);
+        return `${Math.floor(minutes / 60)}:${(minutes % 60).toString().padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * Currency conversion utility functions
+ * Pure business logic - NO UI dependencies
+ */
+/**
+ * Conversion with user-maintained exchange rates
+ *
+ * A rate row {currency, base_currency, rate, effective_date} means
+ * 1 currency = rate base_currency from effective_date ('YYYY-MM-DD') until the next rate of the pair.
+ * Rows of the reverse pair are used inverted, other pairs go through one common currency.
+ * Dates before the first rate of a pair use that first rate.
+ */
+export class ExchangeRateUtils {
+    /**
+     * Rate to convert `from` into `to` on a date
+     * @returns {number|null} null when no rate is known
+     */
+    static findRate(rates, from, to, dateKey) {
+        if (!from || !to) return null;
+        if (from === to) return 1;
+
+        const direct = this._findPairRate(rates, from, to, dateKey);
+        if (direct !== null) return direct;
+
+        // Cross rate through a currency both have rates with
+        const currencies = new Set((rates || []).flatMap(row => [row.currency, row.base_currency]));
+        for (const via of currencies) {
+            if (via === from || via === to) continue;
+            const first = this._findPairRate(rates, from, via, dateKey);
+            const second = first === null ? null : this._findPairRate(rates, via, to, dateKey);
+            if (second !== null) return first * second;
+        }
+        return null;
+    }
+    /**
+     * Convert an amount, null when no rate is known
+     */
+    static convert(amount, from, to, rates, dateKey) {
+        const rate = this.findRate(rates, from, to, dateKey);
+        return rate === null ? null : amount * rate;
+    }
+    /**
+     * Convert totals per currency (Map currency -> amount) on one date
+     * @returns {{total: number, unconverted: string[]}} unconverted = currencies without a rate
+     */
+    static convertTotals(totals, to, rates, dateKey) {
+        let total = 0;
+        const unconverted = [];
+        for (const [currency, amount] of totals) {
+            const converted = this.convert(amount, currency, to, rates, dateKey);
+            if (converted === null) {
+                unconverted.push(currency);
+            } else {
+                total += converted;
+            }
+        }
+        return { total, unconverted };
+    }
+    /**
+     * Rate of one pair (or its reverse) effective on the date
+     */
+    static _findPairRate(rates, from, to, dateKey) {
+        let effective = null;
+        let earliest = null;
+        for (const row of rates || []) {
+            let rate;
+            if (row.currency === from && row.base_currency === to) {
+                rate = Number(row.rate);
+            } else if (row.currency === to && row.base_currency === from) {
+                rate = 1 / Number(row.rate);
+            } else {
+                continue;
+            }
+            if (!(rate > 0) || !isFinite(rate)) continue;
+
+            if (row.effective_date <= dateKey && (!effective || row.effective_date >= effective.date)) {
+                effective = { date: row.effective_date, rate };
+            }
+            if (!earliest || row.effective_date < earliest.date) {
+                earliest = { date: row.effective_date, rate };
+            }
+        }
+        return (effective || earliest)?.rate ?? null;
+    }
+}
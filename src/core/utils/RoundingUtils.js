@@ -0,0 +1,139 @@
+/**
+ * Billing time rounding utility functions
+ * Pure business logic - NO UI dependencies
+ */
+/**
+ * Rounding rules for billed time
+ *
+ * A rule is set per client, Project.rounding_increment overrides it (NULL = inherit, 0 = no rounding).
+ * Rounding only changes billed time, TimeEntry data stays raw.
+ * Scope 'entry' rounds every entry, scope 'day' rounds the daily total per rule owner.
+ */
+export class RoundingUtils {
+    static MODES = ['up', 'down', 'nearest'];
+    static SCOPES = ['entry', 'day'];
+    /**
+     * SQL select list: rounding columns of project and client
+     * Needs Project and Client aliases (LEFT JOINed) in the query
+     */
+    static columnsSql(projectAlias = 'p', clientAlias = 'c') {
+        return `${projectAlias}.rounding_increment as project_rounding_increment,
+                ${projectAlias}.rounding_mode as project_rounding_mode,
+                ${projectAlias}.rounding_scope as project_rounding_scope,
+                ${clientAlias}.rounding_increment as client_rounding_increment,
+                ${clientAlias}.rounding_mode as client_rounding_mode,
+                ${clientAlias}.rounding_scope as client_rounding_scope`;
+    }
+    /**
+     * Resolve rule from a row selected with columnsSql() (needs project_id and client_id)
+     */
+    static ruleFromRow(row) {
+        return RoundingUtils.resolveRule(
+            row.project_id ? {
+                id: row.project_id,
+                rounding_increment: row.project_rounding_increment,
+                rounding_mode: row.project_rounding_mode,
+                rounding_scope: row.project_rounding_scope,
+            } : null,
+            row.client_id ? {
+                id: row.client_id,
+                rounding_increment: row.client_rounding_increment,
+                rounding_mode: row.client_rounding_mode,
+                rounding_scope: row.client_rounding_scope,
+            } : null
+        );
+    }
+    /**
+     * Resolve effective rule from project and client rows
+     * @returns {{increment: number, mode: string, scope: string, key: string}|null} increment in minutes, null = no rounding
+     */
+    static resolveRule(project = null, client = null) {
+        const hasRule = level => level?.rounding_increment !== null && level?.rounding_increment !== undefined;
+        const owner = hasRule(project) ? project : (hasRule(client) ? client : null);
+        if (!owner || !(Number(owner.rounding_increment) > 0)) return null;
+
+        return {
+            increment: Number(owner.rounding_increment),
+            mode: RoundingUtils.MODES.includes(owner.rounding_mode) ? owner.rounding_mode : 'up',
+            scope: RoundingUtils.SCOPES.includes(owner.rounding_scope) ? owner.rounding_scope : 'entry',
+            key: `${owner === project ? 'project' : 'client'}:${owner.id}`,
+        };
+    }
+    /**
+     * Round seconds to the rule increment
+     */
+    static roundSeconds(seconds, rule) {
+        const value = Math.max(0, Number(seconds) || 0);
+        if (!rule || !(rule.increment > 0)) return value;
+
+        const step = rule.increment * 60;
+        const units = value / step;
+        if (rule.mode === 'down') return Math.floor(units) * step;
+        if (rule.mode === 'nearest') return Math.round(units) * step;
+        return Math.ceil(units) * step;
+    }
+    /**
+     * Round entries, keeping the raw durations
+     * For scope 'day' the difference of a daily total goes to its last entries,
+     * so per-entry values always add up to the rounded totals.
+     * @param {Array<{id, date: string, seconds: number, rule: Object|null}>} items - In chronological order
+     * @returns {Map} item ID -> rounded seconds
+     */
+    static roundEntries(items) {
+        const result = new Map();
+        const days = new Map(); // "ruleKey|date" -> {raw, ids, rule}
+
+        items.forEach(item => {
+            const seconds = Math.max(0, Number(item.seconds) || 0);
+            if (item.rule?.scope === 'day') {
+                result.set(item.id, seconds);
+                const dayKey = `${item.rule.key}|${item.date}`;
+                const day = days.get(dayKey) || { raw: 0, ids: [], rule: item.rule };
+                day.raw += seconds;
+                day.ids.push(item.id);
+                days.set(dayKey, day);
+            } else {
+                result.set(item.id, RoundingUtils.roundSeconds(seconds, item.rule));
+            }
+        });
+
+        days.forEach(day => {
+            let difference = RoundingUtils.roundSeconds(day.raw, day.rule) - day.raw;
+            // Rounding down can take more than the last entry has
+            for (let i = day.ids.length - 1; i >= 0 && difference !== 0; i--) {
+                const seconds = result.get(day.ids[i]);
+                const adjusted = Math.max(0, seconds + difference);
+                result.set(day.ids[i], adjusted);
+                difference -= adjusted - seconds;
+            }
+        });
+
+        return result;
+    }
+    /**
+     * Round time entry rows selected with columnsSql() (plus id, start_time, duration, project_id, client_id)
+     * @returns {Map} entry ID -> rounded seconds
+     */
+    static roundRows(rows) {
+        return RoundingUtils.roundEntries(rows.map(row => ({
+            id: row.id,
+            date: String(row.start_time || '').substring(0, 10),
+            seconds: row.duration,
+            rule: RoundingUtils.ruleFromRow(row),
+        })));
+    }
+    /**
+     * Validate rule fields, throws on invalid values
+     */
+    static validate(increment, mode, scope) {
+        if (increment !== null && increment !== undefined && !(Number(increment) >= 0)) {
+            throw new Error('Invalid rounding increment');
+        }
+        if (mode !== null && mode !== undefined && !RoundingUtils.MODES.includes(mode)) {
+            throw new Error(`Invalid rounding mode: ${mode}`);
+        }
+        if (scope !== null && scope !== undefined && !RoundingUtils.SCOPES.includes(scope)) {
+            throw new Error(`Invalid rounding scope: ${scope}`);
+        }
+    }
+}
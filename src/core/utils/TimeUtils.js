@@ -147,6 +147,26 @@ export class TimeUtils {
         return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
     }
 
+    /**
+     * Local date as 'YYYY-MM-DD' (from Date, GLib.DateTime or date/timestamp string)
+     * @param {Date|GLib.DateTime|string} value - Date to convert
+     * @returns {string|null} - Date key or null if not a valid date
+     */
+    static toDateKey(value) {
+        if (!value) return null;
+        if (typeof value === 'string') {
+            const match = /^(\d{4}-\d{2}-\d{2})/.exec(value);
+            return match ? match[1] : null;
+        }
+        if (typeof value.format === 'function') {
+            return value.format('%Y-%m-%d');
+        }
+        if (value instanceof Date && !isNaN(value.getTime())) {
+            return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+        }
+        return null;
+    }
+
     /**
      * Parse timestamp from database (supports both ISO8601 and local format)
      * @param {string} timestamp - Timestamp string from database
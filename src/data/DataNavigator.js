@@ -408,6 +408,17 @@ export class DataNavigator {
 
         await appDb.execute('BEGIN IMMEDIATE');
         try {
+            await appDb.execute('DELETE FROM TimeEntryTag');
+            await appDb.execute('DELETE FROM TaskInstanceTag');
+            await appDb.execute('DELETE FROM Pomodoro');
+            await appDb.execute('DELETE FROM Absence');
+            await appDb.execute('DELETE FROM WorkSchedule');
+            await appDb.execute('DELETE FROM InvoiceItem');
+            await appDb.execute('DELETE FROM Invoice');
+            await appDb.execute('DELETE FROM ExchangeRate');
+            await appDb.execute('DELETE FROM Expense');
+            await appDb.execute('DELETE FROM ChangeHistory');
+            await appDb.execute('DELETE FROM Tag');
             await appDb.execute('DELETE FROM TimeEntry');
             await appDb.execute('DELETE FROM TaskInstance');
             await appDb.execute('DELETE FROM Task');
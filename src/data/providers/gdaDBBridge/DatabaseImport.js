@@ -8,6 +8,8 @@
  *
  * Both modes work with the app's existing database connection (no file operations)
  * Old schema (0.8.x) is automatically adapted to new schema (0.9.0+)
+ * ChangeHistory is not imported: its row IDs do not match the imported rows,
+ * the import logs its own history instead
  */
 
 import Gda from 'gi://Gda?version=6.0';
@@ -118,6 +120,20 @@ export class DatabaseImport {
      */
     async _clearAllData() {
 
+        // Removed entries and tasks stay visible in the change history
+        await this._logHistory('TimeEntry', await this.appDb.query('SELECT * FROM TimeEntry'), 'delete');
+        await this._logHistory('TaskInstance', await this.appDb.query('SELECT * FROM TaskInstance'), 'delete');
+
+        await this.appDb.execute('DELETE FROM Pomodoro');
+        await this.appDb.execute('DELETE FROM TimeEntryTag');
+        await this.appDb.execute('DELETE FROM TaskInstanceTag');
+        await this.appDb.execute('DELETE FROM Tag');
+        await this.appDb.execute('DELETE FROM InvoiceItem');
+        await this.appDb.execute('DELETE FROM Invoice');
+        await this.appDb.execute('DELETE FROM Expense');
+        await this.appDb.execute('DELETE FROM ExchangeRate');
+        await this.appDb.execute('DELETE FROM WorkSchedule');
+        await this.appDb.execute('DELETE FROM Absence');
         await this.appDb.execute('DELETE FROM TimeEntry');
         await this.appDb.execute('DELETE FROM TaskInstance');
         await this.appDb.execute('DELETE FROM Task');
@@ -170,6 +186,7 @@ export class DatabaseImport {
         let projectsAdded = 0;
         let tasksAdded = 0;
         let entriesAdded = 0;
+        const lastIds = await this._getLastIds();
 
         if (isOldSchema) {
             // OLD SCHEMA: Adapt data while importing
@@ -199,12 +216,21 @@ export class DatabaseImport {
             const taskIdMap = await this._importTasks();
             tasksAdded = taskIdMap.size;
 
-            entriesAdded = await this._importFromNewSchema(clientIdMap, projectIdMap, taskIdMap);
+            // Invoices first, so invoiced entries keep pointing to their invoice
+            const tagIdMap = await this._importTags();
+            const invoiceIdMap = await this._importInvoices(clientIdMap);
+
+            entriesAdded = await this._importFromNewSchema(clientIdMap, projectIdMap, taskIdMap, tagIdMap, invoiceIdMap);
+            await this._importExpenses(clientIdMap, projectIdMap);
+            await this._importExchangeRates();
+            await this._importWorkSchedules();
         }
 
             // Sync total_time for all TaskInstances
             await this._syncTotalTimes();
 
+            await this._logImportedRows(lastIds);
+
         // Let caller handle COMMIT/ROLLBACK
             return { clientsAdded, projectsAdded, tasksAdded, entriesAdded };
     }
@@ -242,8 +268,12 @@ export class DatabaseImport {
                 idMap.set(client.id, existing[0].id);
             } else {
                 const newId = await this.appDb.execute(
-                    'INSERT INTO Client (name, rate, currency) VALUES (?, ?, ?)',
-                    [client.name, client.rate || 0.0, client.currency || 'USD']
+                    'INSERT INTO Client (name, rate, currency, rounding_increment, rounding_mode, rounding_scope, archived, contact_person, email, phone, billing_address, tax_id, payment_terms, tax_rate, tax_mode) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                    [client.name, client.rate || 0.0, client.currency || 'USD',
+                     client.rounding_increment ?? null, client.rounding_mode ?? null, client.rounding_scope ?? null,
+                     client.archived ?? 0, client.contact_person ?? null, client.email ?? null, client.phone ?? null,
+                     client.billing_address ?? null, client.tax_id ?? null, client.payment_terms ?? null,
+                     client.tax_rate ?? null, client.tax_mode ?? null]
                 );
                 idMap.set(client.id, newId);
             }
@@ -275,8 +305,11 @@ export class DatabaseImport {
                 idMap.set(project.id, existing[0].id);
             } else {
                 const newId = await this.appDb.execute(
-                    'INSERT INTO Project (name, color, icon, client_id) VALUES (?, ?, ?, ?)',
-                    [project.name, project.color || '#cccccc', project.icon || 'folder-symbolic', newClientId]
+                    'INSERT INTO Project (name, color, icon, client_id, billable, rate, currency, budget_hours, budget_amount, budget_period, rounding_increment, rounding_mode, rounding_scope, target_hours, archived) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                    [project.name, project.color || '#cccccc', project.icon || 'folder-symbolic', newClientId, project.billable ?? 1, project.rate ?? null, project.currency ?? null,
+                     project.budget_hours ?? null, project.budget_amount ?? null, project.budget_period || 'total',
+                     project.rounding_increment ?? null, project.rounding_mode ?? null, project.rounding_scope ?? null,
+                     project.target_hours ?? null, project.archived ?? 0]
                 );
                 idMap.set(project.id, newId);
             }
@@ -312,17 +345,195 @@ export class DatabaseImport {
             }
         }
 
+        // Subtasks: parents are known once all tasks exist
+        for (const task of tasks) {
+            if (!task.parent_id || !idMap.has(task.parent_id)) continue;
+            await this.appDb.execute(
+                'UPDATE Task SET parent_id = ? WHERE id = ? AND parent_id IS NULL',
+                [idMap.get(task.parent_id), idMap.get(task.id)]
+            );
+        }
+
+        return idMap;
+    }
+
+    /**
+     * Import Tags, matched by name
+     * @returns {Promise<Map>} Map of old ID -> new ID
+     */
+    async _importTags() {
+        const idMap = new Map();
+        if (!await this._hasImportTable('Tag')) return idMap;
+
+        const tags = await this.importDb.query('SELECT * FROM Tag');
+        for (const tag of tags) {
+            const existing = await this.appDb.query(
+                'SELECT id FROM Tag WHERE name = ?',
+                [tag.name]
+            );
+
+            if (existing.length > 0) {
+                idMap.set(tag.id, existing[0].id);
+            } else {
+                const newId = await this.appDb.execute(
+                    'INSERT INTO Tag (name, color) VALUES (?, ?)',
+                    [tag.name, tag.color || '#cccccc']
+                );
+                idMap.set(tag.id, newId);
+            }
+        }
+
+        return idMap;
+    }
+
+    /**
+     * Import Invoices with their items, an invoice with the same number is the same invoice
+     * @param {Map} clientIdMap - Client ID map
+     * @returns {Promise<Map>} Map of old ID -> new ID
+     */
+    async _importInvoices(clientIdMap) {
+        const idMap = new Map();
+        if (!await this._hasImportTable('Invoice')) return idMap;
+
+        const invoices = await this.importDb.query('SELECT * FROM Invoice');
+        for (const invoice of invoices) {
+            const existing = await this.appDb.query(
+                'SELECT id FROM Invoice WHERE number = ?',
+                [invoice.number]
+            );
+
+            if (existing.length > 0) {
+                idMap.set(invoice.id, existing[0].id);
+                continue;
+            }
+
+            const newId = await this.appDb.execute(
+                `INSERT INTO Invoice (number, sequence, client_id, period_start, period_end, issue_date, due_date, currency, group_by,
+                                      total_amount, net_amount, tax_rate, tax_mode, tax_amount, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [invoice.number, invoice.sequence, clientIdMap.get(invoice.client_id) || 1,
+                 invoice.period_start, invoice.period_end, invoice.issue_date, invoice.due_date ?? null,
+                 invoice.currency ?? null, invoice.group_by || 'project', invoice.total_amount || 0,
+                 invoice.net_amount ?? invoice.total_amount ?? 0, invoice.tax_rate ?? 0, invoice.tax_mode || 'standard',
+                 invoice.tax_amount ?? 0, invoice.created_at || new Date().toISOString()]
+            );
+            idMap.set(invoice.id, newId);
+
+            const items = await this.importDb.query('SELECT * FROM InvoiceItem WHERE invoice_id = ?', [invoice.id]);
+            for (const item of items) {
+                await this.appDb.execute(
+                    'INSERT INTO InvoiceItem (invoice_id, position, description, hours, rate, amount) VALUES (?, ?, ?, ?, ?, ?)',
+                    [newId, item.position, item.description, item.hours, item.rate, item.amount]
+                );
+            }
+        }
+
         return idMap;
     }
 
+    /**
+     * Import Expenses, identical expenses are skipped
+     * @param {Map} clientIdMap - Client ID map
+     * @param {Map} projectIdMap - Project ID map
+     */
+    async _importExpenses(clientIdMap, projectIdMap) {
+        if (!await this._hasImportTable('Expense')) return;
+
+        const expenses = await this.importDb.query('SELECT * FROM Expense');
+        for (const expense of expenses) {
+            const projectId = projectIdMap.get(expense.project_id) || 1;
+            const clientId = clientIdMap.get(expense.client_id) || 1;
+            const existing = await this.appDb.query(
+                'SELECT id FROM Expense WHERE project_id = ? AND client_id = ? AND date = ? AND amount = ? AND currency = ? AND description IS ?',
+                [projectId, clientId, expense.date, expense.amount, expense.currency, expense.description ?? null]
+            );
+
+            if (existing.length === 0) {
+                await this.appDb.execute(
+                    'INSERT INTO Expense (project_id, client_id, date, amount, currency, category, description, billable, receipt_path, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                    [projectId, clientId, expense.date, expense.amount, expense.currency, expense.category ?? null,
+                     expense.description ?? null, expense.billable ?? 1, expense.receipt_path ?? null,
+                     expense.created_at || new Date().toISOString()]
+                );
+            }
+        }
+    }
+
+    /**
+     * Import ExchangeRates, a known rate for the same pair and date is kept
+     */
+    async _importExchangeRates() {
+        if (!await this._hasImportTable('ExchangeRate')) return;
+
+        const rates = await this.importDb.query('SELECT * FROM ExchangeRate');
+        for (const rate of rates) {
+            const existing = await this.appDb.query(
+                'SELECT id FROM ExchangeRate WHERE currency = ? AND base_currency = ? AND effective_date = ?',
+                [rate.currency, rate.base_currency, rate.effective_date]
+            );
+
+            if (existing.length === 0) {
+                await this.appDb.execute(
+                    'INSERT INTO ExchangeRate (currency, base_currency, rate, effective_date, created_at) VALUES (?, ?, ?, ?, ?)',
+                    [rate.currency, rate.base_currency, rate.rate, rate.effective_date,
+                     rate.created_at || new Date().toISOString()]
+                );
+            }
+        }
+    }
+
+    /**
+     * Import WorkSchedules and Absences
+     * Schedules with a known effective_from and absences with a known date and type are skipped
+     */
+    async _importWorkSchedules() {
+        if (await this._hasImportTable('WorkSchedule')) {
+            const schedules = await this.importDb.query('SELECT * FROM WorkSchedule');
+            for (const schedule of schedules) {
+                const existing = await this.appDb.query(
+                    'SELECT id FROM WorkSchedule WHERE effective_from = ?',
+                    [schedule.effective_from]
+                );
+
+                if (existing.length === 0) {
+                    await this.appDb.execute(
+                        'INSERT INTO WorkSchedule (effective_from, monday_hours, tuesday_hours, wednesday_hours, thursday_hours, friday_hours, saturday_hours, sunday_hours) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                        [schedule.effective_from, schedule.monday_hours || 0, schedule.tuesday_hours || 0,
+                         schedule.wednesday_hours || 0, schedule.thursday_hours || 0, schedule.friday_hours || 0,
+                         schedule.saturday_hours || 0, schedule.sunday_hours || 0]
+                    );
+                }
+            }
+        }
+
+        if (await this._hasImportTable('Absence')) {
+            const absences = await this.importDb.query('SELECT * FROM Absence');
+            for (const absence of absences) {
+                const existing = await this.appDb.query(
+                    'SELECT id FROM Absence WHERE date = ? AND type = ?',
+                    [absence.date, absence.type]
+                );
+
+                if (existing.length === 0) {
+                    await this.appDb.execute(
+                        'INSERT INTO Absence (date, type, hours, description) VALUES (?, ?, ?, ?)',
+                        [absence.date, absence.type, absence.hours ?? null, absence.description ?? null]
+                    );
+                }
+            }
+        }
+    }
+
     /**
      * Import from NEW schema (0.9.0+)
      * @param {Map} clientIdMap - Client ID map
      * @param {Map} projectIdMap - Project ID map
      * @param {Map} taskIdMap - Task ID map
+     * @param {Map} tagIdMap - Tag ID map
+     * @param {Map} invoiceIdMap - Invoice ID map
      * @returns {Promise<number>} Number of time entries added
      */
-    async _importFromNewSchema(clientIdMap, projectIdMap, taskIdMap) {
+    async _importFromNewSchema(clientIdMap, projectIdMap, taskIdMap, tagIdMap, invoiceIdMap) {
         // NEW SCHEMA FIX: Import TaskInstances FIRST to preserve stack structure
         // Don't use _getOrCreateTaskInstance() - import each TaskInstance separately!
         
@@ -345,8 +556,8 @@ export class DatabaseImport {
             // Check if this exact TaskInstance was already imported (by checking unique TimeEntries later)
             // For now, always create a NEW TaskInstance to preserve stack structure
             const newInstanceId = await this.appDb.execute(
-                'INSERT INTO TaskInstance (task_id, project_id, client_id, total_time, last_used_at, is_favorite) VALUES (?, ?, ?, ?, ?, ?)',
-                [newTaskId, newProjectId, newClientId, 0, instance.last_used_at || new Date().toISOString(), instance.is_favorite || 0]
+                'INSERT INTO TaskInstance (task_id, project_id, client_id, total_time, last_used_at, is_favorite, billable, rate, currency) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                [newTaskId, newProjectId, newClientId, 0, instance.last_used_at || new Date().toISOString(), instance.is_favorite || 0, instance.billable ?? null, instance.rate ?? null, instance.currency ?? null]
             );
 
             taskInstanceIdMap.set(instance.id, newInstanceId);
@@ -356,6 +567,7 @@ export class DatabaseImport {
 
         // Step 2: Import TimeEntries using the TaskInstance ID mapping
         const timeEntries = await this.importDb.query('SELECT * FROM TimeEntry');
+        const timeEntryIdMap = new Map(); // old ID -> new ID
         let entriesAdded = 0;
 
 
@@ -374,17 +586,68 @@ export class DatabaseImport {
             );
 
             if (existing.length === 0) {
-                await this.appDb.execute(
-                    'INSERT INTO TimeEntry (task_instance_id, start_time, end_time, duration) VALUES (?, ?, ?, ?)',
-                    [newTaskInstanceId, entry.start_time, entry.end_time, entry.duration]
+                const newEntryId = await this.appDb.execute(
+                    'INSERT INTO TimeEntry (task_instance_id, start_time, end_time, duration, description, billable, invoice_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                    [newTaskInstanceId, entry.start_time, entry.end_time, entry.duration, entry.description || '', entry.billable ?? null,
+                     entry.invoice_id ? invoiceIdMap.get(entry.invoice_id) ?? null : null]
                 );
+                timeEntryIdMap.set(entry.id, newEntryId);
                 entriesAdded++;
             }
         }
 
+        // Step 3: Tags of the imported TaskInstances and TimeEntries
+        await this._importTagLinks('TaskInstanceTag', 'task_instance_id', taskInstanceIdMap, tagIdMap);
+        await this._importTagLinks('TimeEntryTag', 'time_entry_id', timeEntryIdMap, tagIdMap);
+
+        // Step 4: Completed Pomodoros of the imported TaskInstances
+        await this._importPomodoros(taskInstanceIdMap);
+
         return entriesAdded;
     }
 
+    /**
+     * Import completed Pomodoros of imported TaskInstances
+     * @param {Map} taskInstanceIdMap - TaskInstance ID map
+     */
+    async _importPomodoros(taskInstanceIdMap) {
+        if (!await this._hasImportTable('Pomodoro')) return;
+
+        const pomodoros = await this.importDb.query('SELECT * FROM Pomodoro');
+        for (const pomodoro of pomodoros) {
+            const newTaskInstanceId = taskInstanceIdMap.get(pomodoro.task_instance_id);
+            if (!newTaskInstanceId) continue;
+
+            await this.appDb.execute(
+                'INSERT INTO Pomodoro (task_instance_id, duration, started_at, completed_at) VALUES (?, ?, ?, ?)',
+                [newTaskInstanceId, pomodoro.duration, pomodoro.started_at, pomodoro.completed_at]
+            );
+        }
+    }
+
+    /**
+     * Import tag links of imported rows
+     * @param {string} table - TaskInstanceTag or TimeEntryTag
+     * @param {string} column - Column of the tagged row
+     * @param {Map} rowIdMap - ID map of the tagged rows
+     * @param {Map} tagIdMap - Tag ID map
+     */
+    async _importTagLinks(table, column, rowIdMap, tagIdMap) {
+        if (!await this._hasImportTable(table)) return;
+
+        const links = await this.importDb.query(`SELECT * FROM ${table}`);
+        for (const link of links) {
+            const rowId = rowIdMap.get(link[column]);
+            const tagId = tagIdMap.get(link.tag_id);
+            if (!rowId || !tagId) continue;
+
+            await this.appDb.execute(
+                `INSERT OR IGNORE INTO ${table} (${column}, tag_id) VALUES (?, ?)`,
+                [rowId, tagId]
+            );
+        }
+    }
+
     /**
      * Import from OLD schema (0.8.x)
      * @param {Map} clientIdMap - Client ID map
@@ -499,6 +762,49 @@ export class DatabaseImport {
 
     }
 
+    /**
+     * Highest TaskInstance and TimeEntry IDs before importing
+     */
+    async _getLastIds() {
+        const rows = await this.appDb.query(
+            `SELECT (SELECT COALESCE(MAX(id), 0) FROM TaskInstance) as task_instance_id,
+                    (SELECT COALESCE(MAX(id), 0) FROM TimeEntry) as time_entry_id`
+        );
+        return rows[0];
+    }
+
+    /**
+     * Log rows added by the import in the change history
+     */
+    async _logImportedRows(lastIds) {
+        await this._logHistory('TaskInstance',
+            await this.appDb.query('SELECT * FROM TaskInstance WHERE id > ?', [lastIds.task_instance_id]), 'create');
+        await this._logHistory('TimeEntry',
+            await this.appDb.query('SELECT * FROM TimeEntry WHERE id > ?', [lastIds.time_entry_id]), 'create');
+    }
+
+    /**
+     * Write change history rows (same format as HistoryService)
+     */
+    async _logHistory(table, rows, action) {
+        for (const row of rows) {
+            const data = JSON.stringify(row);
+            await this.appDb.execute(
+                `INSERT INTO ChangeHistory (table_name, row_id, task_instance_id, action, source, label, before_data, after_data, changed_at)
+                 VALUES (?, ?, ?, ?, 'import', ?, ?, ?, datetime('now', 'localtime'))`,
+                [
+                    table,
+                    row.id,
+                    table === 'TaskInstance' ? row.id : row.task_instance_id,
+                    action,
+                    action === 'delete' ? 'Replace database' : 'Import database',
+                    action === 'delete' ? data : null,
+                    action === 'create' ? data : null,
+                ]
+            );
+        }
+    }
+
     /**
      * Check if import database is old schema (0.8.x)
      * @returns {Promise<boolean>}
@@ -514,6 +820,18 @@ export class DatabaseImport {
         }
     }
 
+    /**
+     * Check if import database has a table (older databases lack later tables)
+     * @returns {Promise<boolean>}
+     */
+    async _hasImportTable(table) {
+        const tables = await this.importDb.query(
+            "SELECT name FROM sqlite_master WHERE type='table' AND name = ?",
+            [table]
+        );
+        return tables.length > 0;
+    }
+
     /**
      * Open import database connection
      */
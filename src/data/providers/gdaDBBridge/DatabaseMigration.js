@@ -6,12 +6,282 @@
  * New schema: Task (id, name, created_at, updated_at)
  *             TaskInstance (id, task_id, project_id, client_id, total_time, last_used_at, is_favorite, created_at, updated_at)
  *             TimeEntry (id, task_instance_id, start_time, end_time, duration, created_at)
+ *
+ * Later schema changes (v5+) are applied on startup by upgradeSchema()
  */
 
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
 import Gda from 'gi://Gda?version=6.0';
 
+/**
+ * Schema upgrades applied in order on every startup
+ * Each step runs once: schema_version is bumped after its statements succeed
+ * New tables and columns must also be copied by migrate() and imported by DatabaseImport
+ */
+const SCHEMA_UPGRADES = [
+    {
+        version: 5,
+        statements: [
+            `ALTER TABLE TimeEntry ADD COLUMN description TEXT DEFAULT ''`,
+        ],
+    },
+    {
+        version: 6,
+        statements: [
+            `CREATE TABLE IF NOT EXISTS Tag (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                color TEXT DEFAULT '#cccccc',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+            `CREATE TABLE IF NOT EXISTS TaskInstanceTag (
+                task_instance_id INTEGER NOT NULL,
+                tag_id INTEGER NOT NULL,
+                PRIMARY KEY (task_instance_id, tag_id),
+                FOREIGN KEY (task_instance_id) REFERENCES TaskInstance(id) ON DELETE CASCADE,
+                FOREIGN KEY (tag_id) REFERENCES Tag(id) ON DELETE CASCADE
+            )`,
+            `CREATE TABLE IF NOT EXISTS TimeEntryTag (
+                time_entry_id INTEGER NOT NULL,
+                tag_id INTEGER NOT NULL,
+                PRIMARY KEY (time_entry_id, tag_id),
+                FOREIGN KEY (time_entry_id) REFERENCES TimeEntry(id) ON DELETE CASCADE,
+                FOREIGN KEY (tag_id) REFERENCES Tag(id) ON DELETE CASCADE
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_taskinstancetag_tag ON TaskInstanceTag(tag_id)`,
+            `CREATE INDEX IF NOT EXISTS idx_timeentrytag_tag ON TimeEntryTag(tag_id)`,
+        ],
+    },
+    {
+        // Billable flag: project default, NULL on instance/entry = inherit
+        version: 7,
+        statements: [
+            `ALTER TABLE Project ADD COLUMN billable INTEGER DEFAULT 1`,
+            `ALTER TABLE TaskInstance ADD COLUMN billable INTEGER DEFAULT NULL`,
+            `ALTER TABLE TimeEntry ADD COLUMN billable INTEGER DEFAULT NULL`,
+        ],
+    },
+    {
+        // Hourly rate overrides: task -> project -> client, NULL = inherit
+        version: 8,
+        statements: [
+            `ALTER TABLE Project ADD COLUMN rate REAL DEFAULT NULL`,
+            `ALTER TABLE Project ADD COLUMN currency TEXT DEFAULT NULL`,
+            `ALTER TABLE TaskInstance ADD COLUMN rate REAL DEFAULT NULL`,
+            `ALTER TABLE TaskInstance ADD COLUMN currency TEXT DEFAULT NULL`,
+        ],
+    },
+    {
+        // Project budgets: hours and/or money, for whole project or per calendar month
+        version: 9,
+        statements: [
+            `ALTER TABLE Project ADD COLUMN budget_hours REAL DEFAULT NULL`,
+            `ALTER TABLE Project ADD COLUMN budget_amount REAL DEFAULT NULL`,
+            `ALTER TABLE Project ADD COLUMN budget_period TEXT DEFAULT 'total'`,
+        ],
+    },
+    {
+        // Report filters: date range on entries, project/client on instances
+        version: 10,
+        statements: [
+            `CREATE INDEX IF NOT EXISTS idx_timeentry_start ON TimeEntry(start_time)`,
+            `CREATE INDEX IF NOT EXISTS idx_taskinstance_project ON TaskInstance(project_id)`,
+            `CREATE INDEX IF NOT EXISTS idx_taskinstance_client ON TaskInstance(client_id)`,
+        ],
+    },
+    {
+        // Billing time rounding: per client, project overrides, NULL increment = inherit
+        version: 11,
+        statements: [
+            `ALTER TABLE Client ADD COLUMN rounding_increment INTEGER DEFAULT NULL`,
+            `ALTER TABLE Client ADD COLUMN rounding_mode TEXT DEFAULT NULL`,
+            `ALTER TABLE Client ADD COLUMN rounding_scope TEXT DEFAULT NULL`,
+            `ALTER TABLE Project ADD COLUMN rounding_increment INTEGER DEFAULT NULL`,
+            `ALTER TABLE Project ADD COLUMN rounding_mode TEXT DEFAULT NULL`,
+            `ALTER TABLE Project ADD COLUMN rounding_scope TEXT DEFAULT NULL`,
+        ],
+    },
+    {
+        // Completed pomodoros (full work phases) per task instance
+        version: 12,
+        statements: [
+            `CREATE TABLE IF NOT EXISTS Pomodoro (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                task_instance_id INTEGER NOT NULL,
+                duration INTEGER NOT NULL,
+                started_at TEXT NOT NULL,
+                completed_at TEXT NOT NULL,
+                FOREIGN KEY (task_instance_id) REFERENCES TaskInstance(id) ON DELETE CASCADE
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_pomodoro_completed ON Pomodoro(completed_at)`,
+            `CREATE INDEX IF NOT EXISTS idx_pomodoro_instance ON Pomodoro(task_instance_id)`,
+        ],
+    },
+    {
+        // Weekly hour target per project, NULL = no target
+        version: 13,
+        statements: [
+            `ALTER TABLE Project ADD COLUMN target_hours REAL DEFAULT NULL`,
+        ],
+    },
+    {
+        // Work schedules (expected hours per weekday from a date on) and absences
+        version: 14,
+        statements: [
+            `CREATE TABLE IF NOT EXISTS WorkSchedule (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                effective_from TEXT NOT NULL UNIQUE,
+                monday_hours REAL NOT NULL DEFAULT 0,
+                tuesday_hours REAL NOT NULL DEFAULT 0,
+                wednesday_hours REAL NOT NULL DEFAULT 0,
+                thursday_hours REAL NOT NULL DEFAULT 0,
+                friday_hours REAL NOT NULL DEFAULT 0,
+                saturday_hours REAL NOT NULL DEFAULT 0,
+                sunday_hours REAL NOT NULL DEFAULT 0
+            )`,
+            `CREATE TABLE IF NOT EXISTS Absence (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                date TEXT NOT NULL,
+                type TEXT NOT NULL,
+                hours REAL DEFAULT NULL,
+                description TEXT
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_absence_date ON Absence(date)`,
+        ],
+    },
+    {
+        // Append-only change history of TimeEntry and TaskInstance rows (JSON before/after)
+        version: 15,
+        statements: [
+            `CREATE TABLE IF NOT EXISTS ChangeHistory (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                table_name TEXT NOT NULL,
+                row_id INTEGER NOT NULL,
+                task_instance_id INTEGER,
+                action TEXT NOT NULL,
+                source TEXT NOT NULL,
+                label TEXT,
+                before_data TEXT,
+                after_data TEXT,
+                changed_at TEXT NOT NULL
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_change_history_row ON ChangeHistory(table_name, row_id)`,
+            `CREATE INDEX IF NOT EXISTS idx_change_history_instance ON ChangeHistory(task_instance_id)`,
+        ],
+    },
+    {
+        // Optional parent task (subtasks), NULL = top-level task
+        version: 16,
+        statements: [
+            `ALTER TABLE Task ADD COLUMN parent_id INTEGER DEFAULT NULL`,
+            `CREATE INDEX IF NOT EXISTS idx_task_parent ON Task(parent_id)`,
+        ],
+    },
+    {
+        // Archived projects and clients are hidden from selectors but keep their history
+        version: 17,
+        statements: [
+            `ALTER TABLE Project ADD COLUMN archived INTEGER DEFAULT 0`,
+            `ALTER TABLE Client ADD COLUMN archived INTEGER DEFAULT 0`,
+        ],
+    },
+    {
+        // Client contact and billing details, payment terms in days
+        version: 18,
+        statements: [
+            `ALTER TABLE Client ADD COLUMN contact_person TEXT DEFAULT NULL`,
+            `ALTER TABLE Client ADD COLUMN email TEXT DEFAULT NULL`,
+            `ALTER TABLE Client ADD COLUMN phone TEXT DEFAULT NULL`,
+            `ALTER TABLE Client ADD COLUMN billing_address TEXT DEFAULT NULL`,
+            `ALTER TABLE Client ADD COLUMN tax_id TEXT DEFAULT NULL`,
+            `ALTER TABLE Client ADD COLUMN payment_terms INTEGER DEFAULT NULL`,
+        ],
+    },
+    {
+        // Invoices with line items, invoiced time entries point to their invoice
+        version: 19,
+        statements: [
+            `CREATE TABLE IF NOT EXISTS Invoice (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                number TEXT NOT NULL UNIQUE,
+                sequence INTEGER NOT NULL,
+                client_id INTEGER NOT NULL,
+                period_start TEXT NOT NULL,
+                period_end TEXT NOT NULL,
+                issue_date TEXT NOT NULL,
+                due_date TEXT DEFAULT NULL,
+                currency TEXT,
+                group_by TEXT NOT NULL DEFAULT 'project',
+                total_amount REAL NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL
+            )`,
+            `CREATE TABLE IF NOT EXISTS InvoiceItem (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                invoice_id INTEGER NOT NULL,
+                position INTEGER NOT NULL DEFAULT 0,
+                description TEXT NOT NULL,
+                hours REAL NOT NULL DEFAULT 0,
+                rate REAL NOT NULL DEFAULT 0,
+                amount REAL NOT NULL DEFAULT 0
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_invoice_item_invoice ON InvoiceItem(invoice_id)`,
+            `ALTER TABLE TimeEntry ADD COLUMN invoice_id INTEGER DEFAULT NULL`,
+            `CREATE INDEX IF NOT EXISTS idx_time_entry_invoice ON TimeEntry(invoice_id)`,
+        ],
+    },
+    {
+        // Client tax rate override (percent) and regime, invoice net/tax split (total = gross)
+        version: 20,
+        statements: [
+            `ALTER TABLE Client ADD COLUMN tax_rate REAL DEFAULT NULL`,
+            `ALTER TABLE Client ADD COLUMN tax_mode TEXT DEFAULT NULL`,
+            `ALTER TABLE Invoice ADD COLUMN net_amount REAL NOT NULL DEFAULT 0`,
+            `ALTER TABLE Invoice ADD COLUMN tax_rate REAL NOT NULL DEFAULT 0`,
+            `ALTER TABLE Invoice ADD COLUMN tax_mode TEXT NOT NULL DEFAULT 'standard'`,
+            `ALTER TABLE Invoice ADD COLUMN tax_amount REAL NOT NULL DEFAULT 0`,
+            `UPDATE Invoice SET net_amount = total_amount`,
+        ],
+    },
+    {
+        // User-maintained exchange rates: 1 currency = rate base_currency from effective_date
+        version: 21,
+        statements: [
+            `CREATE TABLE IF NOT EXISTS ExchangeRate (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                currency TEXT NOT NULL,
+                base_currency TEXT NOT NULL,
+                rate REAL NOT NULL,
+                effective_date TEXT NOT NULL,
+                created_at TEXT NOT NULL
+            )`,
+            `CREATE UNIQUE INDEX IF NOT EXISTS idx_exchange_rate_pair_date
+                ON ExchangeRate(currency, base_currency, effective_date)`,
+        ],
+    },
+    {
+        // Project expenses (licenses, travel) passed through to the client
+        version: 22,
+        statements: [
+            `CREATE TABLE IF NOT EXISTS Expense (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER NOT NULL DEFAULT 1,
+                client_id INTEGER NOT NULL DEFAULT 1,
+                date TEXT NOT NULL,
+                amount REAL NOT NULL,
+                currency TEXT NOT NULL,
+                category TEXT DEFAULT NULL,
+                description TEXT DEFAULT NULL,
+                billable INTEGER NOT NULL DEFAULT 1,
+                receipt_path TEXT DEFAULT NULL,
+                created_at TEXT NOT NULL
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_expense_date ON Expense(date)`,
+            `CREATE INDEX IF NOT EXISTS idx_expense_project ON Expense(project_id)`,
+        ],
+    },
+];
+
 export class DatabaseMigration {
     /**
      * @param {GdaDatabaseBridge} oldDbBridge - Connection to old database (valot.db.db or valot-backup.db)
@@ -23,6 +293,24 @@ export class DatabaseMigration {
         this.isOldSchema = false; // Will be detected during migration
     }
 
+    /**
+     * Apply pending schema upgrades to an open database
+     * @param {GdaDatabaseBridge} db - Connected database bridge
+     */
+    static async upgradeSchema(db) {
+        let version = await db.getSchemaVersion();
+
+        for (const upgrade of SCHEMA_UPGRADES) {
+            if (version >= upgrade.version) continue;
+
+            for (const sql of upgrade.statements) {
+                await db.execute(sql);
+            }
+            await db.setSchemaVersion(upgrade.version);
+            version = upgrade.version;
+        }
+    }
+
     /**
      * Detect if source database is old schema (0.8.x) or new schema (0.9.x with version >= 2)
      * Logic:
@@ -330,6 +618,13 @@ export class DatabaseMigration {
                 { name: 'Copying Tasks', fn: () => this._copyTasks() },
                 { name: 'Copying Task Instances', fn: () => this._copyTaskInstances() },
                 { name: 'Copying Time Entries', fn: () => this._copyTimeEntries() },
+                { name: 'Copying Tags', fn: () => this._copyTags() },
+                { name: 'Copying Pomodoros', fn: () => this._copyPomodoros() },
+                { name: 'Copying Invoices', fn: () => this._copyInvoices() },
+                { name: 'Copying Expenses', fn: () => this._copyExpenses() },
+                { name: 'Copying Exchange Rates', fn: () => this._copyExchangeRates() },
+                { name: 'Copying Work Schedules', fn: () => this._copyWorkSchedules() },
+                { name: 'Copying Change History', fn: () => this._copyChangeHistory() },
                 { name: 'Synchronizing total times', fn: () => this._syncTotalTimes() },
             ];
         }
@@ -350,8 +645,10 @@ export class DatabaseMigration {
                 await new Promise(resolve => setTimeout(resolve, 25));
             }
 
-            // Set schema version to 2 (0.9.0)
-            await this.newDb.setSchemaVersion(2);
+            // Set schema version to 2 (0.9.0) - never downgrade, upgrades already applied on initialize
+            if (await this.newDb.getSchemaVersion() < 2) {
+                await this.newDb.setSchemaVersion(2);
+            }
 
             return true;
         } catch (error) {
@@ -585,8 +882,9 @@ export class DatabaseMigration {
 
         for (const project of projects) {
             await this.newDb.execute(
-                `INSERT OR IGNORE INTO Project (id, name, color, icon, client_id, total_time, dark_icons, icon_color, icon_color_mode)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                `INSERT OR IGNORE INTO Project (id, name, color, icon, client_id, total_time, dark_icons, icon_color, icon_color_mode, billable, rate, currency,
+                                          budget_hours, budget_amount, budget_period, rounding_increment, rounding_mode, rounding_scope, target_hours, archived)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     project.id,
                     project.name,
@@ -596,7 +894,18 @@ export class DatabaseMigration {
                     project.total_time,
                     project.dark_icons,
                     project.icon_color,
-                    project.icon_color_mode
+                    project.icon_color_mode,
+                    project.billable ?? 1,
+                    project.rate ?? null,
+                    project.currency ?? null,
+                    project.budget_hours ?? null,
+                    project.budget_amount ?? null,
+                    project.budget_period || 'total',
+                    project.rounding_increment ?? null,
+                    project.rounding_mode ?? null,
+                    project.rounding_scope ?? null,
+                    project.target_hours ?? null,
+                    project.archived ?? 0
                 ]
             );
         }
@@ -611,13 +920,26 @@ export class DatabaseMigration {
 
         for (const client of clients) {
             await this.newDb.execute(
-                `INSERT OR IGNORE INTO Client (id, name, rate, currency)
-                 VALUES (?, ?, ?, ?)`,
+                `INSERT OR IGNORE INTO Client (id, name, rate, currency, rounding_increment, rounding_mode, rounding_scope, archived,
+                                         contact_person, email, phone, billing_address, tax_id, payment_terms, tax_rate, tax_mode)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     client.id,
                     client.name,
                     client.rate,
-                    client.currency
+                    client.currency,
+                    client.rounding_increment ?? null,
+                    client.rounding_mode ?? null,
+                    client.rounding_scope ?? null,
+                    client.archived ?? 0,
+                    client.contact_person ?? null,
+                    client.email ?? null,
+                    client.phone ?? null,
+                    client.billing_address ?? null,
+                    client.tax_id ?? null,
+                    client.payment_terms ?? null,
+                    client.tax_rate ?? null,
+                    client.tax_mode ?? null
                 ]
             );
         }
@@ -632,11 +954,12 @@ export class DatabaseMigration {
 
         for (const task of tasks) {
             await this.newDb.execute(
-                `INSERT OR IGNORE INTO Task (id, name)
-                 VALUES (?, ?)`,
+                `INSERT OR IGNORE INTO Task (id, name, parent_id)
+                 VALUES (?, ?, ?)`,
                 [
                     task.id,
-                    task.name
+                    task.name,
+                    task.parent_id ?? null
                 ]
             );
         }
@@ -651,8 +974,8 @@ export class DatabaseMigration {
 
         for (const instance of instances) {
             await this.newDb.execute(
-                `INSERT INTO TaskInstance (id, task_id, project_id, client_id, total_time, last_used_at, is_favorite)
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                `INSERT INTO TaskInstance (id, task_id, project_id, client_id, total_time, last_used_at, is_favorite, billable, rate, currency)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     instance.id,
                     instance.task_id,
@@ -660,7 +983,10 @@ export class DatabaseMigration {
                     instance.client_id,
                     instance.total_time,
                     instance.last_used_at,
-                    instance.is_favorite
+                    instance.is_favorite,
+                    instance.billable ?? null,
+                    instance.rate ?? null,
+                    instance.currency ?? null
                 ]
             );
         }
@@ -675,20 +1001,106 @@ export class DatabaseMigration {
 
         for (const entry of entries) {
             await this.newDb.execute(
-                `INSERT INTO TimeEntry (id, task_instance_id, start_time, end_time, duration)
-                 VALUES (?, ?, ?, ?, ?)`,
+                `INSERT INTO TimeEntry (id, task_instance_id, start_time, end_time, duration, description, billable, invoice_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     entry.id,
                     entry.task_instance_id,
                     entry.start_time,
                     entry.end_time,
-                    entry.duration
+                    entry.duration,
+                    entry.description || '',
+                    entry.billable ?? null,
+                    entry.invoice_id ?? null
                 ]
             );
         }
 
     }
 
+    /**
+     * Copy Tags and their links to TaskInstances and TimeEntries (direct copy)
+     */
+    async _copyTags() {
+        await this._copyRows('Tag', ['id', 'name', 'color', 'created_at']);
+        await this._copyRows('TaskInstanceTag', ['task_instance_id', 'tag_id']);
+        await this._copyRows('TimeEntryTag', ['time_entry_id', 'tag_id']);
+    }
+
+    /**
+     * Copy completed Pomodoros (direct copy)
+     */
+    async _copyPomodoros() {
+        await this._copyRows('Pomodoro', ['id', 'task_instance_id', 'duration', 'started_at', 'completed_at']);
+    }
+
+    /**
+     * Copy Invoices and their items (direct copy, TimeEntry.invoice_id keeps pointing to them)
+     */
+    async _copyInvoices() {
+        await this._copyRows('Invoice', ['id', 'number', 'sequence', 'client_id', 'period_start', 'period_end', 'issue_date',
+            'due_date', 'currency', 'group_by', 'total_amount', 'net_amount', 'tax_rate', 'tax_mode', 'tax_amount', 'created_at']);
+        await this._copyRows('InvoiceItem', ['id', 'invoice_id', 'position', 'description', 'hours', 'rate', 'amount']);
+        // Invoices from before the net/tax split (schema 20) are net only
+        await this.newDb.execute(`UPDATE Invoice SET net_amount = total_amount WHERE net_amount = 0 AND tax_amount = 0`);
+    }
+
+    /**
+     * Copy Expenses (direct copy)
+     */
+    async _copyExpenses() {
+        await this._copyRows('Expense', ['id', 'project_id', 'client_id', 'date', 'amount', 'currency', 'category',
+            'description', 'billable', 'receipt_path', 'created_at']);
+    }
+
+    /**
+     * Copy ExchangeRates (direct copy)
+     */
+    async _copyExchangeRates() {
+        await this._copyRows('ExchangeRate', ['id', 'currency', 'base_currency', 'rate', 'effective_date', 'created_at']);
+    }
+
+    /**
+     * Copy WorkSchedules and Absences (direct copy)
+     */
+    async _copyWorkSchedules() {
+        await this._copyRows('WorkSchedule', ['id', 'effective_from', 'monday_hours', 'tuesday_hours', 'wednesday_hours',
+            'thursday_hours', 'friday_hours', 'saturday_hours', 'sunday_hours']);
+        await this._copyRows('Absence', ['id', 'date', 'type', 'hours', 'description']);
+    }
+
+    /**
+     * Copy ChangeHistory (direct copy, row IDs stay valid)
+     */
+    async _copyChangeHistory() {
+        await this._copyRows('ChangeHistory', ['id', 'table_name', 'row_id', 'task_instance_id', 'action', 'source',
+            'label', 'before_data', 'after_data', 'changed_at']);
+    }
+
+    /**
+     * Copy rows of a table added by a later schema version
+     * Skipped when the old database has no such table, columns it lacks keep their default
+     * @param {string} table
+     * @param {string[]} columns - Columns to copy
+     */
+    async _copyRows(table, columns) {
+        const tables = await this.oldDb.query(
+            "SELECT name FROM sqlite_master WHERE type='table' AND name = ?",
+            [table]
+        );
+        if (tables.length === 0) return;
+
+        const rows = await this.oldDb.query(`SELECT * FROM ${table}`);
+        for (const row of rows) {
+            const present = columns.filter(column => row[column] !== undefined);
+            await this.newDb.execute(
+                `INSERT OR IGNORE INTO ${table} (${present.join(', ')})
+                 VALUES (${present.map(() => '?').join(', ')})`,
+                present.map(column => row[column])
+            );
+        }
+    }
+
     /**
      * Synchronize total_time for all TaskInstances based on actual TimeEntry data
      * This ensures data integrity after migration by recalculating total_time from TimeEntry.duration
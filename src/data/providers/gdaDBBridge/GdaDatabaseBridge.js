@@ -5,6 +5,7 @@
 
 import Gda from 'gi://Gda?version=6.0';
 import GLib from 'gi://GLib';
+import { DatabaseMigration } from './DatabaseMigration.js';
 
 export class GdaDatabaseBridge {
     constructor() {
@@ -162,6 +163,9 @@ export class GdaDatabaseBridge {
             // Apply indices and integrity constraints/migrations
             await this._applyIndicesAndConstraints();
 
+            // Apply versioned schema upgrades (new columns etc.)
+            await DatabaseMigration.upgradeSchema(this);
+
         } catch (error) {
             console.error('❌ Schema initialization error:', error);
             throw error;
@@ -496,16 +500,17 @@ export class GdaDatabaseBridge {
      * This is safer for preventing GWeakRef accumulation than prepared statements
      */
     _escapeSqlParams(sql, params) {
-        let processed = sql;
-        for (let i = 0; i < params.length; i++) {
-            const v = params[i];
-            const esc = (v === null || v === undefined) ? 'NULL' :
+        // Single pass over placeholders - a '?' inside an already substituted
+        // value (e.g. free-text description) must not be treated as a placeholder
+        let i = 0;
+        return sql.replace(/\?/g, (placeholder) => {
+            if (i >= params.length) return placeholder;
+            const v = params[i++];
+            return (v === null || v === undefined) ? 'NULL' :
                 (typeof v === 'number') ? String(v) :
                 (typeof v === 'boolean') ? (v ? '1' : '0') :
                 "'" + String(v).replace(/'/g, "''") + "'";
-            processed = processed.replace('?', esc);
-        }
-        return processed;
+        });
     }
 
     /**
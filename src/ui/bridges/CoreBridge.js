@@ -29,6 +29,23 @@ export class CoreBridge {
             this._notifyUI('tracking-updated', data);
         });
 
+        // Pause closes the current time entry like a stop; resume opens a new one like a start.
+        // Views that only follow time entries get them as stop/start (flagged), tracking widgets
+        // handle tracking-paused/tracking-resumed and skip the flagged ones
+        this.core.events.on('tracking:paused', (data) => {
+            this._notifyUI('tracking-paused', data);
+            this._notifyUI('tracking-stopped', { ...data, paused: true });
+        });
+
+        this.core.events.on('tracking:resumed', (data) => {
+            this._notifyUI('tracking-resumed', data);
+            this._notifyUI('tracking-started', { ...data, resumed: true });
+        });
+
+        this.core.events.on('tracking:idle-detected', (data) => {
+            this._notifyUI('tracking-idle-detected', data);
+        });
+
         // Project events
         this.core.events.on('project:created', (data) => {
             this._notifyUI('project-created', data);
@@ -46,6 +63,99 @@ export class CoreBridge {
             this._notifyUI('projects-deleted', data);
         });
 
+        // Pomodoro events
+        this.core.events.on('pomodoro:phase-changed', (data) => {
+            this._notifyUI('pomodoro-phase-changed', data);
+        });
+
+        this.core.events.on('pomodoro:updated', (data) => {
+            this._notifyUI('pomodoro-updated', data);
+        });
+
+        this.core.events.on('pomodoro:completed', (data) => {
+            this._notifyUI('pomodoro-completed', data);
+        });
+
+        // Budget events
+        this.core.events.on('budget:threshold-reached', (data) => {
+            this._notifyUI('budget-threshold-reached', data);
+        });
+
+        // Hour target events
+        this.core.events.on('target:progress-updated', (data) => {
+            this._notifyUI('target-progress-updated', data);
+        });
+
+        this.core.events.on('target:reached', (data) => {
+            this._notifyUI('target-reached', data);
+        });
+
+        // Work schedule and absence events
+        this.core.events.on('work-schedule:updated', (data) => {
+            this._notifyUI('work-schedule-updated', data);
+        });
+
+        this.core.events.on('absence:created', (data) => {
+            this._notifyUI('absence-created', data);
+        });
+
+        this.core.events.on('absence:deleted', (data) => {
+            this._notifyUI('absence-deleted', data);
+        });
+
+        // Invoice events
+        this.core.events.on('invoice:created', (data) => {
+            this._notifyUI('invoice-created', data);
+        });
+
+        this.core.events.on('invoice:deleted', (data) => {
+            this._notifyUI('invoice-deleted', data);
+        });
+
+        // Exchange rate events
+        this.core.events.on('exchange-rate:created', (data) => {
+            this._notifyUI('exchange-rate-created', data);
+        });
+
+        this.core.events.on('exchange-rate:updated', (data) => {
+            this._notifyUI('exchange-rate-updated', data);
+        });
+
+        this.core.events.on('exchange-rate:deleted', (data) => {
+            this._notifyUI('exchange-rate-deleted', data);
+        });
+
+        this.core.events.on('exchange-rate:base-changed', (data) => {
+            this._notifyUI('base-currency-changed', data);
+        });
+
+        // Expense events
+        this.core.events.on('expense:created', (data) => {
+            this._notifyUI('expense-created', data);
+        });
+
+        this.core.events.on('expense:updated', (data) => {
+            this._notifyUI('expense-updated', data);
+        });
+
+        this.core.events.on('expense:deleted', (data) => {
+            this._notifyUI('expense-deleted', data);
+        });
+
+        // Undo/redo events
+        this.core.events.on('undo:history-changed', (data) => {
+            this._notifyUI('undo-history-changed', data);
+        });
+
+        this.core.events.on('undo:applied', (data) => {
+            this._notifyUI('undo-applied', data);
+        });
+
+        // Change history events
+        this.core.events.on('history:reverted', (data) => {
+            this._notifyUI('history-reverted', data);
+        });
+
         // Client events
         this.core.events.on('client:created', (data) => {
             this._notifyUI('client-created', data);
@@ -63,6 +173,23 @@ export class CoreBridge {
             this._notifyUI('clients-deleted', data);
         });
 
+        // Tag events
+        this.core.events.on('tag:created', (data) => {
+            this._notifyUI('tag-created', data);
+        });
+
+        this.core.events.on('tag:updated', (data) => {
+            this._notifyUI('tag-updated', data);
+        });
+
+        this.core.events.on('tag:deleted', (data) => {
+            this._notifyUI('tag-deleted', data);
+        });
+
+        this.core.events.on('tags:assigned', (data) => {
+            this._notifyUI('tags-assigned', data);
+        });
+
         // Task events
         this.core.events.on('task:created', (data) => {
             this._notifyUI('task-created', data);
@@ -179,6 +306,10 @@ export class CoreBridge {
         return await this.core.services.projects.deleteMultiple(ids);
     }
 
+    async setProjectsArchived(ids, archived) {
+        return await this.core.services.projects.setArchived(ids, archived);
+    }
+
     async searchProjects(query) {
         return await this.core.services.projects.search(query);
     }
@@ -216,10 +347,53 @@ export class CoreBridge {
         return await this.core.services.clients.deleteMultiple(ids);
     }
 
+    async setClientsArchived(ids, archived) {
+        return await this.core.services.clients.setArchived(ids, archived);
+    }
+
     async searchClients(query) {
         return await this.core.services.clients.search(query);
     }
 
+    // ==================== Tags API ====================
+
+    async getAllTags() {
+        return await this.core.services.tags.getAll();
+    }
+
+    async createTag(name, color = null) {
+        const tagId = await this.core.services.tags.create({ name, color });
+        return await this.core.services.tags.getById(tagId);
+    }
+
+    async findOrCreateTag(name) {
+        return await this.core.services.tags.findOrCreate(name);
+    }
+
+    async updateTag(id, data) {
+        return await this.core.services.tags.update(id, data);
+    }
+
+    async deleteTag(id) {
+        return await this.core.services.tags.delete(id);
+    }
+
+    async getTaskInstanceTags(taskInstanceId) {
+        return await this.core.services.tags.getTagsForTaskInstance(taskInstanceId);
+    }
+
+    async setTaskInstanceTags(taskInstanceId, tagIds) {
+        return await this.core.services.tags.setTaskInstanceTags(taskInstanceId, tagIds);
+    }
+
+    async getTimeEntryTags(timeEntryId) {
+        return await this.core.services.tags.getTagsForTimeEntry(timeEntryId);
+    }
+
+    async setTimeEntryTags(timeEntryId, tagIds) {
+        return await this.core.services.tags.setTimeEntryTags(timeEntryId, tagIds);
+    }
+
     // ==================== Tasks API ====================
 
     async getAllTasks() {
@@ -288,15 +462,29 @@ export class CoreBridge {
     }
 
     async deleteMultipleTaskInstances(ids) {
-        for (const id of ids) {
-            await this.core.services.taskInstances.delete(id);
-        }
+        await this.core.services.undo.group('Delete tasks', async () => {
+            for (const id of ids) {
+                await this.core.services.taskInstances.delete(id);
+            }
+        });
     }
 
     async findOrCreateTask(name) {
         return await this.core.services.tasks.findOrCreate(name);
     }
 
+    async findOrCreateSubtask(name, parentId) {
+        return await this.core.services.tasks.findOrCreateSubtask(name, parentId);
+    }
+
+    async getSubtasks(parentId = null) {
+        return await this.core.services.tasks.getSubtasks(parentId);
+    }
+
+    async setTaskParent(taskId, parentId = null) {
+        return await this.core.services.tasks.setParent(taskId, parentId);
+    }
+
     async createAutoIndexedTask(projectId = null, clientId = null) {
         return await this.core.services.tasks.createAutoIndexed(projectId, clientId);
     }
@@ -335,6 +523,281 @@ export class CoreBridge {
         return await this.core.services.tracking.resume();
     }
 
+    /**
+     * Tracking session left over from a crash (null if none)
+     */
+    getSavedSession() {
+        return this.core.services.persistence.getPendingSession();
+    }
+
+    async resumeSavedSession() {
+        return await this.core.services.persistence.resumeSession();
+    }
+
+    async closeSavedSession() {
+        return await this.core.services.persistence.closeSession();
+    }
+
+    /**
+     * Idle detection (threshold in seconds, 0 = off)
+     */
+    setIdleThreshold(seconds) {
+        this.core.services.idle.setThreshold(seconds);
+    }
+
+    getPendingIdle() {
+        return this.core.services.idle.getPendingIdle();
+    }
+
+    /**
+     * Project budgets (thresholds in percent)
+     */
+    setBudgetThresholds(percents) {
+        this.core.services.budgets.setThresholds(percents);
+    }
+
+    async getProjectBudgetUsage(projectId) {
+        return await this.core.services.budgets.getUsage(projectId);
+    }
+
+    async getAllProjectBudgetUsage() {
+        return await this.core.services.budgets.getAllUsage();
+    }
+
+    /**
+     * Pomodoro cycles (work / short break / long break)
+     */
+    setPomodoroConfig(config) {
+        this.core.services.pomodoro.setConfig(config);
+    }
+
+    getPomodoroState() {
+        return this.core.services.pomodoro.getState();
+    }
+
+    async startPomodoro(taskId, projectId = null, clientId = null) {
+        return await this.core.services.pomodoro.start(taskId, projectId, clientId);
+    }
+
+    async stopPomodoro() {
+        return await this.core.services.pomodoro.stop();
+    }
+
+    async startNextPomodoroPhase() {
+        return await this.core.services.pomodoro.startNextPhase();
+    }
+
+    async skipPomodoroBreak() {
+        return await this.core.services.pomodoro.skipBreak();
+    }
+
+    /**
+     * Hour targets (daily per weekday, weekly; project targets are project fields)
+     */
+    setHourTargets(targets) {
+        this.core.services.targets.setTargets(targets);
+    }
+
+    getHourTargets() {
+        return this.core.services.targets.getTargets();
+    }
+
+    async getTargetProgress() {
+        return await this.core.services.targets.getProgress();
+    }
+
+    getLastTargetProgress() {
+        return this.core.services.targets.getLastProgress();
+    }
+
+    /**
+     * Work schedules, absences and overtime balance
+     */
+    async getWorkSchedules() {
+        return await this.core.services.overtime.getSchedules();
+    }
+
+    async setWorkSchedule(effectiveFrom, hours) {
+        return await this.core.services.overtime.setSchedule(effectiveFrom, hours);
+    }
+
+    async deleteWorkSchedule(id) {
+        return await this.core.services.overtime.deleteSchedule(id);
+    }
+
+    async getAbsences(dateRange = null) {
+        return await this.core.services.overtime.getAbsences(dateRange);
+    }
+
+    async addAbsence(input) {
+        return await this.core.services.overtime.addAbsence(input);
+    }
+
+    async deleteAbsence(id) {
+        return await this.core.services.overtime.deleteAbsence(id);
+    }
+
+    async getOvertimeBalance(dateRange) {
+        return await this.core.services.overtime.getBalance(dateRange);
+    }
+
+    /**
+     * Export overtime balance of a period to CSV text (see OvertimeService.exportToCSV for options)
+     */
+    async exportOvertimeToCSV(dateRange, csvOptions = {}) {
+        const balance = await this.core.services.overtime.getBalance(dateRange);
+        return this.core.services.overtime.exportToCSV(balance, csvOptions);
+    }
+
+    /**
+     * Tax: default rate in percent, client rate and regime override it
+     */
+    setDefaultTaxRate(rate) {
+        this.core.services.clients.setDefaultTaxRate(rate);
+    }
+
+    getDefaultTaxRate() {
+        return this.core.services.clients.getDefaultTaxRate();
+    }
+
+    /**
+     * Effective tax of a client: {rate, mode}
+     */
+    async getClientTax(clientId) {
+        const client = clientId ? await this.core.services.clients.getById(clientId) : null;
+        return this.core.services.clients.getTax(client);
+    }
+
+    /**
+     * Invoices of uninvoiced billable time
+     */
+    setInvoiceNumbering(numbering) {
+        this.core.services.invoices.setNumbering(numbering);
+    }
+
+    async previewInvoice(options) {
+        return await this.core.services.invoices.preview(options);
+    }
+
+    async createInvoice(options) {
+        return await this.core.services.invoices.create(options);
+    }
+
+    async getInvoices(clientId = null) {
+        return await this.core.services.invoices.getAll(clientId);
+    }
+
+    async getInvoice(id) {
+        return await this.core.services.invoices.getById(id);
+    }
+
+    async deleteInvoice(id) {
+        return await this.core.services.invoices.delete(id);
+    }
+
+    /**
+     * Base currency and exchange rates to convert currency totals
+     */
+    setBaseCurrency(currency) {
+        this.core.services.exchangeRates.setBaseCurrency(currency);
+    }
+
+    getBaseCurrency() {
+        return this.core.services.exchangeRates.getBaseCurrency();
+    }
+
+    async getExchangeRates() {
+        return await this.core.services.exchangeRates.getAll();
+    }
+
+    async createExchangeRate(input) {
+        return await this.core.services.exchangeRates.create(input);
+    }
+
+    async updateExchangeRate(id, input) {
+        return await this.core.services.exchangeRates.update(id, input);
+    }
+
+    async deleteExchangeRate(id) {
+        return await this.core.services.exchangeRates.delete(id);
+    }
+
+    async getExchangeRate(currency, dateKey) {
+        return await this.core.services.exchangeRates.getRate(currency, dateKey);
+    }
+
+    /**
+     * Project expenses
+     */
+    async getExpenses(filters = {}) {
+        return await this.core.services.expenses.getAll(filters);
+    }
+
+    async getExpenseTotals(filters = {}) {
+        return await this.core.services.expenses.getTotals(filters);
+    }
+
+    async createExpense(input) {
+        return await this.core.services.expenses.create(input);
+    }
+
+    async updateExpense(id, input) {
+        return await this.core.services.expenses.update(id, input);
+    }
+
+    async deleteExpense(id) {
+        return await this.core.services.expenses.delete(id);
+    }
+
+    /**
+     * Undo/redo of data changes
+     */
+    async undo() {
+        return await this.core.services.undo.undo();
+    }
+
+    async redo() {
+        return await this.core.services.undo.redo();
+    }
+
+    getUndoState() {
+        return this.core.services.undo.getState();
+    }
+
+    /**
+     * Run several changes as one undo step (e.g. bulk edits)
+     */
+    async runAsUndoStep(label, fn) {
+        return await this.core.services.undo.group(label, fn);
+    }
+
+    clearUndoHistory() {
+        this.core.services.undo.clear();
+    }
+
+    /**
+     * Change history of a task instance and its time entries
+     */
+    async getTaskInstanceHistory(instanceId) {
+        return await this.core.services.history.getTaskInstanceHistory(instanceId);
+    }
+
+    async revertChange(historyId) {
+        return await this.core.services.history.revert(historyId);
+    }
+
+    keepIdleTime() {
+        this.core.services.idle.keepIdleTime();
+    }
+
+    async discardIdleTime() {
+        return await this.core.services.idle.discardIdleTime();
+    }
+
+    async splitIdleTime(taskId, projectId = null, clientId = null) {
+        return await this.core.services.idle.splitIdleTime(taskId, projectId, clientId);
+    }
+
     async updateCurrentTaskName(newName) {
         return await this.core.services.tracking.updateCurrentTaskName(newName);
     }
@@ -359,20 +822,72 @@ export class CoreBridge {
         return await this.core.services.tracking.deleteTimeEntry(entryId);
     }
 
-    async updateTimeEntry(entryId, data) {
-        return await this.core.services.tracking.updateTimeEntry(entryId, data);
+    /**
+     * Update an entry, new times of a completed entry can avoid other sessions
+     * @param {string} overlapMode - 'keep', 'trim' or 'split'
+     */
+    async updateTimeEntry(entryId, data, overlapMode = 'keep') {
+        return await this.core.services.tracking.updateTimeEntry(entryId, data, overlapMode);
+    }
+
+    /**
+     * Find entries overlapping a time range (including the running session)
+     */
+    async findTimeEntryOverlaps(startTime, endTime, excludeEntryId = null) {
+        return await this.core.services.tracking.findOverlaps(startTime, endTime, excludeEntryId);
+    }
+
+    /**
+     * Add a completed entry in the past
+     * @param {string} overlapMode - 'keep', 'trim' or 'split'
+     */
+    async addPastTimeEntry(input, overlapMode = 'keep') {
+        return await this.core.services.tracking.addPastEntry(input, overlapMode);
+    }
+
+    /**
+     * Split a completed entry at a time, second part optionally on another task
+     * @param {Object|null} target - {task_id or task_name, project_id, client_id}
+     */
+    async splitTimeEntry(entryId, splitTime, target = null) {
+        return await this.core.services.tracking.splitTimeEntry(entryId, splitTime, target);
+    }
+
+    /**
+     * Merge adjacent completed entries of one task instance
+     */
+    async mergeTimeEntries(entryIds) {
+        return await this.core.services.tracking.mergeTimeEntries(entryIds);
+    }
+
+    async isTimeEntryBillable(entryId) {
+        return await this.core.services.tracking.isTimeEntryBillable(entryId);
     }
 
     async updateTaskInstance(instanceId, data) {
         return await this.core.services.taskInstances.update(instanceId, data);
     }
 
+    /**
+     * Get effective hourly rate of a task instance (task -> project -> client)
+     */
+    async getEffectiveRate(instanceId) {
+        return await this.core.services.taskInstances.getEffectiveRate(instanceId);
+    }
+
+    /**
+     * Get billed (rounded) billable time per task instance
+     */
+    async getBilledTimes() {
+        return await this.core.services.taskInstances.getBilledTimes();
+    }
+
     /**
      * Update TaskInstance with automatic tracking synchronization (if tracked)
      * Logic is handled in Core - checks if instance is tracked and applies changes globally
      * 
      * @param {number} instanceId - TaskInstance ID
-     * @param {object} data - Update data (task_id, project_id, client_id, last_used_at, is_favorite, total_time)
+     * @param {object} data - Update data (task_id, project_id, client_id, last_used_at, is_favorite, total_time, billable)
      * @param {string} newTaskName - Optional: new task name if task_id changed
      * @returns {Promise<object>} Updated TaskInstance
      */
@@ -384,6 +899,24 @@ export class CoreBridge {
         return await this.core.services.taskInstances.updateTotalTime(instanceId);
     }
 
+    // ==================== Reports API ====================
+
+    async generateReport(options) {
+        return await this.core.services.reports.generateReport(options);
+    }
+
+    /**
+     * Export report entries to CSV text (see ReportService.exportToCSV for options)
+     */
+    async exportReportToCSV(reportOptions, csvOptions = {}) {
+        const reportData = await this.core.services.reports.generateReport(reportOptions);
+        return this.core.services.reports.exportToCSV(reportData, {
+            baseCurrency: this.core.services.exchangeRates.getBaseCurrency(),
+            exchangeRates: await this.core.services.exchangeRates.getAll(),
+            ...csvOptions,
+        });
+    }
+
     // ==================== State API ====================
 
     getState() {
@@ -414,6 +947,10 @@ export class CoreBridge {
         return this.core.state.isTracking();
     }
 
+    isPaused() {
+        return this.core.state.isPaused();
+    }
+
     getCurrentTaskId() {
         return this.core.state.getCurrentTaskId();
     }
@@ -438,16 +975,24 @@ export class CoreBridge {
      * @param {Object} dateRange - { startDate: GLib.DateTime, endDate: GLib.DateTime }
      * @param {Array} taskInstanceIds - Optional array of task instance IDs to filter
      */
-    async getStatsForPeriod(dateRange, taskInstanceIds = null) {
-        return await this.core.services.stats.getStatsForPeriod(dateRange, taskInstanceIds);
+    async getStatsForPeriod(dateRange, taskInstanceIds = null, tagId = null) {
+        return await this.core.services.stats.getStatsForPeriod(dateRange, taskInstanceIds, tagId);
     }
 
     /**
      * Get task instance IDs that have time entries with end_time in the specified period
      * @param {Object} dateRange - { startDate: GLib.DateTime, endDate: GLib.DateTime }
      */
-    async getTaskInstanceIdsForPeriod(dateRange) {
-        return await this.core.services.stats.getTaskInstanceIdsForPeriod(dateRange);
+    async getTaskInstanceIdsForPeriod(dateRange, tagId = null) {
+        return await this.core.services.stats.getTaskInstanceIdsForPeriod(dateRange, tagId);
+    }
+
+    async getTagBreakdownForPeriod(dateRange, taskInstanceIds = null, tagId = null) {
+        return await this.core.services.stats.getTagBreakdownForPeriod(dateRange, taskInstanceIds, tagId);
+    }
+
+    async getPomodoroStatsForPeriod(dateRange, taskInstanceIds = null, tagId = null) {
+        return await this.core.services.stats.getPomodoroStatsForPeriod(dateRange, taskInstanceIds, tagId);
     }
 
     /**
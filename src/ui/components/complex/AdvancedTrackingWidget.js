@@ -5,10 +5,15 @@
  *
  * Features:
  * - Task name entry with live editing during tracking
+ * - Subtask picker (subtasks of the entered task, or of all tasks)
  * - Project dropdown
  * - Client dropdown
+ * - Tag picker (tags of the running time entry, pre-selection before start)
  * - Time display
+ * - Progress towards the daily (or weekly) hour target
  * - Track button (start/stop)
+ * - Pause button (pause/resume, visible during a session)
+ * - Description of the running time entry (popover, visible while tracking)
  * - Auto-save while typing (debounced)
  * - Enter key to start/stop tracking
  */
@@ -17,9 +22,12 @@ import Gtk from 'gi://Gtk?version=4.0';
 import Gdk from 'gi://Gdk?version=4.0';
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
+import Pango from 'gi://Pango';
 import { ProjectDropdown } from 'resource:///com/odnoyko/valot/ui/utils/projectDropdown.js';
 import { ClientDropdown } from 'resource:///com/odnoyko/valot/ui/utils/clientDropdown.js';
+import { TagPicker } from 'resource:///com/odnoyko/valot/ui/utils/tagPicker.js';
 import { DurationAnimator } from 'resource:///com/odnoyko/valot/ui/utils/DurationAnimator.js';
+import { TimeUtils } from 'resource:///com/odnoyko/valot/ui/utils/timeUtils.js';
 
 export class AdvancedTrackingWidget {
     constructor(coreBridge, parentWindow) {
@@ -34,16 +42,15 @@ export class AdvancedTrackingWidget {
         this.currentProjectId = this.settings.get_int('last-project-id') || 1;
         this.currentClientId = this.settings.get_int('last-client-id') || 1;
         this.taskNameDebounceTimer = null;
+        this.descriptionDebounceTimer = null;
         this._blockTaskNameUpdate = false;
         
         // Validate project/client IDs on initialization (async)
         this._validateStoredIds();
 
-        // Pomodoro configuration
-        this.pomodoroDuration = 1200; // Default 20 minutes in seconds
+        // Pomodoro (cycle configuration lives in Core, see PomodoroService)
         this.pomodoroActivated = false; // Flag to prevent click after long press
         this.pendingPomodoroMode = false; // Flag for pending pomodoro start
-        this.pomodoroConfigMonitor = null; // File monitor for config changes
         
         // OPTIMIZED: Cache UI state to prevent unnecessary updates
         this._cachedPomodoroMode = false;
@@ -51,12 +58,14 @@ export class AdvancedTrackingWidget {
         this._cachedIconName = '';
         this._cachedTooltipText = '';
         this._isTracking = false; // Cache tracking state - avoid getTrackingState() calls
+        this._sessionSeconds = 0; // Seconds from earlier segments of a paused/resumed session
+        this._startingTracking = false; // This widget is starting a session (applies its pre-selected tags)
 
         // Build widget
         this.widget = this._createWidget();
         this._connectToCore();
         this._updateUIFromCore();
-        this._loadPomodoroConfig();
+        this._showTargetProgress(this.coreBridge?.getLastTargetProgress());
     }
 
     _createWidget() {
@@ -103,6 +112,9 @@ export class AdvancedTrackingWidget {
 
         box.append(this.taskNameEntry);
 
+        // Subtask picker
+        box.append(this._createSubtaskButton());
+
         // Project dropdown
         this._setupProjectDropdown();
         box.append(this.projectDropdown.getWidget());
@@ -111,6 +123,16 @@ export class AdvancedTrackingWidget {
         this._setupClientDropdown();
         box.append(this.clientDropdown.getWidget());
 
+        // Tag picker - applies to the running time entry, or to the next one before start
+        this.tagPicker = new TagPicker(this.coreBridge, [], (tagIds) => {
+            const entryId = this.coreBridge?.getTrackingState().currentTimeEntryId;
+            if (!this._isTracking || !entryId) return;
+            this.coreBridge.setTimeEntryTags(entryId, tagIds).catch(error => {
+                console.error('[AdvancedTrackingWidget] Error saving tags:', error);
+            });
+        });
+        box.append(this.tagPicker.getWidget());
+
         // Time label
         this.actualTimeLabel = new Gtk.Label({
             label: '00:00:00',
@@ -122,6 +144,45 @@ export class AdvancedTrackingWidget {
         // Duration animator for smooth time transitions
         this.durationAnimator = new DurationAnimator(this.actualTimeLabel);
 
+        // Hour target progress - only shown when a daily or weekly target is set
+        this.targetLevelBar = new Gtk.LevelBar({
+            min_value: 0,
+            max_value: 100,
+            width_request: 48,
+            valign: Gtk.Align.CENTER,
+            visible: false,
+        });
+        box.append(this.targetLevelBar);
+
+        // Description of the running time entry - only shown while tracking
+        this.descriptionEntry = new Gtk.Entry({
+            placeholder_text: _('What are you working on?'),
+            width_request: 250,
+        });
+        this.descriptionEntry.connect('changed', () => {
+            if (this._blockDescriptionUpdate) return;
+            this._scheduleDescriptionSave();
+        });
+
+        this.descriptionButton = new Gtk.MenuButton({
+            icon_name: 'document-edit-symbolic',
+            css_classes: ['flat', 'circular'],
+            tooltip_text: _('Description'),
+            visible: false,
+            popover: new Gtk.Popover({ child: this.descriptionEntry }),
+        });
+        box.append(this.descriptionButton);
+
+        // Pause/resume button - only shown while a session is running or paused
+        this.pauseButton = new Gtk.Button({
+            icon_name: 'media-playback-pause-symbolic',
+            css_classes: ['flat', 'circular'],
+            tooltip_text: _('Pause tracking'),
+            visible: false,
+        });
+        this.pauseButton.connect('clicked', () => this._togglePause());
+        box.append(this.pauseButton);
+
         // Track button
         this.trackButton = new Gtk.Button({
             icon_name: 'media-playback-start-symbolic',
@@ -188,6 +249,133 @@ export class AdvancedTrackingWidget {
         return box;
     }
 
+    /**
+     * Menu button listing subtasks, with an entry to add a subtask to the entered task
+     */
+    _createSubtaskButton() {
+        this.subtaskList = new Gtk.ListBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+            css_classes: ['boxed-list'],
+        });
+        this.subtaskList.connect('row-activated', (list, row) => {
+            this.subtaskPopover.popdown();
+            this._selectTaskName(row.taskName);
+        });
+
+        this.subtaskEmptyLabel = new Gtk.Label({
+            label: _('No subtasks'),
+            css_classes: ['dim-label'],
+            margin_top: 6,
+            margin_bottom: 6,
+        });
+
+        this.newSubtaskEntry = new Gtk.Entry({
+            placeholder_text: _('New subtask of entered task'),
+        });
+        this.newSubtaskEntry.connect('activate', () => this._createSubtask());
+
+        const content = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 8,
+            width_request: 280,
+        });
+        content.append(new Gtk.ScrolledWindow({
+            child: this.subtaskList,
+            hscrollbar_policy: Gtk.PolicyType.NEVER,
+            propagate_natural_height: true,
+            max_content_height: 300,
+        }));
+        content.append(this.subtaskEmptyLabel);
+        content.append(this.newSubtaskEntry);
+
+        this.subtaskPopover = new Gtk.Popover({ child: content });
+        this.subtaskPopover.connect('show', () => this._loadSubtasks());
+
+        return new Gtk.MenuButton({
+            icon_name: 'view-list-symbolic',
+            css_classes: ['flat', 'circular'],
+            tooltip_text: _('Subtasks'),
+            popover: this.subtaskPopover,
+        });
+    }
+
+    /**
+     * Fill the subtask list: children of the entered task, or all subtasks if it has none
+     */
+    async _loadSubtasks() {
+        if (!this.coreBridge) return;
+
+        try {
+            const taskName = this.taskNameEntry.get_text().trim();
+            const allSubtasks = await this.coreBridge.getSubtasks();
+            const children = allSubtasks.filter(task => task.parent_name === taskName);
+            const showChildren = children.length > 0;
+
+            let row = this.subtaskList.get_first_child();
+            while (row) {
+                const next = row.get_next_sibling();
+                this.subtaskList.remove(row);
+                row = next;
+            }
+
+            (showChildren ? children : allSubtasks).forEach(task => {
+                const listRow = new Gtk.ListBoxRow({
+                    child: new Gtk.Label({
+                        label: showChildren ? task.name : `${task.parent_name} › ${task.name}`,
+                        xalign: 0,
+                        ellipsize: Pango.EllipsizeMode.END,
+                        margin_start: 8,
+                        margin_end: 8,
+                        margin_top: 6,
+                        margin_bottom: 6,
+                    }),
+                });
+                listRow.taskName = task.name;
+                this.subtaskList.append(listRow);
+            });
+
+            this.subtaskList.set_visible(allSubtasks.length > 0);
+            this.subtaskEmptyLabel.set_visible(allSubtasks.length === 0);
+        } catch (error) {
+            console.error('[AdvancedTrackingWidget] Error loading subtasks:', error);
+        }
+    }
+
+    /**
+     * Create a subtask of the entered task and select it
+     */
+    async _createSubtask() {
+        if (!this.coreBridge) return;
+
+        const name = this.newSubtaskEntry.get_text().trim();
+        const parentName = this.taskNameEntry.get_text().trim();
+        if (!name || !parentName || name === parentName) return;
+
+        try {
+            const parent = await this.coreBridge.findOrCreateTask(parentName);
+            await this.coreBridge.findOrCreateSubtask(name, parent.id);
+            this.newSubtaskEntry.set_text('');
+            this.subtaskPopover.popdown();
+            this._selectTaskName(name);
+        } catch (error) {
+            console.error('[AdvancedTrackingWidget] Error creating subtask:', error);
+        }
+    }
+
+    /**
+     * Put a task name into the entry, a running session switches to that task
+     */
+    _selectTaskName(name) {
+        this._blockTaskNameUpdate = true;
+        this.taskNameEntry.set_text(name);
+        this.taskNameEntry.set_position(-1);
+        this._blockTaskNameUpdate = false;
+
+        if (this._isTracking) {
+            this._updateTaskNameFromInput();
+        }
+    }
+
     /**
      * Validate stored project/client IDs from GSettings
      * If they don't exist in DB (e.g. after import), reset to defaults
@@ -199,22 +387,24 @@ export class AdvancedTrackingWidget {
             // Validate project
             if (this.currentProjectId && this.currentProjectId !== 1) {
                 const projects = await this.coreBridge.getAllProjects();
-                const projectExists = projects && projects.some(p => p.id === this.currentProjectId);
+                const projectExists = projects && projects.some(p => p.id === this.currentProjectId && !p.archived);
                 if (!projectExists) {
-                    console.warn(`[AdvancedTrackingWidget] Stored project ID ${this.currentProjectId} not found, resetting to default (1)`);
+                    console.warn(`[AdvancedTrackingWidget] Stored project ID ${this.currentProjectId} not found or archived, resetting to default (1)`);
                     this.currentProjectId = 1;
                     this.settings.set_int('last-project-id', 1);
+                    this.projectDropdown?.setCurrentProject(1);
                 }
             }
 
             // Validate client
             if (this.currentClientId && this.currentClientId !== 1) {
                 const clients = await this.coreBridge.getAllClients();
-                const clientExists = clients && clients.some(c => c.id === this.currentClientId);
+                const clientExists = clients && clients.some(c => c.id === this.currentClientId && !c.archived);
                 if (!clientExists) {
-                    console.warn(`[AdvancedTrackingWidget] Stored client ID ${this.currentClientId} not found, resetting to default (1)`);
+                    console.warn(`[AdvancedTrackingWidget] Stored client ID ${this.currentClientId} not found or archived, resetting to default (1)`);
                     this.currentClientId = 1;
                     this.settings.set_int('last-client-id', 1);
+                    this.clientDropdown?.setSelectedClient(1);
                 }
             }
 
@@ -281,21 +471,60 @@ export class AdvancedTrackingWidget {
         // Store event handlers for cleanup
         this._coreEventHandlers = {
             'tracking-started': (data) => {
+                if (data?.resumed) return;
                 this._onTrackingStarted(data);
             },
             'tracking-stopped': (data) => {
+                if (data?.paused) return;
                 this._onTrackingStopped(data);
             },
             'tracking-updated': (data) => {
                 this._onTrackingUpdated(data);
             },
+            'tracking-paused': (data) => {
+                this._onTrackingPaused(data);
+            },
+            'tracking-resumed': (data) => {
+                this._onTrackingResumed(data);
+            },
+            // Breaks and waiting phases are shown while not tracking
+            'pomodoro-phase-changed': () => {
+                this._updateUIFromCore();
+            },
+            'pomodoro-updated': (data) => {
+                if (this._isTracking || !this.actualTimeLabel) return;
+                const timeText = '☕ ' + this._formatDuration(data.remaining || 0, true);
+                if (timeText !== this._cachedTimeText) {
+                    this.actualTimeLabel.set_label(timeText);
+                    this._cachedTimeText = timeText;
+                }
+            },
+            'target-progress-updated': (progress) => {
+                this._showTargetProgress(progress);
+            },
+            // Keep tag picker in sync when tags of the running entry change elsewhere
+            'tags-assigned': (data) => {
+                const entryId = this.coreBridge?.getTrackingState().currentTimeEntryId;
+                if (data?.timeEntryId && data.timeEntryId === entryId) {
+                    this.tagPicker.setSelectedTags(data.tagIds);
+                }
+            },
             // IMPORTANT: Refresh dropdowns after database import/replace
-            'project-updated': () => {
+            'project-updated': (data) => {
+                // Archiving the selected project resets the selection (a running session keeps it)
+                if (data?.archived && data.ids?.includes(this.currentProjectId) && !this._isTracking) {
+                    this._validateStoredIds();
+                    return;
+                }
                 if (this.projectDropdown && typeof this.projectDropdown._loadProjects === 'function') {
                     this.projectDropdown._loadProjects();
                 }
             },
-            'client-updated': () => {
+            'client-updated': (data) => {
+                if (data?.archived && data.ids?.includes(this.currentClientId) && !this._isTracking) {
+                    this._validateStoredIds();
+                    return;
+                }
                 if (this.clientDropdown && typeof this.clientDropdown._loadClients === 'function') {
                     this.clientDropdown._loadClients();
                 }
@@ -316,6 +545,7 @@ export class AdvancedTrackingWidget {
         
         // Update cached tracking flag
         this._isTracking = state.isTracking || false;
+        this._sessionSeconds = state.sessionSeconds || 0;
 
         if (state.isTracking) {
             // Tracking active - allow editing!
@@ -350,6 +580,11 @@ export class AdvancedTrackingWidget {
                 this.trackButton.set_icon_name('media-playback-stop-symbolic');
             }
 
+            this.pauseButton.set_icon_name('media-playback-pause-symbolic');
+            this.pauseButton.set_tooltip_text(_('Pause tracking'));
+            this.pauseButton.set_visible(true);
+            this.descriptionButton.set_visible(true);
+
             // Pomodoro mode UI
             if (state.pomodoroMode) {
                 this.trackButton.set_tooltip_text(_('Stop Pomodoro'));
@@ -370,6 +605,31 @@ export class AdvancedTrackingWidget {
             }
 
             // Already subscribed to tracking-updated in _connectToCore()
+        } else if (state.isPaused) {
+            // Session paused - keep task context, show frozen time
+            const hasFocus = this.taskNameEntry.is_focus();
+            if (!hasFocus && state.currentTaskName && this.taskNameEntry.get_text() !== state.currentTaskName) {
+                this._blockTaskNameUpdate = true;
+                this.taskNameEntry.set_text(state.currentTaskName);
+                this._blockTaskNameUpdate = false;
+            }
+
+            if (this.trackButton.get_icon_name() !== 'media-playback-stop-symbolic') {
+                this.trackButton.set_icon_name('media-playback-stop-symbolic');
+            }
+            this.trackButton.set_tooltip_text(_('Stop tracking'));
+            this.trackButton.remove_css_class('pomodoro-active');
+
+            this.pauseButton.set_icon_name('media-playback-start-symbolic');
+            this.pauseButton.set_tooltip_text(_('Resume tracking'));
+            this.pauseButton.set_visible(true);
+            this.descriptionButton.set_visible(false);
+
+            const timeText = state.pomodoroMode
+                ? '🍅 ' + this._formatDuration(state.pomodoroRemaining || 0, true)
+                : this._formatDuration(this._sessionSeconds);
+            this.actualTimeLabel.set_label(timeText);
+            this._cachedTimeText = timeText;
         } else {
             // Tracking idle - KEEP task name in input (don't clear it)
             this.taskNameEntry.set_sensitive(true);
@@ -394,6 +654,16 @@ export class AdvancedTrackingWidget {
                 this.trackButton.add_css_class('suggested-action');
             }
 
+            this.pauseButton.set_visible(false);
+            this.descriptionButton.set_visible(false);
+
+            // Pomodoro break or phase waiting to be started
+            const pomodoro = this.coreBridge.getPomodoroState();
+            if (pomodoro.phase !== 'idle') {
+                this._showPomodoroPhase(pomodoro);
+                return;
+            }
+
             const timeText = '00:00:00';
             if (this._cachedTimeText !== timeText) {
                 this.actualTimeLabel.set_label(timeText);
@@ -402,6 +672,52 @@ export class AdvancedTrackingWidget {
         }
     }
 
+    /**
+     * Show a Pomodoro phase while not tracking (break or waiting phase)
+     * Click starts/skips to the next phase, long press ends the cycle
+     */
+    _showPomodoroPhase(pomodoro) {
+        const isBreak = pomodoro.phase !== 'work';
+        let tooltip;
+        if (!pomodoro.waiting) {
+            tooltip = _('Skip break (Long press to end Pomodoro cycle)');
+        } else if (isBreak) {
+            tooltip = _('Start break (Long press to end Pomodoro cycle)');
+        } else {
+            tooltip = _('Start next Pomodoro (Long press to end Pomodoro cycle)');
+        }
+        this.trackButton.set_tooltip_text(tooltip);
+        this.trackButton.add_css_class('pomodoro-active');
+
+        const timeText = (isBreak ? '☕ ' : '🍅 ') + this._formatDuration(pomodoro.remaining || 0, true);
+        this.actualTimeLabel.set_label(timeText);
+        this._cachedTimeText = timeText;
+    }
+
+    /**
+     * Show daily target progress (weekly if there is no target for today)
+     * Tooltip lists all targets, including projects
+     */
+    _showTargetProgress(progress) {
+        if (!this.targetLevelBar) return;
+
+        const main = progress?.day || progress?.week;
+        this.targetLevelBar.set_visible(!!main);
+        if (!main) return;
+
+        this.targetLevelBar.set_value(main.percent);
+
+        const describe = (label, target) => target.reached
+            ? _('%s: %s of %s, reached').format(label, TimeUtils.formatHoursMinutes(target.tracked), TimeUtils.formatHoursMinutes(target.target))
+            : _('%s: %s of %s, %s left').format(label, TimeUtils.formatHoursMinutes(target.tracked),
+                TimeUtils.formatHoursMinutes(target.target), TimeUtils.formatHoursMinutes(target.remaining));
+        const lines = [];
+        if (progress.day) lines.push(describe(_('Today'), progress.day));
+        if (progress.week) lines.push(describe(_('This week'), progress.week));
+        progress.projects.forEach(project => lines.push(describe(project.projectName, project)));
+        this.targetLevelBar.set_tooltip_text(lines.join('\n'));
+    }
+
     _onTrackingStarted(data) {
         // OPTIMIZED: Clear cached UI state when starting new session
         // This prevents memory leaks when starting new Pomodoro session
@@ -409,6 +725,25 @@ export class AdvancedTrackingWidget {
         this._cachedTimeText = '';
         this._cachedIconName = '';
         this._cachedTooltipText = '';
+
+        // New session starts without description
+        this._setDescriptionText('');
+
+        // Session started elsewhere (task list, restore) - show tags of its entry
+        // Widget that started it applies its own pre-selected tags in _toggleTracking()
+        if (!this._startingTracking) {
+            this.tagPicker.setSelectedTags([]);
+            const entryId = this.coreBridge?.getTrackingState().currentTimeEntryId;
+            if (entryId) {
+                this.coreBridge.getTimeEntryTags(entryId).then(tags => {
+                    if (this.tagPicker && this.coreBridge?.getTrackingState().currentTimeEntryId === entryId) {
+                        this.tagPicker.setSelectedTags(tags.map(tag => tag.id));
+                    }
+                }).catch(error => {
+                    console.error('[AdvancedTrackingWidget] Error loading tags:', error);
+                });
+            }
+        }
         
         // Update local project/client IDs with validated values from Core
         // This fixes stale IDs from GSettings after import
@@ -473,6 +808,54 @@ export class AdvancedTrackingWidget {
         this._updateUIFromCore();
     }
 
+    _onTrackingPaused(data) {
+        // Stop reacting to ticks, time label is frozen at the session total
+        this._isTracking = false;
+        this._cachedTimeText = '';
+        this._updateUIFromCore();
+    }
+
+    _onTrackingResumed(data) {
+        this._cachedTimeText = '';
+        // Resume opens a new time entry - carry the description over
+        if (this.descriptionEntry.get_text().trim()) {
+            this._scheduleDescriptionSave();
+        }
+        this._updateUIFromCore();
+    }
+
+    _setDescriptionText(text) {
+        if (this.descriptionDebounceTimer) {
+            GLib.Source.remove(this.descriptionDebounceTimer);
+            this.descriptionDebounceTimer = null;
+        }
+        this._blockDescriptionUpdate = true;
+        this.descriptionEntry.set_text(text);
+        this._blockDescriptionUpdate = false;
+    }
+
+    /**
+     * Save description to the running time entry after 500ms of no typing
+     * Entry ID is taken now, so text typed right before stop/pause still lands in that entry
+     */
+    _scheduleDescriptionSave() {
+        const entryId = this.coreBridge?.getTrackingState().currentTimeEntryId;
+        if (!entryId) return;
+
+        if (this.descriptionDebounceTimer) {
+            GLib.Source.remove(this.descriptionDebounceTimer);
+        }
+        this.descriptionDebounceTimer = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 500, () => {
+            this.descriptionDebounceTimer = null;
+            this.coreBridge?.updateTimeEntry(entryId, {
+                description: this.descriptionEntry.get_text(),
+            }).catch(error => {
+                console.error('[AdvancedTrackingWidget] Error saving description:', error);
+            });
+            return false;
+        });
+    }
+
     _onTrackingUpdated(data) {
         // tracking-updated fires every second from Core timer
         // Core timer calculates elapsedSeconds (currentTime - startTime), we just show it
@@ -494,8 +877,10 @@ export class AdvancedTrackingWidget {
                 }
             } else if (data.elapsedSeconds !== undefined) {
                 // Normal tracking mode - use animator for smooth updates (with pulse on regular ticks)
-                this.durationAnimator.setDirect(data.elapsedSeconds);
-                this._cachedTimeText = this._formatDuration(data.elapsedSeconds);
+                // Session time = segments before a pause + current segment
+                const sessionElapsed = this._sessionSeconds + data.elapsedSeconds;
+                this.durationAnimator.setDirect(sessionElapsed);
+                this._cachedTimeText = this._formatDuration(sessionElapsed);
             }
         }
 
@@ -532,13 +917,24 @@ export class AdvancedTrackingWidget {
         try {
             const state = this.coreBridge.getTrackingState();
 
-            if (state.isTracking) {
+            const pomodoro = this.coreBridge.getPomodoroState();
+
+            if (state.isTracking || state.isPaused) {
                 // If Pomodoro requested while already tracking, ignore
                 if (pomodoroMode) {
                     return;
                 }
-                // Stop tracking
+                // Stop tracking (also ends a paused session and a Pomodoro cycle)
                 await this.coreBridge.stopTracking();
+            } else if (pomodoro.phase !== 'idle') {
+                // Between Pomodoros: long press ends the cycle, click moves on
+                if (pomodoroMode) {
+                    await this.coreBridge.stopPomodoro();
+                } else if (pomodoro.waiting) {
+                    await this.coreBridge.startNextPomodoroPhase();
+                } else {
+                    await this.coreBridge.skipPomodoroBreak();
+                }
             } else {
                 this.pendingPomodoroMode = pomodoroMode;
 
@@ -564,15 +960,23 @@ export class AdvancedTrackingWidget {
                 }
 
                 // Start tracking with current project/client selection
-                const pomodoroDuration = this.pendingPomodoroMode ? this.pomodoroDuration : 0;
+                this._startingTracking = true;
+                try {
+                    if (this.pendingPomodoroMode) {
+                        await this.coreBridge.startPomodoro(task.id, this.currentProjectId, this.currentClientId);
+                    } else {
+                        await this.coreBridge.startTracking(task.id, this.currentProjectId, this.currentClientId);
+                    }
+                } finally {
+                    this._startingTracking = false;
+                }
 
-                await this.coreBridge.startTracking(
-                    task.id,
-                    this.currentProjectId,
-                    this.currentClientId,
-                    this.pendingPomodoroMode,
-                    pomodoroDuration
-                );
+                // Apply pre-selected tags to the new time entry
+                const tagIds = this.tagPicker.getSelectedTagIds();
+                const entryId = this.coreBridge.getTrackingState().currentTimeEntryId;
+                if (tagIds.length > 0 && entryId) {
+                    await this.coreBridge.setTimeEntryTags(entryId, tagIds);
+                }
 
                 // Clear pending flag
                 this.pendingPomodoroMode = false;
@@ -583,6 +987,24 @@ export class AdvancedTrackingWidget {
         }
     }
 
+    /**
+     * Pause running session or resume paused one
+     */
+    async _togglePause() {
+        if (!this.coreBridge) return;
+
+        try {
+            const state = this.coreBridge.getTrackingState();
+            if (state.isTracking) {
+                await this.coreBridge.pauseTracking();
+            } else if (state.isPaused) {
+                await this.coreBridge.resumeTracking();
+            }
+        } catch (error) {
+            console.error('[AdvancedTrackingWidget] Error toggling pause:', error);
+        }
+    }
+
     async _updateTaskNameFromInput() {
         if (!this.coreBridge) return;
 
@@ -670,62 +1092,6 @@ export class AdvancedTrackingWidget {
         this._updateUIFromCore();
     }
 
-    /**
-     * Load Pomodoro configuration from file
-     */
-    async _loadPomodoroConfig() {
-        try {
-            const configDir = GLib.get_user_config_dir() + '/valot';
-            const configPath = configDir + '/pomodoro-config.json';
-            const file = Gio.File.new_for_path(configPath);
-
-            if (!file.query_exists(null)) {
-                // Use default 20 minutes
-                this.pomodoroDuration = 1200;
-                this._setupConfigMonitor(file);
-                return;
-            }
-
-            const [success, contents] = file.load_contents(null);
-            if (success) {
-                const decoder = new TextDecoder('utf-8');
-                const jsonStr = decoder.decode(contents);
-                const config = JSON.parse(jsonStr);
-
-                // Convert minutes to seconds
-                this.pomodoroDuration = (config.defaultMinutes || 20) * 60;
-            }
-
-            // Setup file monitor to watch for changes
-            this._setupConfigMonitor(file);
-        } catch (error) {
-            console.error('[AdvancedTrackingWidget] Error loading Pomodoro config:', error);
-            // Fallback to default
-            this.pomodoroDuration = 1200; // 20 minutes
-        }
-    }
-
-    /**
-     * Setup file monitor to watch for config changes
-     */
-    _setupConfigMonitor(file) {
-        if (this.pomodoroConfigMonitor) {
-            return; // Already monitoring
-        }
-
-        try {
-            this.pomodoroConfigMonitor = file.monitor_file(Gio.FileMonitorFlags.NONE, null);
-            this.pomodoroConfigMonitor.connect('changed', (monitor, file, otherFile, eventType) => {
-                if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT ||
-                    eventType === Gio.FileMonitorEvent.CREATED) {
-                    this._loadPomodoroConfig();
-                }
-            });
-        } catch (error) {
-            console.error('[AdvancedTrackingWidget] Error setting up config monitor:', error);
-        }
-    }
-
     cleanup() {
         // CRITICAL: Unsubscribe from Core events to prevent memory leaks
         if (this.coreBridge && this._coreEventHandlers) {
@@ -743,9 +1109,9 @@ export class AdvancedTrackingWidget {
             GLib.Source.remove(this.taskNameDebounceTimer);
             this.taskNameDebounceTimer = null;
         }
-        if (this.pomodoroConfigMonitor) {
-            this.pomodoroConfigMonitor.cancel();
-            this.pomodoroConfigMonitor = null;
+        if (this.descriptionDebounceTimer) {
+            GLib.Source.remove(this.descriptionDebounceTimer);
+            this.descriptionDebounceTimer = null;
         }
         // Cleanup duration animator
         if (this.durationAnimator) {
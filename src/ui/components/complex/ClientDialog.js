@@ -2,10 +2,11 @@ import Gtk from 'gi://Gtk';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import { FormDialog } from './FormDialog.js';
-// TODO: Restore when migrated
-// import { InputValidator } from '../../../func/global/inputValidation.js';
-import { ValidationUtils } from 'resource:///com/odnoyko/valot/ui/utils/CoreImports.js';
+import { ValidationUtils } from 'resource:///com/odnoyko/valot/core/utils/ValidationUtils.js';
 import { getAllCurrencies, getCurrencySymbol } from 'resource:///com/odnoyko/valot/data/currencies.js';
+import { BillingUtils } from 'resource:///com/odnoyko/valot/core/utils/BillingUtils.js';
+
+const TAX_MODES = BillingUtils.TAX_MODES;
 
 /**
  * Client creation/editing dialog using the modular form system
@@ -183,10 +184,142 @@ export class ClientDialog extends FormDialog {
         // Add both rows to main container
         mainBox.append(nameRow);
         mainBox.append(rateRow);
+        mainBox.append(this._createContactSection(isEdit ? client : null));
+
+        // Validation errors of the custom fields
+        this.errorLabel = new Gtk.Label({
+            halign: Gtk.Align.START,
+            wrap: true,
+            css_classes: ['error'],
+            visible: false
+        });
+        mainBox.append(this.errorLabel);
 
         return mainBox;
     }
 
+    /**
+     * Contact and billing details, shown in report headers and invoices
+     */
+    _createContactSection(client) {
+        const expander = new Gtk.Expander({
+            label: _('Contact & Billing Details'),
+            expanded: Boolean(client && (client.contact_person || client.email || client.phone ||
+                client.billing_address || client.tax_id || client.payment_terms !== null && client.payment_terms !== undefined ||
+                client.tax_rate !== null && client.tax_rate !== undefined || client.tax_mode))
+        });
+
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 6,
+            margin_top: 6
+        });
+
+        const createEntry = (placeholder, value, purpose = Gtk.InputPurpose.FREE_FORM) => {
+            const entry = new Gtk.Entry({
+                placeholder_text: placeholder,
+                text: value || '',
+                input_purpose: purpose,
+                hexpand: true
+            });
+            box.append(entry);
+            return entry;
+        };
+
+        this.contactPersonEntry = createEntry(_('Contact person'), client?.contact_person);
+        this.emailEntry = createEntry(_('Email'), client?.email, Gtk.InputPurpose.EMAIL);
+        this.phoneEntry = createEntry(_('Phone'), client?.phone, Gtk.InputPurpose.PHONE);
+
+        const addressLabel = new Gtk.Label({
+            label: _('Billing address'),
+            halign: Gtk.Align.START,
+            css_classes: ['dim-label']
+        });
+        box.append(addressLabel);
+
+        this.billingAddressView = new Gtk.TextView({
+            wrap_mode: Gtk.WrapMode.WORD_CHAR,
+            accepts_tab: false,
+            top_margin: 6,
+            bottom_margin: 6,
+            left_margin: 6,
+            right_margin: 6
+        });
+        this.billingAddressView.get_buffer().set_text(client?.billing_address || '', -1);
+        box.append(new Gtk.Frame({
+            child: this.billingAddressView,
+            height_request: 72
+        }));
+
+        this.taxIdEntry = createEntry(_('Tax / VAT ID'), client?.tax_id);
+
+        // Payment terms: 0 = not set
+        const termsBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 6
+        });
+        termsBox.append(new Gtk.Label({
+            label: _('Payment terms (days)'),
+            halign: Gtk.Align.START,
+            hexpand: true
+        }));
+        this.paymentTermsSpin = Gtk.SpinButton.new_with_range(0, 365, 1);
+        this.paymentTermsSpin.set_value(client?.payment_terms || 0);
+        this.paymentTermsSpin.set_tooltip_text(_('0 = not set'));
+        termsBox.append(this.paymentTermsSpin);
+        box.append(termsBox);
+
+        // Tax regime: reverse charge and exempt charge no tax
+        const taxModeBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 6
+        });
+        taxModeBox.append(new Gtk.Label({
+            label: _('Tax'),
+            halign: Gtk.Align.START,
+            hexpand: true
+        }));
+        this.taxModeDropdown = Gtk.DropDown.new_from_strings([_('Standard'), _('Reverse charge'), _('Tax exempt')]);
+        this.taxModeDropdown.set_selected(Math.max(0, TAX_MODES.indexOf(client?.tax_mode || 'standard')));
+        taxModeBox.append(this.taxModeDropdown);
+        box.append(taxModeBox);
+
+        // Own tax rate, otherwise the default rate from preferences
+        const taxRateBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 6
+        });
+        this.ownTaxRateCheck = new Gtk.CheckButton({
+            label: _('Own tax rate (%)'),
+            active: client?.tax_rate !== null && client?.tax_rate !== undefined,
+            hexpand: true
+        });
+        taxRateBox.append(this.ownTaxRateCheck);
+        this.taxRateSpin = Gtk.SpinButton.new_with_range(0, 100, 0.5);
+        this.taxRateSpin.set_digits(2);
+        this.taxRateSpin.set_value(client?.tax_rate || 0);
+        taxRateBox.append(this.taxRateSpin);
+        box.append(taxRateBox);
+
+        const updateTaxSensitivity = () => {
+            const standard = this.taxModeDropdown.get_selected() === 0;
+            this.ownTaxRateCheck.set_sensitive(standard);
+            this.taxRateSpin.set_sensitive(standard && this.ownTaxRateCheck.get_active());
+        };
+        this.taxModeDropdown.connect('notify::selected', updateTaxSensitivity);
+        this.ownTaxRateCheck.connect('toggled', updateTaxSensitivity);
+        updateTaxSensitivity();
+
+        expander.set_child(box);
+        return expander;
+    }
+
+    _getBillingAddress() {
+        if (!this.billingAddressView) return '';
+        const buffer = this.billingAddressView.get_buffer();
+        return buffer.get_text(buffer.get_start_iter(), buffer.get_end_iter(), false);
+    }
+
     _getAvailableCurrencies() {
         // Load currency settings from preferences
         let currencySettings;
@@ -253,7 +386,15 @@ export class ClientDialog extends FormDialog {
         const customData = {
             name: this.nameEntry ? this.nameEntry.get_text() : '',
             rate: this.rateEntry ? parseFloat(this.rateEntry.get_text()) || 0 : 0,
-            currency: this.currencyDropdown ? this._getCurrencyFromIndex(this.currencyDropdown.get_selected()) : 'USD'
+            currency: this.currencyDropdown ? this._getCurrencyFromIndex(this.currencyDropdown.get_selected()) : 'USD',
+            contact_person: this.contactPersonEntry ? this.contactPersonEntry.get_text().trim() : '',
+            email: this.emailEntry ? this.emailEntry.get_text().trim() : '',
+            phone: this.phoneEntry ? this.phoneEntry.get_text().trim() : '',
+            billing_address: this._getBillingAddress().trim(),
+            tax_id: this.taxIdEntry ? this.taxIdEntry.get_text().trim() : '',
+            payment_terms: this.paymentTermsSpin ? this.paymentTermsSpin.get_value_as_int() || null : null,
+            tax_rate: this.ownTaxRateCheck?.get_active() ? this.taxRateSpin.get_value() : null,
+            tax_mode: this.taxModeDropdown ? TAX_MODES[this.taxModeDropdown.get_selected()] : 'standard'
         };
         
         // Additional validation
@@ -264,13 +405,16 @@ export class ClientDialog extends FormDialog {
         // Prepare client data
         const clientData = {
             name: customData.name.trim(),
-            email: '', // Not included in simplified dialog
-            phone: '', // Not included in simplified dialog
-            company: '', // Not included in simplified dialog
-            address: '', // Not included in simplified dialog
             rate: customData.rate,
             currency: customData.currency,
-            active: true // Default to true for simplified dialog
+            contact_person: customData.contact_person,
+            email: customData.email,
+            phone: customData.phone,
+            billing_address: customData.billing_address,
+            tax_id: customData.tax_id,
+            payment_terms: customData.payment_terms,
+            tax_rate: customData.tax_rate,
+            tax_mode: customData.tax_mode === 'standard' ? null : customData.tax_mode
         };
 
         // Add ID for edit mode
@@ -303,41 +447,56 @@ export class ClientDialog extends FormDialog {
     }
 
     _validateClientData(formData) {
+        this.clearErrors();
+
         // Client name validation
-        const nameValidation = InputValidator.validateClientName(formData.name);
+        const nameValidation = ValidationUtils.validateClientName(formData.name);
         if (!nameValidation.valid) {
             this.showFieldError('name', nameValidation.error);
             return false;
         }
 
         // Email validation (if provided)
-        if (formData.email && formData.email.trim()) {
-            const emailValidation = InputValidator.validateEmail(formData.email);
-            if (!emailValidation.valid) {
-                this.showFieldError('email', emailValidation.error);
-                return false;
-            }
+        const emailValidation = ValidationUtils.validateEmail(formData.email);
+        if (!emailValidation.valid) {
+            this.showFieldError('email', emailValidation.error);
+            return false;
         }
 
         // Rate validation
-        const rateValidation = InputValidator.validateRate(formData.rate);
+        const rateValidation = ValidationUtils.validateHourlyRate(formData.rate);
         if (!rateValidation.valid) {
             this.showFieldError('rate', rateValidation.error);
             return false;
         }
 
-        // Phone validation (basic)
-        if (formData.phone && formData.phone.trim()) {
-            const phone = formData.phone.trim();
-            if (phone.length > 50) {
-                this.showFieldError('phone', _('Phone number too long'));
-                return false;
-            }
+        // Phone validation (if provided)
+        const phoneValidation = ValidationUtils.validatePhone(formData.phone);
+        if (!phoneValidation.valid) {
+            this.showFieldError('phone', phoneValidation.error);
+            return false;
         }
 
         return true;
     }
 
+    /**
+     * Custom fields have no per-field error labels, one label below the form shows the error
+     */
+    showFieldError(fieldName, error) {
+        if (!this.errorLabel) {
+            super.showFieldError(fieldName, error);
+            return;
+        }
+        this.errorLabel.set_label(error);
+        this.errorLabel.set_visible(true);
+    }
+
+    clearErrors() {
+        super.clearErrors();
+        this.errorLabel?.set_visible(false);
+    }
+
     /**
      * Update client data for edit mode
      */
@@ -361,6 +520,7 @@ export class ClientDialog extends FormDialog {
             currency: client.currency || 'USD',
             active: client.active !== false
         });
+        this._fillCustomFields(client);
     }
 
     /**
@@ -386,10 +546,29 @@ export class ClientDialog extends FormDialog {
             currency: 'USD',
             active: true
         });
+        this._fillCustomFields(null);
         
         this.clearErrors();
     }
 
+    /**
+     * Fill custom inputs when a pooled dialog is reused
+     */
+    _fillCustomFields(client) {
+        this.nameEntry?.set_text(client?.name || '');
+        this.rateEntry?.set_text((client?.rate || 0).toString());
+        this.currencyDropdown?.set_selected(this._getCurrencyIndex(client?.currency || 'USD'));
+        this.contactPersonEntry?.set_text(client?.contact_person || '');
+        this.emailEntry?.set_text(client?.email || '');
+        this.phoneEntry?.set_text(client?.phone || '');
+        this.billingAddressView?.get_buffer().set_text(client?.billing_address || '', -1);
+        this.taxIdEntry?.set_text(client?.tax_id || '');
+        this.paymentTermsSpin?.set_value(client?.payment_terms || 0);
+        this.taxModeDropdown?.set_selected(Math.max(0, TAX_MODES.indexOf(client?.tax_mode || 'standard')));
+        this.ownTaxRateCheck?.set_active(client?.tax_rate !== null && client?.tax_rate !== undefined);
+        this.taxRateSpin?.set_value(client?.tax_rate || 0);
+    }
+
     /**
      * Show client duplicate error
      */
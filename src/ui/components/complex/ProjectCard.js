@@ -11,6 +11,7 @@ export class ProjectCard {
     constructor(config = {}) {
         const defaultConfig = {
             project: null,
+            budgetUsage: null, // Budget usage from Core (getProjectBudgetUsage)
             showActions: true,
             showStats: true,
             onEdit: null,
@@ -56,6 +57,11 @@ export class ProjectCard {
             this.widget.append(stats);
         }
 
+        // Budget progress
+        if (this.config.budgetUsage) {
+            this.widget.append(this._createBudget(this.config.budgetUsage));
+        }
+
         // Update selection state
         this._updateSelectionState();
     }
@@ -179,6 +185,46 @@ export class ProjectCard {
         return stats;
     }
 
+    _createBudget(usage) {
+        const budgetBox = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 4,
+            css_classes: ['project-budget']
+        });
+
+        this.budgetLabel = new Label({
+            text: '',
+            cssClasses: ['caption', 'dim-label'],
+            halign: Gtk.Align.START
+        });
+        this.budgetBar = new Gtk.ProgressBar();
+
+        budgetBox.append(this.budgetLabel.widget);
+        budgetBox.append(this.budgetBar);
+
+        this._updateBudget(usage);
+        return budgetBox;
+    }
+
+    _updateBudget(usage) {
+        if (!this.budgetBar) return;
+
+        const percent = usage.percent || 0;
+        this.budgetBar.set_fraction(Math.min(1, percent / 100));
+        this.budgetBar.remove_css_class('warning');
+        this.budgetBar.remove_css_class('error');
+        if (percent >= 100) {
+            this.budgetBar.add_css_class('error');
+        } else if (percent >= 80) {
+            this.budgetBar.add_css_class('warning');
+        }
+
+        const text = usage.period === 'monthly'
+            ? _('Monthly budget: %d%% used')
+            : _('Budget: %d%% used');
+        this.budgetLabel.setText(text.format(Math.floor(percent)));
+    }
+
     _applyProjectColor(widget, color) {
         if (!color) return;
 
@@ -256,6 +302,11 @@ export class ProjectCard {
             }
         }
 
+        if (stats.budgetUsage !== undefined && stats.budgetUsage) {
+            this.config.budgetUsage = stats.budgetUsage;
+            this._updateBudget(stats.budgetUsage);
+        }
+
         if (stats.taskCount !== undefined) {
             if (this.taskCountLabel) {
                 this.taskCountLabel.setText(_('Tasks: %d').format(stats.taskCount));
@@ -46,8 +46,8 @@ export class TaskRowTemplate {
 
     _createTaskWidget() {
         // Calculate cost (using total_time from TaskInstance)
-        const cost = (this.task.total_time / 3600) * (this.task.client_rate || 0);
-        const currency = this.task.client_currency || 'EUR';
+        const cost = (this.task.total_time / 3600) * (this.task.effective_rate || 0);
+        const currency = this.task.effective_currency || 'EUR';
         const currencySymbol = WidgetFactory.getCurrencySymbol(currency);
 
         // Get project and client names (always show real name from DB, even for default)
@@ -105,7 +105,7 @@ export class TaskRowTemplate {
 
         // Prepare separate money text
         if (cost > 0) {
-            const currency = this.task.client_currency || 'EUR';
+            const currency = this.task.effective_currency || 'EUR';
             const currencySymbol = WidgetFactory.getCurrencySymbol(currency);
             moneyText = `${currencySymbol}${cost.toFixed(2)}`;
         }
@@ -234,9 +234,9 @@ export class TaskRowTemplate {
         
         // CRITICAL: Update money label (currency) in real-time during tracking
         if (this.moneyLabel) {
-            const cost = (currentTotal / 3600) * (this.task.client_rate || 0);
+            const cost = (currentTotal / 3600) * (this.task.effective_rate || 0);
             if (cost > 0) {
-                const currency = this.task.client_currency || 'EUR';
+                const currency = this.task.effective_currency || 'EUR';
                 const currencySymbol = WidgetFactory.getCurrencySymbol(currency);
                 const moneyText = `${currencySymbol}${cost.toFixed(2)}`;
                 this.moneyLabel.set_text(moneyText);
@@ -343,9 +343,9 @@ export class TaskRowTemplate {
         
         // CRITICAL: Update money label (currency) based on tracking state
         if (this.moneyLabel) {
-            const cost = (this.task.total_time / 3600) * (this.task.client_rate || 0);
+            const cost = (this.task.total_time / 3600) * (this.task.effective_rate || 0);
             if (cost > 0) {
-                const currency = this.task.client_currency || 'EUR';
+                const currency = this.task.effective_currency || 'EUR';
                 const currencySymbol = WidgetFactory.getCurrencySymbol(currency);
                 const moneyText = `${currencySymbol}${cost.toFixed(2)}`;
                 this.moneyLabel.set_text(moneyText);
@@ -443,9 +443,9 @@ export class TaskRowTemplate {
         
         // CRITICAL: Update money label (currency) based on new total_time
         if (this.moneyLabel) {
-            const cost = (newTotalTime / 3600) * (this.task.client_rate || 0);
+            const cost = (newTotalTime / 3600) * (this.task.effective_rate || 0);
             if (cost > 0) {
-                const currency = this.task.client_currency || 'EUR';
+                const currency = this.task.effective_currency || 'EUR';
                 const currencySymbol = WidgetFactory.getCurrencySymbol(currency);
                 const moneyText = `${currencySymbol}${cost.toFixed(2)}`;
                 this.moneyLabel.set_text(moneyText);
@@ -82,7 +82,7 @@ export class TaskStackTemplate {
 
         // Prepare money text (WidgetFactory shows money BEFORE time automatically)
         if (this.group.totalCost > 0) {
-            const currency = this.group.latestTask.client_currency || 'EUR';
+            const currency = this.group.latestTask.effective_currency || 'EUR';
             const currencySymbol = WidgetFactory.getCurrencySymbol(currency);
             moneyText = `${currencySymbol}${this.group.totalCost.toFixed(2)}`;
         }
@@ -183,8 +183,8 @@ export class TaskStackTemplate {
 
             // Add time display (cost • duration) for individual tasks
             // Always show time label, even if 0 (will be updated when time is added)
-            const cost = (task.total_time / 3600) * (task.client_rate || 0);
-            const currency = task.client_currency || 'EUR';
+            const cost = (task.total_time / 3600) * (task.effective_rate || 0);
+            const currency = task.effective_currency || 'EUR';
             const currencySymbol = WidgetFactory.getCurrencySymbol(currency);
 
             let labelText = this._formatDuration(task.total_time || 0);
@@ -355,7 +355,7 @@ export class TaskStackTemplate {
         // OPTIMIZED: Always recalculate group totalDuration and totalCost from all tasks (ignore parameter)
         this.group.totalDuration = this.group.tasks.reduce((sum, t) => sum + (t.total_time || 0), 0);
         this.group.totalCost = this.group.tasks.reduce((sum, t) => {
-            const taskCost = ((t.total_time || 0) / 3600) * (t.client_rate || 0);
+            const taskCost = ((t.total_time || 0) / 3600) * (t.effective_rate || 0);
             return sum + taskCost;
         }, 0);
         
@@ -392,7 +392,7 @@ export class TaskStackTemplate {
         if (this.moneyLabel) {
             if (this.group.totalCost > 0) {
                 // Use currency from latest task (all tasks in stack should have same currency)
-                const currency = this.group.latestTask.client_currency || 'EUR';
+                const currency = this.group.latestTask.effective_currency || 'EUR';
                 const currencySymbol = WidgetFactory.getCurrencySymbol(currency);
                 const moneyText = `${currencySymbol}${this.group.totalCost.toFixed(2)}`;
                 this.moneyLabel.set_text(moneyText);
@@ -456,8 +456,8 @@ export class TaskStackTemplate {
             
             // OPTIMIZED: Use stored reference to time label (faster than traversing DOM)
             if (taskRow.taskTimeLabel) {
-                const cost = (newTotalTime / 3600) * (task.client_rate || 0);
-                const currency = task.client_currency || 'EUR';
+                const cost = (newTotalTime / 3600) * (task.effective_rate || 0);
+                const currency = task.effective_currency || 'EUR';
                 const currencySymbol = WidgetFactory.getCurrencySymbol(currency);
 
                 let labelText = this._formatDuration(newTotalTime);
@@ -493,8 +493,8 @@ export class TaskStackTemplate {
                             taskRow.taskTimeLabel = timeLabel;
                             
                             // Update time label text
-                            const cost = (newTotalTime / 3600) * (task.client_rate || 0);
-                            const currency = task.client_currency || 'EUR';
+                            const cost = (newTotalTime / 3600) * (task.effective_rate || 0);
+                            const currency = task.effective_currency || 'EUR';
                             const currencySymbol = WidgetFactory.getCurrencySymbol(currency);
 
                             let labelText = this._formatDuration(newTotalTime);
@@ -0,0 +1,144 @@
+import Gtk from 'gi://Gtk';
+import Adw from 'gi://Adw';
+import { WidgetFactory } from 'resource:///com/odnoyko/valot/ui/utils/widgetFactory.js';
+
+/**
+ * Template component for task trees (a parent task with its subtasks)
+ * Child rows are the regular task rows and stacks of the task and its subtasks
+ */
+export class TaskTreeTemplate {
+    constructor(rootTask, groups, parentWindow) {
+        this.rootTask = rootTask;
+        this.groups = groups;
+        this.parentWindow = parentWindow;
+        this.coreBridge = parentWindow.coreBridge;
+        this.widget = this._createTreeWidget();
+    }
+
+    _escapeMarkup(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    _formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+    }
+
+    _createTreeWidget() {
+        const subtaskCount = new Set(this.groups
+            .filter(group => group.taskId !== this.rootTask.id)
+            .map(group => group.taskId)).size;
+
+        const treeRow = new Adw.ExpanderRow({
+            title: this._escapeMarkup(this.rootTask.name),
+            subtitle: subtaskCount === 1 ? _('1 subtask') : _('%d subtasks').format(subtaskCount),
+            use_markup: true
+        });
+
+        this.timeLabel = new Gtk.Label({
+            css_classes: ['caption', 'dim-label'],
+            valign: Gtk.Align.CENTER
+        });
+        treeRow.add_suffix(this.timeLabel);
+
+        this.childRows = [];
+        this.updateTime();
+        return treeRow;
+    }
+
+    /**
+     * Add a task row or stack of the tree
+     */
+    addChildRow(row) {
+        if (!row) return;
+        this.childRows.push(row);
+        this.widget.add_row(row);
+    }
+
+    getWidget() {
+        return this.widget;
+    }
+
+    getTimeLabel() {
+        return this.timeLabel;
+    }
+
+    _isTrackingTree() {
+        const trackingState = this.coreBridge ? this.coreBridge.getTrackingState() : { isTracking: false };
+        return trackingState.isTracking && this.groups.some(group =>
+            group.tasks.some(t =>
+                t.task_id === trackingState.currentTaskId &&
+                t.project_id === trackingState.currentProjectId &&
+                t.client_id === trackingState.currentClientId
+            ));
+    }
+
+    /**
+     * Update total time and cost of all tasks in the tree
+     */
+    updateTime() {
+        if (!this.timeLabel) return;
+
+        let totalDuration = 0;
+        let totalCost = 0;
+        this.groups.forEach(group => {
+            group.tasks.forEach(t => {
+                totalDuration += t.total_time || 0;
+                totalCost += ((t.total_time || 0) / 3600) * (t.effective_rate || 0);
+            });
+        });
+
+        let labelText = this._formatDuration(totalDuration);
+        if (totalCost > 0) {
+            const currency = this.groups[0]?.latestTask?.effective_currency || 'EUR';
+            const currencySymbol = WidgetFactory.getCurrencySymbol(currency);
+            labelText = `${currencySymbol}${totalCost.toFixed(2)} • ${labelText}`;
+        }
+
+        if (this._isTrackingTree()) {
+            this.timeLabel.set_text(`● ${labelText}`);
+            this.timeLabel.remove_css_class('dim-label');
+        } else {
+            this.timeLabel.set_text(labelText);
+            this.timeLabel.add_css_class('dim-label');
+        }
+    }
+
+    /**
+     * Called when tracking starts/stops
+     */
+    updateTrackingState() {
+        this.updateTime();
+    }
+
+    /**
+     * Cleanup: child rows belong to their own templates
+     */
+    destroy() {
+        if (this.widget) {
+            try {
+                if (typeof this.widget.destroy === 'function') {
+                    this.widget.destroy();
+                }
+            } catch (e) {
+                // Widget may already be destroyed
+            }
+            this.widget = null;
+        }
+
+        this.childRows = [];
+        this.groups = null;
+        this.rootTask = null;
+        this.timeLabel = null;
+        this.parentWindow = null;
+        this.coreBridge = null;
+    }
+}
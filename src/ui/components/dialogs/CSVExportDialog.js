@@ -0,0 +1,247 @@
+import Gtk from 'gi://Gtk';
+import Adw from 'gi://Adw';
+import GObject from 'gi://GObject';
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import { BUTTON, LABEL } from 'resource:///com/odnoyko/valot/ui/utils/commonStrings.js';
+import { Config } from 'resource:///com/odnoyko/valot/config.js';
+
+const COLUMNS = [
+    { key: 'date', label: () => _('Date'), enabled: true },
+    { key: 'start', label: () => _('Start'), enabled: true },
+    { key: 'end', label: () => _('End'), enabled: true },
+    { key: 'duration', label: () => LABEL.DURATION, enabled: true },
+    { key: 'billed', label: () => _('Billed Duration (rounded)'), enabled: false },
+    { key: 'task', label: () => LABEL.TASK, enabled: true },
+    { key: 'project', label: () => LABEL.PROJECT, enabled: true },
+    { key: 'client', label: () => LABEL.CLIENT, enabled: true },
+    { key: 'billable', label: () => _('Billable'), enabled: false },
+    { key: 'rate', label: () => LABEL.HOURLY_RATE, enabled: false },
+    { key: 'currency', label: () => LABEL.CURRENCY, enabled: false },
+    { key: 'amount', label: () => _('Amount'), enabled: false },
+    { key: 'base_amount', label: () => _('Amount in Base Currency'), enabled: false },
+    { key: 'notes', label: () => LABEL.NOTES, enabled: true },
+];
+
+const DURATION_FORMATS = ['hmm', 'decimal'];
+const DELIMITERS = [',', ';', '\t'];
+const DECIMAL_SEPARATORS = ['.', ','];
+
+// Last used settings, kept while the app is running
+let lastConfig = null;
+
+/**
+ * CSV Export Dialog
+ * Column selection and spreadsheet format options, writes the current report entries
+ */
+export const CSVExportDialog = GObject.registerClass({
+    GTypeName: 'CSVExportDialog',
+}, class CSVExportDialog extends Adw.Dialog {
+    /**
+     * @param {Gtk.Window} parentWindow
+     * @param {Object} coreBridge
+     * @param {Object} reportOptions - Filters for ReportService.generateReport
+     */
+    _init(parentWindow, coreBridge, reportOptions) {
+        super._init({
+            title: _('CSV Export'),
+            content_width: 480,
+        });
+
+        this.parentWindow = parentWindow;
+        this.coreBridge = coreBridge;
+        this.reportOptions = reportOptions;
+
+        this.exportConfig = lastConfig ? { ...lastConfig, columns: [...lastConfig.columns] } : {
+            columns: COLUMNS.filter(column => column.enabled).map(column => column.key),
+            durationFormat: 'hmm',
+            delimiter: ',',
+            decimalSeparator: '.',
+            includeHeader: true,
+        };
+
+        this._buildInterface();
+        this._updateExportButton();
+
+        this.connect('destroy', () => {
+            this.parentWindow = null;
+            this.coreBridge = null;
+        });
+    }
+
+    _buildInterface() {
+        const toolbarView = new Adw.ToolbarView();
+
+        const headerBar = new Adw.HeaderBar({
+            show_start_title_buttons: false,
+            show_end_title_buttons: false,
+        });
+
+        const cancelButton = new Gtk.Button({
+            label: BUTTON.CANCEL
+        });
+        cancelButton.connect('clicked', () => this.close());
+        headerBar.pack_start(cancelButton);
+
+        this.exportButton = new Gtk.Button({
+            label: _('Export CSV'),
+            css_classes: ['suggested-action']
+        });
+        this.exportButton.connect('clicked', () => this.applyAndExport());
+        headerBar.pack_end(this.exportButton);
+
+        toolbarView.add_top_bar(headerBar);
+
+        const page = new Adw.PreferencesPage();
+        page.add(this._createFormatGroup());
+        page.add(this._createColumnsGroup());
+        toolbarView.set_content(page);
+
+        this.set_child(toolbarView);
+    }
+
+    _createFormatGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Format'),
+            description: _('Use semicolon and decimal comma for European spreadsheets')
+        });
+
+        const durationRow = new Adw.ComboRow({
+            title: LABEL.DURATION,
+            model: Gtk.StringList.new([_('Hours and minutes (1:30)'), _('Decimal hours (1.50)')]),
+            selected: Math.max(0, DURATION_FORMATS.indexOf(this.exportConfig.durationFormat)),
+        });
+        durationRow.connect('notify::selected', () => {
+            this.exportConfig.durationFormat = DURATION_FORMATS[durationRow.get_selected()];
+        });
+        group.add(durationRow);
+
+        const delimiterRow = new Adw.ComboRow({
+            title: _('Delimiter'),
+            model: Gtk.StringList.new([_('Comma'), _('Semicolon'), _('Tab')]),
+            selected: Math.max(0, DELIMITERS.indexOf(this.exportConfig.delimiter)),
+        });
+        delimiterRow.connect('notify::selected', () => {
+            this.exportConfig.delimiter = DELIMITERS[delimiterRow.get_selected()];
+            this._updateExportButton();
+        });
+        group.add(delimiterRow);
+
+        this.decimalRow = new Adw.ComboRow({
+            title: _('Decimal Separator'),
+            model: Gtk.StringList.new([_('Point'), _('Comma')]),
+            selected: Math.max(0, DECIMAL_SEPARATORS.indexOf(this.exportConfig.decimalSeparator)),
+        });
+        this.decimalRow.connect('notify::selected', () => {
+            this.exportConfig.decimalSeparator = DECIMAL_SEPARATORS[this.decimalRow.get_selected()];
+            this._updateExportButton();
+        });
+        group.add(this.decimalRow);
+
+        const headerRow = new Adw.SwitchRow({
+            title: _('Include Header Row'),
+            active: this.exportConfig.includeHeader,
+        });
+        headerRow.connect('notify::active', () => {
+            this.exportConfig.includeHeader = headerRow.get_active();
+        });
+        group.add(headerRow);
+
+        return group;
+    }
+
+    _createColumnsGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Columns')
+        });
+
+        COLUMNS.forEach(column => {
+            const row = new Adw.SwitchRow({
+                title: column.label(),
+                active: this.exportConfig.columns.includes(column.key),
+            });
+            row.connect('notify::active', () => {
+                const selected = new Set(this.exportConfig.columns);
+                if (row.get_active()) {
+                    selected.add(column.key);
+                } else {
+                    selected.delete(column.key);
+                }
+                // Keep the fixed column order
+                this.exportConfig.columns = COLUMNS.map(c => c.key).filter(key => selected.has(key));
+                this._updateExportButton();
+            });
+            group.add(row);
+        });
+
+        return group;
+    }
+
+    _updateExportButton() {
+        const sameSeparator = this.exportConfig.delimiter === this.exportConfig.decimalSeparator;
+        this.decimalRow.set_subtitle(sameSeparator ? _('Must differ from the delimiter') : '');
+        this.exportButton.set_sensitive(!sameSeparator && this.exportConfig.columns.length > 0);
+    }
+
+    async applyAndExport() {
+        if (!this.coreBridge) return;
+
+        try {
+            const csv = await this.coreBridge.exportReportToCSV(this.reportOptions, this.exportConfig);
+            lastConfig = { ...this.exportConfig, columns: [...this.exportConfig.columns] };
+
+            const file = await this._chooseFile();
+            if (!file) return;
+
+            file.replace_contents(new TextEncoder().encode(csv), null, false,
+                Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+
+            this.parentWindow?.showToast?.(_('Report saved to %s').format(file.get_basename()));
+            this.close();
+        } catch (error) {
+            console.error('[CSVExportDialog] Export failed:', error);
+            this.parentWindow?.showToast?.(_('CSV export failed'));
+        }
+    }
+
+    /**
+     * Ask for target file (null if dismissed)
+     */
+    async _chooseFile() {
+        const dialog = new Gtk.FileDialog({
+            title: _('Export Time Report (CSV)')
+        });
+
+        let initialDir = Config.getDocumentsDir();
+        if (!GLib.file_test(initialDir, GLib.FileTest.IS_DIR)) {
+            initialDir = GLib.get_home_dir();
+        }
+        dialog.set_initial_folder(Gio.File.new_for_path(initialDir));
+
+        const dateStr = GLib.DateTime.new_now_local().format('%Y-%m-%d');
+        dialog.set_initial_name(`Valot_Time_Report_${dateStr}.csv`);
+
+        const filter = new Gtk.FileFilter({ name: _('CSV files') });
+        filter.add_pattern('*.csv');
+        const filters = new Gio.ListStore({ item_type: Gtk.FileFilter });
+        filters.append(filter);
+        dialog.set_filters(filters);
+
+        try {
+            return await new Promise((resolve, reject) => {
+                dialog.save(this.parentWindow, null, (source, result) => {
+                    try {
+                        resolve(dialog.save_finish(result));
+                    } catch (error) {
+                        reject(error);
+                    }
+                });
+            });
+        } catch (error) {
+            if (error.code === Gtk.DialogError.DISMISSED) {
+                return null;
+            }
+            throw error;
+        }
+    }
+});
@@ -0,0 +1,300 @@
+import Gtk from 'gi://Gtk';
+import Adw from 'gi://Adw';
+import GObject from 'gi://GObject';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import { WidgetFactory } from 'resource:///com/odnoyko/valot/ui/utils/widgetFactory.js';
+import { getAllCurrencies } from 'resource:///com/odnoyko/valot/data/currencies.js';
+import { createDateButton, formatDateKey } from 'resource:///com/odnoyko/valot/ui/utils/datePicker.js';
+
+/**
+ * Expense Dialog
+ * Add and list the expenses of a project (licenses, travel) with an optional receipt file
+ */
+export const ExpenseDialog = GObject.registerClass({
+    GTypeName: 'ExpenseDialog',
+}, class ExpenseDialog extends Adw.Dialog {
+    _init(parentWindow, coreBridge, project) {
+        super._init({
+            title: _('Expenses: %s').format(project.name),
+            content_width: 480,
+            content_height: 680,
+        });
+
+        this.parentWindow = parentWindow;
+        this.coreBridge = coreBridge;
+        this.project = project;
+
+        this.expenseDate = this._today();
+        this.receiptPath = null;
+        this.currencies = getAllCurrencies().map(currency => currency.code);
+        this._expenseRows = [];
+
+        this._buildInterface();
+        this._loadExpenses();
+
+        // Undo/redo can bring back or remove expenses while the dialog is open
+        this._onUndoApplied = () => this._loadExpenses();
+        this.coreBridge?.onUIEvent('undo-applied', this._onUndoApplied);
+        this.connect('closed', () => {
+            this.coreBridge?.offUIEvent('undo-applied', this._onUndoApplied);
+        });
+    }
+
+    _buildInterface() {
+        const toolbarView = new Adw.ToolbarView();
+        toolbarView.add_top_bar(new Adw.HeaderBar());
+
+        const page = new Adw.PreferencesPage();
+        page.add(this._createExpenseGroup());
+        page.add(this._createExpenseListGroup());
+        toolbarView.set_content(page);
+
+        this.set_child(toolbarView);
+    }
+
+    _createExpenseGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Add Expense'),
+            description: _('Costs to pass through to the client, e.g. licenses or travel'),
+        });
+
+        const addButton = new Gtk.Button({
+            label: _('Add'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['suggested-action'],
+        });
+        addButton.connect('clicked', () => this._addExpense());
+        group.set_header_suffix(addButton);
+
+        const dateRow = new Adw.ActionRow({ title: _('Date') });
+        dateRow.add_suffix(createDateButton(() => this.expenseDate, (date) => {
+            this.expenseDate = date;
+        }));
+        group.add(dateRow);
+
+        this.amountSpin = new Gtk.SpinButton({
+            valign: Gtk.Align.CENTER,
+            digits: 2,
+        });
+        this.amountSpin.set_range(0, 10000000);
+        this.amountSpin.set_increments(1, 10);
+        const amountRow = new Adw.ActionRow({ title: _('Amount') });
+        amountRow.add_suffix(this.amountSpin);
+        group.add(amountRow);
+
+        // Project currency first, otherwise the base currency
+        const defaultCurrency = this.project.currency || this.coreBridge?.getBaseCurrency();
+        this.currencyRow = new Adw.ComboRow({
+            title: _('Currency'),
+            model: Gtk.StringList.new(this.currencies),
+            selected: Math.max(0, this.currencies.indexOf(defaultCurrency)),
+        });
+        group.add(this.currencyRow);
+
+        this.categoryRow = new Adw.EntryRow({
+            title: _('Category (e.g. Licenses, Travel)'),
+        });
+        group.add(this.categoryRow);
+
+        this.descriptionRow = new Adw.EntryRow({
+            title: _('Description'),
+        });
+        group.add(this.descriptionRow);
+
+        this.billableRow = new Adw.SwitchRow({
+            title: _('Billable'),
+            subtitle: _('Passed through to the client'),
+            active: true,
+        });
+        group.add(this.billableRow);
+
+        this.receiptRow = new Adw.ActionRow({
+            title: _('Receipt'),
+            subtitle: _('None'),
+        });
+        const chooseButton = new Gtk.Button({
+            icon_name: 'document-open-symbolic',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+            tooltip_text: _('Choose receipt file'),
+        });
+        chooseButton.connect('clicked', () => this._chooseReceipt());
+        this.clearReceiptButton = new Gtk.Button({
+            icon_name: 'edit-clear-symbolic',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+            tooltip_text: _('Remove receipt'),
+            visible: false,
+        });
+        this.clearReceiptButton.connect('clicked', () => this._setReceipt(null));
+        this.receiptRow.add_suffix(chooseButton);
+        this.receiptRow.add_suffix(this.clearReceiptButton);
+        group.add(this.receiptRow);
+
+        return group;
+    }
+
+    _createExpenseListGroup() {
+        this.expenseListGroup = new Adw.PreferencesGroup({
+            title: _('Expenses'),
+        });
+        return this.expenseListGroup;
+    }
+
+    _chooseReceipt() {
+        const fileDialog = new Gtk.FileDialog({
+            title: _('Choose Receipt'),
+            accept_label: _('Select'),
+        });
+        fileDialog.open(this.parentWindow, null, (dialog, result) => {
+            try {
+                const file = dialog.open_finish(result);
+                if (file) this._setReceipt(file.get_path());
+            } catch (error) {
+                // User cancelled the dialog - this is normal, don't show error
+                if (!error.matches(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+                    console.error('[ExpenseDialog] Failed to choose receipt:', error);
+                }
+            }
+        });
+    }
+
+    _setReceipt(path) {
+        this.receiptPath = path;
+        this.receiptRow.set_subtitle(path ? GLib.path_get_basename(path) : _('None'));
+        this.clearReceiptButton.set_visible(Boolean(path));
+    }
+
+    async _loadExpenses() {
+        if (!this.coreBridge) return;
+
+        try {
+            const expenses = await this.coreBridge.getExpenses({ projectId: this.project.id });
+            this._fillExpenses(expenses);
+        } catch (error) {
+            console.error('[ExpenseDialog] Failed to load expenses:', error);
+        }
+    }
+
+    _fillExpenses(expenses) {
+        this._expenseRows.forEach(row => this.expenseListGroup.remove(row));
+        this._expenseRows = [];
+
+        // Totals per currency in the group description
+        const totals = new Map();
+        expenses.forEach(expense => {
+            totals.set(expense.currency, (totals.get(expense.currency) || 0) + expense.amount);
+        });
+        this.expenseListGroup.set_description(totals.size > 0
+            ? _('Total: %s').format([...totals].map(([currency, amount]) => this._formatAmount(amount, currency)).join(' · '))
+            : '');
+
+        if (expenses.length === 0) {
+            const emptyRow = new Adw.ActionRow({
+                title: _('No expenses'),
+                sensitive: false,
+            });
+            this.expenseListGroup.add(emptyRow);
+            this._expenseRows.push(emptyRow);
+            return;
+        }
+
+        expenses.forEach(expense => {
+            const details = [
+                expense.description,
+                expense.client_name,
+                expense.billable ? _('Billable') : _('Not billable'),
+            ].filter(Boolean);
+            const row = new Adw.ActionRow({
+                title: `${formatDateKey(expense.date)} · ${expense.category || _('Expense')}`,
+                subtitle: details.join(' · '),
+            });
+            row.add_suffix(new Gtk.Label({
+                label: this._formatAmount(expense.amount, expense.currency),
+                css_classes: ['monospace'],
+            }));
+
+            if (expense.receipt_path) {
+                const receiptButton = new Gtk.Button({
+                    icon_name: 'mail-attachment-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['flat'],
+                    tooltip_text: _('Open receipt'),
+                });
+                receiptButton.connect('clicked', () => this._openReceipt(expense.receipt_path));
+                row.add_suffix(receiptButton);
+            }
+
+            const deleteButton = new Gtk.Button({
+                icon_name: 'user-trash-symbolic',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+                tooltip_text: _('Delete'),
+            });
+            deleteButton.connect('clicked', () => this._deleteExpense(expense));
+            row.add_suffix(deleteButton);
+
+            this.expenseListGroup.add(row);
+            this._expenseRows.push(row);
+        });
+    }
+
+    _openReceipt(path) {
+        const launcher = new Gtk.FileLauncher({ file: Gio.File.new_for_path(path) });
+        launcher.launch(this.parentWindow, null, (source, result) => {
+            try {
+                launcher.launch_finish(result);
+            } catch (error) {
+                console.error('[ExpenseDialog] Failed to open receipt:', error);
+                this.parentWindow?.showToast?.(_('Could not open receipt'));
+            }
+        });
+    }
+
+    async _addExpense() {
+        try {
+            await this.coreBridge.createExpense({
+                project_id: this.project.id,
+                date: this.expenseDate,
+                amount: this.amountSpin.get_value(),
+                currency: this.currencies[this.currencyRow.get_selected()],
+                category: this.categoryRow.get_text(),
+                description: this.descriptionRow.get_text(),
+                billable: this.billableRow.get_active(),
+                receipt_path: this.receiptPath,
+            });
+            this.amountSpin.set_value(0);
+            this.descriptionRow.set_text('');
+            this._setReceipt(null);
+            await this._loadExpenses();
+        } catch (error) {
+            console.error('[ExpenseDialog] Failed to add expense:', error);
+            this.parentWindow?.showToast?.(_('Could not add expense'));
+        }
+    }
+
+    async _deleteExpense(expense) {
+        try {
+            await this.coreBridge.deleteExpense(expense.id);
+            this.parentWindow?.showToastWithAction?.(_('Expense deleted'), _('Undo'), () => {
+                this.parentWindow.undoLastChange();
+            });
+            await this._loadExpenses();
+        } catch (error) {
+            console.error('[ExpenseDialog] Failed to delete expense:', error);
+            this.parentWindow?.showToast?.(_('Could not delete expense'));
+        }
+    }
+
+    _formatAmount(amount, currency) {
+        const symbol = currency ? WidgetFactory.getCurrencySymbol(currency) : '';
+        return `${symbol}${Number(amount || 0).toFixed(2)}`;
+    }
+
+    _today() {
+        const date = new Date();
+        date.setHours(0, 0, 0, 0);
+        return date;
+    }
+});
@@ -0,0 +1,144 @@
+/**
+ * Idle Time Dialog
+ * Shown when the user comes back after being idle while tracking
+ * Actions: Discard idle time, Keep it, Split it off to another task
+ */
+
+import Gtk from 'gi://Gtk?version=4.0';
+import Adw from 'gi://Adw?version=1';
+import { ProjectDropdown } from 'resource:///com/odnoyko/valot/ui/utils/projectDropdown.js';
+import { ClientDropdown } from 'resource:///com/odnoyko/valot/ui/utils/clientDropdown.js';
+import { TimeUtils } from 'resource:///com/odnoyko/valot/core/utils/TimeUtils.js';
+
+export class IdleTimeDialog {
+    constructor(idle, coreBridge) {
+        this.idle = idle; // { idleStart, idleEnd, idleSeconds, taskName, ... }
+        this.coreBridge = coreBridge;
+
+        // Target for split (default project/client ID=1)
+        this.selectedProjectId = 1;
+        this.selectedClientId = 1;
+
+        this._createDialog();
+    }
+
+    _createDialog() {
+        const from = new Date(this.idle.idleStart).toLocaleTimeString();
+        const to = new Date(this.idle.idleEnd).toLocaleTimeString();
+
+        this.dialog = new Adw.AlertDialog({
+            heading: _('You Were Idle'),
+            body: _('No activity from %s to %s while tracking "%s". What should happen with this time?')
+                .format(from, to, this.idle.taskName || ''),
+        });
+
+        const form = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            width_request: 350,
+        });
+
+        // Idle duration (use Core TimeUtils for formatting)
+        const durationLabel = new Gtk.Label({
+            label: TimeUtils.formatDuration(this.idle.idleSeconds),
+            halign: Gtk.Align.CENTER,
+            css_classes: ['duration_counter'],
+        });
+
+        // Split target: name + project + client
+        const inlineRow = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 10,
+            margin_bottom: 15,
+        });
+
+        this.nameEntry = new Gtk.Entry({
+            placeholder_text: _('Task name....'),
+            hexpand: true,
+        });
+
+        this.projectDropdown = new ProjectDropdown(
+            this.coreBridge,
+            1,
+            (selectedProject) => {
+                this.selectedProjectId = selectedProject ? selectedProject.id : 1;
+            }
+        );
+
+        this.clientDropdown = new ClientDropdown(
+            this.coreBridge,
+            1,
+            (selectedClient) => {
+                this.selectedClientId = selectedClient ? selectedClient.id : 1;
+            }
+        );
+
+        inlineRow.append(this.nameEntry);
+        inlineRow.append(this.projectDropdown.getWidget());
+        inlineRow.append(this.clientDropdown.getWidget());
+
+        const helpLabel = new Gtk.Label({
+            label: _('Enter a task to split the idle time off into a separate entry'),
+            css_classes: ['dim-label', 'caption'],
+            halign: Gtk.Align.CENTER,
+        });
+
+        form.append(durationLabel);
+        form.append(inlineRow);
+        form.append(helpLabel);
+
+        this.dialog.set_extra_child(form);
+
+        this.dialog.add_response('discard', _('Discard'));
+        this.dialog.add_response('keep', _('Keep'));
+        this.dialog.add_response('split', _('Split'));
+        this.dialog.set_response_appearance('discard', Adw.ResponseAppearance.DESTRUCTIVE);
+        this.dialog.set_response_appearance('split', Adw.ResponseAppearance.SUGGESTED);
+        this.dialog.set_response_enabled('split', false);
+        this.dialog.set_close_response('keep');
+
+        this.nameEntry.connect('changed', () => {
+            this.dialog.set_response_enabled('split', this.nameEntry.get_text().trim().length > 0);
+        });
+
+        this.dialog.connect('response', async (dialog, response) => {
+            await this._applyResponse(response);
+            this.cleanup();
+        });
+    }
+
+    async _applyResponse(response) {
+        try {
+            if (response === 'discard') {
+                await this.coreBridge.discardIdleTime();
+            } else if (response === 'split') {
+                const task = await this.coreBridge.findOrCreateTask(this.nameEntry.get_text().trim());
+                await this.coreBridge.splitIdleTime(task.id, this.selectedProjectId, this.selectedClientId);
+            } else {
+                this.coreBridge.keepIdleTime();
+            }
+        } catch (error) {
+            console.error('Error resolving idle time:', error);
+        }
+    }
+
+    present(parent) {
+        this.dialog.present(parent);
+    }
+
+    /**
+     * Cleanup dropdowns and clear references
+     */
+    cleanup() {
+        if (this.projectDropdown && typeof this.projectDropdown.destroy === 'function') {
+            this.projectDropdown.destroy();
+        }
+        if (this.clientDropdown && typeof this.clientDropdown.destroy === 'function') {
+            this.clientDropdown.destroy();
+        }
+        this.projectDropdown = null;
+        this.clientDropdown = null;
+        this.nameEntry = null;
+        this.coreBridge = null;
+        this.dialog = null;
+    }
+}
@@ -0,0 +1,357 @@
+import Gtk from 'gi://Gtk';
+import Adw from 'gi://Adw';
+import GObject from 'gi://GObject';
+import { WidgetFactory } from 'resource:///com/odnoyko/valot/ui/utils/widgetFactory.js';
+import { ReportPDF } from 'resource:///com/odnoyko/valot/ui/utils/export/reportPDF.js';
+import { createDateButton, formatDateKey } from 'resource:///com/odnoyko/valot/ui/utils/datePicker.js';
+
+const GROUP_BY = ['project', 'task'];
+
+/**
+ * Invoice Dialog
+ * Create invoices of uninvoiced billable time of a client, export and delete them
+ */
+export const InvoiceDialog = GObject.registerClass({
+    GTypeName: 'InvoiceDialog',
+}, class InvoiceDialog extends Adw.Dialog {
+    /**
+     * @param {Object} [defaults] - {clientId, startDate, endDate} (Date) to start with
+     */
+    _init(parentWindow, coreBridge, defaults = {}) {
+        super._init({
+            title: _('Invoices'),
+            content_width: 480,
+            content_height: 680,
+        });
+
+        this.parentWindow = parentWindow;
+        this.coreBridge = coreBridge;
+
+        this.clients = [];
+        this.currencies = [];
+        this.defaultClientId = defaults.clientId || null;
+        this.startDate = defaults.startDate || this._firstOfMonth();
+        this.endDate = defaults.endDate || this._today();
+        this._invoiceRows = [];
+        this._previewId = 0;
+
+        this._buildInterface();
+        this._loadData();
+
+        // Undo/redo can bring back or remove invoices while the dialog is open
+        this._onUndoApplied = () => {
+            this._loadInvoices().catch(error => {
+                console.error('[InvoiceDialog] Failed to reload invoices:', error);
+            });
+            this._updatePreview();
+        };
+        this.coreBridge?.onUIEvent('undo-applied', this._onUndoApplied);
+        this.connect('closed', () => {
+            this.coreBridge?.offUIEvent('undo-applied', this._onUndoApplied);
+        });
+    }
+
+    _buildInterface() {
+        const toolbarView = new Adw.ToolbarView();
+        toolbarView.add_top_bar(new Adw.HeaderBar());
+
+        const page = new Adw.PreferencesPage();
+        page.add(this._createInvoiceGroup());
+        page.add(this._createInvoiceListGroup());
+        toolbarView.set_content(page);
+
+        this.set_child(toolbarView);
+    }
+
+    _createInvoiceGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('New Invoice'),
+            description: _('Billable time of the client in the period that is not invoiced yet'),
+        });
+
+        this.createButton = new Gtk.Button({
+            label: _('Create'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['suggested-action'],
+            sensitive: false,
+        });
+        this.createButton.connect('clicked', () => this._createInvoice());
+        group.set_header_suffix(this.createButton);
+
+        this.clientRow = new Adw.ComboRow({
+            title: _('Client'),
+            model: new Gtk.StringList(),
+        });
+        this.clientRow.connect('notify::selected', () => this._updatePreview());
+        group.add(this.clientRow);
+
+        const fromRow = new Adw.ActionRow({ title: _('From') });
+        fromRow.add_suffix(createDateButton(() => this.startDate, (date) => {
+            this.startDate = date;
+            this._updatePreview();
+        }));
+        group.add(fromRow);
+
+        const toRow = new Adw.ActionRow({ title: _('To') });
+        toRow.add_suffix(createDateButton(() => this.endDate, (date) => {
+            this.endDate = date;
+            this._updatePreview();
+        }));
+        group.add(toRow);
+
+        this.groupByRow = new Adw.ComboRow({
+            title: _('Line Items'),
+            model: Gtk.StringList.new([_('By project'), _('By task')]),
+        });
+        this.groupByRow.connect('notify::selected', () => this._updatePreview());
+        group.add(this.groupByRow);
+
+        this.currencyRow = new Adw.ComboRow({
+            title: _('Currency'),
+            subtitle: _('The period has time in several currencies'),
+            model: new Gtk.StringList(),
+            visible: false,
+        });
+        this.currencyRow.connect('notify::selected', () => this._updatePreview());
+        group.add(this.currencyRow);
+
+        this.previewRow = new Adw.ActionRow({
+            title: _('No uninvoiced billable time'),
+            sensitive: false,
+        });
+        this.previewTotalLabel = new Gtk.Label({
+            css_classes: ['heading'],
+            valign: Gtk.Align.CENTER,
+        });
+        this.previewRow.add_suffix(this.previewTotalLabel);
+        group.add(this.previewRow);
+
+        return group;
+    }
+
+    _createInvoiceListGroup() {
+        this.invoiceListGroup = new Adw.PreferencesGroup({
+            title: _('Created Invoices'),
+        });
+        return this.invoiceListGroup;
+    }
+
+    async _loadData() {
+        if (!this.coreBridge) return;
+
+        try {
+            const clients = await this.coreBridge.getAllClients();
+            this.clients = clients.filter(client => client.id !== 1 && !client.archived);
+            this.clientRow.set_model(Gtk.StringList.new(this.clients.map(client => client.name)));
+
+            const index = this.clients.findIndex(client => client.id === this.defaultClientId);
+            this.clientRow.set_selected(index >= 0 ? index : 0);
+
+            await this._updatePreview();
+            await this._loadInvoices();
+        } catch (error) {
+            console.error('[InvoiceDialog] Failed to load invoices:', error);
+        }
+    }
+
+    _getOptions() {
+        const client = this.clients[this.clientRow.get_selected()];
+        if (!client) return null;
+
+        const start = new Date(this.startDate);
+        start.setHours(0, 0, 0, 0);
+        const end = new Date(this.endDate);
+        end.setHours(23, 59, 59, 999);
+
+        return {
+            clientId: client.id,
+            dateRange: { start, end },
+            groupBy: GROUP_BY[this.groupByRow.get_selected()] || 'project',
+            currency: this.currencyRow.get_visible() ? this.currencies[this.currencyRow.get_selected()] || null : null,
+        };
+    }
+
+    /**
+     * Net and tax part of the previewed total
+     */
+    _formatTax(preview) {
+        const net = this._formatAmount(preview.net, preview.currency);
+        if (preview.taxMode === 'reverse-charge') return _('Net %s · Reverse charge').format(net);
+        if (preview.taxMode === 'exempt') return _('Net %s · Tax exempt').format(net);
+        return _('Net %s · Tax %s').format(net, `${preview.taxRate}% ${this._formatAmount(preview.tax, preview.currency)}`);
+    }
+
+    async _updatePreview() {
+        const options = this._getOptions();
+        const previewId = ++this._previewId;
+        this.createButton.set_sensitive(false);
+
+        if (!options || options.dateRange.start > options.dateRange.end) {
+            this.previewRow.set_title(options ? _('Invalid period') : _('No clients yet'));
+            this.previewRow.set_subtitle('');
+            this.previewTotalLabel.set_text('');
+            return;
+        }
+
+        try {
+            const preview = await this.coreBridge.previewInvoice(options);
+            // A newer preview was started meanwhile
+            if (previewId !== this._previewId) return;
+
+            this._updateCurrencies(preview.currencies);
+
+            const hours = preview.items.reduce((sum, item) => sum + item.hours, 0);
+            if (preview.entryIds.length === 0) {
+                this.previewRow.set_title(_('No uninvoiced billable time'));
+                this.previewRow.set_subtitle('');
+                this.previewTotalLabel.set_text('');
+                return;
+            }
+
+            this.previewRow.set_title(_('%d entries · %s hours').format(preview.entryIds.length, hours.toFixed(2)));
+            const itemsText = preview.items.length === 1 ? _('1 line item') : _('%d line items').format(preview.items.length);
+            this.previewRow.set_subtitle(preview.currency
+                ? `${itemsText} · ${this._formatTax(preview)}`
+                : itemsText);
+            this.previewTotalLabel.set_text(preview.currency ? this._formatAmount(preview.total, preview.currency) : '');
+            this.createButton.set_sensitive(preview.currencies.length <= 1 || Boolean(options.currency));
+        } catch (error) {
+            console.error('[InvoiceDialog] Failed to preview invoice:', error);
+        }
+    }
+
+    /**
+     * Offer a currency choice only when entries of the period use several
+     */
+    _updateCurrencies(currencies) {
+        const visible = currencies.length > 1;
+        if (visible && currencies.join(',') !== this.currencies.join(',')) {
+            this.currencies = currencies;
+            this.currencyRow.set_model(Gtk.StringList.new(currencies));
+            this.currencyRow.set_selected(0);
+        }
+        if (!visible) {
+            this.currencies = [];
+        }
+        this.currencyRow.set_visible(visible);
+    }
+
+    async _loadInvoices() {
+        const invoices = await this.coreBridge.getInvoices();
+
+        this._invoiceRows.forEach(row => this.invoiceListGroup.remove(row));
+        this._invoiceRows = [];
+
+        if (invoices.length === 0) {
+            const emptyRow = new Adw.ActionRow({
+                title: _('No invoices yet'),
+                sensitive: false,
+            });
+            this.invoiceListGroup.add(emptyRow);
+            this._invoiceRows.push(emptyRow);
+            return;
+        }
+
+        invoices.forEach(invoice => {
+            const row = new Adw.ActionRow({
+                title: invoice.number,
+                subtitle: `${invoice.client_name || ''} · ${formatDateKey(invoice.issue_date)} · ${this._formatAmount(invoice.total_amount, invoice.currency)}`,
+            });
+
+            const exportButton = new Gtk.Button({
+                icon_name: 'document-save-symbolic',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+                tooltip_text: _('Export PDF'),
+            });
+            exportButton.connect('clicked', () => this._exportInvoice(invoice.id));
+            row.add_suffix(exportButton);
+
+            const deleteButton = new Gtk.Button({
+                icon_name: 'user-trash-symbolic',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+                tooltip_text: _('Delete'),
+            });
+            deleteButton.connect('clicked', () => this._deleteInvoice(invoice));
+            row.add_suffix(deleteButton);
+
+            this.invoiceListGroup.add(row);
+            this._invoiceRows.push(row);
+        });
+    }
+
+    async _createInvoice() {
+        const options = this._getOptions();
+        if (!options) return;
+
+        this.createButton.set_sensitive(false);
+        try {
+            const invoice = await this.coreBridge.createInvoice(options);
+            this.parentWindow?.showToast?.(_('Invoice %s created').format(invoice.number));
+            await this._loadInvoices();
+            await this._updatePreview();
+            await this._exportInvoice(invoice.id);
+        } catch (error) {
+            console.error('[InvoiceDialog] Failed to create invoice:', error);
+            this.parentWindow?.showToast?.(_('Could not create invoice'));
+            await this._updatePreview();
+        }
+    }
+
+    async _exportInvoice(id) {
+        try {
+            const invoice = await this.coreBridge.getInvoice(id);
+            if (!invoice) return;
+
+            const pdf = new ReportPDF([], [], []);
+            pdf.configureInvoice(invoice);
+            await pdf.exportToPDF(this.parentWindow);
+        } catch (error) {
+            // Error dialog is shown by the exporter
+            console.error('[InvoiceDialog] Failed to export invoice:', error);
+        }
+    }
+
+    _deleteInvoice(invoice) {
+        const dialog = new Adw.AlertDialog({
+            heading: _('Delete Invoice?'),
+            body: _('Invoice %s will be deleted and its time can be invoiced again.').format(invoice.number),
+        });
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('delete', _('Delete'));
+        dialog.set_response_appearance('delete', Adw.ResponseAppearance.DESTRUCTIVE);
+        dialog.connect('response', async (dialog, response) => {
+            if (response !== 'delete') return;
+            try {
+                await this.coreBridge.deleteInvoice(invoice.id);
+                this.parentWindow?.showToastWithAction?.(_('Invoice %s deleted').format(invoice.number), _('Undo'), () => {
+                    this.parentWindow.undoLastChange();
+                });
+                await this._loadInvoices();
+                await this._updatePreview();
+            } catch (error) {
+                console.error('[InvoiceDialog] Failed to delete invoice:', error);
+                this.parentWindow?.showToast?.(_('Could not delete invoice'));
+            }
+        });
+        dialog.present(this);
+    }
+
+    _formatAmount(amount, currency) {
+        const symbol = currency ? WidgetFactory.getCurrencySymbol(currency) : '';
+        return `${symbol}${Number(amount || 0).toFixed(2)}`;
+    }
+
+    _today() {
+        const date = new Date();
+        date.setHours(0, 0, 0, 0);
+        return date;
+    }
+
+    _firstOfMonth() {
+        const date = this._today();
+        date.setDate(1);
+        return date;
+    }
+});
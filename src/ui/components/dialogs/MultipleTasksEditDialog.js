@@ -128,7 +128,8 @@ export class MultipleTasksEditDialog {
 
             // Apply changes to all selected tasks using Core method with automatic tracking sync
             // Core will handle tracking state synchronization for tracked instances automatically
-            await this._applyChangesToAll();
+            // All changes undo as one step
+            await this.coreBridge.runAsUndoStep('Edit tasks', () => this._applyChangesToAll());
 
             // Notify parent to refresh
             if (this.parent) {
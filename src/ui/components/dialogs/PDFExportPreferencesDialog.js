@@ -31,6 +31,7 @@ export const PDFExportPreferencesDialog = GObject.registerClass({
             includeTasks: true,
             includeProjects: true,
             includeBilling: false,
+            includeExpenses: true,
 
             // Project/Client filters
             filterByProject: null,
@@ -265,10 +266,21 @@ export const PDFExportPreferencesDialog = GObject.registerClass({
             this._updateCurrencyGroupVisibility();
         });
 
+        // Expenses switch
+        const expensesRow = new Adw.SwitchRow({
+            title: _('Expenses'),
+            subtitle: _('Include project expenses with totals per currency'),
+            active: this.exportConfig.includeExpenses
+        });
+        expensesRow.connect('notify::active', () => {
+            this.exportConfig.includeExpenses = expensesRow.get_active();
+        });
+
         sectionsGroup.add(analyticsRow);
         sectionsGroup.add(chartsRow);
         sectionsGroup.add(tasksRow);
         sectionsGroup.add(projectsRow);
+        sectionsGroup.add(expensesRow);
         sectionsGroup.add(billingRow);
 
         // Currency Selection Group (visible only when billing enabled and 2+ currencies)
@@ -347,15 +359,17 @@ export const PDFExportPreferencesDialog = GObject.registerClass({
     }
 
     _getAvailableCurrencies() {
-        // Get unique currencies from all clients
+        // Get unique currencies from all clients, projects and task rates
         const currencies = new Set();
 
         // Try to get clients from reportExporter first, then parentWindow
         const clients = this.reportExporter?.clients || this.parentWindow?.allClients || [];
+        const projects = this.reportExporter?.projects || this.parentWindow?.allProjects || [];
+        const tasks = this.reportExporter?.tasks || [];
 
-        clients.forEach(client => {
-            if (client.currency) {
-                currencies.add(client.currency);
+        [...clients, ...projects, ...tasks].forEach(item => {
+            if (item.currency) {
+                currencies.add(item.currency);
             }
         });
 
@@ -528,6 +542,7 @@ export const PDFExportPreferencesDialog = GObject.registerClass({
                 showTasks: this.exportConfig.includeTasks,
                 showProjects: this.exportConfig.includeProjects,
                 showBilling: this.exportConfig.includeBilling,
+                showExpenses: this.exportConfig.includeExpenses,
                 selectedCurrencies: this.exportConfig.selectedCurrencies // empty = all
             };
             this.reportExporter.configureSections(sections);
@@ -0,0 +1,311 @@
+import Gtk from 'gi://Gtk';
+import Adw from 'gi://Adw';
+import GObject from 'gi://GObject';
+import { BUTTON, LABEL } from 'resource:///com/odnoyko/valot/ui/utils/commonStrings.js';
+import { ProjectDropdown } from 'resource:///com/odnoyko/valot/ui/utils/projectDropdown.js';
+import { ClientDropdown } from 'resource:///com/odnoyko/valot/ui/utils/clientDropdown.js';
+
+const INPUT_MODES = ['end', 'duration'];
+
+/**
+ * Past Time Entry Dialog
+ * Adds a finished session after the fact, checks it against already tracked time
+ */
+export const PastTimeEntryDialog = GObject.registerClass({
+    GTypeName: 'PastTimeEntryDialog',
+}, class PastTimeEntryDialog extends Adw.Dialog {
+    /**
+     * @param {Gtk.Window} parentWindow
+     * @param {Object} coreBridge
+     * @param {Object} options
+     * @param {string} [options.taskName] - Prefilled task name
+     * @param {number} [options.projectId] - Prefilled project (1 = none)
+     * @param {number} [options.clientId] - Prefilled client (1 = none)
+     * @param {Function} [options.onSaved] - Called after the entry was added
+     */
+    _init(parentWindow, coreBridge, options = {}) {
+        super._init({
+            title: _('Add Past Time'),
+            content_width: 420,
+        });
+
+        this.parentWindow = parentWindow;
+        this.coreBridge = coreBridge;
+        this.onSaved = options.onSaved || null;
+
+        this.projectId = options.projectId || 1;
+        this.clientId = options.clientId || 1;
+        this.date = new Date();
+        this.date.setHours(0, 0, 0, 0);
+        this.inputMode = 'end';
+        this._saving = false;
+
+        this._buildInterface(options.taskName || '');
+        this._updateSaveButton();
+
+        this.connect('closed', () => {
+            this.projectDropdown?.destroy();
+            this.clientDropdown?.destroy();
+            this.projectDropdown = null;
+            this.clientDropdown = null;
+        });
+    }
+
+    _buildInterface(taskName) {
+        const toolbarView = new Adw.ToolbarView();
+
+        const headerBar = new Adw.HeaderBar({
+            show_start_title_buttons: false,
+            show_end_title_buttons: false,
+        });
+
+        const cancelButton = new Gtk.Button({
+            label: BUTTON.CANCEL
+        });
+        cancelButton.connect('clicked', () => this.close());
+        headerBar.pack_start(cancelButton);
+
+        this.saveButton = new Gtk.Button({
+            label: _('Add'),
+            css_classes: ['suggested-action']
+        });
+        this.saveButton.connect('clicked', () => this._save());
+        headerBar.pack_end(this.saveButton);
+
+        toolbarView.add_top_bar(headerBar);
+
+        const page = new Adw.PreferencesPage();
+        page.add(this._createTaskGroup(taskName));
+        page.add(this._createTimeGroup());
+        toolbarView.set_content(page);
+
+        this.set_child(toolbarView);
+    }
+
+    _createTaskGroup(taskName) {
+        const group = new Adw.PreferencesGroup();
+
+        this.taskRow = new Adw.EntryRow({
+            title: _('Task name'),
+            text: taskName,
+        });
+        this.taskRow.connect('changed', () => this._updateSaveButton());
+        group.add(this.taskRow);
+
+        this.descriptionRow = new Adw.EntryRow({
+            title: LABEL.DESCRIPTION,
+        });
+        group.add(this.descriptionRow);
+
+        this.projectDropdown = new ProjectDropdown(this.coreBridge, this.projectId, (project) => {
+            this.projectId = project.id;
+        });
+        const projectRow = new Adw.ActionRow({ title: LABEL.PROJECT });
+        projectRow.add_suffix(this.projectDropdown.getWidget());
+        group.add(projectRow);
+
+        this.clientDropdown = new ClientDropdown(this.coreBridge, this.clientId, (client) => {
+            this.clientId = client.id;
+        });
+        const clientRow = new Adw.ActionRow({ title: LABEL.CLIENT });
+        clientRow.add_suffix(this.clientDropdown.getWidget());
+        group.add(clientRow);
+
+        return group;
+    }
+
+    _createTimeGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Time'),
+        });
+
+        // Date with calendar popover
+        this.dateButton = new Gtk.MenuButton({
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        const calendar = new Gtk.Calendar();
+        const popover = new Gtk.Popover({ child: calendar });
+        calendar.connect('day-selected', () => {
+            const selected = calendar.get_date();
+            this.date = new Date(selected.get_year(), selected.get_month() - 1, selected.get_day_of_month());
+            this._updateDateLabel();
+            this._updateSaveButton();
+            popover.popdown();
+        });
+        this.dateButton.set_popover(popover);
+        this._updateDateLabel();
+
+        const dateRow = new Adw.ActionRow({ title: _('Date') });
+        dateRow.add_suffix(this.dateButton);
+        group.add(dateRow);
+
+        const modeRow = new Adw.ComboRow({
+            title: _('Enter'),
+            model: Gtk.StringList.new([_('Start and end'), _('Start and duration')]),
+        });
+        group.add(modeRow);
+
+        this.startRow = new Adw.EntryRow({
+            title: _('Start (HH:MM)'),
+            text: '09:00',
+        });
+        this.endRow = new Adw.EntryRow({
+            title: _('End (HH:MM)'),
+            text: '10:00',
+        });
+        this.durationRow = new Adw.EntryRow({
+            title: _('Duration (H:MM)'),
+            text: '1:00',
+            visible: false,
+        });
+        [this.startRow, this.endRow, this.durationRow].forEach(row => {
+            row.connect('changed', () => this._updateSaveButton());
+            group.add(row);
+        });
+
+        modeRow.connect('notify::selected', () => {
+            this.inputMode = INPUT_MODES[modeRow.get_selected()];
+            this.endRow.set_visible(this.inputMode === 'end');
+            this.durationRow.set_visible(this.inputMode === 'duration');
+            this._updateSaveButton();
+        });
+
+        this.summaryRow = new Adw.ActionRow({
+            title: LABEL.DURATION,
+            css_classes: ['property'],
+        });
+        group.add(this.summaryRow);
+
+        return group;
+    }
+
+    _updateDateLabel() {
+        this.dateButton.set_label(this.date.toLocaleDateString('de-DE'));
+    }
+
+    /**
+     * Parse "HH:MM" (or "H:MM" for durations) into minutes, null if invalid
+     */
+    _parseMinutes(text, maxHours = 23) {
+        const match = (text || '').trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+        if (!match) return null;
+        const hours = parseInt(match[1], 10);
+        const minutes = match[2] ? parseInt(match[2], 10) : 0;
+        if (hours > maxHours || minutes > 59) return null;
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Entered time range, null if incomplete
+     * An end before the start means the session ran past midnight.
+     */
+    _getRange() {
+        const startMinutes = this._parseMinutes(this.startRow.get_text());
+        if (startMinutes === null) return null;
+
+        const start = new Date(this.date);
+        start.setMinutes(startMinutes);
+
+        let end;
+        if (this.inputMode === 'duration') {
+            const duration = this._parseMinutes(this.durationRow.get_text(), 99);
+            if (!duration) return null;
+            end = new Date(start.getTime() + duration * 60000);
+        } else {
+            const endMinutes = this._parseMinutes(this.endRow.get_text());
+            if (endMinutes === null || endMinutes === startMinutes) return null;
+            end = new Date(this.date);
+            end.setMinutes(endMinutes);
+            if (end <= start) {
+                end.setDate(end.getDate() + 1);
+            }
+        }
+        return { start, end };
+    }
+
+    _updateSaveButton() {
+        const range = this._getRange();
+        const inFuture = range && range.end.getTime() > Date.now();
+
+        if (!range) {
+            this.summaryRow.set_subtitle(_('Enter a valid time'));
+        } else if (inFuture) {
+            this.summaryRow.set_subtitle(_('Past time cannot end in the future'));
+        } else {
+            const minutes = Math.round((range.end - range.start) / 60000);
+            this.summaryRow.set_subtitle(`${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`);
+        }
+
+        const hasTask = this.taskRow.get_text().trim().length > 0;
+        this.saveButton.set_sensitive(hasTask && !!range && !inFuture && !this._saving);
+    }
+
+    async _save() {
+        const range = this._getRange();
+        if (!range || !this.coreBridge || this._saving) return;
+
+        this._saving = true;
+        this._updateSaveButton();
+        try {
+            const overlaps = await this.coreBridge.findTimeEntryOverlaps(range.start, range.end);
+            const overlapMode = overlaps.length > 0
+                ? await this._askOverlapMode(overlaps)
+                : 'keep';
+            if (!overlapMode) return;
+
+            await this.coreBridge.addPastTimeEntry({
+                task_name: this.taskRow.get_text().trim(),
+                project_id: this.projectId === 1 ? null : this.projectId,
+                client_id: this.clientId === 1 ? null : this.clientId,
+                start_time: range.start,
+                end_time: range.end,
+                description: this.descriptionRow.get_text(),
+            }, overlapMode);
+
+            this.parentWindow?.showToast?.(_('Time entry added'));
+            this.onSaved?.();
+            this.close();
+        } catch (error) {
+            console.error('[PastTimeEntryDialog] Failed to add time entry:', error);
+            this.parentWindow?.showToast?.(_('Could not add time entry'));
+        } finally {
+            this._saving = false;
+            if (this.saveButton) this._updateSaveButton();
+        }
+    }
+
+    /**
+     * Ask how to handle overlapping sessions
+     * @returns {Promise<string|null>} 'keep', 'trim', 'split' or null if cancelled
+     */
+    _askOverlapMode(overlaps) {
+        const formatTime = value => value.substring(11, 16);
+        const lines = overlaps.slice(0, 5).map(entry => entry.is_running
+            ? _('%s: %s – now (running)').format(entry.task_name, formatTime(entry.start_time))
+            : _('%s: %s – %s').format(entry.task_name, formatTime(entry.start_time), formatTime(entry.end_time)));
+        if (overlaps.length > 5) {
+            lines.push(_('and %d more').format(overlaps.length - 5));
+        }
+
+        const dialog = new Adw.AlertDialog({
+            heading: _('Overlapping Time'),
+            body: _('This time overlaps with already tracked sessions:') + '\n\n' + lines.join('\n') +
+                '\n\n' + _('Trim keeps the longest free part, Split adds every free part.'),
+        });
+        dialog.add_response('cancel', BUTTON.CANCEL);
+        dialog.add_response('keep', _('Keep Overlap'));
+        dialog.add_response('split', _('Split'));
+        dialog.add_response('trim', _('Trim'));
+        dialog.set_response_appearance('trim', Adw.ResponseAppearance.SUGGESTED);
+        dialog.set_default_response('trim');
+        dialog.set_close_response('cancel');
+
+        return new Promise(resolve => {
+            dialog.connect('response', (dialog, response) => {
+                resolve(response === 'cancel' ? null : response);
+            });
+            dialog.present(this);
+        });
+    }
+});
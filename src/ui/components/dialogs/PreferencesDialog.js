@@ -465,6 +465,44 @@ export const PreferencesDialog = GObject.registerClass({
             }
         });
 
+        // Idle detection threshold
+        const idleRow = new Adw.ActionRow({
+            title: _('Idle Detection'),
+            subtitle: _('Ask about idle time after this many minutes without activity (0 = off)'),
+        });
+
+        const idleSpinButton = new Gtk.SpinButton({
+            valign: Gtk.Align.CENTER,
+            orientation: Gtk.Orientation.HORIZONTAL,
+        });
+        idleSpinButton.set_range(0, 120);
+        idleSpinButton.set_increments(1, 5);
+        idleSpinButton.set_value(settings.get_int('idle-threshold'));
+
+        idleSpinButton.connect('value-changed', () => {
+            settings.set_int('idle-threshold', idleSpinButton.get_value_as_int());
+        });
+
+        idleRow.add_suffix(idleSpinButton);
+        behaviorGroup.add(idleRow);
+
+        // Budget warning thresholds (comma separated percentages)
+        const budgetRow = new Adw.EntryRow({
+            title: _('Budget Warnings (% of project budget, comma separated)'),
+            text: settings.get_value('budget-warning-thresholds').deepUnpack().join(', '),
+            show_apply_button: true,
+        });
+        budgetRow.connect('apply', () => {
+            const thresholds = [...new Set(budgetRow.get_text()
+                .split(/[,;\s]+/)
+                .map(value => parseInt(value, 10))
+                .filter(value => value > 0))]
+                .sort((a, b) => a - b);
+            settings.set_value('budget-warning-thresholds', new GLib.Variant('ai', thresholds));
+            budgetRow.set_text(thresholds.join(', '));
+        });
+        behaviorGroup.add(budgetRow);
+
         page.add(behaviorGroup);
 
         // Pomodoro Group
@@ -472,34 +510,152 @@ export const PreferencesDialog = GObject.registerClass({
             title: _('Pomodoro Timer'),
         });
 
-        // Timer duration row
-        const timerRow = new Adw.ActionRow({
-            title: _('Timer Duration'),
-            subtitle: _('Default pomodoro session length in minutes'),
+        // Phase lengths and cycle length (minutes / count)
+        const pomodoroSpinRows = [
+            { key: 'pomodoro-work-minutes', title: _('Pomodoro Length'), subtitle: _('Work phase in minutes'), min: 1, max: 180, step: 5 },
+            { key: 'pomodoro-short-break-minutes', title: _('Short Break'), subtitle: _('Break after each Pomodoro in minutes'), min: 1, max: 60, step: 1 },
+            { key: 'pomodoro-long-break-minutes', title: _('Long Break'), subtitle: _('Break after a full cycle in minutes'), min: 1, max: 120, step: 5 },
+            { key: 'pomodoro-cycle-length', title: _('Pomodoros per Cycle'), subtitle: _('Pomodoros before a long break'), min: 1, max: 12, step: 1 },
+        ];
+        pomodoroSpinRows.forEach(({ key, title, subtitle, min, max, step }) => {
+            const row = new Adw.ActionRow({ title, subtitle });
+            const spinButton = new Gtk.SpinButton({
+                valign: Gtk.Align.CENTER,
+                orientation: Gtk.Orientation.HORIZONTAL,
+            });
+            spinButton.set_range(min, max);
+            spinButton.set_increments(step, step * 3);
+            spinButton.set_value(settings.get_int(key));
+            spinButton.connect('value-changed', () => {
+                settings.set_int(key, spinButton.get_value_as_int());
+            });
+            row.add_suffix(spinButton);
+            pomodoroGroup.add(row);
         });
 
-        const timerSpinButton = new Gtk.SpinButton({
-            valign: Gtk.Align.CENTER,
-            orientation: Gtk.Orientation.HORIZONTAL,
+        const autoBreakRow = new Adw.SwitchRow({
+            title: _('Start Breaks Automatically'),
+            active: settings.get_boolean('pomodoro-auto-start-breaks'),
+        });
+        autoBreakRow.connect('notify::active', () => {
+            settings.set_boolean('pomodoro-auto-start-breaks', autoBreakRow.get_active());
         });
-        timerSpinButton.set_range(5, 120);
-        timerSpinButton.set_increments(5, 15);
+        pomodoroGroup.add(autoBreakRow);
 
-        // Load current value from config
-        this._loadPomodoroConfig().then(config => {
-            timerSpinButton.set_value(config.defaultMinutes || 20);
+        const autoWorkRow = new Adw.SwitchRow({
+            title: _('Start Pomodoros Automatically'),
+            subtitle: _('Start the next Pomodoro when a break is over'),
+            active: settings.get_boolean('pomodoro-auto-start-work'),
         });
+        autoWorkRow.connect('notify::active', () => {
+            settings.set_boolean('pomodoro-auto-start-work', autoWorkRow.get_active());
+        });
+        pomodoroGroup.add(autoWorkRow);
+        page.add(pomodoroGroup);
 
-        // Save value when changed
-        timerSpinButton.connect('value-changed', () => {
-            const newValue = timerSpinButton.get_value();
-            this._savePomodoroConfig(newValue);
+        // Hour Targets Group (project targets are set on the Projects page)
+        const targetGroup = new Adw.PreferencesGroup({
+            title: _('Hour Targets'),
+            description: _('Hours you want to track, 0 = no target'),
         });
 
-        timerRow.add_suffix(timerSpinButton);
+        const createHoursSpinButton = (value, onChange) => {
+            const spinButton = new Gtk.SpinButton({
+                valign: Gtk.Align.CENTER,
+                orientation: Gtk.Orientation.HORIZONTAL,
+                digits: 1,
+            });
+            spinButton.set_range(0, 168);
+            spinButton.set_increments(0.5, 1);
+            spinButton.set_value(value);
+            spinButton.connect('value-changed', () => onChange(spinButton.get_value()));
+            return spinButton;
+        };
 
-        pomodoroGroup.add(timerRow);
-        page.add(pomodoroGroup);
+        const weeklyTargetRow = new Adw.ActionRow({
+            title: _('Weekly Target'),
+            subtitle: _('Hours per week, Monday to Sunday'),
+        });
+        weeklyTargetRow.add_suffix(createHoursSpinButton(settings.get_double('weekly-target-hours'), (value) => {
+            settings.set_double('weekly-target-hours', value);
+        }));
+        targetGroup.add(weeklyTargetRow);
+
+        const dailyTargetRow = new Adw.ExpanderRow({
+            title: _('Daily Targets'),
+            subtitle: _('Hours per weekday'),
+        });
+        const weekdays = [_('Monday'), _('Tuesday'), _('Wednesday'), _('Thursday'), _('Friday'), _('Saturday'), _('Sunday')];
+        const dailyTargets = settings.get_value('daily-target-hours').deepUnpack();
+        weekdays.forEach((title, index) => {
+            const row = new Adw.ActionRow({ title });
+            row.add_suffix(createHoursSpinButton(dailyTargets[index] || 0, (value) => {
+                const targets = settings.get_value('daily-target-hours').deepUnpack();
+                while (targets.length < 7) targets.push(0);
+                targets[index] = value;
+                settings.set_value('daily-target-hours', new GLib.Variant('ad', targets));
+            }));
+            dailyTargetRow.add_row(row);
+        });
+        targetGroup.add(dailyTargetRow);
+        page.add(targetGroup);
+
+        // Invoices Group (invoices are created on the Reports page, client tax on the Clients page)
+        const invoiceGroup = new Adw.PreferencesGroup({
+            title: _('Invoices and Tax'),
+        });
+
+        const invoiceFormatRow = new Adw.EntryRow({
+            title: _('Number Format ({YYYY}, {YY}, {MM}, {DD}, {SEQ}, {SEQ:4})'),
+            text: settings.get_string('invoice-number-format'),
+            show_apply_button: true,
+        });
+        invoiceFormatRow.connect('apply', () => {
+            const format = invoiceFormatRow.get_text().trim();
+            if (format) {
+                settings.set_string('invoice-number-format', format);
+            } else {
+                settings.reset('invoice-number-format');
+                invoiceFormatRow.set_text(settings.get_string('invoice-number-format'));
+            }
+        });
+        invoiceGroup.add(invoiceFormatRow);
+
+        const invoiceStartRow = new Adw.ActionRow({
+            title: _('Start Number'),
+            subtitle: _('Later invoices continue from the highest number used'),
+        });
+        const invoiceStartSpinButton = new Gtk.SpinButton({
+            valign: Gtk.Align.CENTER,
+            orientation: Gtk.Orientation.HORIZONTAL,
+        });
+        invoiceStartSpinButton.set_range(1, 999999);
+        invoiceStartSpinButton.set_increments(1, 10);
+        invoiceStartSpinButton.set_value(settings.get_int('invoice-start-number'));
+        invoiceStartSpinButton.connect('value-changed', () => {
+            settings.set_int('invoice-start-number', invoiceStartSpinButton.get_value_as_int());
+        });
+        invoiceStartRow.add_suffix(invoiceStartSpinButton);
+        invoiceGroup.add(invoiceStartRow);
+
+        const taxRateRow = new Adw.ActionRow({
+            title: _('Default Tax Rate'),
+            subtitle: _('Percent, for clients without their own rate (0 = no tax)'),
+        });
+        const taxRateSpinButton = new Gtk.SpinButton({
+            valign: Gtk.Align.CENTER,
+            orientation: Gtk.Orientation.HORIZONTAL,
+            digits: 2,
+        });
+        taxRateSpinButton.set_range(0, 100);
+        taxRateSpinButton.set_increments(0.5, 1);
+        taxRateSpinButton.set_value(settings.get_double('default-tax-rate'));
+        taxRateSpinButton.connect('value-changed', () => {
+            settings.set_double('default-tax-rate', taxRateSpinButton.get_value());
+        });
+        taxRateRow.add_suffix(taxRateSpinButton);
+        invoiceGroup.add(taxRateRow);
+        page.add(invoiceGroup);
 
         // Experimental Features Group - DISABLED FOR USERS
         // const experimentalGroup = new Adw.PreferencesGroup({
@@ -648,6 +804,171 @@ export const PreferencesDialog = GObject.registerClass({
         
         // Populate currencies
         this._refreshCurrencyList();
+
+        this._setupExchangeRateGroup(page);
+    }
+
+    /**
+     * Base currency and exchange rates, totals of all currencies are converted with them
+     */
+    _setupExchangeRateGroup(page) {
+        const settings = new Gio.Settings({ schema: 'com.odnoyko.valot' });
+
+        this.exchangeRateGroup = new Adw.PreferencesGroup({
+            title: _('Exchange Rates'),
+            description: _('Totals in other currencies are converted into the base currency with the rate valid on each day'),
+        });
+
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            css_classes: ['flat'],
+            valign: Gtk.Align.CENTER,
+            tooltip_text: _('Add exchange rate'),
+        });
+        addButton.connect('clicked', () => this._showAddExchangeRateDialog());
+        this.exchangeRateGroup.set_header_suffix(addButton);
+
+        const baseCurrency = settings.get_string('base-currency');
+        const codes = this._getCurrencyCodes();
+        if (!codes.includes(baseCurrency)) codes.unshift(baseCurrency);
+
+        const baseCurrencyRow = new Adw.ComboRow({
+            title: _('Base Currency'),
+            model: Gtk.StringList.new(codes),
+            selected: codes.indexOf(baseCurrency),
+        });
+        baseCurrencyRow.connect('notify::selected', () => {
+            settings.set_string('base-currency', codes[baseCurrencyRow.get_selected()]);
+        });
+        this.exchangeRateGroup.add(baseCurrencyRow);
+
+        this._exchangeRateRows = [];
+        page.add(this.exchangeRateGroup);
+        this._refreshExchangeRates();
+    }
+
+    /**
+     * Codes of visible currencies, built-in and custom
+     */
+    _getCurrencyCodes() {
+        const custom = this.currencySettings.custom.filter(c => !c.hidden).map(c => c.code);
+        return [...new Set([...this.currencySettings.visible, ...custom])];
+    }
+
+    async _refreshExchangeRates() {
+        const coreBridge = (this.application || this.get_transient_for()?.application)?.coreBridge;
+        if (!coreBridge) return;
+
+        let rates = [];
+        try {
+            rates = await coreBridge.getExchangeRates();
+        } catch (error) {
+            console.error('[PreferencesDialog] Failed to load exchange rates:', error);
+        }
+
+        this._exchangeRateRows.forEach(row => this.exchangeRateGroup.remove(row));
+        this._exchangeRateRows = [];
+
+        if (rates.length === 0) {
+            const emptyRow = new Adw.ActionRow({
+                title: _('No exchange rates yet'),
+                subtitle: _('Currencies without a rate are left out of the converted totals'),
+                css_classes: ['dim-label'],
+            });
+            this.exchangeRateGroup.add(emptyRow);
+            this._exchangeRateRows.push(emptyRow);
+            return;
+        }
+
+        rates.forEach(rate => {
+            const row = new Adw.ActionRow({
+                title: `1 ${rate.currency} = ${Number(rate.rate)} ${rate.base_currency}`,
+                subtitle: _('From %s').format(rate.effective_date),
+            });
+
+            const deleteButton = new Gtk.Button({
+                icon_name: 'user-trash-symbolic',
+                css_classes: ['flat'],
+                valign: Gtk.Align.CENTER,
+                tooltip_text: _('Delete exchange rate'),
+            });
+            deleteButton.connect('clicked', async () => {
+                try {
+                    await coreBridge.deleteExchangeRate(rate.id);
+                    this._refreshExchangeRates();
+                } catch (error) {
+                    console.error('[PreferencesDialog] Failed to delete exchange rate:', error);
+                }
+            });
+            row.add_suffix(deleteButton);
+
+            this.exchangeRateGroup.add(row);
+            this._exchangeRateRows.push(row);
+        });
+    }
+
+    _showAddExchangeRateDialog() {
+        const coreBridge = (this.application || this.get_transient_for()?.application)?.coreBridge;
+        if (!coreBridge) return;
+
+        const baseCurrency = coreBridge.getBaseCurrency();
+        const codes = this._getCurrencyCodes().filter(code => code !== baseCurrency);
+
+        const dialog = new Adw.AlertDialog({
+            heading: _('Add Exchange Rate'),
+            body: _('Value of one unit in %s').format(baseCurrency),
+        });
+
+        const form = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 12,
+        });
+
+        const currencyDropdown = new Gtk.DropDown({
+            model: Gtk.StringList.new(codes),
+        });
+
+        const rateSpin = new Gtk.SpinButton({
+            digits: 6,
+        });
+        rateSpin.set_range(0.000001, 1000000);
+        rateSpin.set_increments(0.01, 1);
+        rateSpin.set_value(1);
+
+        const dateEntry = new Gtk.Entry({
+            text: GLib.DateTime.new_now_local().format('%Y-%m-%d'),
+            placeholder_text: _('YYYY-MM-DD'),
+        });
+
+        [[_('Currency'), currencyDropdown], [_('Rate'), rateSpin], [_('Valid from'), dateEntry]].forEach(([label, widget]) => {
+            form.append(new Gtk.Label({ label, halign: Gtk.Align.START }));
+            form.append(widget);
+        });
+
+        dialog.set_extra_child(form);
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('add', _('Add'));
+        dialog.set_response_appearance('add', Adw.ResponseAppearance.SUGGESTED);
+
+        dialog.connect('response', async (_dialog, response) => {
+            if (response !== 'add' || codes.length === 0) return;
+            try {
+                await coreBridge.createExchangeRate({
+                    currency: codes[currencyDropdown.get_selected()],
+                    base_currency: baseCurrency,
+                    rate: rateSpin.get_value(),
+                    effective_date: dateEntry.get_text().trim(),
+                });
+                this._refreshExchangeRates();
+            } catch (error) {
+                this.add_toast(new Adw.Toast({
+                    title: error.message,
+                    timeout: 3,
+                }));
+            }
+        });
+
+        dialog.present(this);
     }
 
     _showDetailsSubpage() {
@@ -917,67 +1238,6 @@ export const PreferencesDialog = GObject.registerClass({
         }
     }
 
-    async _loadPomodoroConfig() {
-        try {
-            const configDir = GLib.get_user_config_dir() + '/valot';
-            const configPath = configDir + '/pomodoro-config.json';
-            let file = Gio.File.new_for_path(configPath);
-            
-            if (!file.query_exists(null)) {
-                // TODO: Restore pomodoro config when migrated
-                // file = Gio.File.new_for_uri('resource:///com/odnoyko/valot/js/data/pomodoro-config.json');
-                // if (!file.query_exists(null)) {
-                    return { defaultMinutes: 20, enabled: true };
-                // }
-            }
-
-            const [success, contents] = file.load_contents(null);
-            if (success) {
-                const configText = new TextDecoder().decode(contents);
-                return JSON.parse(configText);
-            }
-        } catch (error) {
-            // Return default on error
-        }
-        
-        // Return default config on error
-        return { defaultMinutes: 20, enabled: true };
-    }
-
-    _savePomodoroConfig(newDurationMinutes) {
-        try {
-            const config = {
-                defaultMinutes: newDurationMinutes,
-                enabled: true
-            };
-
-            const configDir = GLib.get_user_config_dir() + '/valot';
-            const configPath = configDir + '/pomodoro-config.json';
-
-            const dir = Gio.File.new_for_path(configDir);
-            if (!dir.query_exists(null)) {
-                dir.make_directory_with_parents(null);
-            }
-
-            const file = Gio.File.new_for_path(configPath);
-            const configText = JSON.stringify(config, null, 2);
-
-            file.replace_contents(
-                configText,
-                null, // etag
-                false, // make backup
-                Gio.FileCreateFlags.REPLACE_DESTINATION,
-                null // cancellable
-            );
-
-            // TODO: Restore when pomodoroManager is migrated
-            // Reload PomodoroManager config
-            // pomodoroManager.reloadConfig();
-        } catch (error) {
-            console.error('Error saving Pomodoro config:', error);
-        }
-    }
-    
     _loadCurrencySettings() {
         try {
             const configDir = GLib.get_user_config_dir() + '/valot';
@@ -1855,6 +2115,9 @@ export const PreferencesDialog = GObject.registerClass({
 
             migrationDialog.showCompletion();
 
+            // Undo history belongs to the replaced database
+            app.coreBridge?.clearUndoHistory();
+
 
             // Force reload all services from database
             if (app.coreAPI) {
@@ -2091,6 +2354,8 @@ export const PreferencesDialog = GObject.registerClass({
                 const app = this.get_transient_for().application;
                 try {
                     await app.dataNavigator.resetActiveDatabase();
+                    // Deleted rows must not come back by undo
+                    app.coreBridge?.clearUndoHistory();
                 } catch (e) {
                     console.error('Soft reset failed:', e);
                 }
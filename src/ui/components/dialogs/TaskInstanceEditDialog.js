@@ -1,6 +1,8 @@
 /**
  * Task Instance Edit Dialog
- * Allows editing task name, project, client, start/end times
+ * Allows editing task name, project, client, tags, billable flags, hourly rate, start/end times
+ * Latest time entry can be split in two or merged with the previous one
+ * Change history lists edits of the task and its entries, each can be reverted
  * Adapted to new Core architecture
  */
 
@@ -9,6 +11,7 @@ import Adw from 'gi://Adw?version=1';
 import GLib from 'gi://GLib';
 import { ProjectDropdown } from 'resource:///com/odnoyko/valot/ui/utils/projectDropdown.js';
 import { ClientDropdown } from 'resource:///com/odnoyko/valot/ui/utils/clientDropdown.js';
+import { TagPicker } from 'resource:///com/odnoyko/valot/ui/utils/tagPicker.js';
 import { TimeUtils } from 'resource:///com/odnoyko/valot/core/utils/TimeUtils.js';
 import { DurationAnimator } from 'resource:///com/odnoyko/valot/ui/utils/DurationAnimator.js';
 
@@ -110,6 +113,7 @@ export class TaskInstanceEditDialog {
 
         // Get latest time entry (last one)
         this.latestEntry = timeEntries.length > 0 ? timeEntries[0] : null;
+        this.previousEntry = timeEntries.length > 1 ? timeEntries[1] : null;
 
         // Parse timestamps from latest entry or use defaults (use Core TimeUtils)
         if (this.latestEntry) {
@@ -256,6 +260,28 @@ export class TaskInstanceEditDialog {
             this.nameEntry.set_text(this.taskInstance.task_name || '');
         }
 
+        // Update description entry (description belongs to the latest time entry)
+        if (this.descriptionEntry) {
+            this.descriptionEntry.set_text(this.latestEntry?.description || '');
+            this.descriptionEntry.set_sensitive(!!this.latestEntry);
+        }
+
+        // Update billable overrides (null = inherit)
+        if (this.taskBillableDropdown) {
+            this.taskBillableDropdown.set_selected(this._billableToIndex(this.taskInstance.billable));
+        }
+        if (this.entryBillableDropdown) {
+            const entryBillable = this.latestEntry?.billable;
+            this.entryBillableDropdown.set_selected(this._billableToIndex(
+                entryBillable === null || entryBillable === undefined ? null : Boolean(entryBillable)
+            ));
+            this.entryBillableDropdown.set_sensitive(!!this.latestEntry);
+        }
+        if (this.taskRateEntry) {
+            const rate = this.taskInstance.rate;
+            this.taskRateEntry.set_text(rate === null || rate === undefined ? '' : String(rate));
+        }
+
         // Update dropdowns (reuse existing, only update selection)
         this._updateDropdowns();
 
@@ -265,6 +291,20 @@ export class TaskInstanceEditDialog {
         // Update End time editability (disable for actively tracked tasks)
         // This will also subscribe to GlobalTimer for real-time Duration updates
         this._updateEndTimeEditability();
+
+        // Only completed entries can be split or merged
+        const latestCompleted = !!this.latestEntry?.end_time && !this.isActiveEntry;
+        if (this.splitButton) {
+            this.splitButton.set_sensitive(latestCompleted);
+        }
+        if (this.mergeButton) {
+            this.mergeButton.set_sensitive(latestCompleted && !!this.previousEntry?.end_time);
+        }
+
+        // History of the previous task is stale - reloaded on expand
+        if (this._historyPanel) {
+            this._historyPanel.set_expanded(false);
+        }
     }
 
     /**
@@ -317,6 +357,35 @@ export class TaskInstanceEditDialog {
                 inlineRow.append(widget);
             }
         }
+
+        // Tag picker (tags of the task instance) - reuse like dropdowns
+        if (!this.tagPicker) {
+            this.tagPicker = new TagPicker(this.coreBridge);
+            const widget = this.tagPicker.getWidget();
+            if (widget && !widget.get_parent()) {
+                inlineRow.append(widget);
+            }
+        }
+        this._loadInstanceTags();
+    }
+
+    /**
+     * Load tags of current task instance into tag picker
+     */
+    async _loadInstanceTags() {
+        const instanceId = this.taskInstance?.id;
+        this.tagPicker.setSelectedTags(this.taskInstance?.tag_ids || []);
+        if (!instanceId || !this.coreBridge) return;
+
+        try {
+            const tags = await this.coreBridge.getTaskInstanceTags(instanceId);
+            // Dialog may have been reused for another instance meanwhile
+            if (this.tagPicker && this.taskInstance?.id === instanceId) {
+                this.tagPicker.setSelectedTags(tags.map(tag => tag.id));
+            }
+        } catch (error) {
+            console.error('[TaskInstanceEditDialog] Error loading tags:', error);
+        }
     }
 
     /**
@@ -400,6 +469,21 @@ export class TaskInstanceEditDialog {
             }
         }
 
+        // Description of the latest time entry (reuse if exists)
+        if (!this.descriptionEntry || this.descriptionEntry.is_destroyed?.()) {
+            this.descriptionEntry = new Gtk.Entry({
+                text: '',
+                placeholder_text: _('What did you work on?'),
+                hexpand: true,
+                margin_bottom: 15,
+            });
+        }
+
+        // Billable overrides and task rate (reuse if exists)
+        if (!this._billingRow || this._billingRow.is_destroyed?.()) {
+            this._billingRow = this._buildBillingRow();
+        }
+
         // Build date/time structure (reuse if exists)
         let dateTimeContainer = this._dateTimeContainer;
         if (!dateTimeContainer || dateTimeContainer.is_destroyed?.()) {
@@ -407,12 +491,26 @@ export class TaskInstanceEditDialog {
             this._dateTimeContainer = dateTimeContainer;
         }
 
+        // Split / merge buttons for the latest entry (reuse if exists)
+        if (!this._entryActionsRow || this._entryActionsRow.is_destroyed?.()) {
+            this._entryActionsRow = this._buildEntryActionsRow();
+        }
+
+        // Change history (reuse if exists)
+        if (!this._historyPanel || this._historyPanel.is_destroyed?.()) {
+            this._historyPanel = this._buildHistoryPanel();
+        }
+
         // Build form structure only if form is empty (first time)
         if (!form.get_first_child()) {
             form.append(this._subtitleLabel);
             form.append(this.durationLabel);
             form.append(inlineRow);
+            form.append(this.descriptionEntry);
+            form.append(this._billingRow);
             form.append(dateTimeContainer);
+            form.append(this._entryActionsRow);
+            form.append(this._historyPanel);
         }
 
         this.dialog.set_extra_child(form);
@@ -447,6 +545,71 @@ export class TaskInstanceEditDialog {
         }
     }
 
+    /**
+     * Build billing row: billable overrides and hourly rate of the task
+     * Dropdown index: 0 = inherit, 1 = billable, 2 = non-billable
+     * Empty rate = project/client rate
+     */
+    _buildBillingRow() {
+        const row = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 10,
+            margin_bottom: 15,
+            homogeneous: true,
+        });
+
+        const taskModel = new Gtk.StringList();
+        taskModel.append(_('Project Default'));
+        taskModel.append(_('Billable'));
+        taskModel.append(_('Non-billable'));
+        this.taskBillableDropdown = new Gtk.DropDown({
+            model: taskModel,
+            tooltip_text: _('Billable flag of this task'),
+        });
+
+        const entryModel = new Gtk.StringList();
+        entryModel.append(_('Task Default'));
+        entryModel.append(_('Billable'));
+        entryModel.append(_('Non-billable'));
+        this.entryBillableDropdown = new Gtk.DropDown({
+            model: entryModel,
+            tooltip_text: _('Billable flag of the latest time entry'),
+        });
+
+        this.taskRateEntry = new Gtk.Entry({
+            placeholder_text: _('Project rate'),
+            input_purpose: Gtk.InputPurpose.NUMBER,
+            css_classes: ['monospace'],
+            tooltip_text: _('Hourly rate of this task, overrides the project and client rate'),
+        });
+
+        row.append(this.taskBillableDropdown);
+        row.append(this.entryBillableDropdown);
+        row.append(this.taskRateEntry);
+        return row;
+    }
+
+    /**
+     * Parse task rate entry: null = inherit
+     */
+    _parseTaskRate() {
+        const text = this.taskRateEntry.get_text().trim().replace(',', '.');
+        if (!text) return null;
+        const rate = parseFloat(text);
+        return isNaN(rate) ? null : Math.max(0, rate);
+    }
+
+    _billableToIndex(billable) {
+        if (billable === null || billable === undefined) return 0;
+        return billable ? 1 : 2;
+    }
+
+    _indexToBillable(index) {
+        if (index === 1) return true;
+        if (index === 2) return false;
+        return null;
+    }
+
     /**
      * Build date/time container with buttons (reuse buttons if available)
      */
@@ -1428,6 +1591,419 @@ export class TaskInstanceEditDialog {
         timeDialog.present(window);
     }
 
+    /**
+     * Build split / merge buttons for the latest time entry
+     */
+    _buildEntryActionsRow() {
+        const row = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 10,
+            margin_top: 15,
+            homogeneous: true,
+        });
+
+        this.splitButton = new Gtk.Button({
+            label: _('Split Entry…'),
+            tooltip_text: _('Split the latest time entry in two'),
+        });
+        this.splitButton.connect('clicked', () => this._showSplitDialog());
+        row.append(this.splitButton);
+
+        this.mergeButton = new Gtk.Button({
+            label: _('Merge with Previous'),
+            tooltip_text: _('Merge the latest time entry with the one before it'),
+        });
+        this.mergeButton.connect('clicked', () => this._showMergeDialog());
+        row.append(this.mergeButton);
+
+        return row;
+    }
+
+    /**
+     * Ask where to split the latest entry and which task gets the second part
+     */
+    _showSplitDialog() {
+        const entry = this.latestEntry;
+        if (!entry?.end_time || !this.taskInstance) return;
+
+        const window = this.parent.parentWindow || this.parent;
+        const start = TimeUtils.parseTimestampFromDB(entry.start_time);
+        const end = TimeUtils.parseTimestampFromDB(entry.end_time);
+        const middle = new Date((start.getTime() + end.getTime()) / 2);
+        const formatTime = value => value.substring(11, 16);
+
+        const dialog = new Adw.AlertDialog({
+            heading: _('Split Time Entry'),
+            body: _('Split %s – %s in two parts.').format(formatTime(entry.start_time), formatTime(entry.end_time)),
+        });
+
+        const list = new Gtk.ListBox({
+            css_classes: ['boxed-list'],
+            selection_mode: Gtk.SelectionMode.NONE,
+        });
+
+        const timeRow = new Adw.EntryRow({
+            title: _('Split at (HH:MM)'),
+            text: `${String(middle.getHours()).padStart(2, '0')}:${String(middle.getMinutes()).padStart(2, '0')}`,
+        });
+        list.append(timeRow);
+
+        const moveRow = new Adw.ExpanderRow({
+            title: _('Move Second Part'),
+            subtitle: _('Assign the second part to another task'),
+            show_enable_switch: true,
+            enable_expansion: false,
+        });
+        const taskRow = new Adw.EntryRow({
+            title: _('Task name'),
+            text: this.taskInstance.task_name || '',
+        });
+        moveRow.add_row(taskRow);
+
+        let targetProjectId = this.selectedProjectId || 1;
+        let targetClientId = this.selectedClientId || 1;
+        const projectDropdown = new ProjectDropdown(this.coreBridge, targetProjectId, (project) => {
+            targetProjectId = project.id;
+        });
+        const projectRow = new Adw.ActionRow({ title: _('Project') });
+        projectRow.add_suffix(projectDropdown.getWidget());
+        moveRow.add_row(projectRow);
+
+        const clientDropdown = new ClientDropdown(this.coreBridge, targetClientId, (client) => {
+            targetClientId = client.id;
+        });
+        const clientRow = new Adw.ActionRow({ title: _('Client') });
+        clientRow.add_suffix(clientDropdown.getWidget());
+        moveRow.add_row(clientRow);
+        list.append(moveRow);
+
+        dialog.set_extra_child(list);
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('split', _('Split'));
+        dialog.set_response_appearance('split', Adw.ResponseAppearance.SUGGESTED);
+        dialog.set_close_response('cancel');
+
+        dialog.connect('response', async (dialog, response) => {
+            const moveSecondPart = moveRow.get_enable_expansion();
+            const taskName = taskRow.get_text().trim();
+            projectDropdown.destroy();
+            clientDropdown.destroy();
+            if (response !== 'split') return;
+
+            // Split time on the entry's start day, or the next day for entries past midnight
+            const match = timeRow.get_text().trim().match(/^(\d{1,2}):(\d{2})$/);
+            const splitTime = new Date(start);
+            if (match) {
+                splitTime.setHours(parseInt(match[1], 10), parseInt(match[2], 10), 0, 0);
+                if (splitTime <= start) {
+                    splitTime.setDate(splitTime.getDate() + 1);
+                }
+            }
+
+            try {
+                if (!match) {
+                    throw new Error('Invalid split time');
+                }
+                const target = moveSecondPart ? {
+                    task_name: taskName,
+                    project_id: targetProjectId === 1 ? null : targetProjectId,
+                    client_id: targetClientId === 1 ? null : targetClientId,
+                } : null;
+                await this.coreBridge.splitTimeEntry(entry.id, splitTime, target);
+                window?.showToast?.(_('Time entry split'));
+                this._closeAfterEntryChange();
+            } catch (error) {
+                console.error('[TaskInstanceEditDialog] Error splitting time entry:', error);
+                window?.showToast?.(_('Could not split time entry'));
+            }
+        });
+
+        dialog.present(window);
+    }
+
+    /**
+     * Confirm and merge the latest entry with the previous one
+     */
+    _showMergeDialog() {
+        const latest = this.latestEntry;
+        const previous = this.previousEntry;
+        if (!latest?.end_time || !previous?.end_time) return;
+
+        const window = this.parent.parentWindow || this.parent;
+        const formatTime = value => value.substring(11, 16);
+
+        const dialog = new Adw.AlertDialog({
+            heading: _('Merge Time Entries'),
+            body: _('%s – %s and %s – %s become one entry from %s to %s. Time in between is not counted.').format(
+                formatTime(previous.start_time), formatTime(previous.end_time),
+                formatTime(latest.start_time), formatTime(latest.end_time),
+                formatTime(previous.start_time), formatTime(latest.end_time)),
+        });
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('merge', _('Merge'));
+        dialog.set_response_appearance('merge', Adw.ResponseAppearance.SUGGESTED);
+        dialog.set_close_response('cancel');
+
+        dialog.connect('response', async (dialog, response) => {
+            if (response !== 'merge') return;
+            try {
+                await this.coreBridge.mergeTimeEntries([previous.id, latest.id]);
+                window?.showToast?.(_('Time entries merged'));
+                this._closeAfterEntryChange();
+            } catch (error) {
+                console.error('[TaskInstanceEditDialog] Error merging time entries:', error);
+                window?.showToast?.(_('Could not merge time entries'));
+            }
+        });
+
+        dialog.present(window);
+    }
+
+    /**
+     * Build collapsible change history of the task and its time entries
+     */
+    _buildHistoryPanel() {
+        const expander = new Gtk.Expander({
+            label: _('Change History'),
+            margin_top: 15,
+        });
+
+        this._historyList = new Gtk.ListBox({
+            css_classes: ['boxed-list'],
+            selection_mode: Gtk.SelectionMode.NONE,
+        });
+        this._historyRows = [];
+
+        expander.set_child(new Gtk.ScrolledWindow({
+            child: this._historyList,
+            hscrollbar_policy: Gtk.PolicyType.NEVER,
+            max_content_height: 240,
+            propagate_natural_height: true,
+            margin_top: 10,
+        }));
+        expander.connect('notify::expanded', () => {
+            if (expander.get_expanded()) {
+                this._loadHistory();
+            }
+        });
+
+        return expander;
+    }
+
+    async _loadHistory() {
+        if (!this.taskInstance || !this.coreBridge) return;
+        const instanceId = this.taskInstance.id;
+
+        try {
+            const [history, tasks, projects, clients] = await Promise.all([
+                this.coreBridge.getTaskInstanceHistory(instanceId),
+                this.coreBridge.getAllTasks(),
+                this.coreBridge.getAllProjects(),
+                this.coreBridge.getAllClients(),
+            ]);
+            // Another task was opened in the meantime
+            if (this.taskInstance?.id !== instanceId) return;
+
+            this._historyNames = {
+                task_id: new Map(tasks.map(task => [task.id, task.name])),
+                project_id: new Map(projects.map(project => [project.id, project.name])),
+                client_id: new Map(clients.map(client => [client.id, client.name])),
+            };
+            this._fillHistory(history);
+        } catch (error) {
+            console.error('[TaskInstanceEditDialog] Error loading change history:', error);
+        }
+    }
+
+    _fillHistory(history) {
+        this._historyRows.forEach(row => this._historyList.remove(row));
+        this._historyRows = [];
+
+        if (history.length === 0) {
+            const emptyRow = new Adw.ActionRow({
+                title: _('No changes recorded yet'),
+                sensitive: false,
+            });
+            this._historyList.append(emptyRow);
+            this._historyRows.push(emptyRow);
+            return;
+        }
+
+        history.forEach(change => {
+            const details = this._describeChangeDetails(change);
+            const meta = `${change.changed_at} · ${this._getHistorySourceLabel(change.source)}`;
+            const row = new Adw.ActionRow({
+                title: this._describeChange(change),
+                subtitle: details ? `${details}\n${meta}` : meta,
+            });
+
+            // Creating the task itself can't be reverted, only deleting it
+            if (change.before || change.table_name === 'TimeEntry') {
+                const revertButton = new Gtk.Button({
+                    icon_name: 'edit-undo-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['flat'],
+                    tooltip_text: _('Restore the values from before this change'),
+                });
+                revertButton.connect('clicked', () => this._revertChange(change));
+                row.add_suffix(revertButton);
+            }
+
+            this._historyList.append(row);
+            this._historyRows.push(row);
+        });
+    }
+
+    _describeChange(change) {
+        const isEntry = change.table_name === 'TimeEntry';
+        switch (change.action) {
+            case 'create':
+                return isEntry ? _('Time entry added') : _('Task created');
+            case 'delete':
+                return isEntry ? _('Time entry removed') : _('Task removed');
+            default:
+                return isEntry ? _('Time entry changed') : _('Task changed');
+        }
+    }
+
+    /**
+     * Changed fields ("Start: 09:00 → 09:15"), or the entry times of added/removed entries
+     */
+    _describeChangeDetails(change) {
+        const fieldLabels = change.table_name === 'TimeEntry' ? {
+            start_time: _('Start'),
+            end_time: _('End'),
+            duration: _('Duration'),
+            description: _('Description'),
+            billable: _('Billable'),
+        } : {
+            task_id: _('Task'),
+            project_id: _('Project'),
+            client_id: _('Client'),
+            billable: _('Billable'),
+            rate: _('Rate'),
+            currency: _('Currency'),
+            is_favorite: _('Favorite'),
+        };
+
+        const row = change.before || change.after;
+        if (!change.before || !change.after) {
+            if (change.table_name === 'TimeEntry') {
+                return _('%s – %s (%s)').format(
+                    this._formatHistoryValue('start_time', row.start_time),
+                    this._formatHistoryValue('end_time', row.end_time),
+                    this._formatHistoryValue('duration', row.duration));
+            }
+            return ['task_id', 'project_id', 'client_id']
+                .map(field => this._formatHistoryValue(field, row[field]))
+                .join(' · ');
+        }
+
+        return Object.keys(fieldLabels)
+            .filter(field => change.before[field] !== change.after[field])
+            .map(field => _('%s: %s → %s').format(
+                fieldLabels[field],
+                this._formatHistoryValue(field, change.before[field]),
+                this._formatHistoryValue(field, change.after[field])))
+            .join(', ');
+    }
+
+    _formatHistoryValue(field, value) {
+        if (field === 'billable') {
+            return value === null || value === undefined ? _('Inherited') : (value ? _('Yes') : _('No'));
+        }
+        if (value === null || value === undefined || value === '') {
+            return '—';
+        }
+        switch (field) {
+            case 'start_time':
+            case 'end_time':
+                // 'YYYY-MM-DD HH:MM:SS' -> 'DD.MM. HH:MM'
+                return `${value.substring(8, 10)}.${value.substring(5, 7)}. ${value.substring(11, 16)}`;
+            case 'duration':
+                return TimeUtils.formatDuration(value);
+            case 'is_favorite':
+                return value ? _('Yes') : _('No');
+            case 'task_id':
+            case 'project_id':
+            case 'client_id':
+                return this._historyNames?.[field]?.get(value) || `#${value}`;
+            default:
+                return String(value);
+        }
+    }
+
+    _getHistorySourceLabel(source) {
+        return {
+            edit: _('Edited'),
+            undo: _('Undo'),
+            redo: _('Redo'),
+            revert: _('Reverted'),
+            tracking: _('Time tracking'),
+            sync: _('Autosave'),
+            import: _('Import'),
+        }[source] || source;
+    }
+
+    async _revertChange(change) {
+        const window = this.parent.parentWindow || this.parent;
+        try {
+            await this.coreBridge.revertChange(change.id);
+            window?.showToastWithAction?.(_('Change reverted'), _('Undo'), () => window.undoLastChange());
+            // Form shows the values from before the revert
+            this._closeAfterEntryChange();
+        } catch (error) {
+            console.error('[TaskInstanceEditDialog] Error reverting change:', error);
+            window?.showToast?.(_('Could not revert change'));
+        }
+    }
+
+    /**
+     * Entries changed under the form - close without saving the old values
+     */
+    _closeAfterEntryChange() {
+        this._isInUse = false;
+        if (this.dialog && !this.dialog.is_destroyed?.()) {
+            this.dialog.close();
+        }
+        this._clearReferences();
+    }
+
+    /**
+     * Check new entry times against other sessions, ask how to handle overlaps
+     * @returns {Promise<string|null>} 'keep', 'trim', 'split' or null to keep the original times
+     */
+    async _askOverlapMode(startTime, endTime) {
+        const overlaps = await this.coreBridge.findTimeEntryOverlaps(startTime, endTime, this.latestEntry.id);
+        if (overlaps.length === 0) return 'keep';
+
+        const formatTime = value => value.substring(11, 16);
+        const lines = overlaps.slice(0, 5).map(entry => entry.is_running
+            ? _('%s: %s – now (running)').format(entry.task_name, formatTime(entry.start_time))
+            : _('%s: %s – %s').format(entry.task_name, formatTime(entry.start_time), formatTime(entry.end_time)));
+        if (overlaps.length > 5) {
+            lines.push(_('and %d more').format(overlaps.length - 5));
+        }
+
+        const dialog = new Adw.AlertDialog({
+            heading: _('Overlapping Time'),
+            body: _('The new times overlap with other sessions:') + '\n\n' + lines.join('\n') +
+                '\n\n' + _('Trim keeps the longest free part, Split adds every free part.'),
+        });
+        dialog.add_response('original', _('Keep Original Times'));
+        dialog.add_response('keep', _('Keep Overlap'));
+        dialog.add_response('split', _('Split'));
+        dialog.add_response('trim', _('Trim'));
+        dialog.set_response_appearance('trim', Adw.ResponseAppearance.SUGGESTED);
+        dialog.set_default_response('trim');
+        dialog.set_close_response('original');
+
+        return new Promise(resolve => {
+            dialog.connect('response', (dialog, response) => resolve(response === 'original' ? null : response));
+            dialog.present(this.parent.parentWindow || this.parent);
+        });
+    }
+
     async _saveChanges() {
         try {
             const newName = this.nameEntry.get_text().trim();
@@ -1467,6 +2043,32 @@ export class TaskInstanceEditDialog {
                 newName !== this.taskInstance.task_name ? newName : null
             );
 
+            // Tracked instance may have moved to another TaskInstance (name/project change)
+            const trackingStateAfterUpdate = this.coreBridge.getTrackingState();
+            const isTrackedEntry = trackingStateAfterUpdate.isTracking && this.latestEntry &&
+                                   trackingStateAfterUpdate.currentTimeEntryId === this.latestEntry.id;
+            const targetInstanceId = isTrackedEntry && trackingStateAfterUpdate.currentTaskInstanceId
+                ? trackingStateAfterUpdate.currentTaskInstanceId
+                : this.taskInstance.id;
+
+            // Save tags
+            if (this.tagPicker) {
+                await this.coreBridge.setTaskInstanceTags(targetInstanceId, this.tagPicker.getSelectedTagIds());
+            }
+
+            // Save billable and rate overrides of the task instance (null = inherit)
+            if (this.taskBillableDropdown) {
+                const billingData = {
+                    billable: this._indexToBillable(this.taskBillableDropdown.get_selected()),
+                };
+                if (this.taskRateEntry) {
+                    billingData.rate = this._parseTaskRate();
+                    // Without own currency the rate is charged in the project/client currency
+                    billingData.currency = billingData.rate === null ? null : (this.taskInstance.currency || null);
+                }
+                await this.coreBridge.updateTaskInstance(targetInstanceId, billingData);
+            }
+
             // Update time entry timestamps if we have one (use Core TimeUtils)
             if (this.latestEntry) {
                 const trackingState = this.coreBridge.getTrackingState();
@@ -1487,6 +2089,8 @@ export class TaskInstanceEditDialog {
                     
                     await this.coreBridge.updateTimeEntry(this.latestEntry.id, {
                         start_time: newStartTime,
+                        description: this.descriptionEntry.get_text(),
+                        billable: this._indexToBillable(this.entryBillableDropdown.get_selected()),
                         // Do NOT set end_time or duration - entry stays active
                     });
                     
@@ -1501,16 +2105,34 @@ export class TaskInstanceEditDialog {
                     // Don't update total_time - active entry is excluded from it
                 } else {
                     // Completed entry: update all fields including end_time
+                    let startTime = TimeUtils.formatTimestampForDB(this.startDate);
+                    let endTime = TimeUtils.formatTimestampForDB(this.endDate);
+
+                    // Moved times must not silently overlap other sessions
+                    const timesChanged = startTime !== this.latestEntry.start_time ||
+                                         endTime !== this.latestEntry.end_time;
+                    let overlapMode = 'keep';
+                    if (timesChanged) {
+                        overlapMode = await this._askOverlapMode(startTime, endTime);
+                        if (!overlapMode) {
+                            overlapMode = 'keep';
+                            startTime = this.latestEntry.start_time;
+                            endTime = this.latestEntry.end_time;
+                        }
+                    }
+
                     const duration = TimeUtils.calculateDuration(
-                        this.startDate,
-                        this.endDate
+                        TimeUtils.parseTimestampFromDB(startTime),
+                        TimeUtils.parseTimestampFromDB(endTime)
                     );
                     
                     await this.coreBridge.updateTimeEntry(this.latestEntry.id, {
-                        start_time: TimeUtils.formatTimestampForDB(this.startDate),
-                        end_time: TimeUtils.formatTimestampForDB(this.endDate),
+                        start_time: startTime,
+                        end_time: endTime,
                         duration: duration,
-                    });
+                        description: this.descriptionEntry.get_text(),
+                        billable: this._indexToBillable(this.entryBillableDropdown.get_selected()),
+                    }, overlapMode);
                     
                     // Update TaskInstance total_time (will exclude active entries)
                     await this.coreBridge.updateTaskInstanceTotalTime(this.taskInstance.id);
@@ -1570,6 +2192,7 @@ export class TaskInstanceEditDialog {
         // Clear only data references (not UI widgets - they are reused)
         this.taskInstance = null;
         this.latestEntry = null;
+        this.previousEntry = null;
         this.startDate = null;
         this.endDate = null;
         this.originalDuration = null;
@@ -1625,6 +2248,11 @@ export class TaskInstanceEditDialog {
             }
             this.clientDropdown = null;
         }
+
+        if (this.tagPicker) {
+            this.tagPicker.destroy();
+            this.tagPicker = null;
+        }
         
         // Clear all references (only in full cleanup, not in _clearReferences)
         this.taskInstance = null;
@@ -1632,6 +2260,11 @@ export class TaskInstanceEditDialog {
         this.coreBridge = null;  // Only clear in cleanup(), not in _clearReferences()
         this.latestEntry = null;
         this.nameEntry = null;
+        this.descriptionEntry = null;
+        this.taskBillableDropdown = null;
+        this.entryBillableDropdown = null;
+        this.taskRateEntry = null;
+        this._billingRow = null;
         this.durationLabel = null;
         this.startTimeButton = null;
         this.startTimeLabel = null;
@@ -1644,6 +2277,10 @@ export class TaskInstanceEditDialog {
         this.startDate = null;
         this.endDate = null;
         this.originalDuration = null;
+        this._historyPanel = null;
+        this._historyList = null;
+        this._historyRows = [];
+        this._historyNames = null;
         
         // Reset state
         this._isInUse = false;
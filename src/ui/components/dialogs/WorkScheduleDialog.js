@@ -0,0 +1,284 @@
+import Gtk from 'gi://Gtk';
+import Adw from 'gi://Adw';
+import GObject from 'gi://GObject';
+import { createDateButton, formatDateKey } from 'resource:///com/odnoyko/valot/ui/utils/datePicker.js';
+
+const DEFAULT_HOURS = [8, 8, 8, 8, 8, 0, 0];
+const ABSENCE_TYPES = ['vacation', 'sick', 'holiday'];
+
+/**
+ * Display name of an absence type
+ */
+export function getAbsenceTypeLabel(type) {
+    return {
+        vacation: _('Vacation'),
+        sick: _('Sick'),
+        holiday: _('Public holiday'),
+    }[type] || type;
+}
+
+/**
+ * Work Schedule Dialog
+ * Expected hours per weekday (from a date on) and absences for the overtime balance
+ */
+export const WorkScheduleDialog = GObject.registerClass({
+    GTypeName: 'WorkScheduleDialog',
+}, class WorkScheduleDialog extends Adw.Dialog {
+    _init(parentWindow, coreBridge) {
+        super._init({
+            title: _('Work Schedule'),
+            content_width: 460,
+            content_height: 640,
+        });
+
+        this.parentWindow = parentWindow;
+        this.coreBridge = coreBridge;
+
+        this.scheduleDate = this._today();
+        this.absenceDate = this._today();
+        this._scheduleRows = [];
+        this._absenceRows = [];
+
+        this._buildInterface();
+        this._loadData();
+    }
+
+    _buildInterface() {
+        const toolbarView = new Adw.ToolbarView();
+        toolbarView.add_top_bar(new Adw.HeaderBar());
+
+        const page = new Adw.PreferencesPage();
+        page.add(this._createScheduleGroup());
+        page.add(this._createHistoryGroup());
+        page.add(this._createAbsenceGroup());
+        page.add(this._createAbsenceListGroup());
+        toolbarView.set_content(page);
+
+        this.set_child(toolbarView);
+    }
+
+    _createScheduleGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Weekly Hours'),
+            description: _('Expected hours per weekday, used from the given date on'),
+        });
+
+        const saveButton = new Gtk.Button({
+            label: _('Save'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['suggested-action'],
+        });
+        saveButton.connect('clicked', () => this._saveSchedule());
+        group.set_header_suffix(saveButton);
+
+        const dateRow = new Adw.ActionRow({ title: _('Effective From') });
+        dateRow.add_suffix(createDateButton(() => this.scheduleDate, (date) => {
+            this.scheduleDate = date;
+        }));
+        group.add(dateRow);
+
+        const weekdays = [_('Monday'), _('Tuesday'), _('Wednesday'), _('Thursday'), _('Friday'), _('Saturday'), _('Sunday')];
+        this.hourSpinButtons = weekdays.map((title, index) => {
+            const spinButton = new Gtk.SpinButton({
+                valign: Gtk.Align.CENTER,
+                digits: 1,
+            });
+            spinButton.set_range(0, 24);
+            spinButton.set_increments(0.5, 1);
+            spinButton.set_value(DEFAULT_HOURS[index]);
+
+            const row = new Adw.ActionRow({ title });
+            row.add_suffix(spinButton);
+            group.add(row);
+            return spinButton;
+        });
+
+        return group;
+    }
+
+    _createHistoryGroup() {
+        this.historyGroup = new Adw.PreferencesGroup({
+            title: _('Schedule History'),
+        });
+        return this.historyGroup;
+    }
+
+    _createAbsenceGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Add Absence'),
+            description: _('Absences count as worked time, up to the expected hours of the day'),
+        });
+
+        const addButton = new Gtk.Button({
+            label: _('Add'),
+            valign: Gtk.Align.CENTER,
+        });
+        addButton.connect('clicked', () => this._addAbsence());
+        group.set_header_suffix(addButton);
+
+        const dateRow = new Adw.ActionRow({ title: _('Date') });
+        dateRow.add_suffix(createDateButton(() => this.absenceDate, (date) => {
+            this.absenceDate = date;
+        }));
+        group.add(dateRow);
+
+        this.absenceTypeRow = new Adw.ComboRow({
+            title: _('Type'),
+            model: Gtk.StringList.new(ABSENCE_TYPES.map(type => getAbsenceTypeLabel(type))),
+        });
+        group.add(this.absenceTypeRow);
+
+        this.absenceHoursSpin = new Gtk.SpinButton({
+            valign: Gtk.Align.CENTER,
+            digits: 1,
+        });
+        this.absenceHoursSpin.set_range(0, 24);
+        this.absenceHoursSpin.set_increments(0.5, 1);
+        const hoursRow = new Adw.ActionRow({
+            title: _('Hours'),
+            subtitle: _('0 = whole day'),
+        });
+        hoursRow.add_suffix(this.absenceHoursSpin);
+        group.add(hoursRow);
+
+        this.absenceDescriptionRow = new Adw.EntryRow({
+            title: _('Note'),
+        });
+        group.add(this.absenceDescriptionRow);
+
+        return group;
+    }
+
+    _createAbsenceListGroup() {
+        this.absenceListGroup = new Adw.PreferencesGroup({
+            title: _('Absences'),
+        });
+        return this.absenceListGroup;
+    }
+
+    async _loadData() {
+        if (!this.coreBridge) return;
+
+        try {
+            const schedules = await this.coreBridge.getWorkSchedules();
+            const absences = await this.coreBridge.getAbsences();
+
+            // Start editing from the schedule in effect
+            const current = schedules[schedules.length - 1];
+            if (current && !this._loaded) {
+                current.hours.forEach((hours, index) => this.hourSpinButtons[index].set_value(hours));
+            }
+            this._loaded = true;
+
+            this._fillScheduleHistory(schedules);
+            this._fillAbsences(absences);
+        } catch (error) {
+            console.error('[WorkScheduleDialog] Failed to load work schedule:', error);
+        }
+    }
+
+    _fillScheduleHistory(schedules) {
+        this._scheduleRows.forEach(row => this.historyGroup.remove(row));
+        this._scheduleRows = [];
+
+        if (schedules.length === 0) {
+            const emptyRow = new Adw.ActionRow({
+                title: _('No work schedule yet'),
+                sensitive: false,
+            });
+            this.historyGroup.add(emptyRow);
+            this._scheduleRows.push(emptyRow);
+            return;
+        }
+
+        [...schedules].reverse().forEach(schedule => {
+            const total = schedule.hours.reduce((sum, hours) => sum + hours, 0);
+            const row = new Adw.ActionRow({
+                title: _('From %s').format(formatDateKey(schedule.effective_from)),
+                subtitle: _('%s hours per week').format(total.toFixed(1)),
+            });
+            row.add_suffix(this._createDeleteButton(() => this.coreBridge.deleteWorkSchedule(schedule.id)));
+            this.historyGroup.add(row);
+            this._scheduleRows.push(row);
+        });
+    }
+
+    _fillAbsences(absences) {
+        this._absenceRows.forEach(row => this.absenceListGroup.remove(row));
+        this._absenceRows = [];
+
+        if (absences.length === 0) {
+            const emptyRow = new Adw.ActionRow({
+                title: _('No absences'),
+                sensitive: false,
+            });
+            this.absenceListGroup.add(emptyRow);
+            this._absenceRows.push(emptyRow);
+            return;
+        }
+
+        absences.forEach(absence => {
+            const hours = absence.hours === null ? _('Whole day') : _('%s hours').format(Number(absence.hours).toFixed(1));
+            const row = new Adw.ActionRow({
+                title: `${formatDateKey(absence.date)} · ${getAbsenceTypeLabel(absence.type)}`,
+                subtitle: absence.description ? `${hours} · ${absence.description}` : hours,
+            });
+            row.add_suffix(this._createDeleteButton(() => this.coreBridge.deleteAbsence(absence.id)));
+            this.absenceListGroup.add(row);
+            this._absenceRows.push(row);
+        });
+    }
+
+    _createDeleteButton(onDelete) {
+        const button = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+            tooltip_text: _('Delete'),
+        });
+        button.connect('clicked', async () => {
+            try {
+                await onDelete();
+                await this._loadData();
+            } catch (error) {
+                console.error('[WorkScheduleDialog] Failed to delete:', error);
+            }
+        });
+        return button;
+    }
+
+    async _saveSchedule() {
+        try {
+            const hours = this.hourSpinButtons.map(spinButton => spinButton.get_value());
+            await this.coreBridge.setWorkSchedule(this.scheduleDate, hours);
+            this.parentWindow?.showToast?.(_('Work schedule saved'));
+            await this._loadData();
+        } catch (error) {
+            console.error('[WorkScheduleDialog] Failed to save work schedule:', error);
+            this.parentWindow?.showToast?.(_('Could not save work schedule'));
+        }
+    }
+
+    async _addAbsence() {
+        try {
+            const hours = this.absenceHoursSpin.get_value();
+            await this.coreBridge.addAbsence({
+                date: this.absenceDate,
+                type: ABSENCE_TYPES[this.absenceTypeRow.get_selected()],
+                hours: hours > 0 ? hours : null,
+                description: this.absenceDescriptionRow.get_text().trim(),
+            });
+            this.absenceDescriptionRow.set_text('');
+            await this._loadData();
+        } catch (error) {
+            console.error('[WorkScheduleDialog] Failed to add absence:', error);
+            this.parentWindow?.showToast?.(_('Could not add absence'));
+        }
+    }
+
+    _today() {
+        const date = new Date();
+        date.setHours(0, 0, 0, 0);
+        return date;
+    }
+});
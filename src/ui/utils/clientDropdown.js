@@ -232,8 +232,8 @@ export class ClientDropdown {
             child = next;
         }
 
-        // Add all clients
-        this.clients.forEach(client => {
+        // Add all clients - archived ones only while still selected
+        this.clients.filter(client => !client.archived || client.id === this.currentClientId).forEach(client => {
             this._addClientRow(client);
         });
     }
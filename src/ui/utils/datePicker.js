@@ -0,0 +1,35 @@
+import Gtk from 'gi://Gtk';
+
+/**
+ * Date button with calendar popover
+ *
+ * @param {Function} getDate - Returns the current Date
+ * @param {Function} setDate - Called with the selected Date (local midnight)
+ * @returns {Gtk.MenuButton}
+ */
+export function createDateButton(getDate, setDate) {
+    const button = new Gtk.MenuButton({
+        label: getDate().toLocaleDateString('de-DE'),
+        valign: Gtk.Align.CENTER,
+        css_classes: ['flat'],
+    });
+    const calendar = new Gtk.Calendar();
+    const popover = new Gtk.Popover({ child: calendar });
+    calendar.connect('day-selected', () => {
+        const selected = calendar.get_date();
+        const date = new Date(selected.get_year(), selected.get_month() - 1, selected.get_day_of_month());
+        setDate(date);
+        button.set_label(date.toLocaleDateString('de-DE'));
+        popover.popdown();
+    });
+    button.set_popover(popover);
+    return button;
+}
+
+/**
+ * 'YYYY-MM-DD' -> local date format
+ */
+export function formatDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('de-DE');
+}
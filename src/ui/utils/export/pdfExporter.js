@@ -3,6 +3,7 @@ import Gdk from 'gi://Gdk';
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
 import { TimeUtils } from 'resource:///com/odnoyko/valot/ui/utils/timeUtils.js';
+import { BillingUtils } from 'resource:///com/odnoyko/valot/core/utils/BillingUtils.js';
 import { Config } from 'resource:///com/odnoyko/valot/config.js';
 
 export class PDFExporter {
@@ -337,17 +338,26 @@ export class PDFExporter {
 
         // Add billing information if enabled
         if (this.includeBilling) {
+            // Only billable time is charged, rounded by client/project rules
             let totalRevenue = 0;
+            let billableTime = 0;
+            let billedTime = 0;
             filteredTasks.forEach(task => {
-                const client = this.clients.find(c => c.id === task.client_id);
-                if (client && task.duration) {
-                    totalRevenue += (task.duration / 3600) * (client.rate || 0);
+                const duration = task.billable_duration ?? task.duration ?? 0;
+                const billed = task.billed_duration ?? duration;
+                billableTime += duration;
+                billedTime += billed;
+                if (billed) {
+                    totalRevenue += (billed / 3600) * this._getTaskRate(task);
                 }
             });
             stats['Total Revenue'] = `€${totalRevenue.toFixed(2)}`;
+            stats['Billable Time'] = TimeUtils.formatDuration(billableTime);
+            stats['Billed Time (rounded)'] = TimeUtils.formatDuration(billedTime);
+            stats['Non-billable Time'] = TimeUtils.formatDuration(Math.max(0, totalTime - billableTime));
 
-            if (completedTasks > 0) {
-                stats['Average Rate'] = `€${(totalRevenue / (totalTime / 3600)).toFixed(2)}/h`;
+            if (billedTime > 0) {
+                stats['Average Rate'] = `€${(totalRevenue / (billedTime / 3600)).toFixed(2)}/h`;
             }
         }
 
@@ -372,7 +382,17 @@ export class PDFExporter {
         return filteredTasks;
     }
 
-    _getRecentTasks() {
+    /**
+     * Effective hourly rate of a task (task -> project -> client)
+     */
+    _getTaskRate(task) {
+        if (task.rate !== undefined) return task.rate || 0;
+        const project = this.projects.find(p => p.id === task.project_id);
+        const client = this.clients.find(c => c.id === task.client_id);
+        return BillingUtils.resolveRate(null, project, client).rate;
+    }
+
+        _getRecentTasks() {
         const filteredTasks = this._getFilteredTasks();
         return filteredTasks
             .filter(task => !task.isActive)
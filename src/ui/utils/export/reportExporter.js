@@ -27,6 +27,7 @@ export class ReportExporter {
             showTasks: true,
             showProjects: true,
             showBilling: false,
+            showExpenses: true,
             logoPath: null
         };
     }
@@ -43,6 +44,16 @@ export class ReportExporter {
         this.htmlExporter.configureBilling(includeBilling);
     }
 
+    configureExchangeRates(baseCurrency, exchangeRates) {
+        this.pdfExporter.configureExchangeRates(baseCurrency, exchangeRates);
+        this.htmlExporter.configureExchangeRates(baseCurrency, exchangeRates);
+    }
+
+    configureExpenses(expenses) {
+        this.pdfExporter.configureExpenses(expenses);
+        this.htmlExporter.configureExpenses(expenses);
+    }
+
     configureDateRange(fromDate, toDate) {
         this.customDateRange = { from: fromDate, to: toDate };
         this.filterPeriod = 'custom';
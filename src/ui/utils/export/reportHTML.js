@@ -13,6 +13,9 @@ export class ReportHTML {
 
         // Configuration options
         this.includeBilling = false;
+        this.baseCurrency = null;
+        this.exchangeRates = [];
+        this.expenses = [];
         this.customDateRange = null;
         this.filterByProject = null;
         this.filterByClient = null;
@@ -26,6 +29,7 @@ export class ReportHTML {
             showTasks: true,
             showProjects: true,
             showBilling: false,
+            showExpenses: true,
             logoPath: null
         };
 
@@ -40,6 +44,21 @@ export class ReportHTML {
         this.includeBilling = includeBilling;
     }
 
+    /**
+     * Base currency and exchange rates for the converted billing total
+     */
+    configureExchangeRates(baseCurrency, exchangeRates) {
+        this.baseCurrency = baseCurrency;
+        this.exchangeRates = exchangeRates || [];
+    }
+
+    /**
+     * All expenses, filtered like tasks on export
+     */
+    configureExpenses(expenses) {
+        this.expenses = expenses || [];
+    }
+
     configureDateRange(fromDate, toDate) {
         this.customDateRange = { from: fromDate, to: toDate };
         this.filterPeriod = 'custom';
@@ -193,7 +212,11 @@ export class ReportHTML {
                 {
                     includeBilling: this.includeBilling,
                     logoPath: this.sections.logoPath,
-                    period: this.filterPeriod
+                    period: this.filterPeriod,
+                    defaultTaxRate: new Gio.Settings({ schema: 'com.odnoyko.valot' }).get_double('default-tax-rate'),
+                    baseCurrency: this.baseCurrency,
+                    exchangeRates: this.exchangeRates,
+                    expenses: this._getFilteredExpenses()
                 }
             );
 
@@ -282,44 +305,67 @@ export class ReportHTML {
         }
 
         // Apply date range filtering
-        if (this.filterPeriod && this.filterPeriod !== 'all') {
-            const now = new Date();
-            let startDate, endDate;
-
-            if (this.filterPeriod === 'custom' && this.customDateRange) {
-                startDate = this.customDateRange.from;
-                endDate = this.customDateRange.to;
-            } else if (this.filterPeriod === 'week') {
-                const monday = new Date(now);
-                monday.setDate(now.getDate() - ((now.getDay() + 6) % 7));
-                monday.setHours(0, 0, 0, 0);
-
-                const sunday = new Date(monday);
-                sunday.setDate(monday.getDate() + 6);
-                sunday.setHours(23, 59, 59, 999);
-
-                startDate = monday;
-                endDate = sunday;
-            } else if (this.filterPeriod === 'month') {
-                startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-                endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
-            } else if (this.filterPeriod === 'year') {
-                startDate = new Date(now.getFullYear(), 0, 1);
-                endDate = new Date(now.getFullYear(), 11, 31, 23, 59, 59, 999);
-            }
-
-            if (startDate && endDate) {
-                filteredTasks = filteredTasks.filter(task => {
-                    if (!task.start) return false;
-                    const taskDate = new Date(task.start);
-                    return taskDate >= startDate && taskDate <= endDate;
-                });
-            }
+        const range = this._getPeriodRange();
+        if (range) {
+            filteredTasks = filteredTasks.filter(task => {
+                if (!task.start) return false;
+                const taskDate = new Date(task.start);
+                return taskDate >= range.startDate && taskDate <= range.endDate;
+            });
         }
 
         return filteredTasks;
     }
 
+    /**
+     * Expenses matching the project, client and period filters
+     */
+    _getFilteredExpenses() {
+        const range = this._getPeriodRange();
+        return (this.expenses || []).filter(expense => {
+            if (this.filterByProject && expense.project_id !== this.filterByProject) return false;
+            if (this.filterByClient && expense.client_id !== this.filterByClient) return false;
+            if (!range) return true;
+            const [year, month, day] = expense.date.split('-').map(Number);
+            const expenseDate = new Date(year, month - 1, day);
+            return expenseDate >= range.startDate && expenseDate <= range.endDate;
+        });
+    }
+
+    /**
+     * Start and end (Date) of the filter period, null for all time
+     */
+    _getPeriodRange() {
+        if (!this.filterPeriod || this.filterPeriod === 'all') return null;
+
+        const now = new Date();
+        let startDate, endDate;
+
+        if (this.filterPeriod === 'custom' && this.customDateRange) {
+            startDate = this.customDateRange.from;
+            endDate = this.customDateRange.to;
+        } else if (this.filterPeriod === 'week') {
+            const monday = new Date(now);
+            monday.setDate(now.getDate() - ((now.getDay() + 6) % 7));
+            monday.setHours(0, 0, 0, 0);
+
+            const sunday = new Date(monday);
+            sunday.setDate(monday.getDate() + 6);
+            sunday.setHours(23, 59, 59, 999);
+
+            startDate = monday;
+            endDate = sunday;
+        } else if (this.filterPeriod === 'month') {
+            startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+            endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+        } else if (this.filterPeriod === 'year') {
+            startDate = new Date(now.getFullYear(), 0, 1);
+            endDate = new Date(now.getFullYear(), 11, 31, 23, 59, 59, 999);
+        }
+
+        return startDate && endDate ? { startDate, endDate } : null;
+    }
+
     _generateFileName() {
         const date = new Date();
         const dateStr = date.toISOString().split('T')[0];
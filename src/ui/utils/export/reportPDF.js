@@ -14,11 +14,15 @@ export class ReportPDF {
         
         // Configuration options
         this.includeBilling = false;
+        this.baseCurrency = null;
+        this.exchangeRates = [];
+        this.expenses = [];
         this.customDateRange = null;
         this.filterByProject = null;
         this.filterByClient = null;
         this.filterPeriod = 'week';
         this.currentTemplate = 'professional-report';
+        this.invoice = null;
         
         // Section visibility
         this.sections = {
@@ -27,6 +31,7 @@ export class ReportPDF {
             showTasks: true,
             showProjects: true,
             showBilling: false,
+            showExpenses: true,
             logoPath: null
         };
         
@@ -41,6 +46,21 @@ export class ReportPDF {
         this.includeBilling = includeBilling;
     }
 
+    /**
+     * Base currency and exchange rates for the converted billing total
+     */
+    configureExchangeRates(baseCurrency, exchangeRates) {
+        this.baseCurrency = baseCurrency;
+        this.exchangeRates = exchangeRates || [];
+    }
+
+    /**
+     * All expenses, filtered like tasks on export
+     */
+    configureExpenses(expenses) {
+        this.expenses = expenses || [];
+    }
+
     configureDateRange(fromDate, toDate) {
         this.customDateRange = { from: fromDate, to: toDate };
         this.filterPeriod = 'custom';
@@ -65,6 +85,14 @@ export class ReportPDF {
         this.sections = { ...this.sections, ...sections };
     }
 
+    /**
+     * Export an invoice (with client and items) instead of the report
+     */
+    configureInvoice(invoice) {
+        this.invoice = invoice;
+        this.currentTemplate = invoice ? 'invoice' : 'professional-report';
+    }
+
     async exportToPDF(parentWindow) {
         
         // Show progress dialog
@@ -295,17 +323,23 @@ export class ReportPDF {
                 // Get filtered data
                 const filteredTasks = this._getFilteredTasks();
                 
-                const data = this.templateEngine.generateDataFromTasks(
-                    filteredTasks,
-                    this.projects,
-                    this.clients,
-                    {
-                        includeBilling: this.includeBilling,
-                        logoPath: this.sections.logoPath,
-                        period: this.filterPeriod,
-                        selectedCurrencies: this.sections.selectedCurrencies || []
-                    }
-                );
+                const data = this.invoice
+                    ? this.templateEngine.generateInvoiceData(this.invoice, { logoPath: this.sections.logoPath })
+                    : this.templateEngine.generateDataFromTasks(
+                        filteredTasks,
+                        this.projects,
+                        this.clients,
+                        {
+                            includeBilling: this.includeBilling,
+                            logoPath: this.sections.logoPath,
+                            period: this.filterPeriod,
+                            selectedCurrencies: this.sections.selectedCurrencies || [],
+                            defaultTaxRate: new Gio.Settings({ schema: 'com.odnoyko.valot' }).get_double('default-tax-rate'),
+                            baseCurrency: this.baseCurrency,
+                            exchangeRates: this.exchangeRates,
+                            expenses: this._getFilteredExpenses()
+                        }
+                    );
                 
                 this._updateProgress(progressDialog, 'Generating HTML from template...');
                 
@@ -459,49 +493,75 @@ export class ReportPDF {
         }
 
         // Apply date range filtering
-        if (this.filterPeriod && this.filterPeriod !== 'all') {
-            const now = new Date();
-            let startDate, endDate;
+        const range = this._getPeriodRange();
+        if (range) {
+            filteredTasks = filteredTasks.filter(task => {
+                if (!task.start) return false;
+                const taskDate = new Date(task.start);
+                return taskDate >= range.startDate && taskDate <= range.endDate;
+            });
+        }
 
-            if (this.filterPeriod === 'custom' && this.customDateRange) {
-                startDate = this.customDateRange.from;
-                endDate = this.customDateRange.to;
-            } else if (this.filterPeriod === 'week') {
-                // Calculate Monday of current week (ISO week standard)
-                const monday = new Date(now);
-                const dayOfWeek = now.getDay(); // 0 = Sunday, 1 = Monday, etc.
-                const daysToMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1; // If Sunday, go back 6 days
-                monday.setDate(now.getDate() - daysToMonday);
-                monday.setHours(0, 0, 0, 0);
-                
-                const sunday = new Date(monday);
-                sunday.setDate(monday.getDate() + 6);
-                sunday.setHours(23, 59, 59, 999);
-                
-                startDate = monday;
-                endDate = sunday;
-                
-            } else if (this.filterPeriod === 'month') {
-                startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-                endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
-            } else if (this.filterPeriod === 'year') {
-                startDate = new Date(now.getFullYear(), 0, 1);
-                endDate = new Date(now.getFullYear(), 11, 31, 23, 59, 59, 999);
-            }
+        return filteredTasks;
+    }
 
-            if (startDate && endDate) {
-                filteredTasks = filteredTasks.filter(task => {
-                    if (!task.start) return false;
-                    const taskDate = new Date(task.start);
-                    return taskDate >= startDate && taskDate <= endDate;
-                });
-            }
+    /**
+     * Expenses matching the project, client and period filters
+     */
+    _getFilteredExpenses() {
+        const range = this._getPeriodRange();
+        return (this.expenses || []).filter(expense => {
+            if (this.filterByProject && expense.project_id !== this.filterByProject) return false;
+            if (this.filterByClient && expense.client_id !== this.filterByClient) return false;
+            if (!range) return true;
+            const [year, month, day] = expense.date.split('-').map(Number);
+            const expenseDate = new Date(year, month - 1, day);
+            return expenseDate >= range.startDate && expenseDate <= range.endDate;
+        });
+    }
+
+    /**
+     * Start and end (Date) of the filter period, null for all time
+     */
+    _getPeriodRange() {
+        if (!this.filterPeriod || this.filterPeriod === 'all') return null;
+
+        const now = new Date();
+        let startDate, endDate;
+
+        if (this.filterPeriod === 'custom' && this.customDateRange) {
+            startDate = this.customDateRange.from;
+            endDate = this.customDateRange.to;
+        } else if (this.filterPeriod === 'week') {
+            // Calculate Monday of current week (ISO week standard)
+            const monday = new Date(now);
+            const dayOfWeek = now.getDay(); // 0 = Sunday, 1 = Monday, etc.
+            const daysToMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1; // If Sunday, go back 6 days
+            monday.setDate(now.getDate() - daysToMonday);
+            monday.setHours(0, 0, 0, 0);
+            
+            const sunday = new Date(monday);
+            sunday.setDate(monday.getDate() + 6);
+            sunday.setHours(23, 59, 59, 999);
+            
+            startDate = monday;
+            endDate = sunday;
+            
+        } else if (this.filterPeriod === 'month') {
+            startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+            endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+        } else if (this.filterPeriod === 'year') {
+            startDate = new Date(now.getFullYear(), 0, 1);
+            endDate = new Date(now.getFullYear(), 11, 31, 23, 59, 59, 999);
         }
 
-        return filteredTasks;
+        return startDate && endDate ? { startDate, endDate } : null;
     }
 
     _generateFileName() {
+        if (this.invoice) {
+            return `Invoice_${String(this.invoice.number).replace(/[^\w.-]+/g, '_')}.pdf`;
+        }
         const date = new Date();
         const dateStr = date.toISOString().split('T')[0];
         return `Custom_Template_Report_${dateStr}.pdf`;
@@ -1,6 +1,8 @@
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import { TimeUtils } from 'resource:///com/odnoyko/valot/ui/utils/timeUtils.js';
+import { BillingUtils } from 'resource:///com/odnoyko/valot/core/utils/BillingUtils.js';
+import { ExchangeRateUtils } from 'resource:///com/odnoyko/valot/core/utils/ExchangeRateUtils.js';
 
 export class TemplateEngine {
     constructor() {
@@ -15,6 +17,11 @@ export class TemplateEngine {
             description: 'Modern professional report with charts, logo, and toggleable sections',
             resourcePath: 'resource:///com/odnoyko/valot/ui/utils/export/templates/professional-report.html'
         });
+        this.templates.set('invoice', {
+            name: 'Invoice',
+            description: 'Invoice with client details and line items',
+            resourcePath: 'resource:///com/odnoyko/valot/ui/utils/export/templates/invoice.html'
+        });
     }
 
     renderTemplate(templateId, data, sections = {}) {
@@ -62,7 +69,8 @@ export class TemplateEngine {
             'CHARTS_VISIBILITY': sections.showCharts ? '' : 'hidden',
             'TASKS_VISIBILITY': sections.showTasks ? '' : 'hidden',
             'PROJECTS_VISIBILITY': sections.showProjects ? '' : 'hidden',
-            'BILLING_VISIBILITY': sections.showBilling ? '' : 'hidden'
+            'BILLING_VISIBILITY': sections.showBilling ? '' : 'hidden',
+            'EXPENSES_VISIBILITY': sections.showExpenses !== false ? '' : 'hidden'
         };
 
         // Replace visibility placeholders
@@ -89,38 +97,76 @@ export class TemplateEngine {
 
         // Calculate revenue per currency if billing enabled
         const billingDataByCurrency = {};
+        // All currencies converted into the base currency (rate of the task day)
+        const baseTotals = options.baseCurrency
+            ? { currency: options.baseCurrency, revenue: 0, tax: 0, unconverted: new Set() }
+            : null;
 
         if (options.includeBilling) {
             // Get list of currencies to process
             const selectedCurrencies = options.selectedCurrencies || [];
             const currenciesToProcess = selectedCurrencies.length > 0
                 ? selectedCurrencies
-                : [...new Set(clients.filter(c => c.currency).map(c => c.currency))];
+                : [...new Set(filteredTasks
+                    .map(task => this._getTaskRate(task, projects, clients).currency)
+                    .filter(currency => currency))];
 
             // Calculate billing for each currency
             currenciesToProcess.forEach(currency => {
                 let totalRevenue = 0;
+                let totalTax = 0;
                 let billableTasksCount = 0;
                 let totalBillableHours = 0;
+                let totalBilledHours = 0;
+                let totalNonBillableHours = 0;
 
                 filteredTasks.forEach(task => {
-                    const client = clients.find(c => c.id === task.client_id);
+                    const { rate, currency: rateCurrency } = this._getTaskRate(task, projects, clients);
                     const duration = task.duration || task.time_spent || 0;
+                    // Only billable time is charged (tasks without the split count as billable)
+                    const billableDuration = Math.min(duration, task.billable_duration ?? duration);
+                    // Billed time has the client/project rounding rules applied
+                    const billedDuration = task.billed_duration ?? billableDuration;
 
                     // Only include tasks with matching currency
-                    if (client && client.currency === currency && client.rate && client.rate > 0 && duration > 0) {
-                        totalRevenue += (duration / 3600) * client.rate;
-                        totalBillableHours += duration / 3600;
-                        billableTasksCount++;
+                    if (rateCurrency === currency && rate > 0 && duration > 0) {
+                        totalNonBillableHours += (duration - billableDuration) / 3600;
+                        if (billableDuration > 0) {
+                            const revenue = (billedDuration / 3600) * rate;
+                            // Tax at the regime of the task's client
+                            const client = (clients || []).find(c => c.id === task.client_id);
+                            const tax = BillingUtils.resolveTax(client, options.defaultTaxRate || 0);
+                            totalRevenue += revenue;
+                            totalTax += revenue * tax.rate / 100;
+
+                            if (baseTotals) {
+                                const dateKey = /^\d{4}-\d{2}-\d{2}/.exec(task.start || '')?.[0] || this._todayKey();
+                                const converted = ExchangeRateUtils.convert(revenue, currency, baseTotals.currency,
+                                    options.exchangeRates, dateKey);
+                                if (converted === null) {
+                                    baseTotals.unconverted.add(currency);
+                                } else {
+                                    baseTotals.revenue += converted;
+                                    baseTotals.tax += converted * tax.rate / 100;
+                                }
+                            }
+                            totalBillableHours += billableDuration / 3600;
+                            totalBilledHours += billedDuration / 3600;
+                            billableTasksCount++;
+                        }
                     }
                 });
 
-                const effectiveRate = totalBillableHours > 0 ? (totalRevenue / totalBillableHours) : 0;
+                const effectiveRate = totalBilledHours > 0 ? (totalRevenue / totalBilledHours) : 0;
 
                 billingDataByCurrency[currency] = {
                     totalRevenue,
+                    totalTax,
+                    totalGross: totalRevenue + totalTax,
                     billableTasksCount,
                     totalBillableHours,
+                    totalBilledHours,
+                    totalNonBillableHours,
                     effectiveRate,
                     currency
                 };
@@ -150,12 +196,21 @@ export class TemplateEngine {
                     client: client,
                     project: project,
                     totalDuration: 0,
-                    count: 0
+                    count: 0,
+                    descriptions: []
                 };
             }
 
             taskStacks[key].totalDuration += task.duration || task.time_spent || 0;
             taskStacks[key].count += 1;
+
+            // Time entry descriptions (newline separated), without duplicates
+            (task.descriptions || '').split('\n').forEach(description => {
+                const text = description.trim();
+                if (text && !taskStacks[key].descriptions.includes(text)) {
+                    taskStacks[key].descriptions.push(text);
+                }
+            });
         });
 
         // Convert stacks to array and generate HTML
@@ -165,6 +220,9 @@ export class TemplateEngine {
             const pageBreak = index > 0 && index % 15 === 0 ? '<div class="section-break"></div>' : '';
 
             const taskLabel = stack.count > 1 ? `${stack.name} (${stack.count}×)` : stack.name;
+            const descriptionHtml = stack.descriptions.length > 0
+                ? `<div class="task-description">${stack.descriptions.map(d => this._escapeHtml(d)).join('<br>')}</div>`
+                : '';
 
             return `
                 ${pageBreak}
@@ -172,6 +230,7 @@ export class TemplateEngine {
                     <div>
                         <div class="task-name">${taskLabel}</div>
                         <div class="task-client">${stack.client?.name || 'No Client'} • ${stack.project?.name || 'No Project'}</div>
+                        ${descriptionHtml}
                     </div>
                     <div class="task-time">${TimeUtils.formatDuration(stack.totalDuration)}</div>
                 </div>
@@ -223,6 +282,8 @@ export class TemplateEngine {
             ? `<img src="${options.logoPath}" alt="Logo" class="logo">`
             : `<div style="font-size: 24px; font-weight: 600; color: #2c3e50;">Your Company</div>`;
 
+        const reportClient = this._getReportClient(filteredTasks, clients, options.clientId);
+
         return {
             // Header data
             PERIOD: this._getCurrentPeriod(),
@@ -233,6 +294,9 @@ export class TemplateEngine {
             }),
             LOGO_SECTION: logoSectionHtml,
 
+            // Client the report is for (empty when it covers several clients)
+            ...this._generateClientData(reportClient),
+
             // Chart data
             CHART_PERIOD_TITLE: chartData.title,
             TIME_CHART_HTML: chartData.html,
@@ -249,12 +313,91 @@ export class TemplateEngine {
             TASK_LIST_HTML: taskListHtml || '<div class="task-item"><div><div class="task-name">No tasks found</div></div></div>',
             PROJECT_LIST_HTML: projectListHtml || '<div class="project-item"><div><div class="project-name">No projects found</div></div></div>',
 
+            // Expenses in the period, not converted
+            EXPENSE_LIST_HTML: this._generateExpensesHTML(options.expenses || []),
+
             // Billing data - generate HTML for each currency
-            BILLING_SECTIONS_HTML: this._generateBillingHTML(billingDataByCurrency, options.includeBilling)
+            BILLING_SECTIONS_HTML: this._generateBillingHTML(billingDataByCurrency, options.includeBilling, baseTotals)
         };
     }
 
-    _generateBillingHTML(billingDataByCurrency, includeBilling) {
+    /**
+     * Expense rows followed by totals per currency
+     */
+    _generateExpensesHTML(expenses) {
+        if (expenses.length === 0) {
+            return '<div class="project-item"><div><div class="project-name">No expenses</div></div></div>';
+        }
+
+        const totals = new Map();
+        const rowsHtml = expenses.map((expense, index) => {
+            const total = totals.get(expense.currency) || { total: 0, billable: 0 };
+            total.total += expense.amount;
+            if (expense.billable) total.billable += expense.amount;
+            totals.set(expense.currency, total);
+
+            const [year, month, day] = expense.date.split('-').map(Number);
+            const date = new Date(year, month - 1, day).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            });
+            const details = [
+                date,
+                expense.client_name || 'No Client',
+                expense.project_name || 'No Project',
+                expense.billable ? 'Billable' : 'Not billable'
+            ];
+            const pageBreak = index > 0 && index % 15 === 0 ? '<div class="section-break"></div>' : '';
+
+            return `
+                ${pageBreak}
+                <div class="project-item">
+                    <div>
+                        <div class="project-name">${this._escapeHtml(expense.category || 'Expense')}</div>
+                        <div class="project-client">${this._escapeHtml(details.join(' • '))}</div>
+                        ${expense.description ? `<div class="task-description">${this._escapeHtml(expense.description)}</div>` : ''}
+                    </div>
+                    <div class="project-time">${this._getCurrencySymbol(expense.currency)}${expense.amount.toFixed(2)}</div>
+                </div>
+            `;
+        }).join('');
+
+        const totalsHtml = [...totals].map(([currency, total]) => {
+            const symbol = this._getCurrencySymbol(currency);
+            return `
+                <div class="project-item">
+                    <div>
+                        <div class="project-name">Total ${this._escapeHtml(currency)}</div>
+                        <div class="project-client">Billable ${symbol}${total.billable.toFixed(2)}</div>
+                    </div>
+                    <div class="project-time">${symbol}${total.total.toFixed(2)}</div>
+                </div>
+            `;
+        }).join('');
+
+        return rowsHtml + totalsHtml;
+    }
+
+    /**
+     * Effective hourly rate of a task (task -> project -> client)
+     * Prepared export data carries it already, otherwise resolve from project and client
+     */
+    _getTaskRate(task, projects, clients) {
+        if (task.rate !== undefined) {
+            return { rate: task.rate || 0, currency: task.currency || null };
+        }
+        const project = (projects || []).find(p => p.id === task.project_id);
+        const client = (clients || []).find(c => c.id === task.client_id);
+        return BillingUtils.resolveRate(null, project, client);
+    }
+
+    _todayKey() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    _generateBillingHTML(billingDataByCurrency, includeBilling, baseTotals = null) {
         if (!includeBilling || Object.keys(billingDataByCurrency).length === 0) {
             return `
                 <div class="billing-section">
@@ -264,10 +407,22 @@ export class TemplateEngine {
                             <div class="stat-label">Total Revenue</div>
                             <div class="stat-value">€0.00</div>
                         </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Tax</div>
+                            <div class="stat-value">€0.00</div>
+                        </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Gross</div>
+                            <div class="stat-value">€0.00</div>
+                        </div>
                         <div class="stat-item">
                             <div class="stat-label">Billable Hours</div>
                             <div class="stat-value">0.0h</div>
                         </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Non-billable Hours</div>
+                            <div class="stat-value">0.0h</div>
+                        </div>
                         <div class="stat-item">
                             <div class="stat-label">Effective Rate</div>
                             <div class="stat-value">€0.00/h</div>
@@ -278,7 +433,7 @@ export class TemplateEngine {
         }
 
         // Generate HTML for each currency
-        return Object.values(billingDataByCurrency).map((data, index) => {
+        const currencySections = Object.values(billingDataByCurrency).map((data, index) => {
             const getCurrencySymbol = (currency) => {
                 const symbols = {
                     'EUR': '€',
@@ -301,10 +456,26 @@ export class TemplateEngine {
                             <div class="stat-label">Total Revenue</div>
                             <div class="stat-value">${symbol}${data.totalRevenue.toFixed(2)}</div>
                         </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Tax</div>
+                            <div class="stat-value">${symbol}${data.totalTax.toFixed(2)}</div>
+                        </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Gross</div>
+                            <div class="stat-value">${symbol}${data.totalGross.toFixed(2)}</div>
+                        </div>
                         <div class="stat-item">
                             <div class="stat-label">Billable Hours</div>
                             <div class="stat-value">${data.totalBillableHours.toFixed(1)}h</div>
                         </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Billed Hours (rounded)</div>
+                            <div class="stat-value">${data.totalBilledHours.toFixed(2)}h</div>
+                        </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Non-billable Hours</div>
+                            <div class="stat-value">${data.totalNonBillableHours.toFixed(1)}h</div>
+                        </div>
                         <div class="stat-item">
                             <div class="stat-label">Effective Rate</div>
                             <div class="stat-value">${symbol}${data.effectiveRate.toFixed(2)}/h</div>
@@ -316,7 +487,163 @@ export class TemplateEngine {
                     </div>
                 </div>
             `;
-        }).join('\n');
+        });
+
+        return [...currencySections, this._generateBaseTotalsHTML(billingDataByCurrency, baseTotals)].join('\n');
+    }
+
+    /**
+     * Billing of all currencies converted into the base currency, with the original amounts
+     * Empty when all billing is in the base currency already
+     */
+    _generateBaseTotalsHTML(billingDataByCurrency, baseTotals) {
+        const billed = Object.values(billingDataByCurrency).filter(data => data.totalRevenue > 0);
+        if (!baseTotals || billed.every(data => data.currency === baseTotals.currency)) {
+            return '';
+        }
+
+        const symbol = this._getCurrencySymbol(baseTotals.currency);
+        const originalAmounts = billed
+            .map(data => `${this._getCurrencySymbol(data.currency)}${data.totalGross.toFixed(2)}`)
+            .join(' + ');
+        const unconverted = [...baseTotals.unconverted];
+
+        return `
+                <div class="billing-section">
+                    <h3 class="billing-currency">Total in ${this._escapeHtml(baseTotals.currency)}</h3>
+                    <div class="billing-stats">
+                        <div class="stat-item">
+                            <div class="stat-label">Total Revenue</div>
+                            <div class="stat-value">${symbol}${baseTotals.revenue.toFixed(2)}</div>
+                        </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Tax</div>
+                            <div class="stat-value">${symbol}${baseTotals.tax.toFixed(2)}</div>
+                        </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Gross</div>
+                            <div class="stat-value">${symbol}${(baseTotals.revenue + baseTotals.tax).toFixed(2)}</div>
+                        </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Original Amounts (Gross)</div>
+                            <div class="stat-value">${this._escapeHtml(originalAmounts)}</div>
+                        </div>
+                    </div>
+                    ${unconverted.length > 0
+                        ? `<p>Not included, no exchange rate: ${this._escapeHtml(unconverted.join(', '))}</p>`
+                        : ''}
+                </div>
+            `;
+    }
+
+    /**
+     * Client of the report: the given one, or the only client of all tasks
+     */
+    _getReportClient(tasks, clients, clientId = null) {
+        const ids = clientId ? [clientId] : [...new Set(tasks.map(task => task.client_id))];
+        if (ids.length !== 1 || ids[0] === 1) return null;
+        return (clients || []).find(c => c.id === ids[0]) || null;
+    }
+
+    _generateClientData(client) {
+        const paymentTerms = client?.payment_terms ? `Net ${client.payment_terms} days` : '';
+        const data = {
+            CLIENT_NAME: this._escapeHtml(client?.name || ''),
+            CLIENT_CONTACT_PERSON: this._escapeHtml(client?.contact_person || ''),
+            CLIENT_EMAIL: this._escapeHtml(client?.email || ''),
+            CLIENT_PHONE: this._escapeHtml(client?.phone || ''),
+            CLIENT_BILLING_ADDRESS: this._escapeHtml(client?.billing_address || '').replace(/\n/g, '<br>'),
+            CLIENT_TAX_ID: this._escapeHtml(client?.tax_id || ''),
+            CLIENT_PAYMENT_TERMS: paymentTerms,
+        };
+
+        const lines = [
+            data.CLIENT_CONTACT_PERSON,
+            data.CLIENT_BILLING_ADDRESS,
+            [data.CLIENT_EMAIL, data.CLIENT_PHONE].filter(Boolean).join(' • '),
+            data.CLIENT_TAX_ID ? `Tax ID: ${data.CLIENT_TAX_ID}` : '',
+        ].filter(Boolean);
+
+        data.CLIENT_SECTION_HTML = client
+            ? `<div class="report-client">
+                    <div class="report-client-label">Prepared for</div>
+                    <div class="report-client-name">${data.CLIENT_NAME}</div>
+                    ${lines.map(line => `<div>${line}</div>`).join('')}
+                </div>`
+            : '';
+        return data;
+    }
+
+    /**
+     * Template data of an invoice (see InvoiceService.getById)
+     */
+    generateInvoiceData(invoice, options = {}) {
+        const symbol = this._getCurrencySymbol(invoice.currency);
+        const formatMoney = amount => `${symbol}${Number(amount || 0).toFixed(2)}`;
+        const formatDate = dateKey => {
+            if (!dateKey) return '';
+            const [year, month, day] = dateKey.split('-').map(Number);
+            return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            });
+        };
+
+        const itemRowsHtml = (invoice.items || []).map(item => `
+                <tr>
+                    <td class="item-position">${item.position}</td>
+                    <td>${this._escapeHtml(item.description)}</td>
+                    <td class="number">${Number(item.hours).toFixed(2)}</td>
+                    <td class="number">${formatMoney(item.rate)}</td>
+                    <td class="number">${formatMoney(item.amount)}</td>
+                </tr>
+            `).join('');
+        const totalHours = (invoice.items || []).reduce((sum, item) => sum + Number(item.hours || 0), 0);
+
+        const logoSectionHtml = options.logoPath
+            ? `<img src="${options.logoPath}" alt="Logo" class="logo">`
+            : `<div style="font-size: 24px; font-weight: 600; color: #2c3e50;">Your Company</div>`;
+
+        const clientData = this._generateClientData(invoice.client);
+        clientData.CLIENT_SECTION_HTML = clientData.CLIENT_SECTION_HTML.replace('Prepared for', 'Bill to');
+
+        // Invoices created before tax support only have the total
+        const net = invoice.net_amount ?? invoice.total_amount;
+        const taxMode = invoice.tax_mode || 'standard';
+        const taxNotes = {
+            'reverse-charge': 'Reverse charge: VAT to be accounted for by the recipient',
+            'exempt': 'Exempt from VAT',
+        };
+
+        return {
+            LOGO_SECTION: logoSectionHtml,
+            ...clientData,
+            INVOICE_NUMBER: this._escapeHtml(invoice.number),
+            INVOICE_DATE: formatDate(invoice.issue_date),
+            INVOICE_DUE_DATE: formatDate(invoice.due_date),
+            INVOICE_DUE_VISIBILITY: invoice.due_date ? '' : 'hidden',
+            INVOICE_PERIOD: `${formatDate(invoice.period_start)} – ${formatDate(invoice.period_end)}`,
+            INVOICE_CURRENCY: this._escapeHtml(invoice.currency || ''),
+            INVOICE_ITEMS_HTML: itemRowsHtml || '<tr><td colspan="5">No billable time</td></tr>',
+            INVOICE_TOTAL_HOURS: totalHours.toFixed(2),
+            INVOICE_NET: formatMoney(net),
+            INVOICE_TAX_LABEL: `Tax ${Number(invoice.tax_rate || 0)}%`,
+            INVOICE_TAX: formatMoney(invoice.tax_amount),
+            INVOICE_TAX_NOTE: taxNotes[taxMode] || '',
+            INVOICE_TAX_NOTE_VISIBILITY: taxNotes[taxMode] ? '' : 'hidden',
+            INVOICE_TOTAL: formatMoney(invoice.total_amount),
+        };
+    }
+
+    _getCurrencySymbol(currency) {
+        const symbols = {
+            'EUR': '€',
+            'USD': '$',
+            'GBP': '£',
+            'RUB': '₽'
+        };
+        return symbols[currency] || (currency ? `${currency} ` : '');
     }
 
     _getCurrentPeriod() {
@@ -326,6 +653,14 @@ export class TemplateEngine {
         return `FY${year.toString().slice(-2)}/${(year + 1).toString().slice(-2)}`;
     }
 
+    _escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     _generateChartData(tasks, projects, period = 'week') {
         let chartData = [];
         let title = 'Weekly Activity';
@@ -170,7 +170,8 @@ export class TemplatePDFGenerator {
                     { 
                         includeBilling: this.includeBilling,
                         logoPath: this.sections.logoPath,
-                        period: this.filterPeriod
+                        period: this.filterPeriod,
+                        defaultTaxRate: new Gio.Settings({ schema: 'com.odnoyko.valot' }).get_double('default-tax-rate')
                     }
                 );
                 
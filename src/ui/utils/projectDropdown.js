@@ -299,8 +299,8 @@ export class ProjectDropdown {
             child = next;
         }
 
-        // Add projects to list
-        this.projects.forEach(project => {
+        // Add projects to list - archived ones only while still selected
+        this.projects.filter(project => !project.archived || project.id === this.currentProjectId).forEach(project => {
             const row = this._createProjectRow(project);
             this.projectList.append(row);
         });
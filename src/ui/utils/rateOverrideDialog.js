@@ -0,0 +1,164 @@
+import Gtk from 'gi://Gtk';
+import Adw from 'gi://Adw?version=1';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import { getAllCurrencies } from 'resource:///com/odnoyko/valot/data/currencies.js';
+
+/**
+ * Dialog for an optional hourly rate override (project or task)
+ * "Inherit" clears the override so the next level of the chain is used:
+ * task -> project -> client
+ *
+ * @param {Gtk.Widget} parent - Widget to present the dialog on
+ * @param {Object} options
+ * @param {string} options.heading - Dialog heading
+ * @param {string} options.body - Dialog body text
+ * @param {number|null} options.rate - Current override (null = inherited)
+ * @param {string|null} options.currency - Current override currency
+ * @param {string} options.inheritLabel - Label of the response that clears the override
+ * @param {Function} options.onSave - Called with {rate, currency}, both null when cleared
+ */
+export function showRateOverrideDialog(parent, options) {
+    const {
+        heading,
+        body,
+        rate = null,
+        currency = null,
+        inheritLabel,
+        onSave,
+    } = options;
+
+    const dialog = new Adw.AlertDialog({ heading, body });
+
+    const form = new Gtk.Box({
+        orientation: Gtk.Orientation.HORIZONTAL,
+        spacing: 12,
+        margin_top: 12,
+        margin_bottom: 12,
+        margin_start: 12,
+        margin_end: 12,
+        halign: Gtk.Align.CENTER,
+    });
+
+    // Rate box with +/- buttons
+    const rateBox = new Gtk.Box({
+        orientation: Gtk.Orientation.HORIZONTAL,
+        spacing: 0,
+        css_classes: ['hour-price-input'],
+        width_request: 120,
+    });
+
+    const rateMinusBtn = new Gtk.Button({
+        label: '−',
+        css_classes: ['flat'],
+        width_request: 30,
+    });
+
+    const rateEntry = new Gtk.Entry({
+        text: (rate ?? 0).toString(),
+        width_request: 60,
+        halign: Gtk.Align.CENTER,
+        css_classes: ['monospace'],
+        input_purpose: Gtk.InputPurpose.NUMBER,
+    });
+
+    const ratePlusBtn = new Gtk.Button({
+        label: '+',
+        css_classes: ['flat'],
+        width_request: 30,
+    });
+
+    const adjustRate = (delta) => {
+        let currentRate = parseFloat(rateEntry.get_text()) || 0;
+        currentRate = Math.max(0, currentRate + delta);
+        rateEntry.set_text(currentRate.toFixed(0));
+    };
+
+    rateMinusBtn.connect('clicked', () => adjustRate(-1));
+    ratePlusBtn.connect('clicked', () => adjustRate(1));
+
+    rateBox.append(rateMinusBtn);
+    rateBox.append(rateEntry);
+    rateBox.append(ratePlusBtn);
+
+    // Currency dropdown
+    const currencies = _getAvailableCurrencies();
+    let selectedIndex = currencies.findIndex(c => c.code === (currency || 'EUR'));
+    if (selectedIndex === -1 && currency) {
+        // Keep a currency that was hidden in preferences meanwhile
+        currencies.push({ code: currency, symbol: currency });
+        selectedIndex = currencies.length - 1;
+    }
+
+    const currencyDropdown = new Gtk.DropDown({
+        model: new Gtk.StringList({
+            strings: currencies.map(c => `${c.code} (${c.symbol})`),
+        }),
+        selected: Math.max(0, selectedIndex),
+        valign: Gtk.Align.CENTER,
+    });
+
+    form.append(rateBox);
+    form.append(currencyDropdown);
+
+    dialog.set_extra_child(form);
+    dialog.add_response('cancel', _('Cancel'));
+    if (rate !== null && rate !== undefined) {
+        dialog.add_response('inherit', inheritLabel);
+    }
+    dialog.add_response('save', _('Save Changes'));
+    dialog.set_response_appearance('save', Adw.ResponseAppearance.SUGGESTED);
+
+    dialog.connect('response', (dialog, response) => {
+        if (response === 'save') {
+            const selected = currencies[currencyDropdown.get_selected()];
+            onSave?.({
+                rate: Math.max(0, parseFloat(rateEntry.get_text()) || 0),
+                currency: selected ? selected.code : null,
+            });
+        } else if (response === 'inherit') {
+            onSave?.({ rate: null, currency: null });
+        }
+        dialog.close();
+    });
+
+    dialog.present(parent);
+}
+
+function _getAvailableCurrencies() {
+    // Load currency settings from preferences
+    let currencySettings;
+    try {
+        const configPath = GLib.get_user_config_dir() + '/valot/currency-settings.json';
+        const file = Gio.File.new_for_path(configPath);
+
+        if (file.query_exists(null)) {
+            const [success, contents] = file.load_contents(null);
+            if (success) {
+                currencySettings = JSON.parse(new TextDecoder().decode(contents));
+            }
+        }
+    } catch (error) {
+        // Continue with defaults
+    }
+
+    const allCurrencies = getAllCurrencies();
+    if (!currencySettings) {
+        return allCurrencies;
+    }
+
+    const availableCurrencies = [];
+    (currencySettings.visible || []).forEach(code => {
+        const currency = allCurrencies.find(c => c.code === code);
+        if (currency) {
+            availableCurrencies.push(currency);
+        }
+    });
+    (currencySettings.custom || []).forEach(currency => {
+        if (!currency.hidden) {
+            availableCurrencies.push(currency);
+        }
+    });
+
+    return availableCurrencies.length > 0 ? availableCurrencies : allCurrencies;
+}
@@ -0,0 +1,111 @@
+import Gtk from 'gi://Gtk';
+import Adw from 'gi://Adw?version=1';
+
+const INCREMENTS = [0, 1, 5, 6, 10, 15, 30, 60]; // minutes, 0 = no rounding
+const MODES = ['up', 'down', 'nearest'];
+const SCOPES = ['entry', 'day'];
+
+/**
+ * Short description of a rounding rule, e.g. "Round up to 15 min per entry"
+ * @param {Object|null} rule - {rounding_increment, rounding_mode, rounding_scope}
+ */
+export function describeRoundingRule(rule) {
+    const increment = Number(rule?.rounding_increment) || 0;
+    if (increment <= 0) return _('No rounding');
+
+    const mode = {
+        up: _('Round up to %d min'),
+        down: _('Round down to %d min'),
+        nearest: _('Round to nearest %d min'),
+    }[rule.rounding_mode] || _('Round up to %d min');
+    const scope = rule.rounding_scope === 'day' ? _('per day') : _('per entry');
+    return `${mode.format(increment)} ${scope}`;
+}
+
+/**
+ * Dialog for a billing time rounding rule (client rule or project override)
+ * Rounding only changes billed time in reports and exports, tracked time stays as is.
+ *
+ * @param {Gtk.Widget} parent - Widget to present the dialog on
+ * @param {Object} options
+ * @param {string} options.heading - Dialog heading
+ * @param {string} options.body - Dialog body text
+ * @param {Object|null} options.rule - Current {rounding_increment, rounding_mode, rounding_scope}
+ * @param {string} [options.inheritLabel] - Label of the response that clears the override (none = no such response)
+ * @param {Function} options.onSave - Called with {rounding_increment, rounding_mode, rounding_scope}, all null when cleared
+ */
+export function showRoundingRuleDialog(parent, options) {
+    const {
+        heading,
+        body,
+        rule = null,
+        inheritLabel = null,
+        onSave,
+    } = options;
+
+    const dialog = new Adw.AlertDialog({ heading, body });
+
+    const list = new Gtk.ListBox({
+        css_classes: ['boxed-list'],
+        selection_mode: Gtk.SelectionMode.NONE,
+        margin_top: 12,
+    });
+
+    const currentIncrement = Number(rule?.rounding_increment) || 0;
+    const increments = INCREMENTS.includes(currentIncrement)
+        ? INCREMENTS
+        : [...INCREMENTS, currentIncrement].sort((a, b) => a - b);
+
+    const incrementRow = new Adw.ComboRow({
+        title: _('Increment'),
+        model: Gtk.StringList.new(increments.map(value =>
+            value === 0 ? _('No rounding') : _('%d min').format(value))),
+        selected: increments.indexOf(currentIncrement),
+    });
+    const modeRow = new Adw.ComboRow({
+        title: _('Direction'),
+        model: Gtk.StringList.new([_('Up'), _('Down'), _('Nearest')]),
+        selected: Math.max(0, MODES.indexOf(rule?.rounding_mode)),
+    });
+    const scopeRow = new Adw.ComboRow({
+        title: _('Apply'),
+        model: Gtk.StringList.new([_('Per entry'), _('Per day')]),
+        selected: Math.max(0, SCOPES.indexOf(rule?.rounding_scope)),
+    });
+
+    const updateSensitivity = () => {
+        const enabled = increments[incrementRow.get_selected()] > 0;
+        modeRow.set_sensitive(enabled);
+        scopeRow.set_sensitive(enabled);
+    };
+    incrementRow.connect('notify::selected', updateSensitivity);
+    updateSensitivity();
+
+    list.append(incrementRow);
+    list.append(modeRow);
+    list.append(scopeRow);
+
+    dialog.set_extra_child(list);
+    dialog.add_response('cancel', _('Cancel'));
+    if (inheritLabel && rule?.rounding_increment !== null && rule?.rounding_increment !== undefined) {
+        dialog.add_response('inherit', inheritLabel);
+    }
+    dialog.add_response('save', _('Save Changes'));
+    dialog.set_response_appearance('save', Adw.ResponseAppearance.SUGGESTED);
+
+    dialog.connect('response', (dialog, response) => {
+        if (response === 'save') {
+            const increment = increments[incrementRow.get_selected()] || 0;
+            onSave?.({
+                rounding_increment: increment,
+                rounding_mode: increment > 0 ? MODES[modeRow.get_selected()] : null,
+                rounding_scope: increment > 0 ? SCOPES[scopeRow.get_selected()] : null,
+            });
+        } else if (response === 'inherit') {
+            onSave?.({ rounding_increment: null, rounding_mode: null, rounding_scope: null });
+        }
+        dialog.close();
+    });
+
+    dialog.present(parent);
+}
@@ -0,0 +1,237 @@
+import Gtk from 'gi://Gtk';
+
+/**
+ * Tag picker: button with popover of checkable tags
+ * New tags can be created by typing a name and pressing Enter
+ */
+export class TagPicker {
+    constructor(coreBridge, selectedTagIds = [], onTagsChanged = null) {
+        this.coreBridge = coreBridge;
+        this.tags = [];
+        this.selectedTagIds = new Set(selectedTagIds);
+        this.onTagsChanged = onTagsChanged;
+        this.isUpdatingSelection = false;
+
+        // Store event handlers for cleanup
+        this._eventHandlers = {};
+
+        this.widget = this._createWidget();
+
+        // Load tags from Core
+        this._loadTags();
+
+        // Subscribe to Core events for updates
+        this._subscribeToCore();
+    }
+
+    async _loadTags() {
+        try {
+            this.tags = await this.coreBridge.getAllTags();
+        } catch (error) {
+            console.error('Error loading tags:', error);
+            this.tags = [];
+        }
+
+        // Drop selected tags that no longer exist
+        const existingIds = new Set(this.tags.map(tag => tag.id));
+        this.selectedTagIds.forEach(id => {
+            if (!existingIds.has(id)) this.selectedTagIds.delete(id);
+        });
+
+        this._updateButton();
+        this._populateTagList();
+    }
+
+    _subscribeToCore() {
+        if (!this.coreBridge) return;
+
+        this._eventHandlers['tag-created'] = () => this._loadTags();
+        this._eventHandlers['tag-updated'] = () => this._loadTags();
+        this._eventHandlers['tag-deleted'] = () => this._loadTags();
+
+        Object.keys(this._eventHandlers).forEach(event => {
+            this.coreBridge.onUIEvent(event, this._eventHandlers[event]);
+        });
+    }
+
+    _createWidget() {
+        this.countLabel = new Gtk.Label({
+            css_classes: ['caption'],
+            visible: false,
+        });
+
+        const buttonContent = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 4,
+        });
+        buttonContent.append(new Gtk.Image({
+            icon_name: 'bookmark-new-symbolic',
+            pixel_size: 16,
+        }));
+        buttonContent.append(this.countLabel);
+
+        // New tag entry
+        this.newTagEntry = new Gtk.Entry({
+            placeholder_text: _('New tag...'),
+            margin_top: 6,
+            margin_bottom: 6,
+            margin_start: 6,
+            margin_end: 6,
+        });
+        this.newTagEntry.connect('activate', () => this._createTag());
+
+        const scrolled = new Gtk.ScrolledWindow({
+            vexpand: true,
+            hscrollbar_policy: Gtk.PolicyType.NEVER,
+            vscrollbar_policy: Gtk.PolicyType.AUTOMATIC,
+        });
+
+        this.tagList = new Gtk.ListBox({
+            css_classes: ['content-box'],
+            selection_mode: Gtk.SelectionMode.NONE,
+        });
+        scrolled.set_child(this.tagList);
+
+        const popoverContent = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+        });
+        popoverContent.append(this.newTagEntry);
+        popoverContent.append(scrolled);
+
+        this.popover = new Gtk.Popover({
+            width_request: 250,
+            height_request: 250,
+            child: popoverContent,
+        });
+        this.popover.connect('show', () => this.newTagEntry.grab_focus());
+
+        this.button = new Gtk.MenuButton({
+            css_classes: ['flat'],
+            child: buttonContent,
+            popover: this.popover,
+            valign: Gtk.Align.CENTER,
+        });
+
+        this._updateButton();
+        return this.button;
+    }
+
+    async _createTag() {
+        const name = this.newTagEntry.get_text().trim();
+        if (!name) return;
+
+        try {
+            const tag = await this.coreBridge.findOrCreateTag(name);
+            this.newTagEntry.set_text('');
+            if (tag) {
+                this.selectedTagIds.add(tag.id);
+                await this._loadTags();
+                this._notifyChanged();
+            }
+        } catch (error) {
+            console.error('Error creating tag:', error);
+        }
+    }
+
+    _populateTagList() {
+        let child = this.tagList.get_first_child();
+        while (child) {
+            const next = child.get_next_sibling();
+            this.tagList.remove(child);
+            child = next;
+        }
+
+        this.tags.forEach(tag => {
+            const check = new Gtk.CheckButton({
+                label: tag.name,
+                active: this.selectedTagIds.has(tag.id),
+                margin_top: 4,
+                margin_bottom: 4,
+                margin_start: 8,
+                margin_end: 8,
+            });
+            check.connect('toggled', () => {
+                if (this.isUpdatingSelection) return;
+                if (check.get_active()) {
+                    this.selectedTagIds.add(tag.id);
+                } else {
+                    this.selectedTagIds.delete(tag.id);
+                }
+                this._updateButton();
+                this._notifyChanged();
+            });
+
+            const row = new Gtk.ListBoxRow({ activatable: false });
+            row.set_child(check);
+            this.tagList.append(row);
+        });
+    }
+
+    _updateButton() {
+        if (!this.button) return;
+
+        const selected = this.getSelectedTags();
+        this.countLabel.set_label(String(selected.length));
+        this.countLabel.set_visible(selected.length > 0);
+        this.button.set_tooltip_text(selected.length > 0
+            ? _('Tags: %s').format(selected.map(tag => tag.name).join(', '))
+            : _('Add tags'));
+    }
+
+    _notifyChanged() {
+        if (this.onTagsChanged) {
+            this.onTagsChanged(this.getSelectedTagIds());
+        }
+    }
+
+    /**
+     * Get selected tag IDs
+     */
+    getSelectedTagIds() {
+        return Array.from(this.selectedTagIds);
+    }
+
+    /**
+     * Get selected tag objects
+     */
+    getSelectedTags() {
+        return this.tags.filter(tag => this.selectedTagIds.has(tag.id));
+    }
+
+    /**
+     * Set selected tags without triggering the change callback
+     */
+    setSelectedTags(tagIds) {
+        this.isUpdatingSelection = true;
+        this.selectedTagIds = new Set(tagIds || []);
+        this._updateButton();
+        this._populateTagList();
+        this.isUpdatingSelection = false;
+    }
+
+    /**
+     * Get the GTK widget
+     */
+    getWidget() {
+        return this.widget;
+    }
+
+    /**
+     * Cleanup: unsubscribe from events
+     */
+    destroy() {
+        if (this.popover) {
+            this.popover.popdown();
+        }
+
+        if (this.coreBridge && this._eventHandlers) {
+            Object.keys(this._eventHandlers).forEach(event => {
+                this.coreBridge.offUIEvent(event, this._eventHandlers[event]);
+            });
+            this._eventHandlers = {};
+        }
+
+        this.tags = [];
+        this.onTagsChanged = null;
+    }
+}
@@ -8,6 +8,14 @@ export class TimeUtils {
         return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Short duration for targets, e.g. "7:30"
+     */
+    static formatHoursMinutes(seconds) {
+        const totalMinutes = Math.floor((seconds || 0) / 60);
+        return `${Math.floor(totalMinutes / 60)}:${(totalMinutes % 60).toString().padStart(2, '0')}`;
+    }
+
     static formatDate(dateString) {
         return new Date(dateString).toLocaleDateString('de-DE', {
             day: '2-digit',
@@ -19,6 +19,7 @@ import { CoreAPI } from 'resource:///com/odnoyko/valot/core/api/CoreAPI.js';
 
 // Import SVG recolor utility
 import { forceUpdateAllSVGs } from 'resource:///com/odnoyko/valot/ui/utils/svgRecolor.js';
+import { TimeUtils } from 'resource:///com/odnoyko/valot/ui/utils/timeUtils.js';
 
 // Import bridges
 import { CoreBridge } from 'resource:///com/odnoyko/valot/ui/bridges/CoreBridge.js';
@@ -31,6 +32,7 @@ import { Config } from 'resource:///com/odnoyko/valot/config.js';
 import { PreferencesDialog } from 'resource:///com/odnoyko/valot/ui/components/dialogs/PreferencesDialog.js';
 import { CarouselDialog } from 'resource:///com/odnoyko/valot/ui/components/dialogs/CarouselDialog.js';
 import { DatabaseMigrationDialog } from 'resource:///com/odnoyko/valot/ui/components/dialogs/DatabaseMigrationDialog.js';
+import { IdleTimeDialog } from 'resource:///com/odnoyko/valot/ui/components/dialogs/IdleTimeDialog.js';
 
 /**
  * Accent Color Manager (legacy)
@@ -281,6 +283,14 @@ export const ValotApplication = GObject.registerClass(
                 // Create Core Bridge
                 this.coreBridge = new CoreBridge(this.coreAPI);
 
+                // Core-driven features: idle detection, budget warnings, pomodoro, targets, invoicing, currency
+                this._setupIdleDetection();
+                this._setupBudgetWarnings();
+                this._setupPomodoro();
+                this._setupTargets();
+                this._setupInvoicing();
+                this._setupBaseCurrency();
+
                 // Initialize Extension Manager only if enabled at build time
                 if (Config.ENABLE_EXTENSIONS) {
                     const { ExtensionManager } = await import('resource:///com/odnoyko/valot/extensions/ExtensionManager.js');
@@ -441,6 +451,9 @@ export const ValotApplication = GObject.registerClass(
                     this._launchMainWindow();
                 }
 
+                // Offer to resume tracking session left over from a crash
+                this._offerSavedSession();
+
                 // Release hold after window is created
                 this.release();
             }).catch(error => {
@@ -449,6 +462,221 @@ export const ValotApplication = GObject.registerClass(
             });
         }
 
+        /**
+         * Apply idle threshold from settings and ask about idle time when user comes back
+         */
+        _setupIdleDetection() {
+            const settings = new Gio.Settings({ schema: 'com.odnoyko.valot' });
+            const applyThreshold = () => {
+                this.coreBridge.setIdleThreshold(settings.get_int('idle-threshold') * 60);
+            };
+            applyThreshold();
+            this._idleSettings = settings;
+            this._idleSettings.connect('changed::idle-threshold', applyThreshold);
+
+            this.coreBridge.onUIEvent('tracking-idle-detected', (idle) => {
+                const parent = this.active_window || this.mainWindow || this.compactWindow;
+                const dialog = new IdleTimeDialog(idle, this.coreBridge);
+                dialog.present(parent);
+            });
+        }
+
+        /**
+         * Apply budget warning thresholds from settings and notify when a project budget runs out
+         */
+        _setupBudgetWarnings() {
+            const settings = new Gio.Settings({ schema: 'com.odnoyko.valot' });
+            const applyThresholds = () => {
+                this.coreBridge.setBudgetThresholds(settings.get_value('budget-warning-thresholds').deepUnpack());
+            };
+            applyThresholds();
+            this._budgetSettings = settings;
+            this._budgetSettings.connect('changed::budget-warning-thresholds', applyThresholds);
+
+            this.coreBridge.onUIEvent('budget-threshold-reached', (usage) => {
+                const notification = new Gio.Notification();
+                notification.set_title(usage.threshold >= 100
+                    ? _('Budget exceeded: %s').format(usage.projectName)
+                    : _('Budget warning: %s').format(usage.projectName));
+                notification.set_body((usage.period === 'monthly'
+                    ? _('%d%% of this month\'s budget used')
+                    : _('%d%% of the project budget used')).format(Math.floor(usage.percent)));
+                notification.set_priority(usage.threshold >= 100
+                    ? Gio.NotificationPriority.HIGH
+                    : Gio.NotificationPriority.NORMAL);
+                this.send_notification(`budget-${usage.projectId}`, notification);
+            });
+        }
+
+        /**
+         * Apply Pomodoro cycle settings and notify at every phase transition
+         */
+        _setupPomodoro() {
+            const settings = new Gio.Settings({ schema: 'com.odnoyko.valot' });
+            const applyConfig = () => {
+                this.coreBridge.setPomodoroConfig({
+                    workMinutes: settings.get_int('pomodoro-work-minutes'),
+                    shortBreakMinutes: settings.get_int('pomodoro-short-break-minutes'),
+                    longBreakMinutes: settings.get_int('pomodoro-long-break-minutes'),
+                    cycleLength: settings.get_int('pomodoro-cycle-length'),
+                    autoStartBreaks: settings.get_boolean('pomodoro-auto-start-breaks'),
+                    autoStartWork: settings.get_boolean('pomodoro-auto-start-work'),
+                });
+            };
+            applyConfig();
+            this._pomodoroSettings = settings;
+            this._pomodoroSettings.connect('changed', (settings, key) => {
+                if (key.startsWith('pomodoro-')) applyConfig();
+            });
+
+            // Start a phase that waits for the user (from notification button)
+            const nextPhaseAction = new Gio.SimpleAction({ name: 'pomodoro-next-phase' });
+            nextPhaseAction.connect('activate', () => {
+                this.coreBridge.startNextPomodoroPhase().catch(error => {
+                    console.error('[Application] Failed to start Pomodoro phase:', error);
+                });
+            });
+            this.add_action(nextPhaseAction);
+
+            this.coreBridge.onUIEvent('pomodoro-completed', (data) => {
+                const notification = new Gio.Notification();
+                notification.set_title(_('Pomodoro completed'));
+                notification.set_body(_('%s · %d of %d in this cycle').format(
+                    data.taskName || _('Untitled task'), data.completedInCycle, data.cycleLength));
+                this.send_notification('pomodoro', notification);
+            });
+
+            this.coreBridge.onUIEvent('pomodoro-phase-changed', (state) => {
+                if (state.phase === 'idle') {
+                    this.withdraw_notification('pomodoro');
+                    return;
+                }
+                // Completion notification already covers the start of an automatic break
+                if (!state.waiting && state.phase !== 'work') return;
+
+                const minutes = Math.round(state.remaining / 60);
+                const notification = new Gio.Notification();
+                if (state.phase === 'work') {
+                    notification.set_title(state.waiting ? _('Break is over') : _('Back to work'));
+                    notification.set_body(_('%d min focus on %s').format(minutes, state.taskName || _('Untitled task')));
+                    if (state.waiting) {
+                        notification.add_button(_('Start Pomodoro'), 'app.pomodoro-next-phase');
+                    }
+                } else {
+                    notification.set_title(state.phase === 'long-break' ? _('Time for a long break') : _('Time for a short break'));
+                    notification.set_body(_('%d min break').format(minutes));
+                    notification.add_button(_('Start Break'), 'app.pomodoro-next-phase');
+                }
+                notification.set_priority(Gio.NotificationPriority.HIGH);
+                this.send_notification('pomodoro', notification);
+            });
+        }
+
+        /**
+         * Apply hour targets from settings and notify when a target is reached
+         */
+        _setupTargets() {
+            const settings = new Gio.Settings({ schema: 'com.odnoyko.valot' });
+            const applyTargets = () => {
+                this.coreBridge.setHourTargets({
+                    daily: settings.get_value('daily-target-hours').deepUnpack(),
+                    weekly: settings.get_double('weekly-target-hours'),
+                });
+            };
+            applyTargets();
+            this._targetSettings = settings;
+            this._targetSettings.connect('changed::daily-target-hours', applyTargets);
+            this._targetSettings.connect('changed::weekly-target-hours', applyTargets);
+
+            this.coreBridge.onUIEvent('target-reached', (target) => {
+                const notification = new Gio.Notification();
+                if (target.kind === 'project') {
+                    notification.set_title(_('Weekly target reached: %s').format(target.projectName));
+                } else {
+                    notification.set_title(target.kind === 'week' ? _('Weekly target reached') : _('Daily target reached'));
+                }
+                notification.set_body(_('%s of %s hours tracked').format(
+                    TimeUtils.formatHoursMinutes(target.tracked), TimeUtils.formatHoursMinutes(target.target)));
+                this.send_notification(target.kind === 'project' ? `target-project-${target.projectId}` : `target-${target.kind}`,
+                    notification);
+            });
+        }
+
+        /**
+         * Apply invoice number format, start number and default tax rate from settings
+         */
+        _setupInvoicing() {
+            const settings = new Gio.Settings({ schema: 'com.odnoyko.valot' });
+            const applyNumbering = () => {
+                this.coreBridge.setInvoiceNumbering({
+                    format: settings.get_string('invoice-number-format'),
+                    startNumber: settings.get_int('invoice-start-number'),
+                });
+            };
+            const applyTaxRate = () => {
+                this.coreBridge.setDefaultTaxRate(settings.get_double('default-tax-rate'));
+            };
+            applyNumbering();
+            applyTaxRate();
+            this._invoiceSettings = settings;
+            this._invoiceSettings.connect('changed::invoice-number-format', applyNumbering);
+            this._invoiceSettings.connect('changed::invoice-start-number', applyNumbering);
+            this._invoiceSettings.connect('changed::default-tax-rate', applyTaxRate);
+        }
+
+        /**
+         * Apply base currency for converted totals from settings
+         */
+        _setupBaseCurrency() {
+            const settings = new Gio.Settings({ schema: 'com.odnoyko.valot' });
+            const applyBaseCurrency = () => {
+                this.coreBridge.setBaseCurrency(settings.get_string('base-currency'));
+            };
+            applyBaseCurrency();
+            this._currencySettings = settings;
+            this._currencySettings.connect('changed::base-currency', applyBaseCurrency);
+        }
+
+        /**
+         * Ask whether to resume or close a tracking session left over from a crash
+         */
+        _offerSavedSession() {
+            const session = this.coreBridge.getSavedSession();
+            if (!session) return;
+
+            const startDate = new Date(session.startTime);
+            const dialog = new Adw.AlertDialog({
+                heading: _('Resume Tracking?'),
+                body: _('Valot was closed while tracking "%s" (started %s). Resume the session or close it at the last saved time?')
+                    .format(session.taskName || _('Untitled task'), startDate.toLocaleString()),
+            });
+            dialog.add_response('close', _('Close Session'));
+            dialog.add_response('resume', _('Resume'));
+            dialog.set_response_appearance('resume', Adw.ResponseAppearance.SUGGESTED);
+            dialog.set_default_response('resume');
+            dialog.set_close_response('close');
+
+            dialog.connect('response', async (dialog, response) => {
+                // Session may already be resolved by starting tracking in the meantime
+                if (!this.coreBridge.getSavedSession()) return;
+
+                try {
+                    if (response === 'resume') {
+                        await this.coreBridge.resumeSavedSession();
+                    } else {
+                        await this.coreBridge.closeSavedSession();
+                        if (this.mainWindow && typeof this.mainWindow._refreshAllPages === 'function') {
+                            this.mainWindow._refreshAllPages();
+                        }
+                    }
+                } catch (error) {
+                    console.error('Error restoring saved session:', error);
+                }
+            });
+
+            dialog.present(this.compactWindow || this.mainWindow);
+        }
+
         /**
          * Launch main window
          */
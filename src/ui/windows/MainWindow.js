@@ -604,6 +604,47 @@ export const ValotMainWindow = GObject.registerClass({
         // Add action and set Ctrl+F accelerator
         this.application.add_action(focusSearchAction);
         this.application.set_accels_for_action('app.focus-search', ['<Primary>f']);
+
+        // Ctrl+Z / Ctrl+Shift+Z - undo/redo data changes on any page
+        // Text fields keep their own undo while focused
+        this.undoAction = new Gio.SimpleAction({ name: 'undo', parameter_type: null });
+        this.undoAction.connect('activate', () => {
+            if (this._activateTextAction('text.undo')) return;
+            this.undoLastChange();
+        });
+        this.application.add_action(this.undoAction);
+        this.application.set_accels_for_action('app.undo', ['<Primary>z']);
+
+        this.redoAction = new Gio.SimpleAction({ name: 'redo', parameter_type: null });
+        this.redoAction.connect('activate', () => {
+            if (this._activateTextAction('text.redo')) return;
+            this.redoLastChange();
+        });
+        this.application.add_action(this.redoAction);
+        this.application.set_accels_for_action('app.redo', ['<Primary><Shift>z']);
+
+        this._updateUndoActions(this.coreBridge?.getUndoState());
+    }
+
+    /**
+     * Forward undo/redo to a focused text field
+     * @returns {boolean} true if a text field handled it
+     */
+    _activateTextAction(actionName) {
+        const focus = this.get_focus();
+        if (focus instanceof Gtk.Text || focus instanceof Gtk.TextView) {
+            focus.activate_action(actionName, null);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Enable undo/redo actions by history state
+     */
+    _updateUndoActions(state) {
+        this.undoAction?.set_enabled(Boolean(state?.canUndo));
+        this.redoAction?.set_enabled(Boolean(state?.canRedo));
     }
 
     /**
@@ -770,6 +811,40 @@ export const ValotMainWindow = GObject.registerClass({
         this.toastOverlay.add_toast(toast);
     }
 
+    /**
+     * Undo the last data change (pages refresh on 'undo-applied')
+     */
+    async undoLastChange() {
+        try {
+            const label = await this.coreBridge.undo();
+            if (label) {
+                this.showToastWithAction(_('Change undone'), _('Redo'), () => this.redoLastChange());
+            } else {
+                this.showToast(_('Nothing to undo'));
+            }
+        } catch (error) {
+            console.error('[MainWindow] Undo failed:', error);
+            this.showToast(error.message || _('Could not undo'));
+        }
+    }
+
+    /**
+     * Redo the last undone data change
+     */
+    async redoLastChange() {
+        try {
+            const label = await this.coreBridge.redo();
+            if (label) {
+                this.showToastWithAction(_('Change redone'), _('Undo'), () => this.undoLastChange());
+            } else {
+                this.showToast(_('Nothing to redo'));
+            }
+        } catch (error) {
+            console.error('[MainWindow] Redo failed:', error);
+            this.showToast(error.message || _('Could not redo'));
+        }
+    }
+
     /**
      * Subscribe to Core events for sidebar real-time updates
      */
@@ -861,6 +936,18 @@ export const ValotMainWindow = GObject.registerClass({
             this._refreshAllPages();
         };
 
+        this._eventHandlers['undo-applied'] = () => {
+            this._cachedWeekStats = null;
+            this._updateSidebarStats();
+            this._refreshAllPages();
+        };
+
+        this._eventHandlers['history-reverted'] = this._eventHandlers['undo-applied'];
+
+        this._eventHandlers['undo-history-changed'] = (state) => {
+            this._updateUndoActions(state);
+        };
+
         // Subscribe with stored handlers
         Object.keys(this._eventHandlers).forEach(event => {
             this.coreBridge.onUIEvent(event, this._eventHandlers[event]);
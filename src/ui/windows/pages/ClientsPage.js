@@ -4,7 +4,9 @@ import Gdk from 'gi://Gdk';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import { getAllCurrencies, getCurrencySymbol } from 'resource:///com/odnoyko/valot/data/currencies.js';
+import { showRoundingRuleDialog, describeRoundingRule } from 'resource:///com/odnoyko/valot/ui/utils/roundingRuleDialog.js';
 import { AdvancedTrackingWidget } from 'resource:///com/odnoyko/valot/ui/components/complex/AdvancedTrackingWidget.js';
+import { ClientDialog } from 'resource:///com/odnoyko/valot/ui/components/complex/ClientDialog.js';
 
 /**
  * Clients management page
@@ -520,7 +522,27 @@ export class ClientsPage {
             overflow: Gtk.Overflow.HIDDEN,
         });
 
-        scrolledWindow.set_child(this.clientList);
+        // Archived clients - hidden from selectors, restorable here
+        this.archivedClientList = new Gtk.ListBox({
+            css_classes: ['content-box'],
+            selection_mode: Gtk.SelectionMode.NONE,
+            overflow: Gtk.Overflow.HIDDEN,
+            margin_top: 6,
+        });
+        this.archivedExpander = new Gtk.Expander({
+            label: _('Archived'),
+            child: this.archivedClientList,
+            visible: false,
+        });
+
+        const listBox = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 12,
+        });
+        listBox.append(this.clientList);
+        listBox.append(this.archivedExpander);
+
+        scrolledWindow.set_child(listBox);
 
         return scrolledWindow;
     }
@@ -586,6 +608,12 @@ export class ClientsPage {
         });
         this.selectionBox.append(this.selectionLabel);
 
+        const archiveBtn = new Gtk.Button({
+            label: _('Archive'),
+        });
+        archiveBtn.connect('clicked', () => this._archiveSelectedClients());
+        this.selectionBox.append(archiveBtn);
+
         const deleteBtn = new Gtk.Button({
             label: _('Delete'),
             css_classes: ['destructive-action'],
@@ -612,14 +640,82 @@ export class ClientsPage {
         try {
             // Get clients from Core
             const clients = await this.coreBridge.getAllClients();
-            this.clients = clients || [];
+            this.clients = (clients || []).filter(client => !client.archived);
+            this.archivedClients = (clients || []).filter(client => client.archived);
             this.filteredClients = [...this.clients];
             this._updateClientsDisplay();
+            this._updateArchivedClients();
         } catch (error) {
             console.error('Error loading clients:', error);
         }
     }
 
+    /**
+     * Fill the Archived section, hidden when nothing is archived
+     */
+    _updateArchivedClients() {
+        let child = this.archivedClientList.get_first_child();
+        while (child) {
+            const next = child.get_next_sibling();
+            this.archivedClientList.remove(child);
+            child = next;
+        }
+
+        const archived = this.archivedClients || [];
+        this.archivedExpander.set_label(_('Archived (%d)').format(archived.length));
+        this.archivedExpander.set_visible(archived.length > 0);
+
+        archived.forEach(client => {
+            const row = new Adw.ActionRow({
+                title: client.name,
+                use_markup: false,
+            });
+
+            const restoreButton = new Gtk.Button({
+                label: _('Restore'),
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            restoreButton.connect('clicked', () => this._setClientsArchived([client.id], false));
+            row.add_suffix(restoreButton);
+
+            this.archivedClientList.append(row);
+        });
+    }
+
+    /**
+     * Archive selected clients
+     */
+    async _archiveSelectedClients() {
+        const ids = Array.from(this.selectedClients).filter(id => id !== 1);
+        if (ids.length === 0) return;
+
+        this.selectedClients.clear();
+        await this._setClientsArchived(ids, true);
+    }
+
+    /**
+     * Archive or restore clients, with Undo toast
+     */
+    async _setClientsArchived(ids, archived) {
+        try {
+            await this.coreBridge.setClientsArchived(ids, archived);
+            await this.loadClients();
+
+            let message;
+            if (archived) {
+                message = ids.length === 1 ? _('Client archived') : _('%d clients archived').format(ids.length);
+            } else {
+                message = _('Client restored');
+            }
+            if (this.parentWindow && this.parentWindow.showToastWithAction) {
+                this.parentWindow.showToastWithAction(message, _('Undo'), () => this.parentWindow.undoLastChange());
+            }
+        } catch (error) {
+            console.error('Error archiving clients:', error);
+        }
+    }
+
     /**
      * Filter clients based on search query
      */
@@ -753,6 +849,36 @@ export class ClientsPage {
 
         mainBox.append(priceValueButton);
 
+        // Billing time rounding rule (click to edit)
+        const hasRounding = Number(client.rounding_increment) > 0;
+        const roundingButton = new Gtk.Button({
+            icon_name: 'preferences-system-time-symbolic',
+            css_classes: hasRounding ? ['flat'] : ['flat', 'dim-label'],
+            valign: Gtk.Align.CENTER,
+            tooltip_text: _('Billing rounding: %s').format(describeRoundingRule(client)),
+        });
+        roundingButton.connect('clicked', () => {
+            this._showEditRoundingDialog(client);
+        });
+
+        mainBox.append(roundingButton);
+
+        // Contact and billing details (click to edit)
+        const hasDetails = Boolean(client.contact_person || client.email || client.phone || client.billing_address || client.tax_id);
+        const detailsButton = new Gtk.Button({
+            icon_name: 'contact-new-symbolic',
+            css_classes: hasDetails ? ['flat'] : ['flat', 'dim-label'],
+            valign: Gtk.Align.CENTER,
+            tooltip_text: client.email
+                ? _('Contact & billing details: %s').format(client.email)
+                : _('Contact & billing details'),
+        });
+        detailsButton.connect('clicked', () => {
+            this._showEditDetailsDialog(client);
+        });
+
+        mainBox.append(detailsButton);
+
         row.set_child(mainBox);
 
         // Add right-click selection handler
@@ -982,6 +1108,28 @@ export class ClientsPage {
         dialog.present(this.parentWindow);
     }
 
+    /**
+     * Edit client in ClientDialog, including contact and billing details
+     */
+    _showEditDetailsDialog(client) {
+        const dialog = ClientDialog.createEdit(client, {
+            parentWindow: this.parentWindow,
+            onClientSave: (clientData) => {
+                const { id, ...data } = clientData;
+                this.coreBridge.updateClient(client.id, data).then(() => {
+                    this.loadClients();
+                }).catch(error => {
+                    console.error('Error updating client details:', error);
+                    if (this.parentWindow && this.parentWindow.showToast) {
+                        this.parentWindow.showToast(error.message);
+                    }
+                });
+                return true;
+            },
+        });
+        dialog.present(this.parentWindow);
+    }
+
     _showEditNameDialog(client) {
         const dialog = new Adw.AlertDialog({
             heading: _('Edit Client Name'),
@@ -1011,9 +1159,6 @@ export class ClientsPage {
                 }
 
                 try {
-                    // Save old name for undo
-                    const oldName = client.name;
-
                     // Update client
                     await this.coreBridge.updateClient(client.id, { name: newName });
                     await this.loadClients();
@@ -1023,11 +1168,7 @@ export class ClientsPage {
                         this.parentWindow.showToastWithAction(
                             _('Client name updated'),
                             _('Undo'),
-                            async () => {
-                                // Restore old name
-                                await this.coreBridge.updateClient(client.id, { name: oldName });
-                                await this.loadClients();
-                            }
+                            () => this.parentWindow.undoLastChange()
                         );
                     }
                 } catch (error) {
@@ -1121,9 +1262,6 @@ export class ClientsPage {
         dialog.connect('response', async (dialog, response) => {
             if (response === 'save') {
                 try {
-                    // Save old values for undo
-                    const oldRate = client.rate;
-                    const oldCurrency = client.currency;
                     const newRate = parseFloat(rateEntry.get_text()) || 0;
 
                     // Update client
@@ -1138,14 +1276,7 @@ export class ClientsPage {
                         this.parentWindow.showToastWithAction(
                             _('Client rate updated'),
                             _('Undo'),
-                            async () => {
-                                // Restore old values
-                                await this.coreBridge.updateClient(client.id, {
-                                    rate: oldRate,
-                                    currency: oldCurrency,
-                                });
-                                await this.loadClients();
-                            }
+                            () => this.parentWindow.undoLastChange()
                         );
                     }
                 } catch (error) {
@@ -1158,6 +1289,34 @@ export class ClientsPage {
         dialog.present(this.parentWindow);
     }
 
+    /**
+     * Edit rounding rule for billed time of this client (projects can override it)
+     */
+    _showEditRoundingDialog(client) {
+        showRoundingRuleDialog(this.parentWindow, {
+            heading: _('Billing Rounding - {name}').replace('{name}', client.name),
+            body: _('Round billed time in reports and exports, e.g. to 6 or 15 minutes. Tracked time is not changed.'),
+            rule: client,
+            onSave: async (rule) => {
+                try {
+                    await this.coreBridge.updateClient(client.id, rule);
+                    await this.loadClients();
+
+                    // Show toast with Undo
+                    if (this.parentWindow && this.parentWindow.showToastWithAction) {
+                        this.parentWindow.showToastWithAction(
+                            _('Client rounding updated'),
+                            _('Undo'),
+                            () => this.parentWindow.undoLastChange()
+                        );
+                    }
+                } catch (error) {
+                    console.error('Error updating client rounding:', error);
+                }
+            },
+        });
+    }
+
     _showCurrencySelector(currentCurrencyCode, onSelect) {
         const dialog = new Adw.AlertDialog({
             heading: _('Select Currency'),
@@ -1418,9 +1577,6 @@ export class ClientsPage {
         dialog.connect('response', async (dialog, response) => {
             if (response === 'delete') {
                 try {
-                    // Save client data for undo
-                    const deletedClients = this.clients.filter(c => idsToDelete.includes(c.id));
-
                     // Delete via Core
                     await this.coreBridge.deleteMultipleClients(idsToDelete);
 
@@ -1439,13 +1595,7 @@ export class ClientsPage {
                         : _(`${idsToDelete.length} clients deleted`);
 
                     if (this.parentWindow && this.parentWindow.showToastWithAction) {
-                        this.parentWindow.showToastWithAction(message, _('Undo'), async () => {
-                            // Restore deleted clients
-                            for (const client of deletedClients) {
-                                await this.coreBridge.createClient(client.name, client.rate, client.currency);
-                            }
-                            await this.loadClients();
-                        });
+                        this.parentWindow.showToastWithAction(message, _('Undo'), () => this.parentWindow.undoLastChange());
                     }
                 } catch (error) {
                     console.error('Error deleting clients:', error);
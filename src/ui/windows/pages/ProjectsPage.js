@@ -4,9 +4,13 @@ import Gdk from 'gi://Gdk';
 import GLib from 'gi://GLib';
 import { ProjectDialog } from 'resource:///com/odnoyko/valot/ui/components/complex/ProjectDialog.js';
 import { ProjectAppearanceDialog } from 'resource:///com/odnoyko/valot/ui/components/complex/ProjectAppearanceDialog.js';
+import { ExpenseDialog } from 'resource:///com/odnoyko/valot/ui/components/dialogs/ExpenseDialog.js';
 import { AdvancedTrackingWidget } from 'resource:///com/odnoyko/valot/ui/components/complex/AdvancedTrackingWidget.js';
 import { createProjectIconWidget } from 'resource:///com/odnoyko/valot/ui/utils/widgetFactory.js';
 import { stringCache } from 'resource:///com/odnoyko/valot/ui/utils/StringCache.js';
+import { showRateOverrideDialog } from 'resource:///com/odnoyko/valot/ui/utils/rateOverrideDialog.js';
+import { showRoundingRuleDialog, describeRoundingRule } from 'resource:///com/odnoyko/valot/ui/utils/roundingRuleDialog.js';
+import { getCurrencySymbol } from 'resource:///com/odnoyko/valot/data/currencies.js';
 
 /**
  * Projects management page
@@ -27,6 +31,11 @@ export class ProjectsPage {
 
         // Map to store time labels for real-time updates
         this.projectTimeLabels = new Map(); // projectId -> timeLabel widget
+        this.projectBillableChecks = new Map(); // projectId -> billable CheckButton
+        this.projectRateLabels = new Map(); // projectId -> rate label inside rate button
+        this.projectRoundingButtons = new Map(); // projectId -> rounding rule button
+        this.projectBudgetBars = new Map(); // projectId -> budget ProgressBar
+        this.budgetUsage = new Map(); // projectId -> budget usage from Core
         
         // Map to store project rows for reuse (projectId -> row widget)
         this.projectRowMap = new Map(); // projectId -> Gtk.ListBoxRow
@@ -122,6 +131,9 @@ export class ProjectsPage {
                 const currentTotal = (this._trackingProjectBaseTime || 0) + data.elapsedSeconds;
                 timeLabel.set_label(this._formatDurationHMS(currentTotal));
             }
+
+            // Budget bar follows tracked hours (money part is refreshed on reload)
+            this._updateBudgetBar(this._trackingProjectId, data.elapsedSeconds);
         };
         this._eventHandlers['task-updated'] = () => {
             this.loadProjects();
@@ -538,7 +550,27 @@ export class ProjectsPage {
             overflow: Gtk.Overflow.HIDDEN,
         });
 
-        scrolledWindow.set_child(this.projectList);
+        // Archived projects - hidden from selectors, restorable here
+        this.archivedProjectList = new Gtk.ListBox({
+            css_classes: ['content-box'],
+            selection_mode: Gtk.SelectionMode.NONE,
+            overflow: Gtk.Overflow.HIDDEN,
+            margin_top: 6,
+        });
+        this.archivedExpander = new Gtk.Expander({
+            label: _('Archived'),
+            child: this.archivedProjectList,
+            visible: false,
+        });
+
+        const listBox = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 12,
+        });
+        listBox.append(this.projectList);
+        listBox.append(this.archivedExpander);
+
+        scrolledWindow.set_child(listBox);
 
         return scrolledWindow;
     }
@@ -601,6 +633,11 @@ export class ProjectsPage {
             hexpand: true,
         });
 
+        const archiveBtn = new Gtk.Button({
+            label: _('Archive'),
+        });
+        archiveBtn.connect('clicked', () => this._archiveSelectedProjects());
+
         const deleteBtn = new Gtk.Button({
             label: _('Delete'),
             css_classes: ['destructive-action'],
@@ -609,6 +646,7 @@ export class ProjectsPage {
 
         this.selectionBox.append(cancelBtn);
         this.selectionBox.append(this.selectionLabel);
+        this.selectionBox.append(archiveBtn);
         this.selectionBox.append(deleteBtn);
 
         // Add both to context bar
@@ -630,7 +668,9 @@ export class ProjectsPage {
         try {
             // Get projects with calculated total_time from Core
             const projects = await this.coreBridge.getAllProjectsWithTime();
-            this.projects = projects || [];
+            this.projects = (projects || []).filter(project => !project.archived);
+            this.archivedProjects = (projects || []).filter(project => project.archived);
+            this.budgetUsage = await this.coreBridge.getAllProjectBudgetUsage();
             // OPTIMIZED: Direct reference instead of spread operator (will be filtered later if needed)
             this.filteredProjects = this.projects;
             
@@ -655,11 +695,79 @@ export class ProjectsPage {
             }
             
             this._updateProjectsDisplay();
+            this._updateArchivedProjects();
         } catch (error) {
             console.error('[ProjectsPage] Error loading projects:', error);
         }
     }
 
+    /**
+     * Fill the Archived section, hidden when nothing is archived
+     */
+    _updateArchivedProjects() {
+        let child = this.archivedProjectList.get_first_child();
+        while (child) {
+            const next = child.get_next_sibling();
+            this.archivedProjectList.remove(child);
+            child = next;
+        }
+
+        const archived = this.archivedProjects || [];
+        this.archivedExpander.set_label(_('Archived (%d)').format(archived.length));
+        this.archivedExpander.set_visible(archived.length > 0);
+
+        archived.forEach(project => {
+            const row = new Adw.ActionRow({
+                title: project.name,
+                subtitle: this._formatDurationHMS(project.total_time || 0),
+                use_markup: false,
+            });
+
+            const restoreButton = new Gtk.Button({
+                label: _('Restore'),
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            restoreButton.connect('clicked', () => this._setProjectsArchived([project.id], false));
+            row.add_suffix(restoreButton);
+
+            this.archivedProjectList.append(row);
+        });
+    }
+
+    /**
+     * Archive selected projects
+     */
+    async _archiveSelectedProjects() {
+        const ids = Array.from(this.selectedProjects).filter(id => id !== 1);
+        if (ids.length === 0) return;
+
+        this.selectedProjects.clear();
+        await this._setProjectsArchived(ids, true);
+    }
+
+    /**
+     * Archive or restore projects, with Undo toast
+     */
+    async _setProjectsArchived(ids, archived) {
+        try {
+            await this.coreBridge.setProjectsArchived(ids, archived);
+            await this.loadProjects();
+
+            let message;
+            if (archived) {
+                message = ids.length === 1 ? _('Project archived') : _('%d projects archived').format(ids.length);
+            } else {
+                message = _('Project restored');
+            }
+            if (this.parentWindow && this.parentWindow.showToastWithAction) {
+                this.parentWindow.showToastWithAction(message, _('Undo'), () => this.parentWindow.undoLastChange());
+            }
+        } catch (error) {
+            console.error('[ProjectsPage] Error archiving projects:', error);
+        }
+    }
+
     /**
      * Filter projects based on search query
      * OPTIMIZED: Direct reference when no filter, only create new array when filtering
@@ -693,6 +801,10 @@ export class ProjectsPage {
                 child = next;
             }
             this.projectTimeLabels.clear();
+            this.projectBillableChecks.clear();
+            this.projectRateLabels.clear();
+            this.projectRoundingButtons.clear();
+            this.projectBudgetBars.clear();
             this.projectRowMap.clear();
             this._lastDisplayedProjects = [];
             
@@ -735,6 +847,10 @@ export class ProjectsPage {
                     // Row is no longer needed - remove from map
                     this.projectRowMap.delete(projectId);
                     this.projectTimeLabels.delete(projectId);
+                    this.projectBillableChecks.delete(projectId);
+                    this.projectRateLabels.delete(projectId);
+                    this.projectRoundingButtons.delete(projectId);
+                    this.projectBudgetBars.delete(projectId);
                 }
             }
 
@@ -767,6 +883,234 @@ export class ProjectsPage {
         this._updateSelectionUI();
     }
     
+    /**
+     * Show project rate override, or that the client rate is used
+     */
+    _setRateLabel(rateLabel, project) {
+        const hasRate = project.rate !== null && project.rate !== undefined;
+        rateLabel.set_label(hasRate
+            ? `${getCurrencySymbol(project.currency || 'EUR')}${Number(project.rate).toFixed(2)}`
+            : _('Client rate'));
+        if (hasRate) {
+            rateLabel.remove_css_class('dim-label');
+        } else {
+            rateLabel.add_css_class('dim-label');
+        }
+    }
+
+    /**
+     * Edit project hourly rate (task -> project -> client)
+     */
+    _showProjectRateDialog(projectId) {
+        const project = this.projects.find(p => p.id === projectId);
+        if (!project) return;
+
+        showRateOverrideDialog(this.parentWindow, {
+            heading: _('Edit Rate - {name}').replace('{name}', project.name),
+            body: _('Hourly rate for this project. Tasks can override it, without it the client rate is used.'),
+            rate: project.rate,
+            currency: project.currency,
+            inheritLabel: _('Use Client Rate'),
+            onSave: async ({ rate, currency }) => {
+                try {
+                    await this.coreBridge.updateProject(project.id, { rate, currency });
+
+                    if (this.parentWindow && this.parentWindow.showToastWithAction) {
+                        this.parentWindow.showToastWithAction(
+                            _('Project rate updated'),
+                            _('Undo'),
+                            () => this.parentWindow.undoLastChange()
+                        );
+                    }
+                } catch (error) {
+                    console.error('[ProjectsPage] Error updating project rate:', error);
+                }
+            },
+        });
+    }
+
+    /**
+     * Show project rounding override, or that the client rule is used
+     */
+    _setRoundingButton(button, project) {
+        const hasRule = project.rounding_increment !== null && project.rounding_increment !== undefined;
+        button.set_tooltip_text(hasRule
+            ? _('Billing rounding: %s').format(describeRoundingRule(project))
+            : _('Billing rounding: client rule'));
+        if (hasRule) {
+            button.remove_css_class('dim-label');
+        } else {
+            button.add_css_class('dim-label');
+        }
+    }
+
+    /**
+     * Edit project rounding rule for billed time (overrides the client rule)
+     */
+    _showProjectRoundingDialog(projectId) {
+        const project = this.projects.find(p => p.id === projectId);
+        if (!project) return;
+
+        showRoundingRuleDialog(this.parentWindow, {
+            heading: _('Billing Rounding - {name}').replace('{name}', project.name),
+            body: _('Round billed time of this project. Without a rule the client rule is used. Tracked time is not changed.'),
+            rule: project,
+            inheritLabel: _('Use Client Rule'),
+            onSave: async (rule) => {
+                try {
+                    await this.coreBridge.updateProject(project.id, rule);
+
+                    if (this.parentWindow && this.parentWindow.showToastWithAction) {
+                        this.parentWindow.showToastWithAction(
+                            _('Project rounding updated'),
+                            _('Undo'),
+                            () => this.parentWindow.undoLastChange()
+                        );
+                    }
+                } catch (error) {
+                    console.error('[ProjectsPage] Error updating project rounding:', error);
+                }
+            },
+        });
+    }
+
+    /**
+     * Update budget progress bar of a project
+     * @param {number} extraSeconds - Running tracking time not yet in usage
+     */
+    _updateBudgetBar(projectId, extraSeconds = 0) {
+        const budgetBar = this.projectBudgetBars.get(projectId);
+        if (!budgetBar) return;
+
+        const usage = this.budgetUsage?.get(projectId);
+        budgetBar.remove_css_class('warning');
+        budgetBar.remove_css_class('error');
+
+        if (!usage) {
+            budgetBar.set_fraction(0);
+            budgetBar.set_text(_('No budget'));
+            budgetBar.add_css_class('dim-label');
+            budgetBar.get_parent()?.set_tooltip_text(_('Click to set a budget'));
+            return;
+        }
+
+        const usedSeconds = usage.usedSeconds + extraSeconds;
+        const hoursPercent = usage.budgetHours ? (usedSeconds / 3600) / usage.budgetHours * 100 : 0;
+        const percent = Math.max(hoursPercent, usage.amountPercent || 0);
+
+        budgetBar.remove_css_class('dim-label');
+        budgetBar.set_fraction(Math.min(1, percent / 100));
+        budgetBar.set_text(`${Math.floor(percent)}%`);
+        if (percent >= 100) {
+            budgetBar.add_css_class('error');
+        } else if (percent >= 80) {
+            budgetBar.add_css_class('warning');
+        }
+
+        const lines = [usage.period === 'monthly' ? _('Monthly budget') : _('Total budget')];
+        if (usage.budgetHours) {
+            lines.push(_('Hours: %s of %s h').format((usedSeconds / 3600).toFixed(1), usage.budgetHours));
+        }
+        if (usage.budgetAmount) {
+            const symbol = getCurrencySymbol(usage.currency);
+            lines.push(_('Amount: %s of %s').format(
+                `${symbol}${usage.usedAmount.toFixed(2)}`,
+                `${symbol}${Number(usage.budgetAmount).toFixed(2)}`
+            ));
+        }
+        budgetBar.get_parent()?.set_tooltip_text(lines.join('\n'));
+    }
+
+    /**
+     * Edit project budget: hours and/or money, total or per month (0 = none)
+     */
+    _showProjectExpensesDialog(projectId) {
+        const project = this.projects.find(p => p.id === projectId);
+        if (!project) return;
+
+        const dialog = new ExpenseDialog(this.parentWindow, this.coreBridge, project);
+        dialog.present(this.parentWindow);
+    }
+
+    _showProjectBudgetDialog(projectId) {
+        const project = this.projects.find(p => p.id === projectId);
+        if (!project) return;
+
+        const dialog = new Adw.AlertDialog({
+            heading: _('Budget and Target - {name}').replace('{name}', project.name),
+            body: _('Get a notification when tracked time or earnings reach the budget. Use 0 for no limit.'),
+        });
+
+        const list = new Gtk.ListBox({
+            css_classes: ['boxed-list'],
+            selection_mode: Gtk.SelectionMode.NONE,
+        });
+
+        const hoursSpin = new Gtk.SpinButton({ valign: Gtk.Align.CENTER, digits: 1 });
+        hoursSpin.set_range(0, 100000);
+        hoursSpin.set_increments(1, 10);
+        hoursSpin.set_value(project.budget_hours || 0);
+        const hoursRow = new Adw.ActionRow({ title: _('Hours') });
+        hoursRow.add_suffix(hoursSpin);
+
+        const amountSpin = new Gtk.SpinButton({ valign: Gtk.Align.CENTER, digits: 2 });
+        amountSpin.set_range(0, 100000000);
+        amountSpin.set_increments(10, 100);
+        amountSpin.set_value(project.budget_amount || 0);
+        const amountRow = new Adw.ActionRow({
+            title: _('Amount'),
+            subtitle: _('Billable time at the project rate'),
+        });
+        amountRow.add_suffix(amountSpin);
+
+        const periodRow = new Adw.ComboRow({
+            title: _('Period'),
+            model: Gtk.StringList.new([_('Whole project'), _('Every month')]),
+            selected: project.budget_period === 'monthly' ? 1 : 0,
+        });
+
+        // Weekly hour target, independent of the budget period
+        const targetSpin = new Gtk.SpinButton({ valign: Gtk.Align.CENTER, digits: 1 });
+        targetSpin.set_range(0, 168);
+        targetSpin.set_increments(0.5, 5);
+        targetSpin.set_value(project.target_hours || 0);
+        const targetRow = new Adw.ActionRow({
+            title: _('Weekly Target'),
+            subtitle: _('Hours to track on this project per week'),
+        });
+        targetRow.add_suffix(targetSpin);
+
+        list.append(hoursRow);
+        list.append(amountRow);
+        list.append(periodRow);
+        list.append(targetRow);
+
+        dialog.set_extra_child(list);
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('save', _('Save Changes'));
+        dialog.set_response_appearance('save', Adw.ResponseAppearance.SUGGESTED);
+
+        dialog.connect('response', async (dialog, response) => {
+            if (response !== 'save') return;
+
+            const hours = hoursSpin.get_value();
+            const amount = amountSpin.get_value();
+            const target = targetSpin.get_value();
+            try {
+                await this.coreBridge.updateProject(project.id, {
+                    budget_hours: hours > 0 ? hours : null,
+                    budget_amount: amount > 0 ? amount : null,
+                    budget_period: periodRow.get_selected() === 1 ? 'monthly' : 'total',
+                    target_hours: target > 0 ? target : null,
+                });
+            } catch (error) {
+                console.error('[ProjectsPage] Error updating project budget:', error);
+            }
+        });
+
+        dialog.present(this.parentWindow);
+    }
+
     /**
      * Update existing project row data without recreating widgets
      */
@@ -788,6 +1132,29 @@ export class ProjectsPage {
             this.projectTimeLabels.set(project.id, timeLabel);
         }
 
+        // Update billable default
+        const billableCheck = this.projectBillableChecks.get(project.id);
+        if (billableCheck && billableCheck.get_active() !== (project.billable !== 0)) {
+            this._isUpdatingBillable = true;
+            billableCheck.set_active(project.billable !== 0);
+            this._isUpdatingBillable = false;
+        }
+
+        // Update rate override
+        const rateLabel = this.projectRateLabels.get(project.id);
+        if (rateLabel) {
+            this._setRateLabel(rateLabel, project);
+        }
+
+        // Update rounding rule
+        const roundingButton = this.projectRoundingButtons.get(project.id);
+        if (roundingButton) {
+            this._setRoundingButton(roundingButton, project);
+        }
+
+        // Update budget progress
+        this._updateBudgetBar(project.id);
+
         // Update settings button icon and color (first child)
         const settingsButton = mainBox.get_first_child();
         if (settingsButton && settingsButton instanceof Gtk.Button) {
@@ -985,8 +1352,83 @@ export class ProjectsPage {
         // Store time label reference for real-time updates
         this.projectTimeLabels.set(project.id, timeLabel);
 
+        // Billable default (tasks and time entries can override it)
+        const billableCheck = new Gtk.CheckButton({
+            label: _('Billable'),
+            active: project.billable !== 0,
+            valign: Gtk.Align.CENTER,
+            tooltip_text: _('Time in this project is billable unless a task or time entry overrides it'),
+        });
+        billableCheck.connect('toggled', async () => {
+            if (this._isUpdatingBillable) return;
+            try {
+                await this.coreBridge.updateProject(project.id, {
+                    billable: billableCheck.get_active(),
+                });
+            } catch (error) {
+                console.error('[ProjectsPage] Error updating project billable flag:', error);
+            }
+        });
+        this.projectBillableChecks.set(project.id, billableCheck);
+
+        // Hourly rate override (empty = client rate)
+        const rateLabel = new Gtk.Label({
+            css_classes: ['price-value-display', 'monospace'],
+            halign: Gtk.Align.CENTER,
+            valign: Gtk.Align.CENTER,
+        });
+        this._setRateLabel(rateLabel, project);
+        const rateButton = new Gtk.Button({
+            child: rateLabel,
+            css_classes: ['flat', 'price-value-button'],
+            valign: Gtk.Align.CENTER,
+            width_request: 100,
+            tooltip_text: _('Hourly rate for this project, overrides the client rate'),
+        });
+        rateButton.connect('clicked', () => this._showProjectRateDialog(project.id));
+        this.projectRateLabels.set(project.id, rateLabel);
+
+        // Billing time rounding (empty = client rule)
+        const roundingButton = new Gtk.Button({
+            icon_name: 'preferences-system-time-symbolic',
+            css_classes: ['flat'],
+            valign: Gtk.Align.CENTER,
+        });
+        this._setRoundingButton(roundingButton, project);
+        roundingButton.connect('clicked', () => this._showProjectRoundingDialog(project.id));
+        this.projectRoundingButtons.set(project.id, roundingButton);
+
+        // Budget progress (click to edit budget)
+        const budgetBar = new Gtk.ProgressBar({
+            show_text: true,
+            valign: Gtk.Align.CENTER,
+            width_request: 90,
+        });
+        const budgetButton = new Gtk.Button({
+            child: budgetBar,
+            css_classes: ['flat'],
+            valign: Gtk.Align.CENTER,
+        });
+        budgetButton.connect('clicked', () => this._showProjectBudgetDialog(project.id));
+        this.projectBudgetBars.set(project.id, budgetBar);
+        this._updateBudgetBar(project.id);
+
         mainBox.append(settingsButton);
         mainBox.append(nameLabel);
+        mainBox.append(billableCheck);
+        mainBox.append(rateButton);
+        // Expenses of the project (licenses, travel)
+        const expensesButton = new Gtk.Button({
+            icon_name: 'accessories-calculator-symbolic',
+            css_classes: ['flat'],
+            valign: Gtk.Align.CENTER,
+            tooltip_text: _('Expenses'),
+        });
+        expensesButton.connect('clicked', () => this._showProjectExpensesDialog(project.id));
+
+        mainBox.append(roundingButton);
+        mainBox.append(expensesButton);
+        mainBox.append(budgetButton);
         mainBox.append(timeLabel);
 
         row.set_child(mainBox);
@@ -1194,9 +1636,6 @@ export class ProjectsPage {
         dialog.connect('response', async (dialog, response) => {
             if (response === 'delete') {
                 try {
-                    // Save project data for undo
-                    const deletedProjects = this.projects.filter(p => idsToDelete.includes(p.id));
-
                     // Delete via Core
                     await this.coreBridge.deleteMultipleProjects(idsToDelete);
 
@@ -1215,21 +1654,7 @@ export class ProjectsPage {
                         : _(`${idsToDelete.length} projects deleted`);
 
                     if (this.parentWindow && this.parentWindow.showToastWithAction) {
-                        this.parentWindow.showToastWithAction(message, _('Undo'), async () => {
-                            // Restore deleted projects
-                            for (const project of deletedProjects) {
-                                await this.coreBridge.createProject({
-                                    name: project.name,
-                                    color: project.color,
-                                    icon: project.icon,
-                                    client_id: project.client_id,
-                                    dark_icons: project.dark_icons,
-                                    icon_color: project.icon_color,
-                                    icon_color_mode: project.icon_color_mode,
-                                });
-                            }
-                            await this.loadProjects();
-                        });
+                        this.parentWindow.showToastWithAction(message, _('Undo'), () => this.parentWindow.undoLastChange());
                     }
                 } catch (error) {
                     console.error('[ProjectsPage] Error deleting projects:', error);
@@ -1452,6 +1877,10 @@ export class ProjectsPage {
 
         // Clear Maps to release widget references
         this.projectTimeLabels.clear();
+        this.projectBillableChecks.clear();
+        this.projectRateLabels.clear();
+        this.projectRoundingButtons.clear();
+        this.projectBudgetBars.clear();
         this.selectedProjects.clear();
 
         // Clear arrays
@@ -1485,6 +1914,10 @@ export class ProjectsPage {
         
         // Clear time labels map (UI state, not data)
         this.projectTimeLabels.clear();
+        this.projectBillableChecks.clear();
+        this.projectRateLabels.clear();
+        this.projectRoundingButtons.clear();
+        this.projectBudgetBars.clear();
         
         // Clear project rows map (UI state, not data)
         this.projectRowMap.clear();
@@ -2,12 +2,18 @@ import Gtk from 'gi://Gtk';
 import Adw from 'gi://Adw?version=1';
 import Gdk from 'gi://Gdk';
 import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
 import { AdvancedTrackingWidget } from 'resource:///com/odnoyko/valot/ui/components/complex/AdvancedTrackingWidget.js';
 import { TaskRowTemplate } from 'resource:///com/odnoyko/valot/ui/components/complex/TaskRowTemplate.js';
 import { TaskStackTemplate } from 'resource:///com/odnoyko/valot/ui/components/complex/TaskStackTemplate.js';
 import { getCurrencySymbol } from 'resource:///com/odnoyko/valot/data/currencies.js';
 import { ReportExporter } from 'resource:///com/odnoyko/valot/ui/utils/export/reportExporter.js';
 import { PDFExportPreferencesDialog } from 'resource:///com/odnoyko/valot/ui/components/dialogs/PDFExportPreferencesDialog.js';
+import { CSVExportDialog } from 'resource:///com/odnoyko/valot/ui/components/dialogs/CSVExportDialog.js';
+import { WorkScheduleDialog } from 'resource:///com/odnoyko/valot/ui/components/dialogs/WorkScheduleDialog.js';
+import { InvoiceDialog } from 'resource:///com/odnoyko/valot/ui/components/dialogs/InvoiceDialog.js';
+import { TimeUtils } from 'resource:///com/odnoyko/valot/ui/utils/timeUtils.js';
+import { Config } from 'resource:///com/odnoyko/valot/config.js';
 
 /**
  * Reports Page - Restored UI from main branch
@@ -24,6 +30,7 @@ export class ReportsPage {
             period: 'week',
             projectId: null,
             clientId: null,
+            tagId: null,
             customDateRange: null // {fromDate, toDate}
         };
 
@@ -31,6 +38,7 @@ export class ReportsPage {
         this.allTasks = [];
         this.allProjects = [];
         this.allClients = [];
+        this.allTags = [];
 
         // Store event handler references for cleanup
         this._eventHandlers = {};
@@ -74,17 +82,18 @@ export class ReportsPage {
                 // But only if _currentDateRange is already set (page loaded)
                 // Otherwise, check will happen in _updateStatistics after date range is calculated
                 if (data && data.startTime && this._currentDateRange) {
+                    await this._cacheTrackingEntryTags(data.timeEntryId);
                     this._checkIfTrackingMatchesFilters(data);
                 } else {
                     // If date range not set yet, will be checked in _updateStatistics
                     this._isTrackingInPeriod = false;
                 }
                 
-                // Cache client info for real-time income calculations (only if matches filters)
-                if (this._isTrackingInPeriod && data && data.clientId) {
-                    await this._cacheTrackingClientFromData(data.clientId);
+                // Cache effective rate for real-time income calculations (only if matches filters)
+                if (this._isTrackingInPeriod && data && data.taskInstanceId) {
+                    await this._cacheTrackingRateFromData(data.taskInstanceId);
                 } else {
-                    this._cachedTrackingClient = null;
+                    this._cachedTrackingRate = null;
                 }
                 
                 // COPIED FROM TasksPage: Save base time when tracking starts (prevents accumulation)
@@ -168,13 +177,14 @@ export class ReportsPage {
             try {
                 // Clear tracking state
                 this._isTrackingInPeriod = false;
-                this._cachedTrackingClient = null;
+                this._cachedTrackingRate = null;
 
                 // Clean up realtime earnings Map cache
                 if (this._realtimeEarningsMap) {
                     this._realtimeEarningsMap.clear();
                     this._realtimeEarningsMap = null;
                 }
+                this._realtimeTaxMap = null;
 
                 // Clean up currency cache arrays
                 this._cachedCurrentCurrencies = null;
@@ -376,14 +386,15 @@ export class ReportsPage {
                         clientId: data.clientId !== undefined ? data.clientId : trackingState.currentClientId
                     });
                     
-                    // If client changed and still matches filters - update currency cache
-                    if (data.clientId !== undefined && this._isTrackingInPeriod) {
-                        this._cacheTrackingClientFromData(data.clientId).then(() => {
+                    // If project/client changed and still matches filters - update rate and currency cache
+                    if (this._isTrackingInPeriod) {
+                        this._cacheTrackingRateFromData(trackingState.currentTaskInstanceId).then(() => {
                             // Clear realtime earnings map to force recalculation with new currency
                             if (this._realtimeEarningsMap) {
                                 this._realtimeEarningsMap.clear();
                                 this._realtimeEarningsMap = null;
                             }
+                            this._realtimeTaxMap = null;
                             // Update earnings with new currency (only if still matches filters)
                             if (this._isTrackingInPeriod) {
                                 this._updateStatisticsRealtimeFromData(data);
@@ -529,6 +540,31 @@ export class ReportsPage {
             }
         };
 
+        // Tags changed - reload tag filter and breakdown
+        this._eventHandlers['tags-assigned'] = () => this.loadReports();
+        this._eventHandlers['tag-created'] = () => this.loadReports();
+        this._eventHandlers['tag-updated'] = () => this.loadReports();
+        this._eventHandlers['tag-deleted'] = () => this.loadReports();
+
+        // Hour targets are recalculated by Core while tracking
+        this._eventHandlers['target-progress-updated'] = (progress) => this._updateTargetProgress(progress);
+
+        // Work schedule or absences changed - recalculate overtime
+        this._eventHandlers['work-schedule-updated'] = () => this._updateOvertime();
+        this._eventHandlers['absence-created'] = () => this._updateOvertime();
+        this._eventHandlers['absence-deleted'] = () => this._updateOvertime();
+
+        // Exchange rates or base currency changed - reconvert totals
+        this._eventHandlers['exchange-rate-created'] = () => this.loadReports();
+        this._eventHandlers['exchange-rate-updated'] = () => this.loadReports();
+        this._eventHandlers['exchange-rate-deleted'] = () => this.loadReports();
+        this._eventHandlers['base-currency-changed'] = () => this.loadReports();
+
+        // Expenses changed - update totals and export data
+        this._eventHandlers['expense-created'] = () => this.loadReports();
+        this._eventHandlers['expense-updated'] = () => this.loadReports();
+        this._eventHandlers['expense-deleted'] = () => this.loadReports();
+
         // Memory cleanup events disabled - cleanup happens in destroy(), not periodically
         // this._eventHandlers['memory-cleanup-ui'] = () => {
         //     this._cleanupUnusedUI();
@@ -662,6 +698,7 @@ export class ReportsPage {
         this.allTasks = [];
         this.allProjects = [];
         this.allClients = [];
+        this.allTags = [];
 
         // Clear currency carousel pages map
         if (this._currencyCarouselPages) {
@@ -736,9 +773,12 @@ export class ReportsPage {
         this._currentDateRange = null;
         this._currentTaskInstanceIds = null;
         this._isTrackingInPeriod = false;
+        this._trackingEntryTagIds = [];
         this._cachedStatsTotal = 0;
         this._cachedEarningsByCurrency = new Map();
-        this._cachedTrackingClient = null;
+        this._cachedTaxByCurrency = new Map();
+        this._cachedBaseTotals = null;
+        this._cachedTrackingRate = null;
         
         // CRITICAL: Refresh tracking widget to ensure it's synchronized with current tracking state
         // This updates time display and restores subscriptions if needed
@@ -854,6 +894,28 @@ export class ReportsPage {
         });
         headerBar.pack_start(pdfExportBtn);
 
+        // CSV Export button
+        const csvExportBtn = new Gtk.Button({
+            icon_name: 'x-office-spreadsheet-symbolic',
+            tooltip_text: _('Export CSV'),
+            css_classes: ['flat'],
+        });
+        csvExportBtn.connect('clicked', () => {
+            this._exportCSV();
+        });
+        headerBar.pack_start(csvExportBtn);
+
+        // Invoice button
+        const invoiceBtn = new Gtk.Button({
+            icon_name: 'x-office-document-symbolic',
+            tooltip_text: _('Invoices'),
+            css_classes: ['flat'],
+        });
+        invoiceBtn.connect('clicked', () => {
+            this._openInvoices();
+        });
+        headerBar.pack_start(invoiceBtn);
+
         // Tracking widget (title area)
         this.trackingWidget = new AdvancedTrackingWidget(this.coreBridge, this.parentWindow);
         headerBar.set_title_widget(this.trackingWidget.getWidget());
@@ -916,6 +978,18 @@ export class ReportsPage {
         const statsSection = this._createSummaryStatistics();
         mainBox.append(statsSection);
 
+        // Hour targets (today, this week, projects)
+        const targetsSection = this._createTargetProgress();
+        mainBox.append(targetsSection);
+
+        // Overtime balance against the work schedule
+        const overtimeSection = this._createOvertimeSection();
+        mainBox.append(overtimeSection);
+
+        // Per-tag breakdown
+        const tagsSection = this._createTagBreakdown();
+        mainBox.append(tagsSection);
+
         // Recent tasks list
         const tasksSection = this._createRecentTasksList();
         mainBox.append(tasksSection);
@@ -993,9 +1067,15 @@ export class ReportsPage {
             tooltip_text: _('Filter by client'),
         });
 
+        // Tag filter dropdown
+        this.tagFilter = new Gtk.DropDown({
+            tooltip_text: _('Filter by tag'),
+        });
+
         filtersBox.append(this.periodFilter);
         filtersBox.append(this.projectFilter);
         filtersBox.append(this.clientFilter);
+        filtersBox.append(this.tagFilter);
 
         // Custom date range buttons (hidden by default)
         this.customDateBox = new Gtk.Box({
@@ -1106,6 +1186,14 @@ export class ReportsPage {
         );
         this.trackedTasksLabel = trackedTasksCard.valueLabel;
 
+        // Completed pomodoros in period (per task in tooltip)
+        this.pomodoroLabel = new Gtk.Label({
+            label: '',
+            css_classes: ['caption', 'dim-label'],
+            visible: false,
+        });
+        trackedTasksCard.contentBox.append(this.pomodoroLabel);
+
         statsBox.append(totalTimeCard.card);
         statsBox.append(activeProjectsCard.card);
         statsBox.append(earningsCard);
@@ -1304,8 +1392,30 @@ export class ReportsPage {
             css_classes: ['caption'],
         });
 
+        // Billable / non-billable split (earnings count billable time only)
+        this.billableSplitLabel = new Gtk.Label({
+            label: '',
+            css_classes: ['caption', 'dim-label'],
+            tooltip_text: _('Earnings include billable time only'),
+        });
+
+        // Total of all currencies in the base currency (set by _updateBaseTotal)
+        this.baseTotalLabel = new Gtk.Label({
+            css_classes: ['caption', 'dim-label'],
+            visible: false,
+        });
+
         contentBox.append(carouselContainer);
         contentBox.append(descLabel);
+        // Expenses in the period (set by _updateExpenses)
+        this.expensesLabel = new Gtk.Label({
+            css_classes: ['caption', 'dim-label'],
+            visible: false,
+        });
+
+        contentBox.append(this.billableSplitLabel);
+        contentBox.append(this.baseTotalLabel);
+        contentBox.append(this.expensesLabel);
 
         card.append(contentBox);
 
@@ -1344,6 +1454,257 @@ export class ReportsPage {
         return group;
     }
 
+    /**
+     * Create hour target progress (hidden when no target is set)
+     */
+    _createTargetProgress() {
+        this.targetGroup = new Adw.PreferencesGroup({
+            title: _('Targets'),
+            description: _('Progress towards your hour targets'),
+            visible: false,
+        });
+
+        this.targetList = new Gtk.ListBox({
+            css_classes: ['boxed-list'],
+            selection_mode: Gtk.SelectionMode.NONE,
+        });
+
+        this.targetGroup.add(this.targetList);
+        return this.targetGroup;
+    }
+
+    /**
+     * Fill hour target progress, independent of the report filters
+     */
+    _updateTargetProgress(progress) {
+        if (!this.targetList) return;
+
+        let child = this.targetList.get_first_child();
+        while (child) {
+            const next = child.get_next_sibling();
+            this.targetList.remove(child);
+            child = next;
+        }
+
+        const targets = [];
+        if (progress?.day) targets.push({ title: _('Today'), ...progress.day });
+        if (progress?.week) targets.push({ title: _('This week'), ...progress.week });
+        (progress?.projects || []).forEach(project => {
+            targets.push({ title: _('%s (weekly)').format(project.projectName), ...project });
+        });
+
+        targets.forEach(target => {
+            const row = new Adw.ActionRow({
+                title: target.title,
+                subtitle: target.reached
+                    ? _('%s of %s, target reached').format(TimeUtils.formatHoursMinutes(target.tracked), TimeUtils.formatHoursMinutes(target.target))
+                    : _('%s of %s, %s left').format(TimeUtils.formatHoursMinutes(target.tracked),
+                        TimeUtils.formatHoursMinutes(target.target), TimeUtils.formatHoursMinutes(target.remaining)),
+            });
+            row.add_suffix(new Gtk.ProgressBar({
+                fraction: target.percent / 100,
+                text: `${target.percent}%`,
+                show_text: true,
+                width_request: 160,
+                valign: Gtk.Align.CENTER,
+            }));
+            this.targetList.append(row);
+        });
+
+        this.targetGroup.set_visible(targets.length > 0);
+    }
+
+    /**
+     * Create overtime balance section
+     */
+    _createOvertimeSection() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Overtime'),
+            description: _('Balance against your work schedule in the selected period'),
+        });
+
+        const buttonBox = new Gtk.Box({ spacing: 6 });
+
+        this.overtimeExportButton = new Gtk.Button({
+            icon_name: 'document-save-symbolic',
+            css_classes: ['flat'],
+            tooltip_text: _('Export Overtime (CSV)'),
+            sensitive: false,
+        });
+        this.overtimeExportButton.connect('clicked', () => this._exportOvertimeCSV());
+        buttonBox.append(this.overtimeExportButton);
+
+        const scheduleButton = new Gtk.Button({
+            icon_name: 'x-office-calendar-symbolic',
+            css_classes: ['flat'],
+            tooltip_text: _('Work Schedule and Absences'),
+        });
+        scheduleButton.connect('clicked', () => {
+            const dialog = new WorkScheduleDialog(this.parentWindow, this.coreBridge);
+            dialog.present(this.parentWindow);
+        });
+        buttonBox.append(scheduleButton);
+        group.set_header_suffix(buttonBox);
+
+        this.overtimeList = new Gtk.ListBox({
+            css_classes: ['boxed-list'],
+            selection_mode: Gtk.SelectionMode.NONE,
+        });
+        group.add(this.overtimeList);
+
+        return group;
+    }
+
+    /**
+     * Fill overtime balance for the current period (all tracked time, report filters don't apply)
+     */
+    async _updateOvertime() {
+        if (!this.overtimeList || !this.coreBridge) return;
+
+        let balance = null;
+        try {
+            if (this._currentDateRange) {
+                balance = await this.coreBridge.getOvertimeBalance(this._currentDateRange);
+            }
+        } catch (error) {
+            console.error('[ReportsPage] Error loading overtime balance:', error);
+        }
+
+        let child = this.overtimeList.get_first_child();
+        while (child) {
+            const next = child.get_next_sibling();
+            this.overtimeList.remove(child);
+            child = next;
+        }
+
+        this.overtimeExportButton.set_sensitive(!!balance?.hasSchedule);
+        if (!balance?.hasSchedule) {
+            this.overtimeList.append(new Adw.ActionRow({
+                title: _('No work schedule'),
+                subtitle: _('Set your expected hours per weekday to see overtime'),
+                sensitive: false,
+            }));
+            return;
+        }
+
+        const rows = [
+            { title: _('Expected'), value: TimeUtils.formatHoursMinutes(balance.expected) },
+            { title: _('Tracked'), value: TimeUtils.formatHoursMinutes(balance.tracked) },
+            { title: _('Absences'), value: TimeUtils.formatHoursMinutes(balance.credited) },
+        ];
+        rows.forEach(({ title, value }) => {
+            const row = new Adw.ActionRow({ title });
+            row.add_suffix(new Gtk.Label({ label: value, css_classes: ['monospace'] }));
+            this.overtimeList.append(row);
+        });
+
+        const sign = balance.balance < 0 ? '−' : '+';
+        const balanceRow = new Adw.ActionRow({
+            title: _('Balance'),
+            subtitle: balance.balance < 0 ? _('Undertime') : _('Overtime'),
+        });
+        balanceRow.add_suffix(new Gtk.Label({
+            label: sign + TimeUtils.formatHoursMinutes(Math.abs(balance.balance)),
+            css_classes: ['monospace', 'heading', balance.balance < 0 ? 'error' : 'success'],
+        }));
+        this.overtimeList.append(balanceRow);
+    }
+
+    /**
+     * Export overtime balance per day of the current period to CSV
+     */
+    async _exportOvertimeCSV() {
+        if (!this._currentDateRange || !this.coreBridge) return;
+
+        try {
+            const csv = await this.coreBridge.exportOvertimeToCSV(this._currentDateRange);
+
+            const dialog = new Gtk.FileDialog({
+                title: _('Export Overtime (CSV)'),
+            });
+            let initialDir = Config.getDocumentsDir();
+            if (!GLib.file_test(initialDir, GLib.FileTest.IS_DIR)) {
+                initialDir = GLib.get_home_dir();
+            }
+            dialog.set_initial_folder(Gio.File.new_for_path(initialDir));
+            const dateStr = GLib.DateTime.new_now_local().format('%Y-%m-%d');
+            dialog.set_initial_name(`Valot_Overtime_${dateStr}.csv`);
+
+            const file = await new Promise((resolve, reject) => {
+                dialog.save(this.parentWindow, null, (source, result) => {
+                    try {
+                        resolve(dialog.save_finish(result));
+                    } catch (error) {
+                        if (error.code === Gtk.DialogError.DISMISSED) {
+                            resolve(null);
+                        } else {
+                            reject(error);
+                        }
+                    }
+                });
+            });
+            if (!file) return;
+
+            file.replace_contents(new TextEncoder().encode(csv), null, false,
+                Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+            this.parentWindow?.showToast?.(_('Overtime saved to %s').format(file.get_basename()));
+        } catch (error) {
+            console.error('[ReportsPage] Error exporting overtime:', error);
+            this.parentWindow?.showToast?.(_('CSV export failed'));
+        }
+    }
+
+    /**
+     * Create per-tag time breakdown
+     */
+    _createTagBreakdown() {
+        this.tagBreakdownGroup = new Adw.PreferencesGroup({
+            title: _('Tags'),
+            description: _('Tracked time per tag in the selected period'),
+            visible: false,
+        });
+
+        this.tagBreakdownList = new Gtk.ListBox({
+            css_classes: ['boxed-list'],
+            selection_mode: Gtk.SelectionMode.NONE,
+        });
+
+        this.tagBreakdownGroup.add(this.tagBreakdownList);
+        return this.tagBreakdownGroup;
+    }
+
+    /**
+     * Fill per-tag breakdown (hidden when no tagged time)
+     * An entry with several tags counts for each of them
+     */
+    _updateTagBreakdown(rows, totalTime = 0) {
+        if (!this.tagBreakdownList) return;
+
+        let child = this.tagBreakdownList.get_first_child();
+        while (child) {
+            const next = child.get_next_sibling();
+            this.tagBreakdownList.remove(child);
+            child = next;
+        }
+
+        (rows || []).forEach(row => {
+            const time = row.total_time || 0;
+            const percentage = totalTime > 0 ? Math.round((time / totalTime) * 100) : 0;
+
+            const actionRow = new Adw.ActionRow({
+                title: row.name,
+                subtitle: _('%s of tracked time').format(`${percentage}%`),
+            });
+            actionRow.add_suffix(new Gtk.Label({
+                label: this._formatDuration(time),
+                css_classes: ['monospace'],
+            }));
+            this.tagBreakdownList.append(actionRow);
+        });
+
+        this.tagBreakdownGroup.set_visible((rows || []).length > 0);
+    }
+
     /**
      * Load reports data
      */
@@ -1363,8 +1724,12 @@ export class ReportsPage {
             const allClients = await this.coreBridge.getAllClients() || [];
             this.allClients = allClients.slice(-this._maxCacheSize);
 
+            this.allTags = await this.coreBridge.getAllTags() || [];
+
             // Initialize report exporter with current data
             this.reportExporter = new ReportExporter(this.allTasks, this.allProjects, this.allClients);
+            this.reportExporter.configureExchangeRates(this.coreBridge.getBaseCurrency(), await this.coreBridge.getExchangeRates());
+            this.reportExporter.configureExpenses(await this.coreBridge.getExpenses());
 
             // Update filters dropdowns
             this._updateFilterDropdowns();
@@ -1375,6 +1740,8 @@ export class ReportsPage {
             await this._updateReports().catch(error => {
                 console.error('[ReportsPage] Error updating reports from loadReports:', error);
             });
+
+            this._updateTargetProgress(this.coreBridge.getLastTargetProgress());
         } catch (error) {
             console.error('[ReportsPage] Error loading reports:', error);
         }
@@ -1423,6 +1790,33 @@ export class ReportsPage {
                 console.error('[ReportsPage] Error updating reports from client filter:', error);
             });
         });
+
+        // Tag filter (keep selection across reloads, tags can be created/deleted)
+        const tagModel = new Gtk.StringList();
+        tagModel.append(_('All Tags'));
+        this.allTags.forEach(tag => {
+            tagModel.append(tag.name);
+        });
+        this._isUpdatingTagFilter = true;
+        this.tagFilter.set_model(tagModel);
+        const tagIndex = this.allTags.findIndex(tag => tag.id === this.chartFilters.tagId);
+        if (tagIndex < 0) {
+            this.chartFilters.tagId = null;
+        }
+        this.tagFilter.set_selected(tagIndex < 0 ? 0 : tagIndex + 1);
+        this._isUpdatingTagFilter = false;
+
+        if (!this._tagFilterHandlerId) {
+            this._tagFilterHandlerId = this.tagFilter.connect('notify::selected', () => {
+                if (this._isUpdatingTagFilter) return;
+                const selected = this.tagFilter.get_selected();
+                this.chartFilters.tagId = selected === 0 ? null : this.allTags[selected - 1]?.id;
+
+                this._updateReports().catch(error => {
+                    console.error('[ReportsPage] Error updating reports from tag filter:', error);
+                });
+            });
+        }
     }
 
     /**
@@ -2246,6 +2640,14 @@ export class ReportsPage {
             // Only create new array if filtering is needed
             filtered = filtered.filter(t => t.client_id === this.chartFilters.clientId);
         }
+
+        // Step 2b: Filter by tag (on task instance or any of its time entries)
+        if (this.chartFilters.tagId) {
+            const tagId = this.chartFilters.tagId;
+            filtered = filtered.filter(t =>
+                (t.tag_ids || []).includes(tagId) || (t.entry_tag_ids || []).includes(tagId)
+            );
+        }
         
         // Step 3: CRITICAL: Filter by period using taskInstanceIds (from TimeEntry.end_time) if available
         // This ensures we use the same filtering logic as statistics
@@ -2648,11 +3050,16 @@ export class ReportsPage {
             this.activeProjectsLabel.set_label('0');
             this.trackedTasksLabel.set_label('0');
             this._updateCurrencyCarousel(new Map());
+            this._updateBillableSplit(0, 0);
+            this._updateTagBreakdown([]);
+            this._updatePomodoroStats(null);
             return;
         }
 
         // Store current date range for real-time updates
         this._currentDateRange = { startDate, endDate };
+        this._updateOvertime();
+        this._updateExpenses();
         
         // CRITICAL: Always reset task instance IDs at the start
         // This ensures we don't use stale filter values from previous calls
@@ -2678,7 +3085,10 @@ export class ReportsPage {
             }
             
             // Step 2: Get task IDs that have TimeEntry records in the selected period
-            const taskIdsInPeriod = await this.coreBridge.getTaskInstanceIdsForPeriod(this._currentDateRange);
+            const taskIdsInPeriod = await this.coreBridge.getTaskInstanceIdsForPeriod(
+                this._currentDateRange,
+                this.chartFilters.tagId
+            );
             const taskIdsInPeriodSet = new Set(taskIdsInPeriod);
             
             // Step 3: Intersect - only tasks that match project/client AND have entries in period
@@ -2692,13 +3102,18 @@ export class ReportsPage {
                 // No tasks match the filters - show zero statistics
                 this._cachedStatsTotal = 0;
                 this._cachedEarningsByCurrency = new Map();
+                this._cachedTaxByCurrency = new Map();
+                this._cachedBaseTotals = null;
                 this._isTrackingInPeriod = false;
-                this._cachedTrackingClient = null;
+                this._cachedTrackingRate = null;
                 
                 this.totalTimeLabel.set_label('00:00:00');
                 this.activeProjectsLabel.set_label('0');
                 this.trackedTasksLabel.set_label('0');
                 this._updateCurrencyCarousel(new Map());
+                this._updateBillableSplit(0, 0);
+                this._updateTagBreakdown([]);
+                this._updatePomodoroStats(null);
                 return;
             }
             
@@ -2706,7 +3121,10 @@ export class ReportsPage {
         } else {
             // CRITICAL: When no project/client filters, get ALL taskInstanceIds that have TimeEntry records in the period
             // This ensures Recent Tasks uses the same filtering logic as statistics (by TimeEntry.end_time, not last_used_at)
-            const allTaskIdsInPeriod = await this.coreBridge.getTaskInstanceIdsForPeriod(this._currentDateRange);
+            const allTaskIdsInPeriod = await this.coreBridge.getTaskInstanceIdsForPeriod(
+                this._currentDateRange,
+                this.chartFilters.tagId
+            );
             this._currentTaskInstanceIds = allTaskIdsInPeriod;
         }
 
@@ -2720,32 +3138,54 @@ export class ReportsPage {
         // Get statistics from Core (business logic)
         const stats = await this.coreBridge.getStatsForPeriod(
             this._currentDateRange,
-            taskInstanceIdsToPass
+            taskInstanceIdsToPass,
+            this.chartFilters.tagId
+        );
+
+        const tagBreakdown = await this.coreBridge.getTagBreakdownForPeriod(
+            this._currentDateRange,
+            taskInstanceIdsToPass,
+            this.chartFilters.tagId
+        );
+        this._updateTagBreakdown(tagBreakdown, stats.totalTime);
+
+        const pomodoroStats = await this.coreBridge.getPomodoroStatsForPeriod(
+            this._currentDateRange,
+            taskInstanceIdsToPass,
+            this.chartFilters.tagId
         );
+        this._updatePomodoroStats(pomodoroStats);
 
         // Cache the base stats total and earnings for real-time updates
         this._cachedStatsTotal = stats.totalTime;
         this._cachedEarningsByCurrency = stats.earningsByCurrency;
+        this._cachedTaxByCurrency = stats.taxByCurrency || new Map();
+        this._cachedBaseTotals = {
+            currency: stats.baseCurrency,
+            earnings: stats.baseEarnings,
+            unconverted: stats.unconvertedCurrencies,
+        };
         
         // CRITICAL: Re-check if current tracking matches filters after updating statistics
         // This ensures real-time updates work only if tracking matches current filters
         const trackingState = this.coreBridge ? this.coreBridge.getTrackingState() : null;
         if (trackingState && trackingState.isTracking && trackingState.startTime) {
+            await this._cacheTrackingEntryTags(trackingState.currentTimeEntryId);
             this._checkIfTrackingMatchesFilters({
                 startTime: trackingState.startTime,
                 projectId: trackingState.currentProjectId,
                 clientId: trackingState.currentClientId
             });
             
-            // Cache client info only if tracking matches filters
-            if (this._isTrackingInPeriod && trackingState.currentClientId) {
-                await this._cacheCurrentTrackingClient();
+            // Cache effective rate only if tracking matches filters
+            if (this._isTrackingInPeriod) {
+                await this._cacheCurrentTrackingRate();
             } else {
-                this._cachedTrackingClient = null;
+                this._cachedTrackingRate = null;
             }
         } else {
             this._isTrackingInPeriod = false;
-            this._cachedTrackingClient = null;
+            this._cachedTrackingRate = null;
         }
 
         // CRITICAL: Show only filtered time (completed entries matching filters)
@@ -2756,12 +3196,76 @@ export class ReportsPage {
         this.totalTimeLabel.set_label(this._formatDuration(displayTotal));
         this.activeProjectsLabel.set_label(stats.activeProjects.toString());
         this.trackedTasksLabel.set_label(stats.trackedTasks.toString());
+        this._updateBillableSplit(stats.billableTime, stats.nonBillableTime, stats.billedTime);
 
         // CRITICAL: Show only filtered earnings (completed entries matching filters)
         // Real-time tracking earnings will be added ONLY if tracking matches filters
         this._updateCurrencyCarousel(stats.earningsByCurrency);
     }
 
+    /**
+     * Update completed pomodoros under tracked tasks (hidden when there are none)
+     */
+    _updatePomodoroStats(pomodoroStats) {
+        if (!this.pomodoroLabel) return;
+        if (!pomodoroStats || pomodoroStats.total === 0) {
+            this.pomodoroLabel.set_visible(false);
+            return;
+        }
+
+        this.pomodoroLabel.set_label('🍅 ' + _('%d pomodoros').format(pomodoroStats.total));
+        this.pomodoroLabel.set_tooltip_text(pomodoroStats.byTask.slice(0, 10)
+            .map(row => `${row.task_name}: ${row.count}`)
+            .join('\n'));
+        this.pomodoroLabel.set_visible(true);
+    }
+
+    /**
+     * Expense totals per currency under earnings (period, project and client filters)
+     * Hidden when there are no expenses
+     */
+    async _updateExpenses() {
+        if (!this.expensesLabel || !this._currentDateRange) return;
+
+        try {
+            const totals = await this.coreBridge.getExpenseTotals({
+                projectId: this.chartFilters.projectId,
+                clientId: this.chartFilters.clientId,
+                dateRange: { start: this._currentDateRange.startDate, end: this._currentDateRange.endDate },
+            });
+            this.expensesLabel.set_visible(totals.size > 0);
+            if (totals.size === 0) return;
+
+            const format = (amount, currency) => `${getCurrencySymbol(currency)}${amount.toFixed(2)}`;
+            this.expensesLabel.set_label(_('Expenses %s').format(
+                [...totals].map(([currency, total]) => format(total.total, currency)).join(' · ')));
+            this.expensesLabel.set_tooltip_text(_('Billable: %s').format(
+                [...totals].map(([currency, total]) => format(total.billable, currency)).join(' · ')));
+        } catch (error) {
+            console.error('[ReportsPage] Failed to load expense totals:', error);
+        }
+    }
+
+    /**
+     * Update billable / non-billable split under earnings
+     * Billed time (rounding rules applied) is shown when it differs from raw billable time
+     */
+    _updateBillableSplit(billableTime, nonBillableTime, billedTime = billableTime) {
+        if (!this.billableSplitLabel) return;
+        if (billedTime !== undefined && billedTime !== billableTime) {
+            this.billableSplitLabel.set_label(_('Billable %s (billed %s) · Non-billable %s').format(
+                this._formatDuration(billableTime || 0),
+                this._formatDuration(billedTime || 0),
+                this._formatDuration(nonBillableTime || 0)
+            ));
+            return;
+        }
+        this.billableSplitLabel.set_label(_('Billable %s · Non-billable %s').format(
+            this._formatDuration(billableTime || 0),
+            this._formatDuration(nonBillableTime || 0)
+        ));
+    }
+
     /**
      * Update statistics in real-time (without full reload)
      * OPTIMIZED: NO getTrackingState() call, uses data from tracking-updated event
@@ -2789,44 +3293,59 @@ export class ReportsPage {
     }
 
     /**
-     * Cache current tracking task client info for real-time earnings updates
+     * Cache effective rate of current tracking task (task -> project -> client) for real-time earnings updates
      */
-    async _cacheCurrentTrackingClient() {
+    async _cacheCurrentTrackingRate() {
         const trackingState = this.coreBridge.getTrackingState();
 
         if (!trackingState.isTracking || !trackingState.currentTaskInstanceId) {
-            this._cachedTrackingClient = null;
+            this._cachedTrackingRate = null;
             return;
         }
 
         try {
-            const taskInstance = await this.coreBridge.getTaskInstance(trackingState.currentTaskInstanceId);
-            if (!taskInstance) {
-                this._cachedTrackingClient = null;
+            // Non-billable time earns nothing - skip real-time earnings
+            if (trackingState.currentTimeEntryId &&
+                !(await this.coreBridge.isTimeEntryBillable(trackingState.currentTimeEntryId))) {
+                this._cachedTrackingRate = null;
                 return;
             }
 
-            const client = await this.coreBridge.getClient(taskInstance.client_id);
-            this._cachedTrackingClient = client;
+            this._cachedTrackingRate = await this._getTrackingRateDetails(trackingState.currentTaskInstanceId);
         } catch (error) {
-            this._cachedTrackingClient = null;
+            this._cachedTrackingRate = null;
         }
     }
 
+    /**
+     * Effective rate of the tracked task instance with the tax rate of its client
+     * and today's exchange rate into the base currency (null = no rate)
+     */
+    async _getTrackingRateDetails(taskInstanceId) {
+        const rate = await this.coreBridge.getEffectiveRate(taskInstanceId);
+        if (!rate) return rate;
+
+        const trackingState = this.coreBridge.getTrackingState();
+        const tax = await this.coreBridge.getClientTax(trackingState.currentClientId);
+        const baseRate = await this.coreBridge.getExchangeRate(rate.currency,
+            GLib.DateTime.new_now_local().format('%Y-%m-%d'));
+        return { ...rate, taxRate: tax.rate, baseRate };
+    }
+
     /**
      * Update currency earnings in real-time
      * Calculates current task earnings and adds to cached base
      * OPTIMIZED: Reuse Map instead of creating new one every second
-     * NO getTrackingState() call - uses cached client data
+     * NO getTrackingState() call - uses cached rate data
      */
     _updateCurrencyEarningsRealtimeFromData(currentElapsed) {
         if (!this._cachedEarningsByCurrency) return;
-        if (!this._cachedTrackingClient || !this._cachedTrackingClient.rate) return;
+        if (!this._cachedTrackingRate || !this._cachedTrackingRate.rate) return;
 
         // Calculate current earnings for this tracking session
         const hoursElapsed = currentElapsed / 3600;
-        const currentEarnings = hoursElapsed * this._cachedTrackingClient.rate;
-        const currency = this._cachedTrackingClient.currency || 'USD';
+        const currentEarnings = hoursElapsed * this._cachedTrackingRate.rate;
+        const currency = this._cachedTrackingRate.currency || 'EUR';
 
         // CRITICAL FIX: Reuse Map - update directly instead of cloning
         // Cache base amount if not already cached
@@ -2841,8 +3360,20 @@ export class ReportsPage {
         // Update reused Map with calculated total
         this._realtimeEarningsMap.set(currency, baseAmount + currentEarnings);
 
+        // Tax of the running session at the rate of its client
+        if (!this._realtimeTaxMap) {
+            this._realtimeTaxMap = new Map(this._cachedTaxByCurrency || []);
+        }
+        const baseTax = this._cachedTaxByCurrency?.get(currency) || 0;
+        this._realtimeTaxMap.set(currency, baseTax + currentEarnings * (this._cachedTrackingRate.taxRate || 0) / 100);
+
+        // Base currency total, the session only counts when its currency has a rate
+        const baseEarnings = this._cachedBaseTotals
+            ? this._cachedBaseTotals.earnings + currentEarnings * (this._cachedTrackingRate.baseRate ?? 0)
+            : undefined;
+
         // Update carousel with real-time values (pass reused Map)
-        this._updateCurrencyCarousel(this._realtimeEarningsMap);
+        this._updateCurrencyCarousel(this._realtimeEarningsMap, this._realtimeTaxMap, baseEarnings);
     }
 
     /**
@@ -2922,6 +3453,17 @@ export class ReportsPage {
                 }
             }
             
+            // Check 4: Tag filter - tracked task instance or its current time entry must carry the tag
+            if (this.chartFilters.tagId !== null) {
+                const trackedTask = this.allTasks.find(t => t.id === trackingState.currentTaskInstanceId);
+                const hasTag = (trackedTask?.tag_ids || []).includes(this.chartFilters.tagId) ||
+                    (this._trackingEntryTagIds || []).includes(this.chartFilters.tagId);
+                if (!hasTag) {
+                    this._isTrackingInPeriod = false;
+                    return;
+                }
+            }
+            
             // All filters passed - tracking matches
             this._isTrackingInPeriod = true;
         } catch (error) {
@@ -2930,6 +3472,21 @@ export class ReportsPage {
         }
     }
     
+    /**
+     * Cache own tags of the tracked time entry for the tag filter check
+     */
+    async _cacheTrackingEntryTags(timeEntryId) {
+        this._trackingEntryTagIds = [];
+        if (!timeEntryId || this.chartFilters.tagId === null) return;
+
+        try {
+            const tags = await this.coreBridge.getTimeEntryTags(timeEntryId);
+            this._trackingEntryTagIds = (tags || []).map(tag => tag.id);
+        } catch (error) {
+            console.error('[ReportsPage] Error loading tracked entry tags:', error);
+        }
+    }
+
     /**
      * Check if tracking start time is in current period filter (legacy method, kept for compatibility)
      */
@@ -2944,21 +3501,27 @@ export class ReportsPage {
     }
     
     /**
-     * Cache tracking client info for real-time income calculations
-     * NO getTrackingState() call - uses data from event
+     * Cache tracking task effective rate for real-time income calculations
      */
-    async _cacheTrackingClientFromData(clientId) {
-        if (!clientId) {
-            this._cachedTrackingClient = null;
+    async _cacheTrackingRateFromData(taskInstanceId) {
+        if (!taskInstanceId) {
+            this._cachedTrackingRate = null;
             return;
         }
         
         try {
-            const client = await this.coreBridge.getClient(clientId);
-            this._cachedTrackingClient = client;
+            // Non-billable time earns nothing - skip real-time earnings
+            const trackingState = this.coreBridge.getTrackingState();
+            if (trackingState.currentTimeEntryId &&
+                !(await this.coreBridge.isTimeEntryBillable(trackingState.currentTimeEntryId))) {
+                this._cachedTrackingRate = null;
+                return;
+            }
+
+            this._cachedTrackingRate = await this._getTrackingRateDetails(taskInstanceId);
         } catch (error) {
-            console.error('[ReportsPage] Error caching tracking client:', error);
-            this._cachedTrackingClient = null;
+            console.error('[ReportsPage] Error caching tracking rate:', error);
+            this._cachedTrackingRate = null;
         }
     }
 
@@ -2974,9 +3537,12 @@ export class ReportsPage {
     }
 
     /**
-     * Update currency carousel with earnings
+     * Update currency carousel with earnings (net) and their tax
      */
-    _updateCurrencyCarousel(currencyTotals) {
+    _updateCurrencyCarousel(currencyTotals, taxTotals = this._cachedTaxByCurrency, baseEarnings = this._cachedBaseTotals?.earnings) {
+        this._carouselTaxTotals = taxTotals || new Map();
+        this._updateBaseTotal(currencyTotals, baseEarnings);
+
         // Try to update existing carousel labels first (no flicker)
         if (this._updateCurrencyCarouselLabels(currencyTotals)) {
             return; // Successfully updated existing labels
@@ -2986,6 +3552,39 @@ export class ReportsPage {
         this._rebuildCurrencyCarousel(currencyTotals);
     }
 
+    /**
+     * Earnings of all currencies converted into the base currency
+     * Hidden when all earnings are in the base currency already
+     */
+    _updateBaseTotal(currencyTotals, baseEarnings) {
+        const base = this._cachedBaseTotals;
+        const foreign = [...currencyTotals.keys()]
+            .filter(currency => currency !== base?.currency && currencyTotals.get(currency) > 0);
+        this.baseTotalLabel.set_visible(Boolean(base) && foreign.length > 0);
+        if (!base || foreign.length === 0) return;
+
+        let text = _('All currencies: %s %s').format((baseEarnings || 0).toFixed(2), base.currency);
+        if (base.unconverted.length > 0) {
+            text += ' *';
+            this.baseTotalLabel.set_tooltip_text(
+                _('Without %s: no exchange rate, add one in Preferences → Clients').format(base.unconverted.join(', ')));
+        } else {
+            this.baseTotalLabel.set_tooltip_text(_('Converted with the exchange rates valid on each day'));
+        }
+        this.baseTotalLabel.set_label(text);
+    }
+
+    /**
+     * Tax and gross under the net amount, hidden when there is no tax
+     */
+    _updateCurrencyTaxLabel(taxLabel, net, currency) {
+        const tax = this._carouselTaxTotals?.get(currency) || 0;
+        taxLabel.set_visible(tax > 0);
+        if (tax > 0) {
+            taxLabel.set_label(_('Tax %s · Gross %s').format(tax.toFixed(2), (net + tax).toFixed(2)));
+        }
+    }
+
     /**
      * Update existing carousel labels without rebuilding (prevents flicker)
      * Returns true if successful, false if rebuild needed
@@ -3016,6 +3615,7 @@ export class ReportsPage {
         for (const [currency, amountLabel] of this._currencyCarouselPages) {
             const amount = currencyTotals.get(currency) || 0;
             amountLabel.set_label(amount.toFixed(2));
+            this._updateCurrencyTaxLabel(this._currencyTaxLabels.get(currency), amount, currency);
         }
 
         return true;
@@ -3032,26 +3632,30 @@ export class ReportsPage {
 
         // Track carousel pages for updates
         this._currencyCarouselPages = new Map();
+        this._currencyTaxLabels = new Map();
 
         if (!currencyTotals || currencyTotals.size === 0) {
             // Show 0.00 if no earnings
-            const { box, amountLabel } = this._createCurrencyBox('0.00', 'USD');
+            const { box, amountLabel, taxLabel } = this._createCurrencyBox('0.00', 'USD');
             this.currencyCarousel.append(box);
             this._currencyCarouselPages.set('USD', amountLabel);
+            this._currencyTaxLabels.set('USD', taxLabel);
         } else {
             // Add a page for each currency to carousel
             for (const [currency, amount] of currencyTotals) {
                 const formattedAmount = amount.toFixed(2);
-                const { box, amountLabel } = this._createCurrencyBox(formattedAmount, currency);
+                const { box, amountLabel, taxLabel } = this._createCurrencyBox(formattedAmount, currency);
                 this.currencyCarousel.append(box);
                 this._currencyCarouselPages.set(currency, amountLabel);
+                this._currencyTaxLabels.set(currency, taxLabel);
+                this._updateCurrencyTaxLabel(taxLabel, amount, currency);
             }
         }
     }
 
     /**
      * Create currency display box for carousel
-     * Returns object with box and amountLabel reference for updates
+     * Returns object with box, amountLabel and taxLabel references for updates
      */
     _createCurrencyBox(amount, currency) {
         const box = new Gtk.Box({
@@ -3077,11 +3681,18 @@ export class ReportsPage {
             css_classes: ['caption'],
         });
 
+        // Tax and gross, set by _updateCurrencyTaxLabel
+        const taxLabel = new Gtk.Label({
+            css_classes: ['caption', 'dim-label'],
+            visible: false,
+        });
+
         box.append(symbolLabel);
         box.append(amountLabel);
         box.append(currencyLabel);
+        box.append(taxLabel);
 
-        return { box, amountLabel };
+        return { box, amountLabel, taxLabel };
     }
 
     /**
@@ -3113,7 +3724,7 @@ export class ReportsPage {
             group.totalDuration += taskInstance.total_time || 0;
 
             // Calculate cost for this task instance
-            const instanceCost = (taskInstance.total_time / 3600) * (taskInstance.client_rate || 0);
+            const instanceCost = (taskInstance.total_time / 3600) * (taskInstance.effective_rate || 0);
             group.totalCost += instanceCost;
 
             // Keep track of the most recently used task
@@ -3379,7 +3990,7 @@ export class ReportsPage {
                         if (!isAlreadyInGroup) {
                             matchingGroup.tasks.push(trackedTask);
                             matchingGroup.totalDuration += trackedTask.total_time || 0;
-                            const instanceCost = (trackedTask.total_time / 3600) * (trackedTask.client_rate || 0);
+                            const instanceCost = (trackedTask.total_time / 3600) * (trackedTask.effective_rate || 0);
                             matchingGroup.totalCost += instanceCost;
                         }
                         trackedGroup = matchingGroup;
@@ -3391,7 +4002,7 @@ export class ReportsPage {
                             baseName: trackedTask.task_name,
                             tasks: [trackedTask],
                             totalDuration: trackedTask.total_time || 0,
-                            totalCost: (trackedTask.total_time / 3600) * (trackedTask.client_rate || 0),
+                            totalCost: (trackedTask.total_time / 3600) * (trackedTask.effective_rate || 0),
                             latestTask: trackedTask
                         };
                         taskGroups.unshift(trackedGroup);
@@ -3543,7 +4154,7 @@ export class ReportsPage {
      * Old format: { start, duration, task_name, project_id, client_id }
      * Each TaskInstance (stack) = 1 task unit
      */
-    _prepareExportData() {
+    _prepareExportData(billedTimes = new Map()) {
         const exportTasks = [];
 
         // Convert each task instance to old task format
@@ -3557,7 +4168,12 @@ export class ReportsPage {
                 project_id: taskInstance.project_id || 1,
                 client_id: taskInstance.client_id || 1,
                 id: taskInstance.id,
-                task_instance_id: taskInstance.id
+                task_instance_id: taskInstance.id,
+                descriptions: taskInstance.entry_descriptions || '',
+                billable_duration: taskInstance.billable_time || 0,
+                billed_duration: billedTimes.get(taskInstance.id) ?? taskInstance.billable_time ?? 0, // rounded
+                rate: taskInstance.effective_rate || 0,       // task -> project -> client
+                currency: taskInstance.effective_currency || null
             });
         });
 
@@ -3575,7 +4191,8 @@ export class ReportsPage {
 
         try {
             // Convert data to old format for PDF export
-            const exportTasks = this._prepareExportData();
+            const billedTimes = await this.coreBridge.getBilledTimes();
+            const exportTasks = this._prepareExportData(billedTimes);
 
             // Update report exporter with converted data
             this.reportExporter.tasks = exportTasks;
@@ -3594,6 +4211,49 @@ export class ReportsPage {
         }
     }
 
+    /**
+     * Open invoices, a new invoice starts with the client filter and period of the report
+     */
+    _openInvoices() {
+        const defaults = { clientId: this.chartFilters.clientId || null };
+        if (this._currentDateRange) {
+            const { startDate, endDate } = this._currentDateRange;
+            defaults.startDate = new Date(startDate.to_unix() * 1000);
+            defaults.endDate = new Date(endDate.to_unix() * 1000);
+        }
+
+        const dialog = new InvoiceDialog(this.parentWindow, this.coreBridge, defaults);
+        dialog.present(this.parentWindow);
+    }
+
+    /**
+     * Open CSV export dialog for the entries matching the current filters
+     */
+    _exportCSV() {
+        try {
+            const reportOptions = {
+                projectIds: this.chartFilters.projectId ? [this.chartFilters.projectId] : [],
+                clientIds: this.chartFilters.clientId ? [this.chartFilters.clientId] : [],
+                tagIds: this.chartFilters.tagId ? [this.chartFilters.tagId] : [],
+            };
+            if (this._currentDateRange) {
+                const { startDate, endDate } = this._currentDateRange;
+                reportOptions.dateRange = {
+                    start: new Date(startDate.to_unix() * 1000),
+                    end: new Date(endDate.to_unix() * 1000),
+                };
+            }
+
+            const csvDialog = new CSVExportDialog(this.parentWindow, this.coreBridge, reportOptions);
+            csvDialog.present(this.parentWindow);
+        } catch (error) {
+            console.error('[ReportsPage] Error exporting CSV:', error);
+            if (this.parentWindow && this.parentWindow.showToast) {
+                this.parentWindow.showToast(_('CSV export failed'));
+            }
+        }
+    }
+
     /**
      * Refresh page
      */
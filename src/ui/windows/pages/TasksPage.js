@@ -4,11 +4,13 @@ import Gdk from 'gi://Gdk';
 import GLib from 'gi://GLib';
 import { TaskRowTemplate } from '../../components/complex/TaskRowTemplate.js';
 import { TaskStackTemplate } from '../../components/complex/TaskStackTemplate.js';
+import { TaskTreeTemplate } from '../../components/complex/TaskTreeTemplate.js';
 import { ProjectDropdown } from 'resource:///com/odnoyko/valot/ui/utils/projectDropdown.js';
 import { ClientDropdown } from 'resource:///com/odnoyko/valot/ui/utils/clientDropdown.js';
 import { getCurrencySymbol } from 'resource:///com/odnoyko/valot/data/currencies.js';
 import { AdvancedTrackingWidget } from 'resource:///com/odnoyko/valot/ui/components/complex/AdvancedTrackingWidget.js';
 import { MultipleTasksEditDialog } from 'resource:///com/odnoyko/valot/ui/components/dialogs/MultipleTasksEditDialog.js';
+import { PastTimeEntryDialog } from 'resource:///com/odnoyko/valot/ui/components/dialogs/PastTimeEntryDialog.js';
 import { createRecoloredSVG } from 'resource:///com/odnoyko/valot/ui/utils/svgRecolor.js';
 import { stringCache } from 'resource:///com/odnoyko/valot/ui/utils/StringCache.js';
 
@@ -46,6 +48,9 @@ export class TasksPage {
         // Track expanded stacks to preserve state after reload
         this.expandedStacks = new Set(); // groupKey -> expanded state
 
+        // All tasks by ID, used to build subtask trees
+        this.tasksById = new Map(); // taskId -> task
+
         // Current tracking context (project/client selection)
         this.currentProjectId = 1;
         this.currentClientId = 1;
@@ -379,9 +384,9 @@ export class TasksPage {
                     }
 
                     // Update money
-                    if (moneyLabel && trackingTask.client_rate > 0) {
-                        const totalCost = (totalTime / 3600) * trackingTask.client_rate;
-                        const currencySymbol = getCurrencySymbol(trackingTask.client_currency || 'EUR');
+                    if (moneyLabel && trackingTask.effective_rate > 0) {
+                        const totalCost = (totalTime / 3600) * trackingTask.effective_rate;
+                        const currencySymbol = getCurrencySymbol(trackingTask.effective_currency || 'EUR');
                         // OPTIMIZED: Use cached money string formatting
                         moneyLabel.set_label(stringCache.getMoneyString(totalCost, currencySymbol));
                         moneyLabel.set_visible(true);
@@ -747,9 +752,31 @@ export class TasksPage {
 
         headerBar.pack_end(compactTrackerBtn);
 
+        // Add past time button (end)
+        const pastTimeBtn = new Gtk.Button({
+            icon_name: 'document-new-symbolic',
+            css_classes: ['flat', 'circular'],
+            tooltip_text: _('Add Past Time'),
+        });
+        pastTimeBtn.connect('clicked', () => this._showPastTimeDialog());
+        headerBar.pack_end(pastTimeBtn);
+
         return headerBar;
     }
 
+    /**
+     * Add a finished session after the fact, prefilled with the task entry fields
+     */
+    _showPastTimeDialog() {
+        const dialog = new PastTimeEntryDialog(this.parentWindow, this.coreBridge, {
+            taskName: this.taskNameEntry?.get_text().trim() || '',
+            projectId: this.currentProjectId,
+            clientId: this.currentClientId,
+            onSaved: () => this.loadTasks(),
+        });
+        dialog.present(this.parentWindow);
+    }
+
     _createTrackingWidget() {
         // Original design adapted to Core architecture
         const box = new Gtk.Box({
@@ -1338,6 +1365,10 @@ export class TasksPage {
                 sortBy: 'last_used_at' // Show recent first
             });
 
+            // Parent tasks of subtasks may have no instances of their own
+            const allTasks = await this.coreBridge.getAllTasks();
+            this.tasksById = new Map(allTasks.map(task => [task.id, task]));
+
             // OPTIMIZED: Limit array size to prevent unlimited RAM growth
             // Keep only most recent 500 tasks
             const limitedTasks = Array.isArray(taskInstances) 
@@ -1819,6 +1850,8 @@ export class TasksPage {
                 if (typeof template.updateTaskTime === 'function') {
                     template.updateTaskTime(taskInstanceId, taskInstance.total_time);
                 }
+
+                this._updateTaskTreeTimes();
             }
             
             // OPTIMIZED: updatedTask is no longer needed - values already copied to taskInstance
@@ -1839,6 +1872,17 @@ export class TasksPage {
         }
     }
 
+    /**
+     * Update total times of task trees (sums of their stacks)
+     */
+    _updateTaskTreeTimes() {
+        this.taskTemplates.forEach((template, key) => {
+            if (String(key).startsWith('tree:')) {
+                template.updateTime();
+            }
+        });
+    }
+
     /**
      * Refresh time for single task after tracking stops (by taskId - fallback)
      * OPTIMIZED: Updates only time, not entire task
@@ -1903,6 +1947,8 @@ export class TasksPage {
                 groups.set(groupKey, {
                     groupKey: groupKey,
                     baseName: baseName,
+                    taskId: taskInstance.task_id,
+                    rootTaskId: this._getRootTaskId(taskInstance.task_id),
                     tasks: [],
                     totalDuration: 0,
                     totalCost: 0,
@@ -1915,7 +1961,7 @@ export class TasksPage {
             group.totalDuration += taskInstance.total_time || 0;
 
             // Calculate cost for this task instance
-            const instanceCost = (taskInstance.total_time / 3600) * (taskInstance.client_rate || 0);
+            const instanceCost = (taskInstance.total_time / 3600) * (taskInstance.effective_rate || 0);
             group.totalCost += instanceCost;
 
             // Keep track of the most recently used task
@@ -1935,83 +1981,158 @@ export class TasksPage {
         // OPTIMIZED: Convert to array and clear Map immediately to free memory
         const result = Array.from(groups.values());
         groups.clear(); // Clear Map to free memory
+
+        // Keep the stacks of a task tree together, at the position of its most recent stack
+        const treePositions = new Map();
+        result.forEach((group, index) => {
+            if (!treePositions.has(group.rootTaskId)) {
+                treePositions.set(group.rootTaskId, index);
+            }
+        });
+        result.sort((a, b) => treePositions.get(a.rootTaskId) - treePositions.get(b.rootTaskId));
         return result;
     }
 
+    /**
+     * Get the top-level task of a subtask (the task itself if it has no parent)
+     */
+    _getRootTaskId(taskId) {
+        const visited = new Set();
+        let current = this.tasksById.get(taskId);
+        while (current && current.parent_id && !visited.has(current.id)) {
+            visited.add(current.id);
+            const parent = this.tasksById.get(current.parent_id);
+            if (!parent) break;
+            current = parent;
+        }
+        return current ? current.id : taskId;
+    }
+
     /**
      * Render task groups using templates (SAME UI as main branch)
      */
     _renderTaskGroups(taskGroups) {
-        taskGroups.forEach(group => {
-            let row;
+        let index = 0;
+        while (index < taskGroups.length) {
+            // Groups of one task tree are consecutive (see _groupSimilarTasks)
+            const rootTaskId = taskGroups[index].rootTaskId;
+            let end = index + 1;
+            while (end < taskGroups.length && taskGroups[end].rootTaskId === rootTaskId) {
+                end++;
+            }
+            const treeGroups = taskGroups.slice(index, end);
+            const rootTask = this.tasksById.get(rootTaskId);
+
+            if (rootTask && treeGroups.some(group => group.taskId !== rootTaskId)) {
+                this.taskList.append(this._createTaskTreeRow(rootTask, treeGroups));
+            } else {
+                treeGroups.forEach(group => {
+                    const row = this._createGroupRow(group);
+                    if (row) {
+                        this.taskList.append(row);
+                    }
+                });
+            }
+            index = end;
+        }
+    }
 
-            if (group.tasks.length === 1) {
-                // Single task - use TaskRowTemplate
-                const task = group.tasks[0];
-                const template = new TaskRowTemplate(task, this);
-                row = template.getWidget();
+    /**
+     * Create a collapsible tree row with the stacks of a task and its subtasks
+     */
+    _createTaskTreeRow(rootTask, groups) {
+        const template = new TaskTreeTemplate(rootTask, groups, this);
+        groups.forEach(group => template.addChildRow(this._createGroupRow(group)));
+        const row = template.getWidget();
+
+        const treeKey = `tree:${rootTask.id}`;
+        this._trackedTemplates.set(treeKey, template);
+        this._trackedWidgets.set(`tree-${rootTask.id}`, row);
+        this.taskTemplates.set(treeKey, template);
+
+        if (this.expandedStacks.has(treeKey)) {
+            row.set_expanded(true);
+        }
+        row.connect('notify::expanded', () => {
+            if (row.get_expanded()) {
+                this.expandedStacks.add(treeKey);
+            } else {
+                this.expandedStacks.delete(treeKey);
+            }
+        });
+        return row;
+    }
 
-                // Register for cleanup tracking (inline service logic)
-                this._trackedTemplates.set(task.id, template);
-                this._trackedWidgets.set(`task-${task.id}`, row);
+    /**
+     * Create the row of a task group: single task row or stack
+     */
+    _createGroupRow(group) {
+        let row;
 
-                // Update tracking state (icon and green dot)
-                template.updateTrackingState();
+        if (group.tasks.length === 1) {
+            // Single task - use TaskRowTemplate
+            const task = group.tasks[0];
+            const template = new TaskRowTemplate(task, this);
+            row = template.getWidget();
 
-                // Store template for real-time updates
-                this.taskTemplates.set(task.id, template);
+            // Register for cleanup tracking (inline service logic)
+            this._trackedTemplates.set(task.id, template);
+            this._trackedWidgets.set(`task-${task.id}`, row);
 
-                // Add to task row map for selection tracking
-                this.taskRowMap.set(task.id, row);
+            // Update tracking state (icon and green dot)
+            template.updateTrackingState();
 
-                // Add right-click selection handler
-                this._addTaskSelectionHandlers(row, task);
+            // Store template for real-time updates
+            this.taskTemplates.set(task.id, template);
 
-                // Apply selection styling if selected
-                if (this.selectedTasks.has(task.id)) {
-                    row.add_css_class('selected-task');
-                }
-            } else {
-                // Multiple tasks - use TaskStackTemplate (stack/expander)
-                const template = new TaskStackTemplate(group, this);
-                row = template.getWidget();
+            // Add to task row map for selection tracking
+            this.taskRowMap.set(task.id, row);
 
-                // Register for cleanup tracking (inline service logic)
-                this._trackedTemplates.set(`stack:${group.groupKey}`, template);
-                this._trackedWidgets.set(`stack-${group.groupKey}`, row);
+            // Add right-click selection handler
+            this._addTaskSelectionHandlers(row, task);
 
-                // Update tracking state (icon)
-                template.updateTrackingState();
+            // Apply selection styling if selected
+            if (this.selectedTasks.has(task.id)) {
+                row.add_css_class('selected-task');
+            }
+        } else {
+            // Multiple tasks - use TaskStackTemplate (stack/expander)
+            const template = new TaskStackTemplate(group, this);
+            row = template.getWidget();
 
-                // Store template for real-time updates by groupKey (for stacks)
-                this.taskTemplates.set(`stack:${group.groupKey}`, template);
+            // Register for cleanup tracking (inline service logic)
+            this._trackedTemplates.set(`stack:${group.groupKey}`, template);
+            this._trackedWidgets.set(`stack-${group.groupKey}`, row);
 
-                // Add to stack row map for selection tracking
-                this.stackRowMap.set(group.groupKey, row);
+            // Update tracking state (icon)
+            template.updateTrackingState();
 
-                // Add right-click selection handler
-                this._addStackSelectionHandlers(row, group);
+            // Store template for real-time updates by groupKey (for stacks)
+            this.taskTemplates.set(`stack:${group.groupKey}`, template);
 
-                // Apply selection styling if selected
-                if (this.selectedStacks.has(group.groupKey)) {
-                    row.add_css_class('selected-task');
-                }
+            // Add to stack row map for selection tracking
+            this.stackRowMap.set(group.groupKey, row);
 
-                // Restore expanded state if was previously expanded
-                if (this.expandedStacks.has(group.groupKey)) {
-                    row.set_expanded(true);
-                }
+            // Add right-click selection handler
+            this._addStackSelectionHandlers(row, group);
 
-                // Handle collapse/expand events
-                row.connect('notify::expanded', () => {
-                    this._onStackExpandedChanged(row, group);
-                });
+            // Apply selection styling if selected
+            if (this.selectedStacks.has(group.groupKey)) {
+                row.add_css_class('selected-task');
             }
 
-            if (row) {
-                this.taskList.append(row);
+            // Restore expanded state if was previously expanded
+            if (this.expandedStacks.has(group.groupKey)) {
+                row.set_expanded(true);
             }
-        });
+
+            // Handle collapse/expand events
+            row.connect('notify::expanded', () => {
+                this._onStackExpandedChanged(row, group);
+            });
+        }
+
+        return row;
     }
 
     _showEmptyState() {
@@ -2448,23 +2569,14 @@ export class TasksPage {
                         // Stack time will be recalculated automatically after deletion
                     }
 
-                    // Save task instance data for undo (without TimeEntries for now)
-                    const deletedTaskInstances = tasksToDelete.map(t => ({
-                        id: t.id,
-                        task_id: t.task_id,
-                        project_id: t.project_id,
-                        client_id: t.client_id,
-                        task_name: t.task_name,
-                        last_used_at: t.last_used_at,
-                        total_time: t.total_time,
-                    }));
-                    const idsToDelete = deletedTaskInstances.map(t => t.id);
+                    const idsToDelete = tasksToDelete.map(t => t.id);
 
-                    // Delete TaskInstances via Core (will CASCADE delete TimeEntries)
-                    await this.coreBridge.deleteMultipleTaskInstances(idsToDelete);
-
-                    // Clean up orphaned tasks (tasks with no instances)
-                    await this.coreBridge.cleanupOrphanedTasks();
+                    // Delete TaskInstances and clean up orphaned tasks (tasks with no instances)
+                    // as one undo step
+                    await this.coreBridge.runAsUndoStep('Delete tasks', async () => {
+                        await this.coreBridge.deleteMultipleTaskInstances(idsToDelete);
+                        await this.coreBridge.cleanupOrphanedTasks();
+                    });
 
                     // Emit event to refresh all pages
                     this.coreBridge.emitUIEvent('tasks-deleted');
@@ -2482,31 +2594,7 @@ export class TasksPage {
                         : _(`${idsToDelete.length} tasks deleted`);
 
                     if (this.parentWindow && this.parentWindow.showToastWithAction) {
-                        this.parentWindow.showToastWithAction(message, _('Undo'), async () => {
-                            try {
-                                // Restore deleted task instances
-                                for (const taskInstance of deletedTaskInstances) {
-                                    // First, recreate the Task template if it was deleted
-                                    const task = await this.coreBridge.findOrCreateTask(taskInstance.task_name);
-
-                                    // Then restore TaskInstance with preserved timestamps
-                                    await this.coreBridge.restoreTaskInstance({
-                                        task_id: task.id,
-                                        project_id: taskInstance.project_id,
-                                        client_id: taskInstance.client_id,
-                                        last_used_at: taskInstance.last_used_at,
-                                        total_time: taskInstance.total_time,
-                                    });
-                                }
-                                await this.loadTasks();
-                            } catch (error) {
-                                console.error('[TasksPage] Error restoring task instances:', error);
-                                // Show user-friendly error message
-                                if (this.parentWindow && this.parentWindow.showToast) {
-                                    this.parentWindow.showToast(_('Failed to restore: some referenced items were deleted'));
-                                }
-                            }
-                        });
+                        this.parentWindow.showToastWithAction(message, _('Undo'), () => this.parentWindow.undoLastChange());
                     }
                 } catch (error) {
                     console.error('[TasksPage] Error deleting tasks:', error);